@@ -69,6 +69,45 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Resolve a user's role on a whiteboard (owner | editor | commenter | viewer), or null if no access.
+ * Shared by the HTTP middleware below and the socket handlers.
+ */
+async function resolveWhiteboardRole(wb, { userId, userEmail }) {
+  const email = toLower(userEmail);
+  const members = wb.members || [];
+
+  const isOwner = wb.ownerId === userId;
+
+  const isMemberById = members.some((m) => m.userId === userId);
+  const isMemberByEmail= members.some((m)=> toLower(m.email) === email);
+
+  // invitation can grant access (pending or accepted)
+  let hasInvitation = false;
+  try {
+    hasInvitation = await Invitation.exists({
+      whiteboardId: wb._id,
+      recipientEmail: email,
+      status: { $in: ['pending', 'accepted'] },
+    });
+  } catch (_) {
+    // if invite lookup fails, don't crash access check
+  }
+
+  const isPublic = wb.settings?.isPublic === true;
+
+  if (!(isOwner || isMemberById || isMemberByEmail || hasInvitation || isPublic)) {
+    return null;
+  }
+
+  if (isOwner) return 'owner';
+
+  const member = members.find(
+    (m) => m.userId === userId || toLower(m.email) === email
+  );
+  return member?.role || 'viewer';
+}
+
 // whiteboard access for current user
 async function checkWhiteboardAccess(req, res, next) {
   try {
@@ -78,48 +117,23 @@ async function checkWhiteboardAccess(req, res, next) {
       return res.status(400).json({ error: 'Whiteboard ID is required'});
     }
 
-    const wb = await Whiteboard.findById(whiteboardId);
+    // legacy canvasImage can be megabytes; nothing downstream needs it
+    const wb = await Whiteboard.findById(whiteboardId).select('-canvasImage');
     if(!wb) {
       return res.status(404).json({error:'Whiteboard not found'});
     }
 
-    const userId = req.userId;
-    const userEmail = toLower(req.userEmail);
-    const members = wb.members || [];
-
-    const isOwner = wb.ownerId === userId;
-
-    const isMemberById = members.some((m) => m.userId === userId);
-    const isMemberByEmail= members.some((m)=> toLower(m.email) === userEmail);
-
-    // invitation can grant access (pending or accepted)
-    let hasInvitation = false;
-    try {
-      hasInvitation = await Invitation.exists({
-        whiteboardId: wb._id,
-        recipientEmail: userEmail,
-        status: { $in: ['pending', 'accepted'] },
-      });
-    } catch (_) {
-      // if invite lookup fails, don't crash access check
-    }
-
-    const isPublic = wb.settings?.isPublic === true;
+    const role = await resolveWhiteboardRole(wb, {
+      userId: req.userId,
+      userEmail: req.userEmail,
+    });
 
-    if (!(isOwner || isMemberById || isMemberByEmail || hasInvitation || isPublic)) {
+    if (!role) {
       return res.status(403).json({ error: 'You do not have access to this whiteboard' });
     }
 
     // set role for downstream
-    if (isOwner) {
-      req.userRole = 'owner';
-    } else {
-      const member = members.find(
-        (m) => m.userId === userId || toLower(m.email) === userEmail
-      );
-      req.userRole = member?.role || 'viewer';
-    }
-
+    req.userRole = role;
     req.whiteboard = wb;
     next();
   } catch (err) {
@@ -168,6 +182,7 @@ function requirePremium(req, res, next) {
 module.exports = {
   supabase,
   authenticate,
+  resolveWhiteboardRole,
   checkWhiteboardAccess,
   requireRole,
   requirePremium,
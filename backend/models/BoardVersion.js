@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+// board history: one doc per saved state of a board (services/boardVersions.js).
+// the elements and the full-size preview live in storage (snapshotKey / previewKey),
+// the doc keeps what the history list needs.
+
+const boardVersionSchema = new mongoose.Schema({
+  whiteboardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Whiteboard',
+    required: true
+  },
+  // what made it: a save, the periodic autosave, someone saving a named version,
+  // or the state right before a clear / a restore, or right after a restore
+  trigger: {
+    type: String,
+    enum: ['save', 'autosave', 'manual', 'before-clear', 'before-restore', 'restore'],
+    required: true
+  },
+  name: {
+    type: String, // named versions are kept until renamed to '' (see retention)
+    default: '',
+    trim: true,
+    maxlength: 100
+  },
+  seq: {
+    type: Number, // room log seq the snapshot was taken at
+    default: 0
+  },
+  createdBy: {
+    type: String, // Supabase user ID; null for autosaves
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId, // trigger 'restore'
+    ref: 'BoardVersion',
+    default: null
+  },
+  hash: {
+    type: String, // sha1 of the snapshot, so unchanged boards don't pile up versions
+    required: true
+  },
+  elementCount: {
+    type: Number,
+    default: 0
+  },
+  snapshotKey: {
+    type: String, // gzipped json elements
+    required: true
+  },
+  previewKey: {
+    type: String, // png
+    required: true
+  },
+  size: {
+    type: Number, // bytes in storage (snapshot + preview)
+    default: 0
+  },
+  thumbnail: {
+    type: String, // small jpeg data URL for the history list
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+boardVersionSchema.index({ whiteboardId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BoardVersion', boardVersionSchema);
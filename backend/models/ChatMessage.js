@@ -20,6 +20,9 @@ const chatMessageSchema = new mongoose.Schema({
     required: true,
     maxlength: 2000
   },
+  mentions: [{
+    type: String // user IDs mentioned with @name (see services/mentions.js)
+  }],
   reactions: [{
     userId: String,
     emoji: String,
@@ -51,22 +54,46 @@ const chatMessageSchema = new mongoose.Schema({
 // Compound indexes for efficient queries (ChatGPT suggestion/improvement)
 chatMessageSchema.index({ whiteboardId: 1, createdAt: -1 });
 chatMessageSchema.index({ whiteboardId: 1, userId: 1 });
+chatMessageSchema.index({ mentions: 1, createdAt: -1 });
 
 // TTL index to auto-delete old messages after 90 days (optional)
 // chatMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
 
-// Method to get recent messages
-chatMessageSchema.statics.getRecent = function(whiteboardId, limit = 50) {
-  return this.find({ 
-    whiteboardId, 
-    isDeleted: false 
-  })
-    .sort({ createdAt: -1 })
+// Method to get recent messages (newest first)
+// pass the oldest message already loaded as `before` to get the page before it
+chatMessageSchema.statics.getRecent = function(whiteboardId, limit = 50, before = null) {
+  const query = {
+    whiteboardId,
+    isDeleted: false
+  };
+  if (before) {
+    query.$or = [
+      { createdAt: { $lt: before.createdAt } },
+      { createdAt: before.createdAt, _id: { $lt: before._id } }
+    ];
+  }
+  return this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
     .limit(limit)
     .exec();
 };
 
-// Method to add reaction (for chat, still need to test to make sure it works properly)
+// Method to edit the text
+chatMessageSchema.methods.edit = function(text) {
+  this.text = text;
+  this.isEdited = true;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Method to soft delete (kept for moderation, hidden from everyone)
+chatMessageSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Method to add reaction (one per user; a new one replaces theirs)
 chatMessageSchema.methods.addReaction = function(userId, emoji) {
   // Remove existing reaction from this user first
   this.reactions = this.reactions.filter(r => r.userId !== userId);
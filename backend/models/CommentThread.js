@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// a comment thread pinned to the board: a point, or a region when the anchor has
+// a size. coordinates are in the shared 1920x1080 virtual space (same as elements).
+const commentSchema = new mongoose.Schema({
+  userId: {
+    type: String, // Supabase user ID
+    required: true
+  },
+  userName: {
+    type: String, // Cached for display
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+const commentThreadSchema = new mongoose.Schema({
+  whiteboardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Whiteboard',
+    required: true,
+    index: true
+  },
+  anchor: {
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    width: { type: Number, default: 0 },
+    height: { type: Number, default: 0 }
+  },
+  userId: {
+    type: String, // who started the thread
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  // first entry is the opening comment, the rest are replies
+  comments: [commentSchema],
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentThreadSchema.index({ whiteboardId: 1, status: 1, updatedAt: -1 });
+
+// Method to list a board's threads (newest activity first)
+commentThreadSchema.statics.getForBoard = function(whiteboardId, status = null, limit = 200) {
+  const query = { whiteboardId };
+  if (status) query.status = status;
+  return this.find(query)
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .exec();
+};
+
+// Method to add a reply
+commentThreadSchema.methods.addReply = function(userId, userName, text) {
+  this.comments.push({ userId, userName, text });
+  return this.save();
+};
+
+// Method to resolve / reopen
+commentThreadSchema.methods.setResolved = function(resolved, userId) {
+  this.status = resolved ? 'resolved' : 'open';
+  this.resolvedBy = resolved ? userId : null;
+  this.resolvedAt = resolved ? new Date() : null;
+  return this.save();
+};
+
+module.exports = mongoose.model('CommentThread', commentThreadSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// one vector object on a board (see services/scene.js for how ops change it).
+// deleted elements stay for a while as tombstones so late ops merge correctly.
 const elementSchema = new mongoose.Schema({
   whiteboardId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -7,12 +9,22 @@ const elementSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // stable id picked by the client that created it (shared by every client + the op log)
+  elementId: {
+    type: String,
+    trim: true
+  },
   type: {
     type: String,
-    enum: ['pen', 'eraser', 'rectangle', 'circle', 'line', 'text', 'erase'],
+    enum: ['pen', 'eraser', 'rectangle', 'circle', 'line', 'text', 'fill', 'image', 'erase'],
     required: true
   },
+  zIndex: {
+    type: Number,
+    default: 0
+  },
   data: {
+    points: [], // pen + eraser strokes: { x, y } by index (null = not arrived yet)
     from: {
       x: Number,
       y: Number
@@ -21,13 +33,33 @@ const elementSchema = new mongoose.Schema({
       x: Number,
       y: Number
     },
-    text: String // for text elements
+    x: Number, // text, fill seed point, image
+    y: Number,
+    width: Number, // image
+    height: Number,
+    text: String, // for text elements
+    src: String, // image data URL
+    file: String // image stored with the board (services/boardImages.js), instead of src
   },
   style: {
     color: String,
     strokeWidth: Number,
     fontSize: Number // for text elements
   },
+  // offset from moving it (data keeps the geometry it was drawn with)
+  transform: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 }
+  },
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  // register name -> stamp of the op that last wrote it (services/hlc.js)
+  clock: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   createdBy: {
     type: String,
     required: true
@@ -42,5 +74,9 @@ const elementSchema = new mongoose.Schema({
 
 // Index for efficient queries (ChatGPT)
 elementSchema.index({ whiteboardId: 1, createdAt: 1 });
+elementSchema.index(
+  { whiteboardId: 1, elementId: 1 },
+  { unique: true, partialFilterExpression: { elementId: { $type: 'string' } } }
+);
 
-module.exports = mongoose.model('Element', elementSchema);
\ No newline at end of file
+module.exports = mongoose.model('Element', elementSchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-// still needs to be implemented in UI
+// export jobs: created by POST /api/exports, rendered by services/exportQueue.js
 
 const exportSchema = new mongoose.Schema({
   whiteboardId: {
@@ -26,23 +26,47 @@ const exportSchema = new mongoose.Schema({
     includeMetadata: Boolean // for JSON
   },
   fileUrl: {
-    type: String,
-    required: true
+    type: String, // set once the file is written (services/exportQueue.js)
+    default: ''
   },
   fileSize: {
     type: Number, // in bytes
-    required: true
+    default: 0
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    default: ''
+  },
+  storageKey: {
+    type: String, // where the worker wrote the file
+    default: null
   },
   status: {
     type: String,
-    enum: ['processing', 'completed', 'failed'],
-    default: 'processing',
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
     index: true
   },
   error: {
     type: String,
     default: null
   },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
   downloadCount: {
     type: Number,
     default: 0
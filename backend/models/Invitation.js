@@ -23,7 +23,7 @@ const invitationSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['editor', 'viewer'],
+    enum: ['editor', 'commenter', 'viewer'],
     required: true,
     default: 'viewer'
   },
@@ -52,6 +52,22 @@ const invitationSchema = new mongoose.Schema({
   message: {
     type: String,
     maxlength: 500
+  },
+  // invitation email (services/invitationMail.js)
+  delivery: {
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'failed'],
+      default: 'queued'
+    },
+    transport: { type: String, default: null }, // smtp | file | console
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    messageId: { type: String, default: null },
+    error: { type: String, default: null },
+    // the delivery run that owns this status; writes from older runs are ignored
+    attemptId: { type: String, default: null }
   }
 }, {
   timestamps: true
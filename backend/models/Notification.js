@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// in-app notifications (bell in the top nav). created through services/notifications.js,
+// which also pushes them to the user's socket channel.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: String, // Supabase user ID of the recipient
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['invitation', 'mention', 'role-change', 'export'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  link: {
+    type: String, // app path to open, e.g. /whiteboard/<id>
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+// old notifications go away after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Method to count unread
+notificationSchema.statics.unreadCount = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+// Method to mark everything read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -19,7 +19,7 @@ const whiteboardSchema = new mongoose.Schema({
     userId: String,
     role: {
       type: String,
-      enum: ['owner', 'editor', 'viewer'],
+      enum: ['owner', 'editor', 'commenter', 'viewer'],
       default: 'viewer'
     },
     addedAt: {
@@ -48,7 +48,20 @@ const whiteboardSchema = new mongoose.Schema({
     default: Date.now
   },
   // Added canvasImage field to store saved canvas state (base64 PNG/JPEG data URL)
+  // legacy: only boards not migrated yet still have it (see services/compactor.js);
+  // previews now live in storage (services/boardImages.js)
   canvasImage: {
+    type: String,
+    default: undefined
+  },
+  // full-size preview in storage, served by GET /api/whiteboards/:id/image
+  preview: {
+    etag: String,
+    size: Number,
+    updatedAt: Date
+  },
+  // small jpeg data URL for board lists (Dashboard)
+  thumbnail: {
     type: String,
     default: null
   },
@@ -56,6 +69,23 @@ const whiteboardSchema = new mongoose.Schema({
   canvasBounds: {
     type: Object,
     default: null
+  },
+  // Last room event seq folded into the stored elements by log compaction (0 = none)
+  canvasSeq: {
+    type: Number,
+    default: 0
+  },
+  // stamp (services/hlc.js) of the latest board clear; elements stamped before it stay deleted
+  canvasCleared: {
+    type: String,
+    default: null
+  },
+  // 'vector' once the board lives in the Element collection and canvasImage is only
+  // a rendered preview; unset = older raster board (canvasImage is the content)
+  canvasFormat: {
+    type: String,
+    enum: ['raster', 'vector'],
+    default: undefined
   }
 }, {
   timestamps: true
@@ -1,9 +1,12 @@
 
 const Activity = require('./Activity');
+const BoardVersion = require('./BoardVersion');
 const ChatMessage = require('./ChatMessage');
+const CommentThread = require('./CommentThread');
 const Element = require('./Element');
 const Export = require('./Export');
 const Invitation = require('./Invitation');
+const Notification = require('./Notification');
 const UserProfile = require('./UserProfile');
 const Whiteboard = require('./Whiteboard');
 
@@ -11,10 +14,13 @@ const Whiteboard = require('./Whiteboard');
 
 module.exports = {
   Activity,
+  BoardVersion,
   ChatMessage,
+  CommentThread,
   Element,
   Export,
   Invitation,
+  Notification,
   UserProfile,
   Whiteboard
 };
\ No newline at end of file
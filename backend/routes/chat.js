@@ -0,0 +1,148 @@
+// chat api routes (mounted at /api/whiteboards/:id/messages)
+// anyone with access to the board can read and react; only authors edit/delete.
+// changes are broadcast to the room the same way the socket events do (services/chat.js).
+
+const express = require('express');
+const { authenticate, checkWhiteboardAccess } = require('../middleware/auth');
+const chat = require('../services/chat');
+const { validatePayload } = require('../sockets/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// helpers
+function parseLimit(raw, fallback = chat.DEFAULT_PAGE, max = chat.MAX_PAGE) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, max);
+}
+
+// same checks as the matching socket event; sends the 400 itself.
+// the room is the board in the url, whatever the body says
+function checkBody(req, res, event) {
+  const { value, error } = validatePayload(event, {
+    ...req.body,
+    roomId: String(req.whiteboard._id),
+    messageId: req.params.messageId,
+  });
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return value;
+}
+
+// map a service result to a response
+function sendResult(res, result, status = 200) {
+  if (result.error === 'not-found') return res.status(404).json({ error: 'Message not found' });
+  if (result.error === 'forbidden') {
+    return res.status(403).json({ error: 'You can only change your own messages' });
+  }
+  return res.status(status).json(result);
+}
+
+router.use(authenticate, checkWhiteboardAccess);
+
+/**
+ * GET /api/whiteboards/:id/messages?before=<messageId>&limit=
+ * a page of history, oldest first; hasMore = there are older messages
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = await chat.listMessages(String(req.whiteboard._id), {
+      before: req.query.before || null,
+      limit: parseLimit(req.query.limit),
+    });
+    res.json(page);
+  } catch (err) {
+    console.error('chat:list error:', err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+/**
+ * PATCH /api/whiteboards/:id/messages/:messageId
+ * edit own message
+ */
+router.patch('/:messageId', async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'chat:edit');
+    if (!value) return;
+    const result = await chat.editMessage(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      req.userId,
+      value.messageId,
+      value.text
+    );
+    sendResult(res, result);
+  } catch (err) {
+    console.error('chat:edit error:', err);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+/**
+ * DELETE /api/whiteboards/:id/messages/:messageId
+ * soft delete own message
+ */
+router.delete('/:messageId', async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'chat:delete');
+    if (!value) return;
+    const result = await chat.deleteMessage(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      req.userId,
+      value.messageId
+    );
+    sendResult(res, result);
+  } catch (err) {
+    console.error('chat:delete error:', err);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+});
+
+/**
+ * POST /api/whiteboards/:id/messages/:messageId/reactions
+ * body: { emoji } - replaces my previous reaction on this message
+ */
+router.post('/:messageId/reactions', async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'chat:react');
+    if (!value) return;
+    const result = await chat.react(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      req.userId,
+      value.messageId,
+      value.emoji
+    );
+    sendResult(res, result, 201);
+  } catch (err) {
+    console.error('chat:react error:', err);
+    res.status(500).json({ error: 'Failed to add reaction' });
+  }
+});
+
+/**
+ * DELETE /api/whiteboards/:id/messages/:messageId/reactions
+ * remove my reaction
+ */
+router.delete('/:messageId/reactions', async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'chat:unreact');
+    if (!value) return;
+    const result = await chat.unreact(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      req.userId,
+      value.messageId
+    );
+    sendResult(res, result);
+  } catch (err) {
+    console.error('chat:unreact error:', err);
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// comment thread api routes (mounted at /api/whiteboards/:id/comments)
+// everyone with access can read; owners, editors and commenters can start,
+// answer and resolve threads. changes reach the room live (services/comments.js).
+
+const express = require('express');
+const { authenticate, checkWhiteboardAccess, requireRole } = require('../middleware/auth');
+const comments = require('../services/comments');
+const { COMMENT_ROLES } = require('../sockets/access');
+const { validatePayload } = require('../sockets/validate');
+
+const router = express.Router({ mergeParams: true });
+
+// same checks as the matching socket event; sends the 400 itself.
+// the room is the board in the url, whatever the body says
+function checkBody(req, res, event) {
+  const { value, error } = validatePayload(event, {
+    ...req.body,
+    roomId: String(req.whiteboard._id),
+    threadId: req.params.threadId,
+  });
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return value;
+}
+
+function sendResult(res, result, status = 200) {
+  if (result.error === 'not-found') return res.status(404).json({ error: 'Thread not found' });
+  if (result.error === 'thread-full') {
+    return res.status(400).json({ error: 'This thread has too many replies' });
+  }
+  return res.status(status).json(result);
+}
+
+const author = (req) => ({ userId: req.userId, userName: req.userName });
+
+router.use(authenticate, checkWhiteboardAccess);
+
+/**
+ * GET /api/whiteboards/:id/comments?status=open|resolved
+ * threads with their replies, newest activity first (no status = all)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be "open" or "resolved".' });
+    }
+    const threads = await comments.listThreads(String(req.whiteboard._id), { status });
+    res.json({ threads });
+  } catch (err) {
+    console.error('comments:list error:', err);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * POST /api/whiteboards/:id/comments
+ * body: { anchor: { x, y, width?, height? }, text } - start a thread
+ */
+router.post('/', requireRole(...COMMENT_ROLES), async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'comment:create');
+    if (!value) return;
+    const result = await comments.createThread(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      author(req),
+      value
+    );
+    sendResult(res, result, 201);
+  } catch (err) {
+    console.error('comments:create error:', err);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+/**
+ * POST /api/whiteboards/:id/comments/:threadId/replies
+ * body: { text }
+ */
+router.post('/:threadId/replies', requireRole(...COMMENT_ROLES), async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'comment:reply');
+    if (!value) return;
+    const result = await comments.replyToThread(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      author(req),
+      value.threadId,
+      value.text
+    );
+    sendResult(res, result, 201);
+  } catch (err) {
+    console.error('comments:reply error:', err);
+    res.status(500).json({ error: 'Failed to add reply' });
+  }
+});
+
+/**
+ * PATCH /api/whiteboards/:id/comments/:threadId
+ * body: { resolved: true | false } - resolve or reopen
+ */
+router.patch('/:threadId', requireRole(...COMMENT_ROLES), async (req, res) => {
+  try {
+    const value = checkBody(req, res, 'comment:resolve');
+    if (!value) return;
+    const result = await comments.resolveThread(
+      req.app.get('io'),
+      String(req.whiteboard._id),
+      req.userId,
+      value.threadId,
+      value.resolved
+    );
+    sendResult(res, result);
+  } catch (err) {
+    console.error('comments:resolve error:', err);
+    res.status(500).json({ error: 'Failed to update thread' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,21 @@
 // exports api routes
 // note: only the user who created an export can view/download it.
 // if later we want teammates to see each other's exports, we can relax filters.
+// rendering happens in services/exportQueue.js; POST only queues the job.
 
 const express = require('express');
 const { authenticate, checkWhiteboardAccess } = require('../middleware/auth');
 const { Export, Activity } = require('../models');
+const exportQueue = require('../services/exportQueue');
+const { getStorage, DEFAULT_URL_TTL_S } = require('../services/storage');
 
 const router = express.Router();
 
 // constants
 const ALLOWED_FORMATS = ['png', 'pdf', 'svg', 'json'];
 const QUOTA_LIMIT = 10; // per 24h window
+// never sent to clients: internal error details and storage paths
+const PRIVATE_FIELDS = '-error -storageKey';
 
 // helpers
 function parseLimit(raw, fallback = 50, max = 100) {
@@ -20,6 +25,9 @@ function parseLimit(raw, fallback = 50, max = 100) {
   return Math.min(n, max);
 }
 
+// where this api is reachable from the browser (PUBLIC_API_URL behind proxies)
+const apiBase = (req) => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
 function validateExportOptions(format, options = {}) {
   // normalize per-format options; keep defaults simple (optimized using ChatGPT)
   const out = {};
@@ -59,7 +67,7 @@ router.get('/', authenticate, async (req, res) => {
     const exports = await Export.find(query)
       .sort({ createdAt: -1 })
       .limit(parseLimit(limit))
-      .select('-error') // don't leak internal error details
+      .select(PRIVATE_FIELDS)
       .lean();
 
     res.json({ exports });
@@ -77,6 +85,7 @@ router.get('/whiteboard/:whiteboardId', authenticate, async (req, res) => {
       userId: req.userId,
     })
       .sort({ createdAt: -1 })
+      .select(PRIVATE_FIELDS)
       .lean();
 
     res.json({ exports });
@@ -113,7 +122,7 @@ router.get('/quota/usage', authenticate, async (req, res) => {
 // get single export by id
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const exportDoc = await Export.findById(req.params.id);
+    const exportDoc = await Export.findById(req.params.id).select(PRIVATE_FIELDS);
     if (!exportDoc) return res.status(404).json({ error: 'Export not found' });
 
     // ownership check
@@ -166,10 +175,9 @@ router.post('/', authenticate, checkWhiteboardAccess, async (req, res) => {
       userId: req.userId,
       format,
       options: validatedOptions,
-      fileUrl: '',
-      fileSize: 0,
-      status: 'processing',
+      status: 'queued',
     });
+    exportQueue.enqueue();
 
     // activity log
     await Activity.create({
@@ -210,13 +218,39 @@ router.get('/:id/download', authenticate, async (req, res) => {
         .json({ error: 'Export has expired or is no longer available' });
     }
 
+    if (!exportDoc.storageKey) {
+      return res.status(410).json({ error: 'Export file is no longer available' });
+    }
+
+    // short-lived link, never past the export's own expiry. under a second left
+    // counts as expired: a 0s lifetime would get the driver's default instead
+    const secondsLeft = Math.floor((exportDoc.expiresAt.getTime() - Date.now()) / 1000);
+    if (secondsLeft <= 0) {
+      return res
+        .status(410)
+        .json({ error: 'Export has expired or is no longer available' });
+    }
+    const expiresIn = Math.max(1, Math.min(DEFAULT_URL_TTL_S, secondsLeft));
+
     // track downloads for stats/rate limits later
     await exportDoc.trackDownload();
 
+    const fileName =
+      exportDoc.fileName ||
+      `whiteboard-${exportDoc.whiteboardId}-${exportDoc.format}-${exportDoc._id}.${exportDoc.format}`;
+
+    const url = await getStorage().signedUrl(exportDoc.storageKey, {
+      expiresIn,
+      fileName,
+      contentType: exportDoc.mimeType,
+    });
+
     res.json({
       message: 'Download ready',
-      fileUrl: exportDoc.fileUrl,
-      fileName: `whiteboard-${exportDoc.whiteboardId}-${exportDoc.format}-${exportDoc._id}.${exportDoc.format}`,
+      // local driver links are app-relative
+      fileUrl: url.startsWith('/') ? `${apiBase(req)}${url}` : url,
+      urlExpiresAt: new Date(Date.now() + expiresIn * 1000),
+      fileName,
       fileSize: exportDoc.fileSize,
       expiresAt: exportDoc.expiresAt,
     });
@@ -236,8 +270,10 @@ router.delete('/:id', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // todo: delete the file from storage provider (s3/gcs/etc.)
     await Export.deleteOne({ _id: exportDoc._id });
+    if (exportDoc.storageKey) {
+      await getStorage().remove(exportDoc.storageKey);
+    }
 
     res.json({ message: 'Export deleted successfully' });
   } catch (err) {
@@ -0,0 +1,45 @@
+// signed file downloads for the local storage driver (services/storage.js)
+// urls come from storage.signedUrl() and carry their own expiry + signature,
+// so there's no auth header here: the link itself is the permission.
+// with STORAGE_DRIVER=s3 the signed urls point at the bucket instead.
+
+const path = require('path');
+const express = require('express');
+const { getStorage, verifyLocalSignature, attachment } = require('../services/storage');
+
+const router = express.Router();
+
+/**
+ * GET /api/files/<key>?expires=<unix s>&sig=<hex>&name=<download name>
+ */
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const storage = getStorage();
+    if (storage.name !== 'local') return res.status(404).json({ error: 'File not found' });
+
+    if (!verifyLocalSignature(key, req.query)) {
+      return res.status(403).json({ error: 'Link is invalid or has expired' });
+    }
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.type(path.extname(key));
+    res.set('Cache-Control', 'private, no-store');
+    if (req.query.name) res.set('Content-Disposition', attachment(req.query.name));
+
+    const stream = storage.createReadStream(key);
+    stream.on('error', (err) => {
+      console.error('files:stream error:', err);
+      if (!res.headersSent) res.status(500).json({ error: 'Failed to read file' });
+      else res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('files:get error:', err);
+    res.status(500).json({ error: 'Failed to fetch file' });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,11 @@
 // auth is handled by Supabase; this API only manages invitation + membership stuff.
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { authenticate } = require('../middleware/auth');
 const { Invitation, Whiteboard, UserProfile, Activity } = require('../models');
+const { notifyLater } = require('../services/notifications');
+const { inviteUrl, deliverInvitationLater, resetDelivery } = require('../services/invitationMail');
 
 const router = express.Router();
 
@@ -145,6 +148,14 @@ router.post('/:token/accept', authenticate, async (req, res) => {
       details: { via: 'invitation', role: invitation.role },
     });
 
+    // let the sender know
+    notifyLater(req.app.get('io'), invitation.senderId, {
+      type: 'invitation',
+      title: `${req.userName} accepted your invitation to ${whiteboard.title}`,
+      link: `/whiteboard/${whiteboard._id}`,
+      data: { whiteboardId: String(whiteboard._id), invitationId: String(invitation._id) },
+    });
+
     // bump a simple stat on the user profile if it exists
     const profile = await UserProfile.findById(req.userId);
     if (profile) {
@@ -234,8 +245,37 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// email delivery status of an invitation (sender only)
+// queued -> sent | failed; failed ones can be resent
+router.get('/:id/delivery', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invitation id' });
+    }
+    const invitation = await Invitation.findById(req.params.id)
+      .select('senderId recipientEmail delivery')
+      .lean();
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.senderId !== req.userId) {
+      return res
+        .status(403)
+        .json({ error: 'Only the sender can see delivery status' });
+    }
+
+    // the attempt id is bookkeeping for the delivery runs
+    const { attemptId, ...delivery } = invitation.delivery || { status: 'queued' };
+    res.json({ recipientEmail: invitation.recipientEmail, delivery });
+  } catch (err) {
+    console.error('invitation delivery error:', err);
+    res.status(500).json({ error: 'Failed to fetch delivery status' });
+  }
+});
+
 // resend invitation (sender only)
-// gives a fresh token and extends expiry 7 days
+// gives a fresh token, extends expiry 7 days and emails it again
 router.post('/:id/resend', authenticate, async (req, res) => {
   try {
     const invitation = await Invitation.findById(req.params.id);
@@ -266,13 +306,32 @@ router.post('/:id/resend', authenticate, async (req, res) => {
       invitation.recipientEmail = toLower(invitation.recipientEmail);
     }
 
+    resetDelivery(invitation);
     await invitation.save();
 
-    // NOTE: emailing is a TODO; just return the link
-    const inviteUrl = `${process.env.APP_URL || 'http://localhost:3000'}/invite/${invitation.token}`;
+    const whiteboard = await Whiteboard.findById(invitation.whiteboardId).select('title').lean();
+    deliverInvitationLater(invitation, {
+      senderName: req.userName,
+      boardTitle: whiteboard?.title,
+    });
+
+    const recipient = await UserProfile.findOne({ email: invitation.recipientEmail }).select('_id').lean();
+    if (recipient) {
+      notifyLater(req.app.get('io'), recipient._id, {
+        type: 'invitation',
+        title: `${req.userName} sent you a reminder to join a whiteboard`,
+        body: invitation.message || `You were invited as ${invitation.role}.`,
+        link: '/invitations',
+        data: { whiteboardId: String(invitation.whiteboardId), invitationId: String(invitation._id) },
+      });
+    }
 
-    // keeping the same response shape
-    res.json({ message: 'Invitation resent successfully', inviteUrl });
+    // keeping the same response shape (+ delivery)
+    res.json({
+      message: 'Invitation resent successfully',
+      inviteUrl: inviteUrl(invitation),
+      delivery: invitation.delivery.status,
+    });
   } catch (err) {
     console.error('resend invitation error:', err);
     res.status(500).json({ error: 'Failed to resend invitation' });
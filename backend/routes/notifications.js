@@ -0,0 +1,89 @@
+// notification api routes (the bell in the top nav)
+// users only ever see and change their own notifications.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticate } = require('../middleware/auth');
+const { Notification } = require('../models');
+const notifications = require('../services/notifications');
+
+const router = express.Router();
+
+// helpers
+function parseLimit(raw, fallback = 20, max = 100) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, max);
+}
+
+/**
+ * GET /api/notifications?unread=true&before=<id>&limit=20
+ * newest first, plus the unread count for the badge
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { before, unread, limit } = req.query;
+    if (before && !mongoose.isValidObjectId(before)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const [page, unreadCount] = await Promise.all([
+      notifications.listNotifications(req.userId, {
+        before: before || null,
+        limit: parseLimit(limit),
+        unreadOnly: unread === 'true',
+      }),
+      Notification.unreadCount(req.userId),
+    ]);
+    res.json({ ...page, unreadCount });
+  } catch (err) {
+    console.error('notifications:list error:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ */
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    res.json({ unreadCount: await Notification.unreadCount(req.userId) });
+  } catch (err) {
+    console.error('notifications:unread-count error:', err);
+    res.status(500).json({ error: 'Failed to fetch unread count' });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ */
+router.post('/read-all', authenticate, async (req, res) => {
+  try {
+    const unreadCount = await notifications.markAllRead(req.app.get('io'), req.userId);
+    res.json({ message: 'All notifications marked read.', unreadCount });
+  } catch (err) {
+    console.error('notifications:read-all error:', err);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read
+ */
+router.patch('/:id/read', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    const exists = await Notification.exists({ _id: req.params.id, userId: req.userId });
+    if (!exists) return res.status(404).json({ error: 'Notification not found' });
+
+    const unreadCount = await notifications.markRead(req.app.get('io'), req.userId, [req.params.id]);
+    res.json({ message: 'Notification marked read.', unreadCount });
+  } catch (err) {
+    console.error('notifications:read error:', err);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+// board version history api routes (mounted at /api/whiteboards/:id/versions)
+// everyone with access can browse, preview and compare versions; owners and editors can
+// save named versions, rename them and restore one. a restore goes through the
+// room log like any other edit, so everyone in the room sees it right away.
+
+const express = require('express');
+const { authenticate, checkWhiteboardAccess, requireRole } = require('../middleware/auth');
+const Activity = require('../models/Activity');
+const versions = require('../services/boardVersions');
+const { diffElements, diffImages } = require('../services/boardDiff');
+const { serverOp, publishOps, editBlocked } = require('../services/boardOps');
+const { getLiveElements } = require('../services/boardState');
+const { dataURLToBuffer, VIRTUAL_WIDTH, VIRTUAL_HEIGHT } = require('../services/canvasRenderer');
+
+const router = express.Router({ mergeParams: true });
+
+const MAX_NAME_LENGTH = 100;
+
+const author = (req) => ({ userId: req.userId, userName: req.userName });
+
+// trimmed name, '' to unname; null when it's not a usable name
+function readName(value) {
+  if (value == null) return '';
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  return name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+const namedLimitError = (limit) =>
+  `This board's plan keeps at most ${limit} named versions. Unname one first.`;
+
+router.use(authenticate, checkWhiteboardAccess);
+
+/**
+ * GET /api/whiteboards/:id/versions?before=<createdAt>&limit=30
+ * newest first, plus the retention rules of the board owner's plan
+ */
+router.get('/', async (req, res) => {
+  try {
+    const roomId = String(req.whiteboard._id);
+    const [page, retention] = await Promise.all([
+      versions.listVersions(roomId, { before: req.query.before, limit: req.query.limit }),
+      versions.retentionFor(req.whiteboard),
+    ]);
+    res.json({ ...page, retention });
+  } catch (err) {
+    console.error('versions:list error:', err);
+    res.status(500).json({ error: 'Failed to fetch versions' });
+  }
+});
+
+/**
+ * POST /api/whiteboards/:id/versions
+ * body: { name? } - save the board as it is right now as a version
+ */
+router.post('/', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const name = readName(req.body.name);
+    if (name === null) {
+      return res.status(400).json({ error: `Name must be at most ${MAX_NAME_LENGTH} characters.` });
+    }
+
+    const roomId = String(req.whiteboard._id);
+    if (name) {
+      const { maxNamed } = await versions.retentionFor(req.whiteboard);
+      if (maxNamed !== null && (await versions.countNamed(roomId)) >= maxNamed) {
+        return res.status(403).json({ error: namedLimitError(maxNamed) });
+      }
+    }
+
+    const version = await versions.captureVersion(roomId, { trigger: 'manual', user: author(req), name });
+    if (!version) return res.status(404).json({ error: 'Whiteboard not found' });
+    res.status(201).json({ version: versions.serialize(version) });
+  } catch (err) {
+    console.error('versions:create error:', err);
+    res.status(500).json({ error: 'Failed to save version' });
+  }
+});
+
+/**
+ * GET /api/whiteboards/:id/versions/diff?from=<versionId>&to=<versionId>
+ * what changed going from one version to the other: element changes with their
+ * boxes and changed regions of the previews (services/boardDiff.js)
+ */
+router.get('/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to || from === to) {
+      return res.status(400).json({ error: 'Pick two different versions to compare.' });
+    }
+
+    const roomId = req.whiteboard._id;
+    const [a, b] = await Promise.all([versions.findVersion(roomId, from), versions.findVersion(roomId, to)]);
+    if (!a || !b) return res.status(404).json({ error: 'Version not found' });
+
+    // versions never change, so neither does their diff
+    const etag = `"d-${a._id}-${b._id}"`;
+    res.set({ ETag: etag, 'Cache-Control': 'private, max-age=86400' });
+    if (req.get('If-None-Match') === etag) return res.status(304).end();
+
+    const [fromElements, toElements, fromPng, toPng] = await Promise.all([
+      versions.readSnapshot(a),
+      versions.readSnapshot(b),
+      versions.readVersionPreview(a),
+      versions.readVersionPreview(b),
+    ]);
+    const elements = diffElements(fromElements, toElements);
+    const { regions, changedPercent } = await diffImages(fromPng, toPng);
+
+    res.json({
+      from: versions.serialize(a),
+      to: versions.serialize(b),
+      width: VIRTUAL_WIDTH,
+      height: VIRTUAL_HEIGHT,
+      summary: {
+        added: elements.added.length,
+        removed: elements.removed.length,
+        modified: elements.modified.length,
+        unchanged: elements.unchanged,
+        changedPercent,
+      },
+      elements: { added: elements.added, removed: elements.removed, modified: elements.modified },
+      regions,
+    });
+  } catch (err) {
+    console.error('versions:diff error:', err);
+    res.status(500).json({ error: 'Failed to compare versions' });
+  }
+});
+
+/**
+ * GET /api/whiteboards/:id/versions/:versionId
+ */
+router.get('/:versionId', async (req, res) => {
+  try {
+    const version = await versions.findVersion(req.whiteboard._id, req.params.versionId);
+    if (!version) return res.status(404).json({ error: 'Version not found' });
+    res.json({ version: versions.serialize(version) });
+  } catch (err) {
+    console.error('versions:get error:', err);
+    res.status(500).json({ error: 'Failed to fetch version' });
+  }
+});
+
+/**
+ * GET /api/whiteboards/:id/versions/:versionId/image?size=thumb
+ * the version's preview (png, or the jpeg thumbnail). versions never change, so
+ * the version id is the ETag.
+ */
+router.get('/:versionId/image', async (req, res) => {
+  try {
+    const thumb = req.query.size === 'thumb';
+    const version = await versions.findVersion(req.whiteboard._id, req.params.versionId);
+    if (!version || (thumb && !version.thumbnail)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const etag = `"${thumb ? 't' : 'p'}-${version._id}"`;
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'private, max-age=86400',
+      'Last-Modified': new Date(version.createdAt).toUTCString(),
+    });
+    if (req.get('If-None-Match') === etag) return res.status(304).end();
+
+    const body = thumb ? dataURLToBuffer(version.thumbnail) : await versions.readVersionPreview(version);
+    res.type(thumb ? 'image/jpeg' : 'image/png').send(body);
+  } catch (err) {
+    console.error('versions:image error:', err);
+    res.status(500).json({ error: 'Failed to load version preview' });
+  }
+});
+
+/**
+ * PATCH /api/whiteboards/:id/versions/:versionId
+ * body: { name } - '' unnames it (it's then subject to retention again)
+ */
+router.patch('/:versionId', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const name = readName(req.body.name);
+    if (name === null) {
+      return res.status(400).json({ error: `Name must be at most ${MAX_NAME_LENGTH} characters.` });
+    }
+
+    const result = await versions.renameVersion(req.whiteboard, req.params.versionId, name);
+    if (result.error === 'not-found') return res.status(404).json({ error: 'Version not found' });
+    if (result.error === 'named-limit') return res.status(403).json({ error: namedLimitError(result.limit) });
+    res.json(result);
+  } catch (err) {
+    console.error('versions:rename error:', err);
+    res.status(500).json({ error: 'Failed to rename version' });
+  }
+});
+
+/**
+ * POST /api/whiteboards/:id/versions/:versionId/restore
+ * put the board back the way it was in that version. the current board is kept as
+ * a 'before-restore' version first; the room gets a board-cleared plus the version's
+ * elements as ops, then 'board:restored' so clients can say who did it.
+ * refused like a clear over the socket would be: 423 while a presenter has editing
+ * locked, 409 while someone else holds a lock on an element it would replace.
+ */
+router.post('/:versionId/restore', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const roomId = String(req.whiteboard._id);
+    const version = await versions.findVersion(roomId, req.params.versionId);
+    if (!version) return res.status(404).json({ error: 'Version not found' });
+
+    const elements = await versions.readSnapshot(version);
+    const { elements: current } = await getLiveElements(roomId);
+    const blocked = await editBlocked(roomId, req.userId, [...current, ...elements].map((el) => el.id));
+    if (blocked) return res.status(blocked.status).json({ error: blocked.error });
+
+    const user = author(req);
+    await versions.captureVersion(roomId, { trigger: 'before-restore', user });
+
+    // stamped in order, so the clear doesn't take the restored elements with it
+    const io = req.app.get('io');
+    const clear = serverOp(roomId, { type: 'board-cleared' });
+    const creates = elements.map((element) => ({ ...serverOp(roomId, { element }), type: 'element:create' }));
+    const seq = await publishOps(io, roomId, req.userId, [clear, ...creates]);
+
+    const restored = await versions.captureVersion(roomId, {
+      trigger: 'restore',
+      user,
+      restoredFrom: version._id,
+    });
+
+    io?.to(roomId).emit('board:restored', {
+      roomId,
+      seq,
+      version: versions.serialize(version),
+      userId: req.userId,
+      userName: req.userName,
+    });
+
+    req.whiteboard.lastModified = new Date();
+    await req.whiteboard.save();
+
+    await Activity.create({
+      whiteboardId: req.whiteboard._id,
+      userId: req.userId,
+      action: 'edited',
+      details: { versionRestored: String(version._id), seq },
+    });
+
+    res.json({
+      message: 'Version restored.',
+      seq,
+      version: restored ? versions.serialize(restored) : null,
+    });
+  } catch (err) {
+    console.error('versions:restore error:', err);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 // whiteboards API
 // access: authenticate -> checkWhiteboardAccess -> requireRole
-// scope: CRUD, members, activity, batch element saves
+// scope: CRUD, members, activity, element imports
 
 const express = require('express');
 const { authenticate, checkWhiteboardAccess, requireRole } = require('../middleware/auth');
@@ -8,6 +8,24 @@ const Whiteboard = require('../models/Whiteboard');
 const Element = require('../models/Element');
 const Activity = require('../models/Activity');
 const Invitation = require('../models/Invitation');
+const UserProfile = require('../models/UserProfile');
+const { getBoardState, getLiveElements } = require('../services/boardState');
+const { FULL_BOUNDS, dataURLToBuffer } = require('../services/canvasRenderer');
+const { validatePayload, MAX_IMAGE_BYTES } = require('../sockets/validate');
+const { serverOp, publishOps, editBlocked } = require('../services/boardOps');
+const { boardMembers } = require('../services/mentions');
+const { revokeRoomAccess } = require('../sockets/access');
+const { notifyLater } = require('../services/notifications');
+const { inviteUrl, deliverInvitationLater } = require('../services/invitationMail');
+const {
+  readPreview,
+  removePreview,
+  storeElementImage,
+  readImage,
+  imageType,
+  removeImages,
+} = require('../services/boardImages');
+const { removeVersions } = require('../services/boardVersions');
 
 const router = express.Router();
 
@@ -16,8 +34,10 @@ const toLower = (v) => (typeof v === 'string' ? v.toLowerCase() : '');
 const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
 
 const HIDDEN_STATUSES = ['deleted', 'archived'];
+const MEMBER_ROLES = ['editor', 'commenter', 'viewer'];
 const DEFAULT_ACTIVITY_LIMIT = 50;
 const MAX_ACTIVITY_LIMIT = 200;
+const MAX_IMPORT_ELEMENTS = 500;
 
 /**
  * GET /api/whiteboards
@@ -35,7 +55,7 @@ router.get('/', authenticate, async (req, res) => {
 
     const whiteboards = await Whiteboard.find(query)
       .sort({ lastModified: -1 })
-      .select('title status ownerId members createdAt lastModified settings')
+      .select('title status ownerId members createdAt lastModified settings thumbnail preview.etag')
       .lean();
 
     res.json({ whiteboards });
@@ -47,18 +67,20 @@ router.get('/', authenticate, async (req, res) => {
 
 /**
  * GET /api/whiteboards/:id
- * fetch one whiteboard + elements + permissions
- * Note: Now includes canvasImage field for loading saved canvas state
+ * fetch one whiteboard + authoritative canvas state + permissions
+ * canvas = { seq, baseSeq, snapshot: { elements, seq } | null, events }:
+ * the stored elements plus the live ops after them (same as socket 'resume')
  */
 router.get('/:id', authenticate, checkWhiteboardAccess, async (req, res) => {
   try {
-    const elements = await Element.find({ whiteboardId: req.params.id })
-      .sort({ createdAt: 1 })
-      .lean();
+    const canvas = await getBoardState(req.params.id);
+
+    // the board travels as canvas.snapshot.elements; the preview has its own endpoint (/:id/image)
+    const { canvasImage, canvasBounds, thumbnail, ...whiteboard } = req.whiteboard.toObject();
 
     res.json({
-      whiteboard: req.whiteboard, // includes canvasImage field now
-      elements,
+      whiteboard,
+      canvas,
       permissions: {
         role: req.userRole,
         canEdit: ['owner', 'editor'].includes(req.userRole),
@@ -209,6 +231,9 @@ router.delete(
       await Element.deleteMany({ whiteboardId: req.whiteboard._id });
       await Activity.deleteMany({ whiteboardId: req.whiteboard._id });
       await Whiteboard.deleteOne({ _id: req.whiteboard._id });
+      await removePreview(String(req.whiteboard._id));
+      await removeImages(String(req.whiteboard._id));
+      await removeVersions(String(req.whiteboard._id));
 
       res.json({ message: 'Whiteboard permanently deleted.' });
     } catch (err) {
@@ -232,8 +257,8 @@ router.post(
       const { email, role = 'viewer', message } = req.body;
       if (!email) return res.status(400).json({ error: 'Email is required.' });
 
-      if (!['editor', 'viewer'].includes(role)) {
-        return res.status(400).json({ error: 'Role must be "editor" or "viewer".' });
+      if (!MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Role must be "editor", "commenter" or "viewer".' });
       }
 
       const emailLc = toLower(email);
@@ -263,8 +288,23 @@ router.post(
         details: { recipientEmail: email, role },
       });
 
-      // (email service TBD)
-      const inviteUrl = `${process.env.APP_URL || 'http://localhost:3000'}/invite/${invitation.token}`;
+      // email goes out in the background; invitation.delivery records the result
+      deliverInvitationLater(invitation, {
+        senderName: req.userName,
+        boardTitle: req.whiteboard.title,
+      });
+
+      // people who already have an account also get it in the app
+      const recipient = await UserProfile.findOne({ email: emailLc }).select('_id').lean();
+      if (recipient) {
+        notifyLater(req.app.get('io'), recipient._id, {
+          type: 'invitation',
+          title: `${req.userName} invited you to ${req.whiteboard.title}`,
+          body: message || `You were invited as ${role}.`,
+          link: '/invitations',
+          data: { whiteboardId: String(req.whiteboard._id), invitationId: String(invitation._id), role },
+        });
+      }
 
       res.status(201).json({
         message: 'Invitation created.',
@@ -273,8 +313,9 @@ router.post(
           recipientEmail: invitation.recipientEmail,
           role: invitation.role,
           expiresAt: invitation.expiresAt,
+          delivery: invitation.delivery.status,
         },
-        inviteUrl,
+        inviteUrl: inviteUrl(invitation),
       });
     } catch (err) {
       console.error('whiteboards:invite error:', err);
@@ -312,6 +353,15 @@ router.delete(
         details: { removedMember: memberUserId },
       });
 
+      // out of the room right away (the board may still be public, they can rejoin then)
+      await revokeRoomAccess(req.app.get('io'), String(req.whiteboard._id), memberUserId);
+
+      notifyLater(req.app.get('io'), memberUserId, {
+        type: 'role-change',
+        title: `You were removed from ${req.whiteboard.title}`,
+        data: { whiteboardId: String(req.whiteboard._id), role: null },
+      });
+
       res.json({ message: 'Member removed.' });
     } catch (err) {
       console.error('whiteboards:remove-member error:', err);
@@ -320,6 +370,75 @@ router.delete(
   }
 );
 
+/**
+ * GET /api/whiteboards/:id/image?size=thumb
+ * the board's rendered preview (png) or its thumbnail (jpeg). ETag = content hash,
+ * so clients revalidate with If-None-Match and get a 304 until the board is saved again.
+ */
+router.get('/:id/image', authenticate, checkWhiteboardAccess, async (req, res) => {
+  try {
+    const thumb = req.query.size === 'thumb';
+    const { preview, thumbnail } = req.whiteboard;
+    if (!preview?.etag || (thumb && !thumbnail)) {
+      return res.status(404).json({ error: 'This board has no preview yet.' });
+    }
+
+    const etag = `"${thumb ? 't' : 'p'}-${preview.etag}"`;
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'private, no-cache',
+      'Last-Modified': new Date(preview.updatedAt || Date.now()).toUTCString(),
+    });
+    if (req.get('If-None-Match') === etag) return res.status(304).end();
+
+    const body = thumb ? dataURLToBuffer(thumbnail) : await readPreview(String(req.whiteboard._id));
+    res.type(thumb ? 'image/jpeg' : 'image/png').send(body);
+  } catch (err) {
+    console.error('whiteboards:image error:', err);
+    res.status(500).json({ error: 'Could not load the board preview.' });
+  }
+});
+
+/**
+ * GET /api/whiteboards/:id/images/:file
+ * an image element's stored bytes (data.file). names are content hashes, so the
+ * response never changes and can be cached for good.
+ */
+router.get('/:id/images/:file', authenticate, checkWhiteboardAccess, async (req, res) => {
+  try {
+    const { file } = req.params;
+    if (!/^[a-f0-9]{40}\.(png|jpg)$/.test(file)) return res.status(404).json({ error: 'Image not found.' });
+
+    const etag = `"${file}"`;
+    res.set({ ETag: etag, 'Cache-Control': 'private, max-age=31536000, immutable' });
+    if (req.get('If-None-Match') === etag) return res.status(304).end();
+
+    let body;
+    try {
+      body = await readImage(String(req.whiteboard._id), file);
+    } catch {
+      return res.status(404).json({ error: 'Image not found.' });
+    }
+    res.type(imageType(file)).send(body);
+  } catch (err) {
+    console.error('whiteboards:board-image error:', err);
+    res.status(500).json({ error: 'Could not load the image.' });
+  }
+});
+
+/**
+ * GET /api/whiteboards/:id/members
+ * owner + members with display names (chat @mention autocomplete)
+ */
+router.get('/:id/members', authenticate, checkWhiteboardAccess, async (req, res) => {
+  try {
+    res.json({ members: await boardMembers(req.whiteboard) });
+  } catch (err) {
+    console.error('whiteboards:members error:', err);
+    res.status(500).json({ error: 'Could not load the members.' });
+  }
+});
+
 /**
  * GET /api/whiteboards/:id/activity?limit=50
  * most recent activity (cap limit)
@@ -348,7 +467,10 @@ router.get(
 
 /**
  * POST /api/whiteboards/:id/elements
- * batch save elements from the canvas
+ * import elements (same shape as the socket 'element:create' op); they are added
+ * through the room log, so everyone in the room sees them right away.
+ * 423 while a presenter has editing locked, 409 while someone else holds a lock on
+ * one of the element ids.
  */
 router.post(
   '/:id/elements',
@@ -361,22 +483,32 @@ router.post(
       if (!Array.isArray(elements) || elements.length === 0) {
         return res.status(400).json({ error: 'Elements array is required.' });
       }
+      if (elements.length > MAX_IMPORT_ELEMENTS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ELEMENTS} elements per request.` });
+      }
 
-      // minimal shaping-client enforces schema (chatGPT bug fix for runtime)
-      const toSave = elements.map((el) => ({
-        ...el,
-        whiteboardId: req.params.id,
-        createdBy: req.userId,
-      }));
+      const roomId = String(req.whiteboard._id);
+      const events = [];
+      for (const [i, element] of elements.entries()) {
+        const { value, error } = validatePayload('element:create', serverOp(roomId, { element }));
+        if (error) return res.status(400).json({ error: `Element ${i}: ${error}` });
+        events.push({ ...value, type: 'element:create' });
+      }
+      const blocked = await editBlocked(roomId, req.userId, events.map((ev) => ev.element.id));
+      if (blocked) return res.status(blocked.status).json({ error: blocked.error });
+
+      // image bytes go to storage, the log and the room only get their names
+      for (const ev of events) ev.element = await storeElementImage(roomId, ev.element);
 
-      const saved = await Element.insertMany(toSave);
+      const seq = await publishOps(req.app.get('io'), roomId, req.userId, events);
 
       req.whiteboard.lastModified = new Date();
       await req.whiteboard.save();
 
       res.status(201).json({
         message: 'Elements saved.',
-        count: saved.length,
+        count: events.length,
+        seq,
       });
     } catch (err) {
       console.error('whiteboards:elements-save error:', err);
@@ -387,7 +519,12 @@ router.post(
 
 /**
  * PUT /api/whiteboards/:id/canvas
- * Save canvas image (PNG/JPEG data URL) to database
+ * Replace the board with an uploaded image (PNG/JPEG data URL), e.g. an import.
+ * The board is cleared and the image becomes a single image element under anything
+ * drawn afterwards; the room sees both ops live. Normal saving is server-side
+ * (socket 'board-saved' / autosave).
+ * Refused like a clear over the socket: 423 while a presenter has editing locked,
+ * 409 while someone else holds a lock on an element it would clear.
  * Note: Base64 validation and size limits implemented using ChatGPT
  */
 router.put(
@@ -408,16 +545,37 @@ router.put(
         return res.status(400).json({ error: 'Invalid image format. Must be PNG or JPEG data URL.' });
       }
 
-      // Check size limit (16MB max for MongoDB, warn if >5MB) (ChatGPT suggestion)
-      const sizeInBytes = canvasImage.length;
-      const sizeInMB = sizeInBytes / (1024 * 1024);
-
-      if (sizeInMB > 16) {
-        return res.status(413).json({ error: 'Canvas image too large (max 16MB).' });
+      // same cap as image elements drawn over the socket
+      const sizeInMB = canvasImage.length / (1024 * 1024);
+      if (canvasImage.length > MAX_IMAGE_BYTES) {
+        return res.status(413).json({
+          error: `Canvas image too large (max ${MAX_IMAGE_BYTES / (1024 * 1024)}MB).`,
+        });
       }
 
-      req.whiteboard.canvasImage = canvasImage;
-      req.whiteboard.canvasBounds = bounds || null;
+      const roomId = String(req.whiteboard._id);
+      const { elements: current } = await getLiveElements(roomId);
+      const blocked = await editBlocked(roomId, req.userId, current.map((el) => el.id));
+      if (blocked) return res.status(blocked.status).json({ error: blocked.error });
+
+      // stamped after the clear below so the clear doesn't take the image with it
+      const clear = serverOp(roomId, { type: 'board-cleared' });
+      const { value, error } = validatePayload('element:create', serverOp(roomId, {
+        element: {
+          id: `import-${Date.now().toString(36)}`,
+          type: 'image',
+          zIndex: 0,
+          data: { ...(bounds || FULL_BOUNDS), src: canvasImage },
+        },
+      }));
+      if (error) return res.status(400).json({ error: `Invalid image: ${error}` });
+
+      const seq = await publishOps(req.app.get('io'), roomId, req.userId, [
+        clear,
+        // the bytes go to storage, the element only names them
+        { ...value, element: await storeElementImage(roomId, value.element), type: 'element:create' },
+      ]);
+
       req.whiteboard.lastModified = new Date();
       await req.whiteboard.save();
 
@@ -425,12 +583,13 @@ router.put(
         whiteboardId: req.whiteboard._id,
         userId: req.userId,
         action: 'edited',
-        details: { canvasSaved: true, imageSizeMB: sizeInMB.toFixed(2) },
+        details: { canvasImported: true, imageSizeMB: sizeInMB.toFixed(2), seq },
       });
 
       res.json({
-        message: 'Canvas saved to server.',
+        message: 'Canvas image imported.',
         sizeMB: sizeInMB.toFixed(2),
+        seq,
       });
     } catch (err) {
       console.error('whiteboards:save-canvas error:', err);
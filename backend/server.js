@@ -3,6 +3,7 @@
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const mongoose = require('mongoose');
@@ -58,15 +59,36 @@ app.get('/health', (req, res) => {
   });
 });
 
+// realtime event counters for this instance (accepted / dropped by reason)
+// only for whoever has METRICS_TOKEN (Authorization: Bearer <token>); off without one
+const socketMetrics = require('./services/socketMetrics');
+const metricsToken = process.env.METRICS_TOKEN || '';
+const sameSecret = (a, b) => {
+  const x = crypto.createHash('sha256').update(a).digest();
+  const y = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(x, y);
+};
+app.get('/metrics', (req, res) => {
+  if (!metricsToken) return res.status(404).json({ error: 'Not found' });
+  const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!given || !sameSecret(given, metricsToken)) return res.status(401).json({ error: 'Unauthorized' });
+  res.json({ realtime: socketMetrics.snapshot() });
+});
+
 // ==================== API ROUTES ====================
 
 // note: no /api/auth; frontend uses Supabase
 // haven't yet added actual api routes outside of connections
 
+app.use('/api/whiteboards/:id/messages', require('./routes/chat'));
+app.use('/api/whiteboards/:id/comments', require('./routes/comments'));
+app.use('/api/whiteboards/:id/versions', require('./routes/versions'));
 app.use('/api/whiteboards', require('./routes/whiteboards'));
 app.use('/api/invitations', require('./routes/invitations'));
 app.use('/api/profile', require('./routes/profile'));
 app.use('/api/exports', require('./routes/exports'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/files', require('./routes/files'));
 
 // serve React app for all other routes (must be after API routes)
 app.get('*', (req, res) => {
@@ -100,23 +122,91 @@ const io = new Server(server, {
     credentials: true,
   },
   transports: ['websocket', 'polling'],
+  // largest legit payload is an image element (validate.js caps it at 4MB)
+  maxHttpBufferSize: 5 * 1024 * 1024,
 });
 
-// ==================== CANVAS STATE CACHE ====================
+// routes that push to rooms (e.g. canvas import) reach socket.io through this
+app.set('io', io);
+
+// ==================== SOCKET.IO ADAPTER ====================
+
+// with redis, rooms and broadcasts span every backend instance (pub/sub adapter).
+// without it we stay on the default in-memory adapter (single instance).
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { withClusterLock } = require('./services/clusterLock');
+
+let adapterClients = [];
+
+const setupAdapter = async () => {
+  if (redis?.status !== 'ready') {
+    console.log('Socket.IO adapter: in-memory (single instance)');
+    return;
+  }
+
+  try {
+    const pubClient = redis.duplicate();
+    const subClient = redis.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient));
+    adapterClients = [pubClient, subClient];
+    console.log('Socket.IO adapter: redis (multi instance)');
+  } catch (err) {
+    console.error('Redis adapter setup failed, using in-memory adapter:', err.message);
+  }
+};
 
-// structure: Map<roomId, Array<event>>
-const canvasStateCache = new Map();
+// distinct users in a room across all instances
+const getRoomUserCount = async (roomId) => {
+  const sockets = await io.in(roomId).fetchSockets();
+  return new Set(sockets.map((s) => s.data.userId)).size;
+};
 
-const getCanvasState = (roomId) => {
-  if (!canvasStateCache.has(roomId)) canvasStateCache.set(roomId, []);
-  return canvasStateCache.get(roomId);
+// who is in each room, with names, avatars, cursor colors and status
+const presence = require('./services/presence');
+
+// last roster sent per room, so the sweep only re-sends what changed
+const sentRosters = new Map();
+
+/**
+ * Send the room its user count and presence roster.
+ * With onlyIfChanged, nothing goes out when the roster matches the last one sent.
+ * Returns the user count.
+ */
+const broadcastRoomInfo = async (roomId, { onlyIfChanged = false } = {}) => {
+  const [userCount, users] = await Promise.all([getRoomUserCount(roomId), presence.getRoster(roomId)]);
+  const sent = JSON.stringify(users);
+  if (onlyIfChanged && sentRosters.get(roomId) === sent) return userCount;
+
+  if (userCount === 0) sentRosters.delete(roomId);
+  else sentRosters.set(roomId, sent);
+  io.to(roomId).emit('room-info', { userCount, roomId, users });
+  return userCount;
 };
 
-const clearCanvasState = (roomId) => {
-  canvasStateCache.delete(roomId);
-  console.log(`Canvas state cleared for room ${roomId}`);
+// ==================== CANVAS STATE ====================
+
+// per-room event log (redis or memory, see services/storeMode.js)
+const canvasState = require('./services/canvasState');
+const storeMode = require('./services/storeMode');
+// folds long logs into the stored elements (this is also how boards get saved)
+const compactor = require('./services/compactor');
+
+// last one out: persist whatever is still only in the log
+const saveEmptyRoom = (roomId) => {
+  compactor.saveRoom(roomId).catch((err) => console.error(`Save on empty room ${roomId} error:`, err));
 };
 
+// stored elements + tail for resume requests (same shape as GET /api/whiteboards/:id)
+const { getBoardState, getLiveElements } = require('./services/boardState');
+// renders queued exports (POST /api/exports), tells the requester when done and
+// cleans up expired files
+const exportQueue = require('./services/exportQueue');
+// board history: versions on saves/clears/restores, pruned per the owner's plan
+const boardVersions = require('./services/boardVersions');
+const { resumeStaleDeliveries } = require('./services/invitationMail');
+
 // ==================== SOCKET.IO AUTH ====================
 
 const { supabase } = require('./middleware/auth');
@@ -138,6 +228,10 @@ io.use(async (socket, next) => {
     socket.userName =
       user.user_metadata?.display_name || user.email.split('@')[0];
 
+    // socket.data is what other instances see through fetchSockets()
+    socket.data.userId = socket.userId;
+    socket.data.userName = socket.userName;
+
     next();
   } catch (err) {
     console.error('Socket auth middleware error:', err);
@@ -147,26 +241,237 @@ io.use(async (socket, next) => {
 
 // ============== SOCKET.IO HANDLERS =============
 
-const { Whiteboard, ChatMessage, Activity, Element } = require('./models');
+const { Whiteboard, Activity, UserProfile } = require('./models');
+const {
+  EDIT_ROLES,
+  COMMENT_ROLES,
+  ANY_ROLE,
+  emitError,
+  userRoom,
+  isUserRoom,
+  resolveRoomAccess,
+  setRoomRole,
+  clearRoomRole,
+  getRoomRole,
+  authorize,
+} = require('./sockets/access');
+const { check, admit, forgetSocket } = require('./sockets/guard');
+const { serverClock } = require('./services/hlc');
+const { serverOp, publishOps } = require('./services/boardOps');
+const undoHistory = require('./services/undoHistory');
+const presenterStore = require('./services/presenter');
+const elementLocks = require('./services/elementLocks');
+const chat = require('./services/chat');
+const comments = require('./services/comments');
+
+// clients may pass a callback as the last emit argument
+const reply = (ack, body) => {
+  if (typeof ack === 'function') ack(body);
+};
+
+// ---- presenter mode ----
+
+const broadcastPresenter = (roomId, presenter, reason) => {
+  io.to(roomId).emit('presenter', { roomId, presenter, reason });
+};
+
+// the room's presenter, dropping one whose socket is gone (crashed instance)
+const currentPresenter = async (roomId) => {
+  const presenter = await presenterStore.get(roomId, { fresh: true });
+  if (!presenter) return null;
+  const sockets = await io.in(roomId).fetchSockets();
+  if (sockets.some((s) => s.id === presenter.socketId)) return presenter;
+  await presenterStore.clear(roomId);
+  return null;
+};
+
+/**
+ * The presenter's socket is leaving `roomId`: hand the role to their other tab,
+ * else the owner, else an editor; end the presentation when nobody can take it.
+ */
+const handOffPresenter = async (roomId, leavingSocketId) => {
+  const presenter = await presenterStore.get(roomId, { fresh: true });
+  if (!presenter || presenter.socketId !== leavingSocketId) return;
+
+  const candidates = (await io.in(roomId).fetchSockets()).filter(
+    (s) => s.id !== leavingSocketId && EDIT_ROLES.includes(s.data.roles?.[roomId])
+  );
+  const next =
+    candidates.find((s) => s.data.userId === presenter.userId) ||
+    candidates.find((s) => s.data.roles[roomId] === 'owner') ||
+    candidates[0];
+
+  if (!next) {
+    await presenterStore.clear(roomId);
+    broadcastPresenter(roomId, null, 'left');
+    return;
+  }
+
+  const successor = {
+    ...presenter,
+    userId: next.data.userId,
+    socketId: next.id,
+    name: next.data.profile?.name || next.data.userName,
+    since: Date.now(),
+  };
+  await presenterStore.set(roomId, successor);
+  broadcastPresenter(roomId, successor, 'handoff');
+  console.log(`[Presenter] ${roomId}: handed from ${presenter.name} to ${successor.name}`);
+};
+
+// a presenter with lockEditing on is the only one who may change the board
+const lockedByPresenter = async (socket, roomId) => {
+  const presenter = await presenterStore.get(roomId);
+  return Boolean(presenter?.lockEditing) && presenter.userId !== socket.userId;
+};
+
+// ---- soft locks ----
+
+// last lock list sent per room, so the sweep only re-sends what changed
+const sentLocks = new Map();
+
+// who holds what, as clients see it (holder names come along for the badges)
+const publicLocks = async (roomId) =>
+  (await elementLocks.readLocks(roomId)).map(({ kind, id, x, y, userId, name }) => ({
+    kind,
+    id,
+    x,
+    y,
+    userId,
+    name,
+  }));
+
+const broadcastLocks = async (roomId, { onlyIfChanged = false } = {}) => {
+  const locks = await publicLocks(roomId);
+  const sent = JSON.stringify(locks);
+  if (onlyIfChanged && (sentLocks.get(roomId) || '[]') === sent) return;
+  sentLocks.set(roomId, sent);
+  io.to(roomId).emit('locks', { roomId, locks });
+};
+
+// element ids an op touches
+const opElementIds = (op) => (op.id ? [op.id] : op.ids || []);
+
+// new text lands on a spot someone else is typing at
+const textSpotLocked = (socket, type, op) =>
+  type === 'element:create' && op.element.type === 'text'
+    ? elementLocks.textSpotTaken(op.roomId, socket.userId, op.element.data)
+    : null;
+
+/**
+ * Log a canvas event, stamp it with its room seq and pass it on to the rest of the room.
+ * Acks the sender with { ok, seq }, or { ok: false, error } when the event was refused
+ * (a 'rate-limited' or 'unavailable' op can be sent again later, ops merge in any order).
+ * Returns the seq, or null when the event was refused.
+ */
+const relayCanvasEvent = async (socket, type, payload, ack) => {
+  // rate limits + schema; only whitelisted fields go any further
+  const { value: clean, error } = check(socket, type, payload);
+  if (!clean) {
+    reply(ack, { ok: false, error });
+    return null;
+  }
+
+  const { roomId } = clean;
+  if (!authorize(socket, type, roomId)) {
+    reply(ack, { ok: false, error: 'forbidden' });
+    return null;
+  }
+
+  try {
+    if (await lockedByPresenter(socket, roomId)) {
+      reply(ack, { ok: false, error: 'presenter-locked' });
+      return null;
+    }
+    // someone else is editing these elements (or typing where this text goes)
+    if (
+      (await elementLocks.lockedByOthers(roomId, socket.userId, opElementIds(clean))).length > 0 ||
+      (await textSpotLocked(socket, type, clean))
+    ) {
+      reply(ack, { ok: false, error: 'locked' });
+      return null;
+    }
+    // ops the server makes itself (imports) must sort after what it has seen
+    serverClock.observe(clean.stamp);
+
+    const event = { ...clean, userId: socket.userId };
+    // `type` last: it names the event in the log and must not be overwritten by the payload
+    const { seq } = await canvasState.appendEvent(roomId, { ...event, type });
+    socket.to(roomId).emit(type, { ...event, seq });
+    reply(ack, { ok: true, seq });
+    compactor.maybeCompact(roomId, seq);
+    return seq;
+  } catch (err) {
+    console.error(`${type} relay error:`, err);
+    emitError(socket, 'server-error', 'Failed to save canvas event', { event: type, roomId });
+    // not logged anywhere: the sender keeps it in its outbox and sends it again
+    reply(ack, { ok: false, error: 'unavailable' });
+    return null;
+  }
+};
+
+// display name + avatar for the roster, looked up once per socket
+const loadPresenceProfile = async (socket) => {
+  if (!socket.data.profile) {
+    let profile = null;
+    try {
+      profile = await UserProfile.findById(socket.userId).select('displayName avatarUrl').lean();
+    } catch (err) {
+      console.error('presence:profile error:', err.message);
+    }
+    socket.data.profile = {
+      name: profile?.displayName || socket.userName,
+      avatarUrl: profile?.avatarUrl || null,
+    };
+  }
+  return socket.data.profile;
+};
+
+const joinPresence = async (socket, roomId) => {
+  const profile = await loadPresenceProfile(socket);
+  return presence.join(roomId, socket.id, { userId: socket.userId, ...profile });
+};
+
+// update this socket's roster entry; puts it back if it was swept while the
+// socket stayed up (e.g. a long stall)
+const updatePresence = async (socket, roomId, changes) => {
+  if (await presence.heartbeat(roomId, socket.id, changes)) return;
+  await joinPresence(socket, roomId);
+  await presence.heartbeat(roomId, socket.id, changes);
+};
 
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.userName} (${socket.id})`);
+  // personal channel (notifications, mentions), wherever in the app this tab is
+  socket.join(userRoom(socket.userId));
 
   // join whiteboard room
-  socket.on('join', async ({ roomId }) => {
+  socket.on('join', async (payload, ack) => {
+    const clean = admit(socket, 'join', payload);
+    if (!clean) return reply(ack, { ok: false, error: 'rejected' });
+    const { roomId } = clean;
     try {
       console.log(`[Join] ${socket.userName} (${socket.id}) attempting to join room: ${roomId}`);
-      if (!roomId || typeof roomId !== 'string') {
-        console.log('[Join] Invalid room id');
-        return socket.emit('error', { message: 'Invalid room id' });
+
+      // same rules as the REST checkWhiteboardAccess
+      const access = await resolveRoomAccess(socket, roomId);
+      if (access.error) {
+        console.log(`[Join] ${socket.userName} denied for room ${roomId}: ${access.error}`);
+        reply(ack, { ok: false, error: access.error });
+        return emitError(socket, access.error, access.message, { event: 'join', roomId });
       }
 
+      setRoomRole(socket, roomId, access.role);
       socket.join(roomId);
-      console.log(`[Join] ${socket.userName} successfully joined room ${roomId}`);
+      await joinPresence(socket, roomId);
+      socket.emit('presenter', { roomId, presenter: await currentPresenter(roomId) });
+      socket.emit('locks', { roomId, locks: await publicLocks(roomId) });
+      console.log(`[Join] ${socket.userName} successfully joined room ${roomId} as ${access.role}`);
 
-      if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      if (!access.whiteboard) {
         // not a db-backed board (preview etc.)
-        return;
+        await broadcastRoomInfo(roomId);
+        return reply(ack, { ok: true, role: access.role, seq: await canvasState.getSeq(roomId) });
       }
 
       await Whiteboard.updateOne(
@@ -189,217 +494,418 @@ io.on('connection', (socket) => {
         socketId: socket.id,
       });
 
-      const roomSize = io.sockets.adapter.rooms.get(roomId)?.size || 0;
+      const roomSize = await broadcastRoomInfo(roomId);
       console.log(`[Join] Room ${roomId} now has ${roomSize} users`);
-      io.to(roomId).emit('room-info', { userCount: roomSize, roomId });
-
-      // send cached canvas state to the joiner
-      const currentState = getCanvasState(roomId);
-      if (currentState.length > 0) {
-        socket.emit('canvas-state', { roomId, events: currentState });
-        console.log(
-          `Sent ${currentState.length} cached events to ${socket.userName}`
-        );
-      }
+
+      // the client follows up with 'resume' to fetch the board state
+      reply(ack, { ok: true, role: access.role, seq: await canvasState.getSeq(roomId) });
     } catch (err) {
       console.error('Join room error:', err);
-      socket.emit('error', { message: 'Failed to join room' });
+      reply(ack, { ok: false, error: 'join-failed' });
+      emitError(socket, 'join-failed', 'Failed to join room', { event: 'join', roomId });
     }
   });
 
-  // draw
-  socket.on('draw', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
-
-    const state = getCanvasState(roomId);
-    state.push({ type: 'draw', ...payload });
-
-    socket.to(roomId).emit('draw', payload);
+  // vector element ops (see services/scene.js); the element id is picked by the client
+  socket.on('element:create', async (payload, ack) => {
+    const seq = await relayCanvasEvent(socket, 'element:create', payload, ack);
+    if (!seq) return;
 
     // update last activity
     Whiteboard.updateOne(
-      { _id: roomId, 'activeUsers.socketId': socket.id },
+      { _id: payload.roomId, 'activeUsers.socketId': socket.id },
       { $set: { 'activeUsers.$.lastActivity': new Date() } }
     ).catch((err) => console.error('Update activity error:', err));
   });
 
-  // erase
-  socket.on('erase', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
+  // move/restyle/reorder, or more points for a stroke being drawn
+  socket.on('element:update', (payload, ack) => relayCanvasEvent(socket, 'element:update', payload, ack));
+
+  socket.on('element:delete', (payload, ack) => relayCanvasEvent(socket, 'element:delete', payload, ack));
 
-    const state = getCanvasState(roomId);
-    state.push({ type: 'erase', ...payload });
+  socket.on('element:restore', (payload, ack) => relayCanvasEvent(socket, 'element:restore', payload, ack));
 
-    socket.to(roomId).emit('erase', payload);
+  // per-user undo history (services/undoHistory.js): the client records each of its
+  // edits as a step, undo/redo replay that step's ops to the whole room
+  socket.on('history:push', async (payload, ack) => {
+    const { value: clean, error } = check(socket, 'history:push', payload);
+    if (!clean) return reply(ack, { ok: false, error });
+    if (!authorize(socket, 'history:push', clean.roomId)) return reply(ack, { ok: false, error: 'forbidden' });
+
+    try {
+      await undoHistory.push(clean.roomId, socket.userId, clean);
+      reply(ack, { ok: true });
+    } catch (err) {
+      console.error('history:push error:', err);
+      reply(ack, { ok: false, error: 'server-error' });
+    }
   });
 
-  // shape
-  socket.on('shape', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
+  const replayHistory = (direction) => async (payload, ack) => {
+    const event = `history:${direction}`;
+    const clean = admit(socket, event, payload);
+    if (!clean || !authorize(socket, event, clean.roomId)) return reply(ack, { ok: false });
+
+    try {
+      if (await lockedByPresenter(socket, clean.roomId)) {
+        return reply(ack, { ok: false, error: 'presenter-locked' });
+      }
+      const step = await undoHistory[direction](clean.roomId, socket.userId);
+      if (!step) return reply(ack, { ok: false, error: 'empty' });
+      const ids = step[direction].flatMap(opElementIds);
+      if ((await elementLocks.lockedByOthers(clean.roomId, socket.userId, ids)).length > 0) {
+        // someone is editing what the step touches: put it back for later
+        await undoHistory[direction === 'undo' ? 'redo' : 'undo'](clean.roomId, socket.userId);
+        return reply(ack, { ok: false, error: 'locked' });
+      }
+      // fresh stamps: replaying is a new edit that wins over what it reverts
+      const ops = step[direction].map((op) => serverOp(clean.roomId, op));
+      await publishOps(io, clean.roomId, socket.userId, ops);
+      reply(ack, { ok: true });
+    } catch (err) {
+      console.error(`${event} error:`, err);
+      emitError(socket, 'server-error', `Failed to ${direction}`, { event, roomId: clean.roomId });
+      reply(ack, { ok: false, error: 'server-error' });
+    }
+  };
+
+  socket.on('history:undo', replayHistory('undo'));
+  socket.on('history:redo', replayHistory('redo'));
 
-    const state = getCanvasState(roomId);
-    state.push({ type: 'shape', ...payload });
+  // presenter mode (owner/editor): everyone else follows the presenter's viewport,
+  // optionally locked to view-only. one presenter per room.
+  socket.on('presenter:start', async (payload, ack) => {
+    const clean = admit(socket, 'presenter:start', payload);
+    if (!clean) return reply(ack, { ok: false, error: 'invalid-payload' });
+    const { roomId } = clean;
+    if (!authorize(socket, 'presenter:start', roomId)) return reply(ack, { ok: false, error: 'forbidden' });
 
-    socket.to(roomId).emit('shape', payload);
+    try {
+      // drops a presenter whose socket is gone, so the claim below can win
+      const current = await currentPresenter(roomId);
+      if (current && current.userId !== socket.userId) {
+        return reply(ack, { ok: false, error: 'presenter-taken', presenter: current });
+      }
+      const presenter = {
+        userId: socket.userId,
+        socketId: socket.id,
+        name: (await loadPresenceProfile(socket)).name,
+        lockEditing: Boolean(clean.lockEditing),
+        since: Date.now(),
+      };
+      // someone may have started in the meantime (here or on another instance)
+      const claimed = await presenterStore.claim(roomId, presenter);
+      if (!claimed.ok) {
+        return reply(ack, { ok: false, error: 'presenter-taken', presenter: claimed.presenter });
+      }
+      broadcastPresenter(roomId, presenter, 'started');
+      reply(ack, { ok: true, presenter });
+    } catch (err) {
+      console.error('presenter:start error:', err);
+      reply(ack, { ok: false, error: 'server-error' });
+    }
   });
 
-  // text (finalized)
-  socket.on('text', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
+  // presenter turns the view-only lock on/off
+  socket.on('presenter:update', async (payload, ack) => {
+    const clean = admit(socket, 'presenter:update', payload);
+    if (!clean) return reply(ack, { ok: false, error: 'invalid-payload' });
+    const { roomId } = clean;
+    if (!authorize(socket, 'presenter:update', roomId)) return reply(ack, { ok: false, error: 'forbidden' });
 
-    const state = getCanvasState(roomId);
-    state.push({ type: 'text', ...payload });
+    try {
+      const current = await currentPresenter(roomId);
+      if (current?.userId !== socket.userId) return reply(ack, { ok: false, error: 'not-presenter' });
+      const presenter = { ...current, lockEditing: clean.lockEditing };
+      await presenterStore.set(roomId, presenter);
+      broadcastPresenter(roomId, presenter, 'updated');
+      reply(ack, { ok: true, presenter });
+    } catch (err) {
+      console.error('presenter:update error:', err);
+      reply(ack, { ok: false, error: 'server-error' });
+    }
+  });
+
+  // the presenter (or the board owner) ends the presentation
+  socket.on('presenter:stop', async (payload, ack) => {
+    const clean = admit(socket, 'presenter:stop', payload);
+    if (!clean) return reply(ack, { ok: false, error: 'invalid-payload' });
+    const { roomId } = clean;
+    if (!authorize(socket, 'presenter:stop', roomId)) return reply(ack, { ok: false, error: 'forbidden' });
 
-    socket.to(roomId).emit('text', payload);
+    try {
+      const current = await currentPresenter(roomId);
+      if (!current) return reply(ack, { ok: true });
+      if (current.userId !== socket.userId && getRoomRole(socket, roomId) !== 'owner') {
+        return reply(ack, { ok: false, error: 'not-presenter' });
+      }
+      await presenterStore.clear(roomId);
+      broadcastPresenter(roomId, null, 'stopped');
+      reply(ack, { ok: true });
+    } catch (err) {
+      console.error('presenter:stop error:', err);
+      reply(ack, { ok: false, error: 'server-error' });
+    }
   });
 
   // text typing (real-time, not saved to state)
-  socket.on('text-typing', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
+  socket.on('text-typing', (payload) => {
+    const clean = admit(socket, 'text-typing', payload);
+    if (!clean || !authorize(socket, 'text-typing', clean.roomId)) return;
 
     // Broadcast typing state to others with userId for tracking
-    socket.to(roomId).emit('text-typing', {
-      ...payload,
+    socket.to(clean.roomId).emit('text-typing', {
+      ...clean,
       userId: socket.userId,
     });
   });
 
-  // text finalized (clear typing indicator)
-  socket.on('text-finalized', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
+  // text finalized (clear typing indicator, free the text spot)
+  socket.on('text-finalized', async (payload) => {
+    const clean = admit(socket, 'text-finalized', payload);
+    if (!clean || !authorize(socket, 'text-finalized', clean.roomId)) return;
 
-    socket.to(roomId).emit('text-finalized', {
+    socket.to(clean.roomId).emit('text-finalized', {
       userId: socket.userId,
     });
-  });
-
-  // fill (paint bucket)
-  socket.on('fill', (payload = {}) => {
-    console.log(`[Fill] Received from ${socket.userName}:`, payload);
-    const { roomId } = payload;
-    if (!roomId) {
-      console.log('[Fill] No roomId, ignoring');
-      return;
-    }
-
-    const state = getCanvasState(roomId);
-    state.push({ type: 'fill', ...payload });
-
-    console.log(`[Fill] Broadcasting to room ${roomId}`);
-    socket.to(roomId).emit('fill', payload);
-    console.log(`[Fill] Broadcast complete`);
-  });
-
-  // selection cut (clear area when user cuts selection)
-  socket.on('selection-cut', (payload = {}) => {
-    console.log(`[Selection Cut] Received from ${socket.userName}:`, payload);
-    const { roomId } = payload;
-    if (!roomId) {
-      console.log('[Selection Cut] No roomId, ignoring');
-      return;
+    try {
+      await elementLocks.releaseText(clean.roomId, socket.id);
+      await broadcastLocks(clean.roomId, { onlyIfChanged: true });
+    } catch (err) {
+      console.error('locks:release error:', err);
     }
-
-    const state = getCanvasState(roomId);
-    state.push({ type: 'selection-cut', ...payload });
-
-    console.log(`[Selection Cut] Broadcasting to room ${roomId}`);
-    socket.to(roomId).emit('selection-cut', payload);
-    console.log(`[Selection Cut] Broadcast complete`);
   });
 
-  // paste selection (cut/paste from selection tools)
-  socket.on('paste-selection', (payload = {}) => {
-    const { roomId } = payload;
-    if (!roomId) return;
+  // soft locks: replace this socket's locks with its current selection (+ the
+  // spot it's typing at). sent on every selection change and renewed while held.
+  // only live elements can be locked; ids it doesn't hold yet are checked against
+  // the board (renewals aren't, they'd load the board every few seconds).
+  // acks { ok, granted, denied: [{ id, userId, name }], missing: [id], textDenied }
+  socket.on('lock:set', async (payload, ack) => {
+    const clean = admit(socket, 'lock:set', payload);
+    if (!clean) return reply(ack, { ok: false, error: 'invalid-payload' });
+    const { roomId } = clean;
+    if (!authorize(socket, 'lock:set', roomId)) return reply(ack, { ok: false, error: 'forbidden' });
 
-    const state = getCanvasState(roomId);
-    state.push({ type: 'paste-selection', ...payload });
+    try {
+      const held = new Set(await elementLocks.heldBy(roomId, socket.id));
+      let missing = [];
+      if (clean.ids.some((id) => !held.has(id))) {
+        const live = new Set((await getLiveElements(roomId)).elements.map((el) => el.id));
+        missing = clean.ids.filter((id) => !held.has(id) && !live.has(id));
+      }
 
-    socket.to(roomId).emit('paste-selection', payload);
+      const { name } = await loadPresenceProfile(socket);
+      const holder = { userId: socket.userId, socketId: socket.id, name };
+      const { granted, denied, textDenied } = await elementLocks.setLocks(roomId, holder, {
+        ids: clean.ids.filter((id) => !missing.includes(id)),
+        text: clean.text,
+      });
+      await broadcastLocks(roomId, { onlyIfChanged: true });
+
+      const publicLock = (l) => l && { id: l.id, userId: l.userId, name: l.name };
+      reply(ack, {
+        ok: true,
+        granted,
+        denied: denied.map(publicLock),
+        missing,
+        textDenied: publicLock(textDenied),
+      });
+    } catch (err) {
+      console.error('locks:set error:', err);
+      reply(ack, { ok: false, error: 'server-error' });
+    }
   });
 
   // clear board (from client)
-  socket.on('board-cleared', ({ roomId }) => {
-    if (!roomId) return;
-    clearCanvasState(roomId);
-    socket.to(roomId).emit('board-cleared');
+  // logged like any other op; it deletes what was stamped before it, so ops made
+  // concurrently (or offline) with a newer stamp survive it. compaction folds it.
+  // the clear can't be undone, so the clearer's history goes with it
+  socket.on('board-cleared', async (payload, ack) => {
+    const seq = await relayCanvasEvent(socket, 'board-cleared', payload, ack);
+    if (!seq) return;
+    undoHistory
+      .reset(payload.roomId, socket.userId)
+      .catch((err) => console.error('history:reset error:', err));
   });
 
-  // board saved -> clear cache (bug fix: use clearCanvasState instead of roomState)
-  socket.on('board-saved', ({ roomId }) => {
+  // save now: the server folds the room log into the stored board (nothing is uploaded
+  // or thrown away; every collaborator's strokes are in the log)
+  socket.on('board-saved', async (payload, ack) => {
+    const clean = admit(socket, 'board-saved', payload);
+    if (!clean) return reply(ack, { ok: false });
+    const { roomId } = clean;
     try {
-      if (!roomId) return;
-      clearCanvasState(roomId);
-      console.log(`Cleared cached events for room ${roomId} after save`);
+      if (!authorize(socket, 'board-saved', roomId)) return reply(ack, { ok: false });
+      const user = { userId: socket.userId, userName: socket.userName };
+      const saved = await compactor.saveRoom(roomId, { trigger: 'save', user });
+      // nothing new in the log (an autosave got there first): the version can still be missing
+      if (!saved) await boardVersions.captureVersion(roomId, { trigger: 'save', user });
+
+      if (saved && mongoose.Types.ObjectId.isValid(roomId)) {
+        await Activity.create({
+          whiteboardId: roomId,
+          userId: socket.userId,
+          action: 'edited',
+          details: { canvasSaved: true, seq: saved.uptoSeq },
+        });
+      }
+
+      reply(ack, { ok: true, seq: await canvasState.getSeq(roomId), savedAt: new Date() });
     } catch (e) {
       console.error('board-saved handler error:', e);
+      reply(ack, { ok: false });
     }
   });
 
-  // board snapshot sync (peer-to-peer canvas sync)
-  socket.on('board:request-sync', ({ roomId }) => {
-    if (!roomId) return;
-    // Broadcast to all other users in the room asking for a snapshot
-    socket.to(roomId).emit('board:request-sync', { roomId });
-    console.log(`${socket.userName} requested canvas sync for room ${roomId}`);
-  });
+  // catch up after a reconnect or a detected gap
+  // since = last seq the client applied (omit for a fresh load)
+  socket.on('resume', async (payload, ack) => {
+    const clean = admit(socket, 'resume', payload);
+    if (!clean) return reply(ack, { ok: false });
+    const { roomId, since } = clean;
+    try {
+      if (!authorize(socket, 'resume', roomId, ANY_ROLE)) return reply(ack, { ok: false });
+
+      const state = await getBoardState(roomId, { since });
+      if (typeof ack === 'function') ack({ ok: true, ...state });
+      else socket.emit('canvas-state', state);
 
-  socket.on('board:load-snapshot', ({ roomId, img, bounds }) => {
-    if (!roomId || !img) return;
-    // Send the snapshot to all other users in the room
-    socket.to(roomId).emit('board:load-snapshot', { roomId, img, bounds });
-    console.log(`${socket.userName} sent canvas snapshot to room ${roomId}`);
+      console.log(
+        `[Resume] ${socket.userName} room ${roomId} since ${since ?? '-'}: ` +
+          `${state.reset ? 'reset' : 'delta'}, ${state.events.length} events`
+      );
+    } catch (err) {
+      console.error('Resume error:', err);
+      emitError(socket, 'server-error', 'Failed to resume', { event: 'resume', roomId });
+      reply(ack, { ok: false });
+    }
   });
 
   // chat
-  socket.on('chatMessage', async (msg = {}) => {
+  socket.on('chatMessage', async (msg) => {
     try {
-      const { roomId, text } = msg;
-      if (!roomId || typeof text !== 'string' || text.trim().length === 0) {
-        return socket.emit('error', { message: 'Invalid message format' });
-      }
-
-      const chatMessage = await ChatMessage.create({
-        whiteboardId: roomId,
-        userId: socket.userId,
-        userName: socket.userName,
-        text: text.trim(),
-      });
+      // rejects empty / oversized text
+      const clean = admit(socket, 'chatMessage', msg);
+      if (!clean) return;
+      const { roomId, text } = clean;
+      if (!authorize(socket, 'chatMessage', roomId, ANY_ROLE)) return;
 
-      io.to(roomId).emit('chatMessage', {
-        _id: chatMessage._id,
-        user: socket.userName,
-        userId: socket.userId,
-        text: chatMessage.text,
-        timestamp: chatMessage.createdAt,
-      });
+      await chat.createMessage(io, roomId, { userId: socket.userId, userName: socket.userName }, text);
 
       console.log(`${socket.userName}: ${text.substring(0, 50)}...`);
     } catch (err) {
       console.error('Chat message error:', err);
-      socket.emit('error', { message: 'Failed to send message' });
+      emitError(socket, 'server-error', 'Failed to send message', { event: 'chatMessage' });
+    }
+  });
+
+  // chat history (sent after join, and for "load earlier")
+  socket.on('chat:history', async (payload, ack) => {
+    try {
+      const { value: clean, error } = check(socket, 'chat:history', payload);
+      if (!clean) return reply(ack, { ok: false, error });
+      if (!authorize(socket, 'chat:history', clean.roomId, ANY_ROLE)) {
+        return reply(ack, { ok: false, error: 'forbidden' });
+      }
+      const page = await chat.listMessages(clean.roomId, clean);
+      reply(ack, { ok: true, ...page });
+    } catch (err) {
+      console.error('chat:history error:', err);
+      emitError(socket, 'server-error', 'Failed to load messages', { event: 'chat:history' });
+      reply(ack, { ok: false });
+    }
+  });
+
+  // edit / delete own messages, react to anyone's. results go out as
+  // chat:updated / chat:deleted; the ack says why it didn't happen
+  const CHAT_ACTIONS = {
+    'chat:edit': (roomId, c) => chat.editMessage(io, roomId, socket.userId, c.messageId, c.text),
+    'chat:delete': (roomId, c) => chat.deleteMessage(io, roomId, socket.userId, c.messageId),
+    'chat:react': (roomId, c) => chat.react(io, roomId, socket.userId, c.messageId, c.emoji),
+    'chat:unreact': (roomId, c) => chat.unreact(io, roomId, socket.userId, c.messageId),
+  };
+
+  Object.entries(CHAT_ACTIONS).forEach(([event, run]) => {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const { value: clean, error } = check(socket, event, payload);
+        if (!clean) return reply(ack, { ok: false, error });
+        if (!authorize(socket, event, clean.roomId, ANY_ROLE)) {
+          return reply(ack, { ok: false, error: 'forbidden' });
+        }
+        const result = await run(clean.roomId, clean);
+        reply(ack, result.error ? { ok: false, error: result.error } : { ok: true });
+      } catch (err) {
+        console.error(`${event} error:`, err);
+        emitError(socket, 'server-error', 'Failed to update message', { event });
+        reply(ack, { ok: false });
+      }
+    });
+  });
+
+  // comment threads pinned to the board
+  socket.on('comment:list', async (payload, ack) => {
+    try {
+      const { value: clean, error } = check(socket, 'comment:list', payload);
+      if (!clean) return reply(ack, { ok: false, error });
+      if (!authorize(socket, 'comment:list', clean.roomId, ANY_ROLE)) {
+        return reply(ack, { ok: false, error: 'forbidden' });
+      }
+      reply(ack, { ok: true, threads: await comments.listThreads(clean.roomId, clean) });
+    } catch (err) {
+      console.error('comment:list error:', err);
+      emitError(socket, 'server-error', 'Failed to load comments', { event: 'comment:list' });
+      reply(ack, { ok: false });
     }
   });
 
+  // start / answer / resolve; the thread goes out to the room as comment:thread
+  const me = () => ({ userId: socket.userId, userName: socket.userName });
+  const COMMENT_ACTIONS = {
+    'comment:create': (roomId, c) => comments.createThread(io, roomId, me(), c),
+    'comment:reply': (roomId, c) => comments.replyToThread(io, roomId, me(), c.threadId, c.text),
+    'comment:resolve': (roomId, c) =>
+      comments.resolveThread(io, roomId, socket.userId, c.threadId, c.resolved),
+  };
+
+  Object.entries(COMMENT_ACTIONS).forEach(([event, run]) => {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const { value: clean, error } = check(socket, event, payload);
+        if (!clean) return reply(ack, { ok: false, error });
+        if (!authorize(socket, event, clean.roomId, COMMENT_ROLES)) {
+          return reply(ack, { ok: false, error: 'forbidden' });
+        }
+        const result = await run(clean.roomId, clean);
+        reply(ack, result.error ? { ok: false, error: result.error } : { ok: true, thread: result.thread });
+      } catch (err) {
+        console.error(`${event} error:`, err);
+        emitError(socket, 'server-error', 'Failed to update comments', { event });
+        reply(ack, { ok: false });
+      }
+    });
+  });
+
   // typing indicator
-  socket.on('typing', ({ roomId, isTyping }) => {
-    if (!roomId) return;
+  socket.on('typing', (payload) => {
+    const clean = admit(socket, 'typing', payload);
+    if (!clean) return;
+    const { roomId, isTyping } = clean;
+    if (!authorize(socket, 'typing', roomId, ANY_ROLE)) return;
     io.to(roomId).emit('typing', {
       userId: socket.userId,
       userName: socket.userName,
-      isTyping: Boolean(isTyping),
+      isTyping,
     });
   });
 
   // cursor position (client throttled)
-  socket.on('cursor', ({ roomId, x, y }) => {
-    if (!roomId) return;
+  socket.on('cursor', (payload) => {
+    const clean = admit(socket, 'cursor', payload);
+    if (!clean) return;
+    const { roomId, x, y } = clean;
+    if (!authorize(socket, 'cursor', roomId, ANY_ROLE)) return;
     socket.to(roomId).emit('cursor-move', {
       userId: socket.userId,
       userName: socket.userName,
@@ -408,13 +914,71 @@ io.on('connection', (socket) => {
     });
   });
 
+  // laser pointer / ephemeral ink: relayed to the room as-is, never logged
+  // (canvasState) or saved, so nothing is left once the clients fade it out
+  socket.on('ephemeral', (payload) => {
+    const clean = admit(socket, 'ephemeral', payload);
+    if (!clean) return;
+    const { roomId } = clean;
+    if (!authorize(socket, 'ephemeral', roomId, ANY_ROLE)) return;
+    socket.to(roomId).emit('ephemeral', { ...clean, userId: socket.userId });
+  });
+
+  // presence heartbeat: current tool, time since last input, tab hidden
+  socket.on('presence', async (payload) => {
+    const clean = admit(socket, 'presence', payload);
+    if (!clean) return;
+    const { roomId, tool, idleMs, hidden } = clean;
+    if (!authorize(socket, 'presence', roomId, ANY_ROLE)) return;
+    try {
+      const changes = Object.fromEntries(
+        Object.entries({ tool, idleMs, hidden }).filter(([, v]) => v !== undefined)
+      );
+      await updatePresence(socket, roomId, changes);
+      await broadcastRoomInfo(roomId, { onlyIfChanged: true });
+    } catch (err) {
+      console.error('presence:heartbeat error:', err);
+    }
+  });
+
+  // follow mode: remember whose viewport this socket tracks (shown in the roster,
+  // which is also how the followed user learns to start sending 'viewport')
+  socket.on('follow', async (payload) => {
+    const clean = admit(socket, 'follow', payload);
+    if (!clean) return;
+    const { roomId } = clean;
+    if (!authorize(socket, 'follow', roomId, ANY_ROLE)) return;
+    const following = clean.userId && clean.userId !== socket.userId ? clean.userId : null;
+    try {
+      await updatePresence(socket, roomId, { following });
+      await broadcastRoomInfo(roomId, { onlyIfChanged: true });
+    } catch (err) {
+      console.error('presence:follow error:', err);
+    }
+  });
+
+  // viewport of someone being followed (client throttled)
+  socket.on('viewport', (payload) => {
+    const clean = admit(socket, 'viewport', payload);
+    if (!clean) return;
+    const { roomId, cx, cy, zoom } = clean;
+    if (!authorize(socket, 'viewport', roomId, ANY_ROLE)) return;
+    socket.to(roomId).emit('viewport-move', { userId: socket.userId, cx, cy, zoom });
+  });
+
+  // rooms are already emptied by the time 'disconnect' fires, so grab them here
+  let roomsOnDisconnect = [];
+  socket.on('disconnecting', () => {
+    roomsOnDisconnect = Array.from(socket.rooms).filter((r) => r !== socket.id && !isUserRoom(r));
+  });
+
   // disconnect
   socket.on('disconnect', async (reason) => {
     try {
       console.log(`User disconnected: ${socket.userName} (${socket.id}) - ${reason}`);
+      forgetSocket(socket);
 
-      // rooms the socket was in (before disconnect removes them)
-      const rooms = Array.from(socket.rooms).filter((r) => r !== socket.id);
+      const rooms = roomsOnDisconnect;
       console.log(`[Disconnect] ${socket.userName} was in rooms:`, rooms);
 
       // remove active user entries from database
@@ -424,31 +988,41 @@ io.on('connection', (socket) => {
       );
 
       // notify and update counts for each room
-      rooms.forEach((roomId) => {
+      for (const roomId of rooms) {
+        await presence.leave(roomId, socket.id);
+        await handOffPresenter(roomId, socket.id);
+        await elementLocks.releaseAll(roomId, socket.id);
+        await broadcastLocks(roomId, { onlyIfChanged: true });
+
         // Notify others that user left
         socket.to(roomId).emit('user-left', {
           userId: socket.userId,
           userName: socket.userName,
+          socketId: socket.id,
         });
 
-        // Get current room size AFTER socket has disconnected
-        const room = io.sockets.adapter.rooms.get(roomId);
-        const roomSize = room?.size || 0;
+        // cluster-wide count now that this socket is gone
+        const roomSize = await broadcastRoomInfo(roomId);
         console.log(`[Disconnect] Room ${roomId} now has ${roomSize} users`);
-
-        // Broadcast updated count to remaining users
-        io.to(roomId).emit('room-info', { userCount: roomSize, roomId });
-      });
+        if (roomSize === 0) saveEmptyRoom(roomId);
+      }
     } catch (err) {
       console.error('Disconnect cleanup error:', err);
     }
   });
 
   // manual leave
-  socket.on('leave', async ({ roomId }) => {
+  socket.on('leave', async (payload) => {
+    const clean = admit(socket, 'leave', payload);
+    if (!clean) return;
+    const { roomId } = clean;
     try {
-      if (!roomId) return;
       socket.leave(roomId);
+      clearRoomRole(socket, roomId);
+      await presence.leave(roomId, socket.id);
+      await handOffPresenter(roomId, socket.id);
+      await elementLocks.releaseAll(roomId, socket.id);
+      await broadcastLocks(roomId, { onlyIfChanged: true });
 
       await Whiteboard.updateOne(
         { _id: roomId, 'activeUsers.socketId': socket.id },
@@ -458,7 +1032,10 @@ io.on('connection', (socket) => {
       socket.to(roomId).emit('user-left', {
         userId: socket.userId,
         userName: socket.userName,
+        socketId: socket.id,
       });
+      const roomSize = await broadcastRoomInfo(roomId);
+      if (roomSize === 0) saveEmptyRoom(roomId);
 
       console.log(`${socket.userName} left room ${roomId}`);
     } catch (err) {
@@ -470,33 +1047,129 @@ io.on('connection', (socket) => {
 // =============== CLEANUP JOBS ==============
 
 // stale connections (5 min)
+// an entry is stale when its socket is gone from every instance (crash, lost disconnect).
+// one instance runs this per window; the others skip it.
 setInterval(async () => {
   const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
   try {
-    const result = await Whiteboard.updateMany(
-      {},
-      { $pull: { activeUsers: { lastActivity: { $lt: fiveMinutesAgo } } } }
-    );
-    if (result.modifiedCount > 0) {
-      console.log(`Cleaned ${result.modifiedCount} stale connections`);
-    }
+    await withClusterLock('stale-connections', 4 * 60 * 1000, async () => {
+      const liveSocketIds = (await io.fetchSockets()).map((s) => s.id);
+      const result = await Whiteboard.updateMany(
+        {},
+        {
+          $pull: {
+            activeUsers: {
+              lastActivity: { $lt: fiveMinutesAgo },
+              socketId: { $nin: liveSocketIds },
+            },
+          },
+        }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`Cleaned ${result.modifiedCount} stale connections`);
+      }
+    }, { keep: true });
   } catch (err) {
     console.error('Cleanup error:', err);
   }
 }, 5 * 60 * 1000);
 
-// canvas cache monitor (10 min)
-setInterval(() => {
-  const roomCount = canvasStateCache.size;
-  if (roomCount > 0) {
-    console.log(`Active canvas caches: ${roomCount} rooms`);
-    canvasStateCache.forEach((events, roomId) => {
-      if (events.length > 500) {
-        console.warn(`Large cache for room ${roomId}: ${events.length} events`);
-      }
-    });
+// expired export files (hourly)
+// the TTL index drops Export docs without telling us, so this also removes files
+// whose doc is already gone. one instance runs it per window.
+setInterval(async () => {
+  try {
+    await withClusterLock('export-cleanup', 50 * 60 * 1000, async () => {
+      const removed = await exportQueue.cleanupExports();
+      if (removed > 0) console.log(`Removed ${removed} expired export files`);
+    }, { keep: true });
+  } catch (err) {
+    console.error('exports:cleanup error:', err);
+  }
+}, 60 * 60 * 1000);
+
+// board history retention (hourly)
+// saves prune their own board; this catches boards nobody saves any more, whose
+// versions still age out.
+setInterval(async () => {
+  try {
+    await withClusterLock('version-cleanup', 50 * 60 * 1000, async () => {
+      const removed = await boardVersions.cleanupVersions();
+      if (removed > 0) console.log(`Removed ${removed} board versions past retention`);
+    }, { keep: true });
+  } catch (err) {
+    console.error('versions:cleanup error:', err);
+  }
+}, 60 * 60 * 1000);
+
+// invitation emails lost with their instance (15 min)
+// mail retries only live in memory; deliveries left queued get sent again.
+setInterval(async () => {
+  try {
+    await withClusterLock('invitation-delivery', 14 * 60 * 1000, async () => {
+      const resumed = await resumeStaleDeliveries();
+      if (resumed > 0) console.log(`Restarted ${resumed} stuck invitation emails`);
+    }, { keep: true });
+  } catch (err) {
+    console.error('invitations:delivery-sweep error:', err);
   }
-}, 10 * 60 * 1000);
+}, 15 * 60 * 1000);
+
+// presence sweep (one heartbeat interval)
+// people who went quiet turn idle/away without sending anything, so re-check the
+// rooms this instance has sockets in and send rosters that changed.
+setInterval(async () => {
+  const localRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(
+    (room) => !io.sockets.sockets.has(room) && !isUserRoom(room)
+  );
+  for (const roomId of localRooms) {
+    try {
+      await broadcastRoomInfo(roomId, { onlyIfChanged: true });
+    } catch (err) {
+      console.error('presence:sweep error:', err);
+    }
+  }
+  sentRosters.forEach((_, roomId) => {
+    if (!io.sockets.adapter.rooms.has(roomId)) sentRosters.delete(roomId);
+  });
+}, presence.HEARTBEAT_MS);
+
+// soft lock expiry (5s)
+// locks nobody renewed (closed laptop, crashed instance) run out by themselves;
+// tell the rooms this instance serves once they do.
+setInterval(async () => {
+  const localRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(
+    (room) => !io.sockets.sockets.has(room) && !isUserRoom(room)
+  );
+  for (const roomId of localRooms) {
+    try {
+      await broadcastLocks(roomId, { onlyIfChanged: true });
+    } catch (err) {
+      console.error('locks:sweep error:', err);
+    }
+  }
+  sentLocks.forEach((_, roomId) => {
+    if (!io.sockets.adapter.rooms.has(roomId)) sentLocks.delete(roomId);
+  });
+  presenterStore.pruneCache();
+}, 5 * 1000);
+
+// board autosave (30s by default)
+// every room with unsaved events gets folded into its stored board. long logs are
+// also folded straight from the append path (see services/compactor.js).
+const AUTOSAVE_INTERVAL_MS = parseInt(process.env.CANVAS_AUTOSAVE_MS, 10) || 30 * 1000;
+
+setInterval(async () => {
+  try {
+    canvasState.pruneExpired();
+    const saved = await compactor.compactAll();
+    if (saved > 0) {
+      console.log(`Autosaved ${saved} boards (${storeMode.backend()})`);
+    }
+  } catch (err) {
+    console.error('Board autosave error:', err);
+  }
+}, AUTOSAVE_INTERVAL_MS);
 
 // ==================== DATABASE ====================
 
@@ -521,24 +1194,50 @@ const connectDB = async () => {
 
 const PORT = process.env.PORT || 4000;
 
-connectDB().then(() => {
-  server.listen(PORT, () => {
-    console.log('='.repeat(50));
-    console.log(`Server running on port ${PORT}`);
-    console.log(`MongoDB: Connected`);
-    console.log(`Redis: ${redis?.status === 'ready' ? 'Connected' : 'Disabled'}`);
-    console.log(`Socket.IO: Ready`);
-    console.log(`Supabase Auth: Enabled`);
-    console.log(`Canvas Sync: Enabled`);
-    console.log('='.repeat(50));
+// redis is optional; without it at startup the shared room state (canvas log, undo,
+// presence, presenter, locks) stays in memory for the life of the process (storeMode.init)
+const connectRedis = async () => {
+  if (!redis) return;
+  try {
+    await redis.connect();
+  } catch (err) {
+    console.warn('Redis unavailable, canvas state kept in memory:', err.message);
+  }
+};
+
+connectDB()
+  .then(connectRedis)
+  .then(() => storeMode.init())
+  .then(setupAdapter)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log('='.repeat(50));
+      console.log(`Server running on port ${PORT}`);
+      console.log(`MongoDB: Connected`);
+      console.log(`Redis: ${redis?.status === 'ready' ? 'Connected' : 'Disabled'}`);
+      console.log(`Socket.IO: Ready`);
+      console.log(`Supabase Auth: Enabled`);
+      console.log(`Canvas Sync: Enabled (${storeMode.backend()})`);
+      console.log('='.repeat(50));
+      exportQueue.start(io);
+
+      // boards saved before previews moved to storage (one instance does it)
+      withClusterLock('board-image-migration', 60 * 60 * 1000, async () => {
+        const migrated = await compactor.migrateLegacyBoards();
+        if (migrated > 0) console.log(`Moved ${migrated} board images out of Whiteboard.canvasImage`);
+      }, { keep: true }).catch((err) => console.error('boards:migration error:', err));
+    });
   });
-});
 
 // ==================== SHUTDOWN ====================
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
+let shuttingDown = false;
+
 async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log('\nShutting down gracefully...');
 
   // stop new connections
@@ -546,11 +1245,25 @@ async function shutdown() {
     console.log('HTTP server closed');
   });
 
+  // no new export jobs on this instance (others or the next start pick them up)
+  exportQueue.stop();
+
   // close sockets
   io.close(() => {
     console.log('Socket.IO closed');
   });
 
+  // persist anything still only in the event logs (bounded so shutdown can't hang)
+  try {
+    const flushed = await Promise.race([
+      compactor.compactAll(),
+      new Promise((resolve) => setTimeout(() => resolve('timeout'), 15 * 1000)),
+    ]);
+    console.log(flushed === 'timeout' ? 'Board flush timed out' : `Flushed ${flushed} boards`);
+  } catch (err) {
+    console.error('Error flushing boards:', err);
+  }
+
   // close mongodb
   try {
     await mongoose.connection.close();
@@ -561,6 +1274,7 @@ async function shutdown() {
 
   // close redis
   if (redis && redis.status === 'ready') {
+    adapterClients.forEach((client) => client.quit());
     redis.quit();
     console.log('Redis connection closed');
   }
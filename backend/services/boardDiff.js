@@ -0,0 +1,202 @@
+// what changed between two board versions (services/boardVersions.js), two ways:
+//   elements  the snapshots compared by element id: added / removed / modified,
+//             each with its bounding box on the board
+//   regions   the stored preview pngs compared pixel by pixel on a coarse grid;
+//             catches what has no box of its own (fills, eraser strokes, legacy
+//             bitmaps) and is what an overlay highlights
+// both are in board coordinates (VIRTUAL_WIDTH x VIRTUAL_HEIGHT).
+
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { VIRTUAL_WIDTH, VIRTUAL_HEIGHT } = require('./canvasRenderer');
+
+// previews are compared at 1/4 size, in cells of 4x4 of those pixels (16 board px)
+const DIFF_SCALE = 0.25;
+const CELL = 4;
+// per-channel difference that counts as changed (ignores antialiasing noise)
+const PIXEL_THRESHOLD = 24;
+const MAX_REGIONS = 200;
+const DEFAULT_FONT_SIZE = 20;
+
+const measureCtx = createCanvas(1, 1).getContext('2d');
+
+const boxOf = (points, pad = 0) => {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs) - pad;
+  const y = Math.min(...ys) - pad;
+  return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y };
+};
+
+// logical bounding box { x, y, width, height } of an element, or null (fills have none)
+// keep in line with elementBounds() in frontend/src/utils/scene.js
+function elementBounds(el) {
+  const d = el.data || {};
+  const t = el.transform || { x: 0, y: 0 };
+  const pad = Math.max(1, el.style?.strokeWidth || 1) / 2;
+  let b = null;
+
+  switch (el.type) {
+    case 'pen':
+    case 'eraser':
+    case 'erase': {
+      const pts =
+        Array.isArray(d.points) && d.points.length > 0 ? d.points.filter(Boolean) : [d.from, d.to].filter(Boolean);
+      if (pts.length > 0) b = boxOf(pts, pad);
+      break;
+    }
+    case 'rectangle':
+    case 'line':
+      if (d.from && d.to) b = boxOf([d.from, d.to], pad);
+      break;
+    case 'circle':
+      if (d.from && d.to) {
+        const r = Math.hypot(d.to.x - d.from.x, d.to.y - d.from.y);
+        b = { x: d.from.x - r - pad, y: d.from.y - r - pad, width: 2 * (r + pad), height: 2 * (r + pad) };
+      }
+      break;
+    case 'text':
+      if (typeof d.x === 'number' && typeof d.y === 'number') {
+        const size = el.style?.fontSize || DEFAULT_FONT_SIZE;
+        measureCtx.font = `${size}px Arial`;
+        b = { x: d.x, y: d.y, width: measureCtx.measureText(d.text || '').width, height: size * 1.2 };
+      }
+      break;
+    case 'image':
+      if (typeof d.x === 'number') b = { x: d.x, y: d.y, width: d.width, height: d.height };
+      break;
+    default:
+      break;
+  }
+  return b && { ...b, x: b.x + t.x, y: b.y + t.y };
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// which parts of an element differ between two snapshots
+function changesOf(before, after) {
+  const changes = [];
+  if (!same(before.data, after.data)) changes.push('content');
+  if (!same(before.style, after.style)) changes.push('style');
+  if (!same(before.transform || { x: 0, y: 0 }, after.transform || { x: 0, y: 0 })) changes.push('moved');
+  if ((before.zIndex || 0) !== (after.zIndex || 0)) changes.push('order');
+  return changes;
+}
+
+const summaryOf = (el) => ({ id: el.id, type: el.type, bounds: elementBounds(el) });
+
+/**
+ * Compare two element snapshots (paint order, as stored with a version).
+ * Returns { added, removed, modified, unchanged }; modified entries also carry
+ * `before` (their old box) and `changes` ('content' | 'style' | 'moved' | 'order').
+ */
+function diffElements(from, to) {
+  const old = new Map(from.map((el) => [el.id, el]));
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  to.forEach((el) => {
+    const prev = old.get(el.id);
+    old.delete(el.id);
+    if (!prev) return added.push(summaryOf(el));
+    const changes = changesOf(prev, el);
+    if (changes.length === 0) {
+      unchanged += 1;
+      return;
+    }
+    modified.push({ ...summaryOf(el), before: elementBounds(prev), changes });
+  });
+
+  return { added, removed: [...old.values()].map(summaryOf), modified, unchanged };
+}
+
+// a preview png, small and on white (previews are transparent where nothing is drawn)
+async function pixelsOf(png, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(await loadImage(png), 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Compare two preview pngs. Returns { regions, changedPercent }: boxes around
+ * groups of changed cells (touching or one cell apart), largest first.
+ */
+async function diffImages(fromPng, toPng) {
+  const width = Math.round(VIRTUAL_WIDTH * DIFF_SCALE);
+  const height = Math.round(VIRTUAL_HEIGHT * DIFF_SCALE);
+  const [a, b] = await Promise.all([pixelsOf(fromPng, width, height), pixelsOf(toPng, width, height)]);
+
+  const cols = Math.ceil(width / CELL);
+  const rows = Math.ceil(height / CELL);
+  const cells = new Uint8Array(cols * rows);
+  let changedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (
+        Math.abs(a[i] - b[i]) > PIXEL_THRESHOLD ||
+        Math.abs(a[i + 1] - b[i + 1]) > PIXEL_THRESHOLD ||
+        Math.abs(a[i + 2] - b[i + 2]) > PIXEL_THRESHOLD
+      ) {
+        changedPixels += 1;
+        cells[Math.floor(y / CELL) * cols + Math.floor(x / CELL)] = 1;
+      }
+    }
+  }
+
+  // flood the changed cells into groups; a one-cell gap still joins them
+  const seen = new Uint8Array(cols * rows);
+  const regions = [];
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+    let minC = cols;
+    let minR = rows;
+    let maxC = 0;
+    let maxR = 0;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const c = idx % cols;
+      const r = (idx - c) / cols;
+      minC = Math.min(minC, c);
+      maxC = Math.max(maxC, c);
+      minR = Math.min(minR, r);
+      maxR = Math.max(maxR, r);
+      for (let dr = -2; dr <= 2; dr++) {
+        for (let dc = -2; dc <= 2; dc++) {
+          const nr = r + dr;
+          const nc = c + dc;
+          if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+          const n = nr * cols + nc;
+          if (cells[n] && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    const unit = CELL / DIFF_SCALE;
+    regions.push({
+      x: minC * unit,
+      y: minR * unit,
+      width: Math.min((maxC + 1) * unit, VIRTUAL_WIDTH) - minC * unit,
+      height: Math.min((maxR + 1) * unit, VIRTUAL_HEIGHT) - minR * unit,
+    });
+  }
+
+  regions.sort((p, q) => q.width * q.height - p.width * p.height);
+  return {
+    regions: regions.slice(0, MAX_REGIONS),
+    changedPercent: Math.round((changedPixels / (width * height)) * 10000) / 100,
+  };
+}
+
+module.exports = {
+  elementBounds,
+  diffElements,
+  diffImages,
+};
@@ -0,0 +1,134 @@
+// board preview images, kept out of the Whiteboard document:
+//   full size  png in storage (services/storage.js) at boards/<id>/preview.png,
+//              served by GET /api/whiteboards/:id/image with an ETag
+//   thumbnail  small jpeg data URL on Whiteboard.thumbnail, so board lists
+//              (GET /api/whiteboards -> Dashboard) get it without extra requests
+// both are written by services/compactor.js whenever a board is saved.
+// images placed on a board by the server (a legacy board's bitmap, canvas imports)
+// are stored once per content at boards/<id>/images/<sha1>.<png|jpg>; the image
+// element only keeps that file name (data.file) and clients load it from
+// GET /api/whiteboards/:id/images/:file.
+
+const crypto = require('crypto');
+const { createCanvas } = require('@napi-rs/canvas');
+const { getStorage } = require('./storage');
+
+const THUMB_WIDTH = 320;
+const THUMB_HEIGHT = 180;
+const THUMB_QUALITY = 70;
+
+const previewKey = (roomId) => `boards/${roomId}/preview.png`;
+const imageKey = (roomId, file) => `boards/${roomId}/images/${file}`;
+
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg' };
+
+// white-backed jpeg, scaled to fit
+function makeThumbnail(canvas) {
+  const thumb = createCanvas(THUMB_WIDTH, THUMB_HEIGHT);
+  const ctx = thumb.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, THUMB_WIDTH, THUMB_HEIGHT);
+  const fit = Math.min(THUMB_WIDTH / canvas.width, THUMB_HEIGHT / canvas.height);
+  const w = canvas.width * fit;
+  const h = canvas.height * fit;
+  ctx.drawImage(canvas, (THUMB_WIDTH - w) / 2, (THUMB_HEIGHT - h) / 2, w, h);
+  return `data:image/jpeg;base64,${thumb.toBuffer('image/jpeg', THUMB_QUALITY).toString('base64')}`;
+}
+
+/**
+ * Store a rendered board (@napi-rs/canvas Canvas) as its preview.
+ * Returns the Whiteboard fields to $set: { preview: { etag, size, updatedAt }, thumbnail }.
+ */
+async function savePreview(roomId, canvas) {
+  const png = canvas.toBuffer('image/png');
+  const etag = crypto.createHash('sha1').update(png).digest('hex');
+  await getStorage().put(previewKey(roomId), png, { contentType: 'image/png' });
+  return {
+    preview: { etag, size: png.length, updatedAt: new Date() },
+    thumbnail: makeThumbnail(canvas),
+  };
+}
+
+// the stored png (throws when there is none)
+const readPreview = (roomId) => getStorage().get(previewKey(roomId));
+
+async function removePreview(roomId) {
+  await getStorage().remove(previewKey(roomId));
+}
+
+/**
+ * Put a PNG/JPEG data URL in the board's image folder (once per content).
+ * Returns the file name to keep in the element's data.file.
+ */
+async function storeImage(roomId, dataURL) {
+  const buffer = Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+  const ext = dataURL.startsWith('data:image/jpeg') ? 'jpg' : 'png';
+  const file = `${crypto.createHash('sha1').update(buffer).digest('hex')}.${ext}`;
+  const storage = getStorage();
+  if (!(await storage.exists(imageKey(roomId, file)))) {
+    await storage.put(imageKey(roomId, file), buffer, { contentType: IMAGE_TYPES[ext] });
+  }
+  return file;
+}
+
+// an image element with its data URL moved to storage; anything else as it is
+async function storeElementImage(roomId, el) {
+  if (el.type !== 'image' || !el.data?.src) return el;
+  const { src, ...data } = el.data;
+  return { ...el, data: { ...data, file: await storeImage(roomId, src) } };
+}
+
+// a stored image's bytes (throws when there is none)
+const readImage = (roomId, file) => getStorage().get(imageKey(roomId, file));
+
+const imageType = (file) => IMAGE_TYPES[file.slice(file.lastIndexOf('.') + 1)] || 'application/octet-stream';
+
+/**
+ * Elements for server-side rendering and exports: stored images get their data URL
+ * back (in memory only). Images that can't be read are left out of the drawing.
+ */
+async function inlineImages(roomId, elements) {
+  const loaded = new Map();
+  const load = (file) => {
+    if (!loaded.has(file)) {
+      loaded.set(
+        file,
+        readImage(roomId, file)
+          .then((buf) => `data:${imageType(file)};base64,${buf.toString('base64')}`)
+          .catch((err) => {
+            console.error(`boardImages: image ${file} of board ${roomId} error:`, err.message);
+            return null;
+          })
+      );
+    }
+    return loaded.get(file);
+  };
+
+  return Promise.all(
+    elements.map(async (el) => {
+      if (el.type !== 'image' || !el.data?.file) return el;
+      const src = await load(el.data.file);
+      return src ? { ...el, data: { ...el.data, src } } : el;
+    })
+  );
+}
+
+async function removeImages(roomId) {
+  const storage = getStorage();
+  const files = await storage.list(`boards/${roomId}/images/`);
+  await Promise.all(files.map((f) => storage.remove(f.key)));
+}
+
+module.exports = {
+  previewKey,
+  makeThumbnail,
+  savePreview,
+  readPreview,
+  removePreview,
+  storeImage,
+  storeElementImage,
+  readImage,
+  imageType,
+  inlineImages,
+  removeImages,
+};
@@ -0,0 +1,49 @@
+// board ops the server makes itself (canvas imports, undo/redo): stamped like a
+// client's (services/scene.js), logged in the room log and sent to the room.
+// REST edits check editBlocked() first, the way the socket relay checks client ops.
+
+const canvasState = require('./canvasState');
+const compactor = require('./compactor');
+const presenterStore = require('./presenter');
+const elementLocks = require('./elementLocks');
+const { serverClock } = require('./hlc');
+
+// op for roomId with a fresh server stamp
+const serverOp = (roomId, fields) => ({
+  ...fields,
+  roomId,
+  clientId: serverClock.actor,
+  stamp: serverClock.now(),
+});
+
+/**
+ * Log ops ({ type, ... }) for a board on behalf of userId and push them to
+ * everyone in the room, sender included. Returns the last seq.
+ */
+async function publishOps(io, roomId, userId, events) {
+  let seq = null;
+  for (const ev of events) {
+    ({ seq } = await canvasState.appendEvent(roomId, { ...ev, userId }));
+    io?.to(roomId).emit(ev.type, { ...ev, userId, seq });
+  }
+  if (seq) compactor.maybeCompact(roomId, seq);
+  return seq;
+}
+
+/**
+ * Why userId can't change the elements `ids` right now, as { status, error }, or null:
+ * 423 while a presenter who isn't them has editing locked, 409 while someone else
+ * holds a lock on one of the elements.
+ */
+async function editBlocked(roomId, userId, ids) {
+  const presenter = await presenterStore.get(roomId, { fresh: true });
+  if (presenter?.lockEditing && presenter.userId !== userId) {
+    return { status: 423, error: `${presenter.name} is presenting and has editing locked.` };
+  }
+  if ((await elementLocks.lockedByOthers(roomId, userId, ids)).length > 0) {
+    return { status: 409, error: 'Someone is editing part of the board. Try again once they are done.' };
+  }
+  return null;
+}
+
+module.exports = { serverOp, publishOps, editBlocked };
@@ -0,0 +1,49 @@
+// authoritative board state = stored elements (folded up to Whiteboard.canvasSeq by
+// services/compactor.js) + the room ops logged after them.
+// the same shape goes out over REST (GET /api/whiteboards/:id) and socket 'resume'.
+
+const canvasState = require('./canvasState');
+const { loadScene, applyOp, liveElements } = require('./scene');
+
+/**
+ * What a client needs to catch up from `since` (last seq it applied):
+ *   delta - { reset: false, events } when everything it missed is still in the log
+ *   reset - { reset: true, snapshot: { elements, cleared, seq }, events } when since is unknown/too old
+ * snapshot elements include tombstones (deleted: true) so late ops merge the same everywhere.
+ */
+async function getBoardState(roomId, { since } = {}) {
+  const [seq, baseSeq] = await Promise.all([
+    canvasState.getSeq(roomId),
+    canvasState.getBaseSeq(roomId),
+  ]);
+
+  // since > seq means the log expired/was flushed under the client
+  if (Number.isInteger(since) && since >= baseSeq && since <= seq) {
+    const events = await canvasState.getEvents(roomId, { since });
+    return { roomId, seq, baseSeq, reset: false, events };
+  }
+
+  // the tail before the stored elements: a compaction in between only moves ops
+  // from the tail into the elements (applying one twice is harmless), where the
+  // other order would lose whatever it folded and truncated meanwhile
+  const events = await canvasState.getEvents(roomId);
+  const { scene, wb } = await loadScene(roomId);
+  const snapshot = wb
+    ? { elements: [...scene.elements.values()], cleared: scene.cleared, seq: wb.canvasSeq || 0 }
+    : null;
+  return { roomId, seq, baseSeq, reset: true, snapshot, events };
+}
+
+/**
+ * What the board looks like right now (stored elements + logged ops), without saving anything.
+ * Returns { elements, seq, wb }: live elements in paint order; wb is null for unknown boards.
+ */
+async function getLiveElements(roomId) {
+  // tail first, as in getBoardState
+  const [events, seq] = await Promise.all([canvasState.getEvents(roomId), canvasState.getSeq(roomId)]);
+  const { scene, wb } = await loadScene(roomId);
+  events.forEach((ev) => applyOp(scene, ev));
+  return { elements: liveElements(scene), seq, wb };
+}
+
+module.exports = { getBoardState, getLiveElements };
@@ -0,0 +1,299 @@
+// board version history (BoardVersion docs + files in services/storage.js)
+// a version is a snapshot of a board's live elements plus its rendered preview:
+//   boards/<id>/versions/<versionId>.json.gz   the elements (restore, diffs)
+//   boards/<id>/versions/<versionId>.png       full-size preview
+// the doc keeps a small thumbnail for the history list.
+// versions are written by services/compactor.js (every save, the autosave at most
+// every VERSION_AUTOSAVE_MS, and the state right before a board-cleared), by
+// POST /api/whiteboards/:id/versions (named versions) and around restores.
+// a board that didn't change since its last version gets no new one.
+// retention follows the board owner's plan (UserProfile.subscription.plan): unnamed
+// versions are kept up to maxVersions / maxAgeDays, named ones until unnamed.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const { BoardVersion, Whiteboard, UserProfile } = require('../models');
+const { getStorage } = require('./storage');
+const { getLiveElements } = require('./boardState');
+const { renderScene } = require('./canvasRenderer');
+const { makeThumbnail, inlineImages } = require('./boardImages');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const VERSION_AUTOSAVE_MS = parseInt(process.env.BOARD_VERSION_AUTOSAVE_MS, 10) || 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// maxNamed null = no cap
+const PLAN_RETENTION = {
+  free: { maxVersions: 20, maxAgeDays: 7, maxNamed: 5 },
+  pro: { maxVersions: 200, maxAgeDays: 90, maxNamed: 100 },
+  enterprise: { maxVersions: 1000, maxAgeDays: 365, maxNamed: null },
+};
+
+const DEFAULT_LIST_LIMIT = 30;
+const MAX_LIST_LIMIT = 100;
+
+const versionKey = (roomId, versionId, ext) => `boards/${roomId}/versions/${versionId}.${ext}`;
+
+// the parts of an element a restore needs (no clocks/tombstones)
+const snapshotOf = (elements) =>
+  elements.map((el) => ({
+    id: el.id,
+    type: el.type,
+    zIndex: el.zIndex || 0,
+    data: el.data,
+    style: el.style || {},
+    transform: el.transform || { x: 0, y: 0 },
+    createdBy: el.createdBy,
+  }));
+
+// what the client sees
+const serialize = (doc) => ({
+  _id: doc._id,
+  whiteboardId: doc.whiteboardId,
+  trigger: doc.trigger,
+  name: doc.name || '',
+  seq: doc.seq || 0,
+  createdBy: doc.createdBy,
+  createdByName: doc.createdByName,
+  restoredFrom: doc.restoredFrom || null,
+  elementCount: doc.elementCount || 0,
+  size: doc.size || 0,
+  thumbnail: doc.thumbnail || null,
+  createdAt: doc.createdAt,
+});
+
+/**
+ * Retention rules for a board: its owner's plan (free once a plan has expired).
+ * Returns { plan, maxVersions, maxAgeDays, maxNamed }.
+ */
+async function retentionFor(whiteboard) {
+  let wb = whiteboard;
+  if (!wb?.ownerId) wb = await Whiteboard.findById(whiteboard).select('ownerId').lean();
+  const profile = wb
+    ? await UserProfile.findById(wb.ownerId).select('subscription').lean()
+    : null;
+  const sub = profile?.subscription || {};
+  const active = !sub.expiresAt || new Date(sub.expiresAt) > new Date();
+  const plan = active && PLAN_RETENTION[sub.plan] ? sub.plan : 'free';
+  return { plan, ...PLAN_RETENTION[plan] };
+}
+
+async function removeFiles(docs) {
+  const storage = getStorage();
+  for (const doc of docs) {
+    await storage.remove(doc.snapshotKey);
+    await storage.remove(doc.previewKey);
+  }
+}
+
+/**
+ * Drop the board's unnamed versions its plan no longer keeps (all versions once the
+ * board itself is gone). Returns how many were removed.
+ */
+async function pruneVersions(roomId) {
+  const wb = await Whiteboard.findById(roomId).select('ownerId').lean();
+  let doomed;
+  if (!wb) {
+    doomed = await BoardVersion.find({ whiteboardId: roomId }).select('snapshotKey previewKey').lean();
+  } else {
+    const { maxVersions, maxAgeDays } = await retentionFor(wb);
+    const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS);
+    const unnamed = await BoardVersion.find({ whiteboardId: roomId, name: '' })
+      .sort({ createdAt: -1 })
+      .select('createdAt snapshotKey previewKey')
+      .lean();
+    doomed = unnamed.filter((v, i) => i >= maxVersions || v.createdAt < cutoff);
+  }
+  if (doomed.length === 0) return 0;
+
+  await removeFiles(doomed);
+  await BoardVersion.deleteMany({ _id: { $in: doomed.map((v) => v._id) } });
+  return doomed.length;
+}
+
+// retention pass over every board with history (the age limit needs a clock, not a save)
+async function cleanupVersions() {
+  const rooms = await BoardVersion.distinct('whiteboardId');
+  let removed = 0;
+  for (const roomId of rooms) {
+    try {
+      removed += await pruneVersions(roomId);
+    } catch (err) {
+      console.error(`boardVersions: pruning board ${roomId} error:`, err);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Store a version of a board.
+ *   elements  live elements in paint order; canvas  their render (@napi-rs/canvas)
+ *   trigger   see models/BoardVersion.js; user  { userId, userName } when someone asked for it
+ * Returns the new version, the newest one when it only got named, or null when
+ * nothing was stored (unchanged board, autosave too soon after the last version).
+ * Naming doesn't check the plan's named cap; callers do (countNamed / retentionFor).
+ */
+async function recordVersion(roomId, { elements, canvas, seq = 0, trigger, user = null, name = '', restoredFrom = null }) {
+  if (!mongoose.isValidObjectId(roomId)) return null;
+  // nothing to keep from an empty board that is about to change
+  if (elements.length === 0 && (trigger === 'before-clear' || trigger === 'before-restore')) return null;
+
+  const snapshot = snapshotOf(elements);
+  const json = JSON.stringify(snapshot);
+  const hash = crypto.createHash('sha1').update(json).digest('hex');
+
+  const latest = await BoardVersion.findOne({ whiteboardId: roomId })
+    .sort({ createdAt: -1 })
+    .select('hash name createdAt')
+    .lean();
+  if (trigger === 'autosave' && latest && Date.now() - latest.createdAt < VERSION_AUTOSAVE_MS) return null;
+  if (latest?.hash === hash) {
+    // same board: an unnamed version just gets the name; a named one gets company
+    // only when someone saves a version on purpose
+    if (name && !latest.name) {
+      return BoardVersion.findByIdAndUpdate(latest._id, { $set: { name } }, { new: true }).lean();
+    }
+    if (trigger !== 'manual') return null;
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const snapshotKey = versionKey(roomId, _id, 'json.gz');
+  const previewKey = versionKey(roomId, _id, 'png');
+  const zipped = await gzip(json);
+  const png = canvas.toBuffer('image/png');
+  const storage = getStorage();
+  await storage.put(snapshotKey, zipped, { contentType: 'application/gzip' });
+  await storage.put(previewKey, png, { contentType: 'image/png' });
+
+  let doc;
+  try {
+    doc = await BoardVersion.create({
+      _id,
+      whiteboardId: roomId,
+      trigger,
+      name,
+      seq,
+      createdBy: user?.userId || null,
+      createdByName: user?.userName || null,
+      restoredFrom,
+      hash,
+      elementCount: snapshot.length,
+      snapshotKey,
+      previewKey,
+      size: zipped.length + png.length,
+      thumbnail: makeThumbnail(canvas),
+    });
+  } catch (err) {
+    await removeFiles([{ snapshotKey, previewKey }]).catch(() => {});
+    throw err;
+  }
+
+  pruneVersions(roomId).catch((err) => console.error(`boardVersions: pruning board ${roomId} error:`, err));
+  return doc.toObject();
+}
+
+// recordVersion from what the board looks like right now (elements + unsaved ops)
+async function captureVersion(roomId, options) {
+  if (!mongoose.isValidObjectId(roomId)) return null;
+  const { elements, seq, wb } = await getLiveElements(roomId);
+  if (!wb) return null;
+  const canvas = await renderScene({ elements: await inlineImages(roomId, elements) });
+  return recordVersion(roomId, { ...options, elements, canvas, seq });
+}
+
+/**
+ * A board's versions, newest first, with author names filled in.
+ * `before` = createdAt cursor (ISO) for older pages.
+ */
+async function listVersions(roomId, { before, limit } = {}) {
+  const n = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+  const query = { whiteboardId: roomId };
+  const cursor = before ? new Date(before) : null;
+  if (cursor && !Number.isNaN(cursor.getTime())) query.createdAt = { $lt: cursor };
+
+  const docs = await BoardVersion.find(query)
+    .sort({ createdAt: -1 })
+    .limit(n + 1)
+    .select('-snapshotKey -previewKey -hash')
+    .lean();
+  const page = docs.slice(0, n);
+
+  // before-clear versions only know who cleared
+  const unnamed = [...new Set(page.filter((v) => v.createdBy && !v.createdByName).map((v) => v.createdBy))];
+  if (unnamed.length > 0) {
+    const profiles = await UserProfile.find({ _id: { $in: unnamed } }).select('displayName email').lean();
+    const names = new Map(
+      profiles.map((p) => [p._id, p.displayName || (p.email ? p.email.split('@')[0] : null)])
+    );
+    page.forEach((v) => {
+      if (v.createdBy && !v.createdByName) v.createdByName = names.get(v.createdBy) || null;
+    });
+  }
+
+  return { versions: page.map(serialize), hasMore: docs.length > n };
+}
+
+const findVersion = (roomId, versionId) =>
+  mongoose.isValidObjectId(versionId)
+    ? BoardVersion.findOne({ _id: versionId, whiteboardId: roomId }).lean()
+    : Promise.resolve(null);
+
+// the stored elements of a version
+async function readSnapshot(version) {
+  const zipped = await getStorage().get(version.snapshotKey);
+  return JSON.parse((await gunzip(zipped)).toString('utf8'));
+}
+
+const readVersionPreview = (version) => getStorage().get(version.previewKey);
+
+const countNamed = (roomId) => BoardVersion.countDocuments({ whiteboardId: roomId, name: { $ne: '' } });
+
+/**
+ * Name (or unname with '') a version. Returns { version } or { error: 'not-found' } /
+ * { error: 'named-limit', limit } when the owner's plan keeps no more named versions.
+ */
+async function renameVersion(whiteboard, versionId, name) {
+  const roomId = whiteboard._id;
+  const version = await findVersion(roomId, versionId);
+  if (!version) return { error: 'not-found' };
+
+  if (name && !version.name) {
+    const { maxNamed } = await retentionFor(whiteboard);
+    if (maxNamed !== null) {
+      if ((await countNamed(roomId)) >= maxNamed) return { error: 'named-limit', limit: maxNamed };
+    }
+  }
+
+  const doc = await BoardVersion.findByIdAndUpdate(version._id, { $set: { name } }, { new: true }).lean();
+  // an unnamed version may already be past what the plan keeps
+  if (!name) await pruneVersions(String(roomId));
+  return { version: serialize(doc) };
+}
+
+// versions + files of a deleted board
+async function removeVersions(roomId) {
+  const docs = await BoardVersion.find({ whiteboardId: roomId }).select('snapshotKey previewKey').lean();
+  await removeFiles(docs);
+  await BoardVersion.deleteMany({ whiteboardId: roomId });
+}
+
+module.exports = {
+  PLAN_RETENTION,
+  serialize,
+  retentionFor,
+  recordVersion,
+  captureVersion,
+  listVersions,
+  findVersion,
+  readSnapshot,
+  readVersionPreview,
+  renameVersion,
+  countNamed,
+  pruneVersions,
+  cleanupVersions,
+  removeVersions,
+};
@@ -0,0 +1,212 @@
+// server-side canvas rendering
+// paints a board's vector elements the same way CanvasBoard.jsx does in the browser.
+// used for the board preview image written on every save (services/boardImages.js)
+// and for exports (services/exportRenderer.js).
+// keep the drawing rules here in sync with paintElement() in frontend/src/utils/scene.js.
+
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+
+// shared logical canvas
+const VIRTUAL_WIDTH = 1920;
+const VIRTUAL_HEIGHT = 1080;
+
+const FULL_BOUNDS = { x: 0, y: 0, width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT };
+
+const dataURLToBuffer = (dataURL) => Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+
+// ---- primitives (mirrors of the client helpers) ----
+
+const stroke = (ctx, a, b) => {
+  ctx.beginPath();
+  ctx.moveTo(a.x, a.y);
+  ctx.lineTo(b.x, b.y);
+  ctx.stroke();
+  ctx.closePath();
+};
+
+const drawRect = (ctx, a, b) => {
+  ctx.strokeRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+};
+
+const drawCircle = (ctx, a, b) => {
+  const r = Math.hypot(b.x - a.x, b.y - a.y);
+  ctx.beginPath();
+  ctx.arc(a.x, a.y, r, 0, Math.PI * 2);
+  ctx.stroke();
+};
+
+const drawShape = { rectangle: drawRect, circle: drawCircle, line: stroke };
+
+// exact-color flood fill in backing-store pixels (same as the client)
+function floodFill(ctx, scale, x, y, fillColor) {
+  const { width, height } = ctx.canvas;
+  const startX = Math.floor(x * scale);
+  const startY = Math.floor(y * scale);
+  if (startX < 0 || startX >= width || startY < 0 || startY >= height) return;
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const { data } = imageData;
+
+  const startPos = (startY * width + startX) * 4;
+  const target = [data[startPos], data[startPos + 1], data[startPos + 2], data[startPos + 3]];
+
+  const hex = fillColor.replace('#', '');
+  const fill = [
+    parseInt(hex.substring(0, 2), 16),
+    parseInt(hex.substring(2, 4), 16),
+    parseInt(hex.substring(4, 6), 16),
+    255,
+  ];
+  if (target.every((v, i) => v === fill[i])) return;
+
+  const matches = (pos) =>
+    data[pos] === target[0] &&
+    data[pos + 1] === target[1] &&
+    data[pos + 2] === target[2] &&
+    data[pos + 3] === target[3];
+
+  // filled pixels stop matching, so no visited set is needed
+  const stack = [startX, startY];
+  while (stack.length > 0) {
+    const cy = stack.pop();
+    const cx = stack.pop();
+    if (cx < 0 || cx >= width || cy < 0 || cy >= height) continue;
+
+    const pos = (cy * width + cx) * 4;
+    if (!matches(pos)) continue;
+
+    data[pos] = fill[0];
+    data[pos + 1] = fill[1];
+    data[pos + 2] = fill[2];
+    data[pos + 3] = fill[3];
+
+    stack.push(cx + 1, cy, cx - 1, cy, cx, cy + 1, cx, cy - 1);
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+}
+
+const DEFAULT_FONT_SIZE = 20;
+
+const strokeStyle = (ctx, el) => {
+  ctx.strokeStyle = el.style?.color || '#000';
+  ctx.lineWidth = Math.max(1, el.style?.strokeWidth || 1);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+};
+
+// pen/eraser polyline (batch-saved strokes from before points only have from/to)
+const strokePoints = (el) => {
+  const d = el.data || {};
+  // null = an append that hadn't arrived yet
+  if (Array.isArray(d.points) && d.points.length > 0) return d.points.filter(Boolean);
+  return d.from && d.to ? [d.from, d.to] : [];
+};
+
+const drawPolyline = (ctx, pts) => {
+  ctx.beginPath();
+  ctx.moveTo(pts[0].x, pts[0].y);
+  // a single point still leaves a dot
+  if (pts.length === 1) ctx.lineTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  ctx.stroke();
+};
+
+// one element (ctx is already scaled to logical units); images come pre-decoded
+// el.transform is the offset it was moved by; data keeps the drawn geometry
+function paintElement(ctx, scale, el, images) {
+  const d = el.data || {};
+  const t = el.transform || { x: 0, y: 0 };
+
+  switch (el.type) {
+    case 'pen':
+    case 'eraser':
+    case 'erase': {
+      const pts = strokePoints(el);
+      if (pts.length === 0) return;
+      ctx.save();
+      ctx.translate(t.x, t.y);
+      ctx.globalCompositeOperation = el.type === 'pen' ? 'source-over' : 'destination-out';
+      strokeStyle(ctx, el);
+      drawPolyline(ctx, pts);
+      ctx.restore();
+      return;
+    }
+
+    case 'rectangle':
+    case 'circle':
+    case 'line':
+      if (!d.from || !d.to) return;
+      ctx.save();
+      ctx.translate(t.x, t.y);
+      strokeStyle(ctx, el);
+      drawShape[el.type](ctx, d.from, d.to);
+      ctx.restore();
+      return;
+
+    case 'text':
+      if (typeof d.x !== 'number' || typeof d.y !== 'number') return;
+      ctx.save();
+      ctx.translate(t.x, t.y);
+      ctx.fillStyle = el.style?.color || '#000';
+      ctx.font = `${el.style?.fontSize || DEFAULT_FONT_SIZE}px Arial`;
+      ctx.textBaseline = 'top';
+      ctx.fillText(d.text || '', d.x, d.y);
+      ctx.restore();
+      return;
+
+    case 'fill':
+      if (typeof d.x !== 'number' || typeof d.y !== 'number') return;
+      floodFill(ctx, scale, d.x + t.x, d.y + t.y, el.style?.color || '#000');
+      return;
+
+    case 'image': {
+      const img = images.get(el.id);
+      if (img) ctx.drawImage(img, d.x + t.x, d.y + t.y, d.width, d.height);
+      return;
+    }
+
+    default:
+      return;
+  }
+}
+
+/**
+ * Paint `elements` (already in paint order) onto a blank board.
+ * Returns the @napi-rs/canvas Canvas (VIRTUAL size * scale, transparent background).
+ */
+async function renderScene({ elements = [], scale = 1 } = {}) {
+  const canvas = createCanvas(Math.round(VIRTUAL_WIDTH * scale), Math.round(VIRTUAL_HEIGHT * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+  // decode images up front so painting stays in order
+  const images = new Map();
+  await Promise.all(
+    elements
+      .filter((el) => el.type === 'image' && el.data?.src)
+      .map((el) =>
+        loadImage(dataURLToBuffer(el.data.src))
+          .then((img) => images.set(el.id, img))
+          .catch((err) => console.error(`canvasRenderer: bad image ${el.id}:`, err.message))
+      )
+  );
+
+  for (const el of elements) {
+    try {
+      paintElement(ctx, scale, el, images);
+    } catch (err) {
+      console.error(`canvasRenderer: ${el?.type} element ${el?.id} failed:`, err.message);
+    }
+  }
+
+  return canvas;
+}
+
+module.exports = {
+  VIRTUAL_WIDTH,
+  VIRTUAL_HEIGHT,
+  FULL_BOUNDS,
+  dataURLToBuffer,
+  renderScene,
+};
@@ -0,0 +1,187 @@
+// live canvas event log (per room)
+// redis when it's up so every instance sees the same log and it survives restarts,
+// in-process Map otherwise (services/storeMode.js picks once at startup). every event
+// gets a per-room sequence number. if redis drops out later, log calls fail (senders
+// retry from their outbox) instead of starting a second log whose seqs restart at 0.
+//
+// `baseSeq` marks how far the log has been folded away (board saved / cleared):
+// events with seq <= baseSeq are gone, so a client that is behind baseSeq
+// needs the saved board plus the remaining tail instead of a plain delta.
+
+const storeMode = require('./storeMode');
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+// how long an idle room's log is kept around (seconds)
+const TTL_SECONDS = parseInt(process.env.CANVAS_STATE_TTL, 10) || 24 * 60 * 60;
+
+const eventsKey = (roomId) => `canvas:${roomId}:events`;
+const seqKey = (roomId) => `canvas:${roomId}:seq`;
+const baseKey = (roomId) => `canvas:${roomId}:base`;
+
+// memory store (no redis): Map<roomId, { seq, baseSeq, events, touchedAt }>
+const memory = new Map();
+
+const { useRedis } = storeMode;
+const checkRedis = () => storeMode.checkRedis('Canvas log');
+
+// seq + log write in one step, so a failure can't leave a seq without its event.
+// the stored json is the event with "seq" spliced in front (the event is never empty).
+const APPEND_SCRIPT = `
+local seq = redis.call('incr', KEYS[1])
+redis.call('zadd', KEYS[2], seq, '{"seq":' .. seq .. ',' .. string.sub(ARGV[1], 2))
+redis.call('expire', KEYS[1], ARGV[2])
+redis.call('expire', KEYS[2], ARGV[2])
+redis.call('expire', KEYS[3], ARGV[2])
+return seq
+`;
+
+const getMemoryRoom = (roomId) => {
+  if (!memory.has(roomId)) {
+    memory.set(roomId, { seq: 0, baseSeq: 0, events: [], touchedAt: Date.now() });
+  }
+  const room = memory.get(roomId);
+  room.touchedAt = Date.now();
+  return room;
+};
+
+// drop memory rooms nobody touched within the TTL (mirrors redis EXPIRE)
+function pruneExpired() {
+  const cutoff = Date.now() - TTL_SECONDS * 1000;
+  memory.forEach((room, roomId) => {
+    if (room.touchedAt < cutoff) memory.delete(roomId);
+  });
+}
+
+/**
+ * Append an event to the room log.
+ * Returns the stored event (with its `seq`).
+ */
+async function appendEvent(roomId, event) {
+  if (useRedis()) {
+    checkRedis();
+    const { seq: _ignored, ...rest } = event;
+    const seq = await redis.eval(
+      APPEND_SCRIPT,
+      3,
+      seqKey(roomId),
+      eventsKey(roomId),
+      baseKey(roomId),
+      JSON.stringify(rest),
+      TTL_SECONDS
+    );
+    return { ...rest, seq: Number(seq) };
+  }
+
+  const room = getMemoryRoom(roomId);
+  room.seq += 1;
+  const stored = { ...event, seq: room.seq };
+  room.events.push(stored);
+  return stored;
+}
+
+/**
+ * Events for a room in sequence order.
+ * `since` (optional) only returns events with seq > since.
+ */
+async function getEvents(roomId, { since } = {}) {
+  const min = Number.isFinite(since) ? `(${since}` : '-inf';
+
+  if (useRedis()) {
+    checkRedis();
+    const raw = await redis.zrangebyscore(eventsKey(roomId), min, '+inf');
+    return raw.map((s) => JSON.parse(s));
+  }
+
+  const room = memory.get(roomId);
+  if (!room) return [];
+  room.touchedAt = Date.now();
+  return Number.isFinite(since) ? room.events.filter((e) => e.seq > since) : room.events.slice();
+}
+
+// current (last issued) sequence number for a room
+async function getSeq(roomId) {
+  if (useRedis()) {
+    checkRedis();
+    return parseInt(await redis.get(seqKey(roomId)), 10) || 0;
+  }
+  return memory.get(roomId)?.seq || 0;
+}
+
+async function countEvents(roomId) {
+  if (useRedis()) {
+    checkRedis();
+    return redis.zcard(eventsKey(roomId));
+  }
+  return memory.get(roomId)?.events.length || 0;
+}
+
+// seq up to which the log has been folded away (0 = nothing yet)
+async function getBaseSeq(roomId) {
+  if (useRedis()) {
+    checkRedis();
+    return parseInt(await redis.get(baseKey(roomId)), 10) || 0;
+  }
+  return memory.get(roomId)?.baseSeq || 0;
+}
+
+/**
+ * Drop events with seq <= uptoSeq and move baseSeq forward.
+ */
+async function truncate(roomId, uptoSeq) {
+  if (useRedis()) {
+    const base = await getBaseSeq(roomId);
+    const tx = redis.multi().zremrangebyscore(eventsKey(roomId), '-inf', uptoSeq);
+    if (uptoSeq > base) tx.set(baseKey(roomId), uptoSeq, 'EX', TTL_SECONDS);
+    await tx.exec();
+    return;
+  }
+
+  const room = memory.get(roomId);
+  if (!room) return;
+  room.events = room.events.filter((e) => e.seq > uptoSeq);
+  room.baseSeq = Math.max(room.baseSeq, uptoSeq);
+}
+
+/**
+ * Drop all of the room's events. The sequence counter is kept so numbers
+ * never go backwards for clients that are still connected.
+ */
+async function clearEvents(roomId) {
+  await truncate(roomId, await getSeq(roomId));
+}
+
+// rooms that currently have a log (used by the monitor job)
+async function listRooms() {
+  if (useRedis()) {
+    checkRedis();
+    const rooms = new Set();
+    let cursor = '0';
+    do {
+      const [next, keys] = await redis.scan(cursor, 'MATCH', 'canvas:*:events', 'COUNT', 100);
+      keys.forEach((k) => rooms.add(k.slice('canvas:'.length, -':events'.length)));
+      cursor = next;
+    } while (cursor !== '0');
+    return Array.from(rooms);
+  }
+
+  pruneExpired();
+  return Array.from(memory.keys()).filter((roomId) => memory.get(roomId).events.length > 0);
+}
+
+module.exports = {
+  appendEvent,
+  getEvents,
+  getSeq,
+  getBaseSeq,
+  countEvents,
+  truncate,
+  clearEvents,
+  listRooms,
+  pruneExpired,
+};
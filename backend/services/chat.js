@@ -0,0 +1,134 @@
+// board chat: history, edits, soft deletes and reactions.
+// shared by routes/chat.js and the socket handlers so both paths check the same
+// rules and broadcast the same events to the room:
+//   chatMessage { message fields }   new message
+//   chat:updated { message }         edited / reactions changed
+//   chat:deleted { messageId }       soft deleted (hidden from everyone)
+// plus 'mention' to the people a message mentions (services/mentions.js)
+
+const mongoose = require('mongoose');
+const { ChatMessage } = require('../models');
+const { findMentions, notifyMentionsLater } = require('./mentions');
+
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 100;
+
+// what clients get (never the raw doc: deleted fields, __v...)
+function serialize(msg) {
+  return {
+    _id: msg._id,
+    user: msg.userName,
+    userId: msg.userId,
+    text: msg.text,
+    timestamp: msg.createdAt,
+    isEdited: Boolean(msg.isEdited),
+    editedAt: msg.editedAt || null,
+    mentions: [...(msg.mentions || [])],
+    reactions: (msg.reactions || []).map((r) => ({ userId: r.userId, emoji: r.emoji })),
+  };
+}
+
+// a live message of this board, or null
+async function findMessage(roomId, messageId) {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  return ChatMessage.findOne({ _id: messageId, whiteboardId: roomId, isDeleted: false });
+}
+
+/**
+ * One page of history, oldest first.
+ * `before` is the id of the oldest message the client already has.
+ * Returns { messages, hasMore }.
+ */
+async function listMessages(roomId, { before = null, limit = DEFAULT_PAGE } = {}) {
+  const size = Math.min(Math.max(1, limit), MAX_PAGE);
+
+  let cursor = null;
+  if (before) {
+    cursor = mongoose.isValidObjectId(before)
+      ? await ChatMessage.findOne({ _id: before, whiteboardId: roomId }).select('_id createdAt').lean()
+      : null;
+    if (!cursor) return { messages: [], hasMore: false };
+  }
+
+  // one extra tells us whether there is an older page
+  const docs = await ChatMessage.getRecent(roomId, size + 1, cursor);
+  return {
+    messages: docs.slice(0, size).reverse().map(serialize),
+    hasMore: docs.length > size,
+  };
+}
+
+async function createMessage(io, roomId, { userId, userName }, text) {
+  const clean = text.trim();
+  const msg = await ChatMessage.create({
+    whiteboardId: roomId,
+    userId,
+    userName,
+    text: clean,
+    mentions: await findMentions(roomId, clean),
+  });
+  const message = serialize(msg);
+  io.to(roomId).emit('chatMessage', message);
+  notifyMentionsLater(io, roomId, message, message.mentions);
+  return { message };
+}
+
+// only the author can edit their own message
+async function editMessage(io, roomId, userId, messageId, text) {
+  const msg = await findMessage(roomId, messageId);
+  if (!msg) return { error: 'not-found' };
+  if (msg.userId !== userId) return { error: 'forbidden' };
+
+  // only people the edit newly mentions get notified
+  const before = new Set(msg.mentions);
+  msg.mentions = await findMentions(roomId, text.trim());
+  await msg.edit(text.trim());
+  const message = serialize(msg);
+  io.to(roomId).emit('chat:updated', { message });
+  notifyMentionsLater(io, roomId, message, message.mentions.filter((id) => !before.has(id)));
+  return { message };
+}
+
+// only the author can delete; the doc stays (isDeleted) but nobody sees it again
+async function deleteMessage(io, roomId, userId, messageId) {
+  const msg = await findMessage(roomId, messageId);
+  if (!msg) return { error: 'not-found' };
+  if (msg.userId !== userId) return { error: 'forbidden' };
+
+  await msg.softDelete();
+  io.to(roomId).emit('chat:deleted', { messageId: String(msg._id) });
+  return { messageId: String(msg._id) };
+}
+
+// one reaction per user per message; reacting again swaps it
+async function react(io, roomId, userId, messageId, emoji) {
+  const msg = await findMessage(roomId, messageId);
+  if (!msg) return { error: 'not-found' };
+
+  await msg.addReaction(userId, emoji);
+  const message = serialize(msg);
+  io.to(roomId).emit('chat:updated', { message });
+  return { message };
+}
+
+async function unreact(io, roomId, userId, messageId) {
+  const msg = await findMessage(roomId, messageId);
+  if (!msg) return { error: 'not-found' };
+
+  await msg.removeReaction(userId);
+  const message = serialize(msg);
+  io.to(roomId).emit('chat:updated', { message });
+  return { message };
+}
+
+module.exports = {
+  DEFAULT_PAGE,
+  MAX_PAGE,
+  serialize,
+  listMessages,
+  createMessage,
+  editMessage,
+  deleteMessage,
+  react,
+  unreact,
+};
@@ -0,0 +1,55 @@
+// tiny redis lock so jobs run on one backend instance at a time.
+// without redis there is only one instance, so the job just runs; with redis
+// (services/storeMode.js) but the connection down, the run is skipped rather than
+// every instance running it unlocked.
+// mutex use (compaction) releases the lock when the job is done; periodic jobs pass
+// `keep` so the lock stays until its TTL runs out and the job runs once per window.
+
+const crypto = require('crypto');
+const storeMode = require('./storeMode');
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+// unique per process so we only ever release our own lock
+const INSTANCE_ID = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+// delete the lock only if it's still ours (it may have expired and been re-taken)
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Run `fn` if we can take the lock `name` for `ttlMs`.
+ * `keep` leaves the lock to expire instead of releasing it after `fn`.
+ * Returns true when the job ran, false when another instance holds the lock
+ * or redis is unreachable.
+ */
+async function withClusterLock(name, ttlMs, fn, { keep = false } = {}) {
+  const key = `lock:${name}`;
+  const haveRedis = storeMode.useRedis();
+
+  if (haveRedis) {
+    if (!storeMode.redisReady()) return false;
+    const ok = await redis.set(key, INSTANCE_ID, 'PX', ttlMs, 'NX');
+    if (!ok) return false;
+  }
+
+  try {
+    await fn();
+    return true;
+  } finally {
+    if (haveRedis && !keep) {
+      await redis.eval(RELEASE_SCRIPT, 1, key, INSTANCE_ID).catch(() => {});
+    }
+  }
+}
+
+module.exports = { withClusterLock, INSTANCE_ID };
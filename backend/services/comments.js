@@ -0,0 +1,94 @@
+// comment threads pinned to the board (models/CommentThread.js).
+// shared by routes/comments.js and the socket handlers; every change goes out
+// to the room as 'comment:thread' { thread } (created, replied, resolved, reopened)
+// so clients just replace the thread they have.
+
+const mongoose = require('mongoose');
+const { CommentThread } = require('../models');
+
+const MAX_THREADS = 500; // per board, per list
+const MAX_REPLIES = 200;
+
+function serialize(thread) {
+  return {
+    _id: thread._id,
+    anchor: {
+      x: thread.anchor.x,
+      y: thread.anchor.y,
+      width: thread.anchor.width || 0,
+      height: thread.anchor.height || 0,
+    },
+    userId: thread.userId,
+    user: thread.userName,
+    status: thread.status,
+    resolvedBy: thread.resolvedBy || null,
+    resolvedAt: thread.resolvedAt || null,
+    comments: (thread.comments || []).map((c) => ({
+      _id: c._id,
+      userId: c.userId,
+      user: c.userName,
+      text: c.text,
+      timestamp: c.createdAt,
+    })),
+    timestamp: thread.createdAt,
+    updatedAt: thread.updatedAt,
+  };
+}
+
+async function findThread(roomId, threadId) {
+  if (!mongoose.isValidObjectId(threadId)) return null;
+  return CommentThread.findOne({ _id: threadId, whiteboardId: roomId });
+}
+
+const broadcast = (io, roomId, thread) => {
+  const payload = serialize(thread);
+  io.to(roomId).emit('comment:thread', { thread: payload });
+  return { thread: payload };
+};
+
+/**
+ * Threads of a board, newest activity first. `status` = 'open' | 'resolved' | null (all).
+ */
+async function listThreads(roomId, { status = null } = {}) {
+  const threads = await CommentThread.getForBoard(roomId, status, MAX_THREADS);
+  return threads.map(serialize);
+}
+
+// anchor = { x, y } for a point, plus { width, height } for a region
+async function createThread(io, roomId, { userId, userName }, { anchor, text }) {
+  const thread = await CommentThread.create({
+    whiteboardId: roomId,
+    anchor,
+    userId,
+    userName,
+    comments: [{ userId, userName, text: text.trim() }],
+  });
+  return broadcast(io, roomId, thread);
+}
+
+// replying to a resolved thread reopens it (the conversation isn't over)
+async function replyToThread(io, roomId, { userId, userName }, threadId, text) {
+  const thread = await findThread(roomId, threadId);
+  if (!thread) return { error: 'not-found' };
+  if (thread.comments.length >= MAX_REPLIES) return { error: 'thread-full' };
+
+  if (thread.status === 'resolved') thread.set({ status: 'open', resolvedBy: null, resolvedAt: null });
+  await thread.addReply(userId, userName, text.trim());
+  return broadcast(io, roomId, thread);
+}
+
+async function resolveThread(io, roomId, userId, threadId, resolved) {
+  const thread = await findThread(roomId, threadId);
+  if (!thread) return { error: 'not-found' };
+
+  await thread.setResolved(resolved, userId);
+  return broadcast(io, roomId, thread);
+}
+
+module.exports = {
+  serialize,
+  listThreads,
+  createThread,
+  replyToThread,
+  resolveThread,
+};
@@ -0,0 +1,176 @@
+// event log compaction = board persistence
+// folds a room's logged element ops into the Element collection, re-renders the
+// board preview (services/boardImages.js) and truncates the log, so late joiners get
+// stored elements + short tail instead of thousands of ops, and redis/memory per
+// room stays bounded. runs on save requests, on autosave, when a room empties and
+// on shutdown. every save can also leave a version in the board history
+// (services/boardVersions.js), and so does the state a board-cleared wiped.
+// migrateLegacyBoards() moves old boards that still carry their image in
+// Whiteboard.canvasImage over to the same layout.
+
+const mongoose = require('mongoose');
+const Whiteboard = require('../models/Whiteboard');
+const canvasState = require('./canvasState');
+const { withClusterLock } = require('./clusterLock');
+const { renderScene } = require('./canvasRenderer');
+const { savePreview, inlineImages } = require('./boardImages');
+const { recordVersion } = require('./boardVersions');
+const { applyOp, liveElements, pruneTombstones, loadScene, saveSceneDiff } = require('./scene');
+
+// fold right away once a room's log gets this long
+const COMPACT_THRESHOLD = parseInt(process.env.CANVAS_COMPACT_THRESHOLD, 10) || 500;
+// the append path only looks at the log length every N seqs
+const CHECK_EVERY = 50;
+const LOCK_TTL_MS = 60 * 1000;
+
+// rooms with a compaction queued or running on this instance
+const pending = new Set();
+
+// history for what one compaction folded: the boards the clears wiped, then the save
+async function recordVersions(roomId, cleared, saved) {
+  try {
+    for (const { elements, seq, userId } of cleared) {
+      const canvas = await renderScene({ elements: await inlineImages(roomId, elements) });
+      await recordVersion(roomId, { elements, canvas, seq, trigger: 'before-clear', user: { userId } });
+    }
+    await recordVersion(roomId, saved);
+  } catch (err) {
+    // the board itself is saved either way
+    console.error(`compactor: room ${roomId} version error:`, err);
+  }
+}
+
+/**
+ * Apply logged ops to the stored elements, save the result and the preview, then drop those ops.
+ * `force` saves even with an empty log (legacy board migration, explicit saves).
+ * `trigger` / `user` go on the board version this save leaves (default: an autosave).
+ * Returns { roomId, uptoSeq, folded, elements, sizeKB } or null when there was nothing to do
+ * (another instance holds the room, not a db-backed board, empty log).
+ */
+async function compactRoom(roomId, { force = false, trigger = 'autosave', user = null } = {}) {
+  // preview rooms have nowhere to keep their elements
+  if (!mongoose.Types.ObjectId.isValid(roomId)) return null;
+
+  let result = null;
+  let versions = null;
+  await withClusterLock(`compact:${roomId}`, LOCK_TTL_MS, async () => {
+    const events = await canvasState.getEvents(roomId);
+    if (events.length === 0 && !force) return;
+
+    const { stored, scene, wb } = await loadScene(roomId);
+    if (!wb) return;
+
+    const uptoSeq = events.length > 0 ? events[events.length - 1].seq : wb.canvasSeq || 0;
+    // what each clear is about to wipe goes into the history
+    const cleared = [];
+    events.forEach((ev) => {
+      if (ev.type === 'board-cleared') {
+        cleared.push({ elements: liveElements(scene), seq: ev.seq - 1, userId: ev.userId || null });
+      }
+      applyOp(scene, ev);
+    });
+    pruneTombstones(scene);
+    // ops are idempotent, so a crash before the truncate below just folds them again
+    await saveSceneDiff(roomId, stored, scene.elements);
+
+    const elements = liveElements(scene);
+    const canvas = await renderScene({ elements: await inlineImages(roomId, elements) });
+    const images = await savePreview(roomId, canvas);
+
+    await Whiteboard.updateOne(
+      { _id: roomId },
+      {
+        $set: {
+          ...images,
+          canvasSeq: uptoSeq,
+          canvasFormat: 'vector',
+          canvasCleared: scene.cleared,
+          // a migration alone doesn't count as an edit
+          ...(events.length > 0 ? { lastModified: new Date() } : {}),
+        },
+        // the preview lives in storage now
+        $unset: { canvasImage: '', canvasBounds: '' },
+      }
+    );
+    // only once the elements are stored; ops that came in meanwhile stay in the log
+    await canvasState.truncate(roomId, uptoSeq);
+
+    result = {
+      roomId,
+      uptoSeq,
+      folded: events.length,
+      elements: elements.length,
+      sizeKB: Math.round(images.preview.size / 1024),
+    };
+    versions = { cleared, saved: { elements, canvas, seq: uptoSeq, trigger, user } };
+  });
+
+  // outside the lock: the next compaction doesn't have to wait for the history
+  if (versions) await recordVersions(roomId, versions.cleared, versions.saved);
+  return result;
+}
+
+// compactRoom, at most once at a time per room on this instance
+async function saveRoom(roomId, options) {
+  if (pending.has(roomId)) return null;
+  pending.add(roomId);
+  try {
+    const res = await compactRoom(roomId, options);
+    if (res) {
+      console.log(
+        `Compacted room ${res.roomId}: ${res.folded} events up to seq ${res.uptoSeq}, ` +
+          `${res.elements} elements (${res.sizeKB}KB preview)`
+      );
+    }
+    return res;
+  } finally {
+    pending.delete(roomId);
+  }
+}
+
+// cheap check from the append path (fire and forget)
+function maybeCompact(roomId, seq) {
+  if (seq % CHECK_EVERY !== 0 || pending.has(roomId)) return;
+
+  canvasState
+    .countEvents(roomId)
+    .then((count) => (count >= COMPACT_THRESHOLD ? saveRoom(roomId) : null))
+    .catch((err) => console.error(`compactor: room ${roomId} error:`, err));
+}
+
+// autosave/shutdown pass over every room with unsaved events; returns how many were saved
+async function compactAll() {
+  const rooms = await canvasState.listRooms();
+  let saved = 0;
+  for (const roomId of rooms) {
+    try {
+      if (await saveRoom(roomId)) saved += 1;
+    } catch (err) {
+      console.error(`compactor: room ${roomId} error:`, err);
+    }
+  }
+  return saved;
+}
+
+// boards saved before previews moved to storage still have Whiteboard.canvasImage
+// (for raster-era boards it's their content), and raster boards converted on load
+// (services/scene.js) have no preview yet. saving them once moves everything over;
+// returns how many were migrated.
+async function migrateLegacyBoards() {
+  const boards = await Whiteboard.find({
+    $or: [{ canvasImage: { $nin: [null, ''] } }, { canvasFormat: 'vector', 'preview.etag': { $exists: false } }],
+  })
+    .select('_id')
+    .lean();
+  let migrated = 0;
+  for (const { _id } of boards) {
+    try {
+      if (await saveRoom(String(_id), { force: true })) migrated += 1;
+    } catch (err) {
+      console.error(`compactor: migrating board ${_id} error:`, err);
+    }
+  }
+  return migrated;
+}
+
+module.exports = { compactRoom, saveRoom, maybeCompact, compactAll, migrateLegacyBoards };
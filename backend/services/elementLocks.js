@@ -0,0 +1,202 @@
+// soft locks on what someone is editing: the elements they have selected and
+// the spot they are typing new text at. other users can't select/edit those
+// (the server refuses their ops) until the holder lets go, leaves or stops
+// renewing. a socket holds one lock set and replaces it as its selection changes.
+// redis hash per room when it's up at startup (one field per lock), memory otherwise;
+// fails while redis is down (services/storeMode.js).
+// lock: { key, kind: 'element' | 'text', id?, x?, y?, userId, socketId, name, expiresAt }
+
+const storeMode = require('./storeMode');
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+// clients renew well inside this (CanvasBoard LOCK_RENEW_MS)
+const LOCK_TTL_MS = 15 * 1000;
+// new text this close to someone else's text spot collides with it
+const TEXT_LOCK_RADIUS = 60;
+// op checks read through a short cache (they run on every board op)
+const CACHE_MS = 500;
+
+const locksKey = (roomId) => `locks:${roomId}`;
+const elementKey = (id) => `el:${id}`;
+const textKey = (socketId) => `text:${socketId}`;
+
+// memory store (no redis): Map<roomId, Map<key, lock>>
+const memory = new Map();
+// Map<roomId, { locks, at }>
+const cache = new Map();
+
+const { useRedis } = storeMode;
+const checkRedis = () => storeMode.checkRedis('Element locks');
+
+// every live lock of a room (expired ones are dropped on the way)
+async function readLocks(roomId) {
+  const now = Date.now();
+  let locks;
+
+  if (useRedis()) {
+    checkRedis();
+    locks = Object.values(await redis.hgetall(locksKey(roomId))).map((s) => JSON.parse(s));
+    const expired = locks.filter((l) => l.expiresAt <= now).map((l) => l.key);
+    if (expired.length > 0) await redis.hdel(locksKey(roomId), ...expired);
+  } else {
+    const room = memory.get(roomId);
+    room?.forEach((l, key) => {
+      if (l.expiresAt <= now) room.delete(key);
+    });
+    if (room?.size === 0) memory.delete(roomId);
+    locks = room ? Array.from(room.values()) : [];
+  }
+
+  locks = locks.filter((l) => l.expiresAt > now);
+  cache.set(roomId, { locks, at: now });
+  return locks;
+}
+
+/**
+ * Locks of a room, possibly up to CACHE_MS old (fine for refusing ops).
+ */
+async function getLocks(roomId) {
+  const hit = cache.get(roomId);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.locks;
+  return readLocks(roomId);
+}
+
+// someone else's text spot within TEXT_LOCK_RADIUS of `spot`, or null
+const textCollision = (locks, userId, spot) =>
+  locks.find(
+    (l) => l.kind === 'text' && l.userId !== userId && Math.hypot(l.x - spot.x, l.y - spot.y) < TEXT_LOCK_RADIUS
+  ) || null;
+
+// take a free key; false when someone else got it first (another instance)
+async function claim(roomId, lock, { renew }) {
+  if (useRedis()) {
+    checkRedis();
+    const json = JSON.stringify(lock);
+    if (renew) {
+      await redis.hset(locksKey(roomId), lock.key, json);
+    } else if (!(await redis.hsetnx(locksKey(roomId), lock.key, json))) {
+      return false;
+    }
+    await redis.pexpire(locksKey(roomId), LOCK_TTL_MS * 2);
+    return true;
+  }
+  if (!memory.has(roomId)) memory.set(roomId, new Map());
+  memory.get(roomId).set(lock.key, lock);
+  return true;
+}
+
+async function drop(roomId, keys) {
+  if (keys.length === 0) return;
+  if (useRedis()) {
+    checkRedis();
+    await redis.hdel(locksKey(roomId), ...keys);
+    return;
+  }
+  const room = memory.get(roomId);
+  keys.forEach((key) => room?.delete(key));
+  if (room?.size === 0) memory.delete(roomId);
+}
+
+/**
+ * Replace a socket's lock set with `ids` (+ a text spot when `text` = { x, y }).
+ * `holder` is { userId, socketId, name }. Locks held by the same user (another tab)
+ * don't block. Returns { granted: ids, denied: [lock held by someone else], textDenied }
+ * where textDenied is the other text lock the spot collides with, or null.
+ */
+async function setLocks(roomId, holder, { ids = [], text = null } = {}) {
+  const locks = await readLocks(roomId);
+  const expiresAt = Date.now() + LOCK_TTL_MS;
+  const byKey = new Map(locks.map((l) => [l.key, l]));
+  const isOther = (l) => l.userId !== holder.userId;
+
+  const granted = [];
+  const denied = [];
+  for (const id of new Set(ids)) {
+    const key = elementKey(id);
+    const held = byKey.get(key);
+    if (held && isOther(held)) {
+      denied.push(held);
+      continue;
+    }
+    const lock = { key, kind: 'element', id, ...holder, expiresAt };
+    if (await claim(roomId, lock, { renew: Boolean(held) })) {
+      granted.push(id);
+    } else {
+      const winner = (await readLocks(roomId)).find((l) => l.key === key);
+      if (winner) denied.push(winner);
+    }
+  }
+
+  let textDenied = null;
+  if (text) {
+    textDenied = textCollision(locks, holder.userId, text);
+    if (!textDenied) {
+      const key = textKey(holder.socketId);
+      await claim(roomId, { key, kind: 'text', x: text.x, y: text.y, ...holder, expiresAt }, { renew: true });
+    }
+  }
+
+  // whatever this socket held before and didn't ask for again
+  const keep = new Set(granted.map(elementKey));
+  if (text && !textDenied) keep.add(textKey(holder.socketId));
+  await drop(
+    roomId,
+    locks.filter((l) => l.socketId === holder.socketId && !keep.has(l.key)).map((l) => l.key)
+  );
+  cache.delete(roomId);
+
+  return { granted, denied, textDenied };
+}
+
+// drop a socket's text spot (text-finalized); its selection locks stay
+async function releaseText(roomId, socketId) {
+  await drop(roomId, [textKey(socketId)]);
+  cache.delete(roomId);
+}
+
+// drop everything a socket holds (leave/disconnect)
+async function releaseAll(roomId, socketId) {
+  const locks = await readLocks(roomId);
+  await drop(roomId, locks.filter((l) => l.socketId === socketId).map((l) => l.key));
+  cache.delete(roomId);
+}
+
+/**
+ * Element ids among `ids` that someone other than `userId` holds.
+ */
+async function lockedByOthers(roomId, userId, ids) {
+  const locks = await getLocks(roomId);
+  if (locks.length === 0) return [];
+  const others = new Set(locks.filter((l) => l.kind === 'element' && l.userId !== userId).map((l) => l.id));
+  return ids.filter((id) => others.has(id));
+}
+
+/**
+ * Someone else's text lock that new text at `spot` ({ x, y }) would collide with, or null.
+ */
+async function textSpotTaken(roomId, userId, spot) {
+  return textCollision(await getLocks(roomId), userId, spot);
+}
+
+// element ids a socket holds right now
+async function heldBy(roomId, socketId) {
+  const locks = await getLocks(roomId);
+  return locks.filter((l) => l.kind === 'element' && l.socketId === socketId).map((l) => l.id);
+}
+
+module.exports = {
+  LOCK_TTL_MS,
+  readLocks,
+  setLocks,
+  releaseText,
+  releaseAll,
+  lockedByOthers,
+  textSpotTaken,
+  heldBy,
+};
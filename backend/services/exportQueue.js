@@ -0,0 +1,225 @@
+// export job queue + worker
+// the Export collection is the queue: POST /api/exports saves a 'queued' doc and
+// kicks the worker; the worker claims jobs one at a time (findOneAndUpdate, so
+// several backend instances can share the work), renders the board through
+// services/exportRenderer.js, writes the file and marks the job completed/failed.
+// the requesting user hears about it on their socket channel:
+//   export:updated { export }   every status change (for export lists/buttons)
+//   notification                 completed/failed, through services/notifications.js
+// a job stuck in 'processing' (instance died mid-render) goes back to the queue
+// after STALE_MS, up to MAX_ATTEMPTS times.
+// files go to services/storage.js under exports/<exportId>.<ext>; cleanupExports()
+// removes them again once the export expires (or its doc is gone).
+
+const mongoose = require('mongoose');
+const { Export, Whiteboard } = require('../models');
+const { getLiveElements } = require('./boardState');
+const { renderExport } = require('./exportRenderer');
+const { notify } = require('./notifications');
+const { userRoom } = require('../sockets/access');
+const { getStorage } = require('./storage');
+const { inlineImages } = require('./boardImages');
+
+const KEY_PREFIX = 'exports/';
+const POLL_MS = parseInt(process.env.EXPORT_POLL_MS, 10) || 15 * 1000;
+const STALE_MS = parseInt(process.env.EXPORT_STALE_MS, 10) || 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+const FORMAT_LABELS = { png: 'PNG', pdf: 'PDF', svg: 'SVG', json: 'JSON' };
+
+let io = null;
+let timer = null;
+let draining = false;
+let stopped = true;
+
+// what the client sees (internal error text stays on the doc)
+const serialize = (doc) => ({
+  _id: doc._id,
+  whiteboardId: doc.whiteboardId,
+  format: doc.format,
+  options: doc.options || {},
+  status: doc.status,
+  fileName: doc.fileName || '',
+  fileSize: doc.fileSize || 0,
+  mimeType: doc.mimeType || '',
+  createdAt: doc.createdAt,
+  completedAt: doc.completedAt || null,
+  expiresAt: doc.expiresAt,
+});
+
+const emitUpdate = (doc) =>
+  io?.to(userRoom(doc.userId)).emit('export:updated', { export: serialize(doc) });
+
+// oldest queued job -> processing (atomic, so two workers never get the same one)
+const claimNext = () =>
+  Export.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+async function finish(job, fields) {
+  const doc = await Export.findByIdAndUpdate(job._id, { $set: fields }, { new: true });
+  if (!doc) return null; // deleted while rendering
+  emitUpdate(doc);
+  return doc;
+}
+
+async function runJob(job) {
+  emitUpdate(job);
+  const label = FORMAT_LABELS[job.format] || job.format;
+  let board = null;
+
+  try {
+    board = await Whiteboard.findById(job.whiteboardId)
+      .select('title ownerId status members createdAt updatedAt lastModified')
+      .lean();
+    if (!board) throw new Error('Whiteboard not found');
+
+    const roomId = String(job.whiteboardId);
+    const { elements, seq } = await getLiveElements(roomId);
+    // exports are self-contained: stored images go in as data URLs
+    const file = await renderExport(job.format, await inlineImages(roomId, elements), job.options, {
+      ...board,
+      seq,
+    });
+
+    const storageKey = `${KEY_PREFIX}${job._id}.${file.extension}`;
+    await getStorage().put(storageKey, file.buffer, { contentType: file.mimeType });
+
+    const doc = await finish(job, {
+      status: 'completed',
+      storageKey,
+      fileUrl: `/api/exports/${job._id}/download`,
+      fileName: `whiteboard-${job.whiteboardId}-${job.format}-${job._id}.${file.extension}`,
+      fileSize: file.buffer.length,
+      mimeType: file.mimeType,
+      error: null,
+      completedAt: new Date(),
+    });
+    if (!doc) {
+      await getStorage().remove(storageKey);
+      return;
+    }
+
+    await notify(io, job.userId, {
+      type: 'export',
+      title: `Your ${label} export is ready`,
+      body: board.title,
+      link: `/whiteboard/${job.whiteboardId}`,
+      data: { exportId: String(job._id), whiteboardId: String(job.whiteboardId), format: job.format, status: 'completed' },
+    });
+  } catch (err) {
+    console.error(`exportQueue: export ${job._id} failed:`, err);
+    const doc = await finish(job, { status: 'failed', error: err.message, completedAt: new Date() });
+    if (!doc) return;
+
+    await notify(io, job.userId, {
+      type: 'export',
+      title: `Your ${label} export failed`,
+      body: board?.title || '',
+      link: `/whiteboard/${job.whiteboardId}`,
+      data: { exportId: String(job._id), whiteboardId: String(job.whiteboardId), format: job.format, status: 'failed' },
+    });
+  }
+}
+
+// work through the queue; one job at a time per instance (rendering is cpu heavy)
+async function drain() {
+  if (draining || stopped) return;
+  draining = true;
+  try {
+    let job;
+    while (!stopped && (job = await claimNext())) {
+      try {
+        await runJob(job);
+      } catch (err) {
+        // notify/emit failures shouldn't stop the queue
+        console.error(`exportQueue: export ${job._id} error:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('exportQueue:drain error:', err);
+  } finally {
+    draining = false;
+  }
+}
+
+// jobs whose worker went away: back in the queue, or failed once out of attempts
+async function recoverStale() {
+  const cutoff = new Date(Date.now() - STALE_MS);
+  await Export.updateMany(
+    { status: 'processing', startedAt: { $lt: cutoff }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $set: { status: 'queued' } }
+  );
+  await Export.updateMany(
+    { status: 'processing', startedAt: { $lt: cutoff }, attempts: { $gte: MAX_ATTEMPTS } },
+    { $set: { status: 'failed', error: 'Export worker stopped while rendering', completedAt: new Date() } }
+  );
+}
+
+// expired exports: file + doc. the TTL index on expiresAt deletes docs on its own
+// (mongo gives no hook for that), so files whose doc is already gone are removed
+// too. returns how many files were removed.
+async function cleanupExports() {
+  const storage = getStorage();
+  let removed = 0;
+
+  const expired = await Export.find({ expiresAt: { $lte: new Date() } }).select('storageKey').lean();
+  for (const doc of expired) {
+    if (doc.storageKey) {
+      await storage.remove(doc.storageKey);
+      removed += 1;
+    }
+    await Export.deleteOne({ _id: doc._id });
+  }
+
+  const files = await storage.list(KEY_PREFIX);
+  const idOf = (key) => key.slice(KEY_PREFIX.length).split('.')[0];
+  const ids = files.map((f) => idOf(f.key)).filter((id) => mongoose.isValidObjectId(id));
+  const live = new Set(
+    (await Export.find({ _id: { $in: ids } }).select('_id').lean()).map((d) => String(d._id))
+  );
+  for (const f of files) {
+    if (!live.has(idOf(f.key))) {
+      await storage.remove(f.key);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+// a new job was queued (POST /api/exports)
+function enqueue() {
+  setImmediate(drain);
+}
+
+/**
+ * Start the worker on this instance. Polls as well as reacting to enqueue(), so
+ * jobs queued through other instances (or before a restart) still get picked up.
+ */
+function start(socketServer) {
+  io = socketServer;
+  stopped = false;
+  const tick = () =>
+    recoverStale()
+      .then(drain)
+      .catch((err) => console.error('exportQueue:poll error:', err));
+  tick();
+  timer = setInterval(tick, POLL_MS);
+}
+
+// stop claiming new jobs (the one rendering right now still finishes)
+function stop() {
+  stopped = true;
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  serialize,
+  enqueue,
+  start,
+  stop,
+  cleanupExports,
+};
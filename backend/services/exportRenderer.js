@@ -0,0 +1,341 @@
+// board exports: turns a board's live elements into a png, pdf, svg or json file.
+// png/pdf go through services/canvasRenderer.js (same drawing rules as the preview),
+// svg is written element by element so strokes/shapes/text stay vector:
+//   eraser strokes become masks over everything painted before them
+//   flood fills (pixel based) are embedded as png layers holding just the filled pixels
+// exports get a white background like the board on screen.
+
+const zlib = require('zlib');
+const { createCanvas, PDFDocument } = require('@napi-rs/canvas');
+const { renderScene, VIRTUAL_WIDTH, VIRTUAL_HEIGHT } = require('./canvasRenderer');
+
+const BACKGROUND = '#ffffff';
+const DEFAULT_FONT_SIZE = 20;
+
+const PNG_SCALES = { '1x': 1, '2x': 2, '4x': 4 };
+
+// pdf page sizes in points, portrait
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  Letter: [612, 792],
+};
+const PDF_MARGIN = 36;
+const PDF_TITLE_SIZE = 12;
+const PDF_SCALE = 2;
+
+const STROKE_TYPES = ['pen', 'eraser', 'erase'];
+const ERASER_TYPES = ['eraser', 'erase'];
+
+// white under a transparent render (erased pixels show the background)
+function flatten(canvas) {
+  const out = createCanvas(canvas.width, canvas.height);
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(canvas, 0, 0);
+  return out;
+}
+
+// ---- png ----
+
+async function renderPNG(elements, { resolution = '2x' } = {}) {
+  const scale = PNG_SCALES[resolution] || 2;
+  const canvas = flatten(await renderScene({ elements, scale }));
+  return { buffer: canvas.toBuffer('image/png'), mimeType: 'image/png', extension: 'png' };
+}
+
+// ---- pdf ----
+
+// page in points; Custom = the board's own proportions (orientation doesn't apply)
+function pageSize(size, orientation) {
+  if (!PAGE_SIZES[size]) return [VIRTUAL_WIDTH * 0.75, VIRTUAL_HEIGHT * 0.75];
+  const [w, h] = PAGE_SIZES[size];
+  return orientation === 'portrait' ? [w, h] : [h, w];
+}
+
+async function renderPDF(elements, { pageSize: size = 'A4', orientation = 'landscape' } = {}, board = {}) {
+  const image = flatten(await renderScene({ elements, scale: PDF_SCALE }));
+  const [pageW, pageH] = pageSize(size, orientation);
+  const title = board.title || 'Whiteboard';
+
+  const doc = new PDFDocument({ title, creator: 'Whiteboard' });
+  const ctx = doc.beginPage(pageW, pageH);
+
+  if (PAGE_SIZES[size]) {
+    // printable page: title line + the board fitted inside the margins
+    ctx.fillStyle = '#111827';
+    ctx.font = `${PDF_TITLE_SIZE}px Arial`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(title, PDF_MARGIN, PDF_MARGIN);
+
+    const top = PDF_MARGIN + PDF_TITLE_SIZE * 2;
+    const boxW = pageW - PDF_MARGIN * 2;
+    const boxH = pageH - top - PDF_MARGIN;
+    const fit = Math.min(boxW / VIRTUAL_WIDTH, boxH / VIRTUAL_HEIGHT);
+    const w = VIRTUAL_WIDTH * fit;
+    const h = VIRTUAL_HEIGHT * fit;
+    const x = PDF_MARGIN + (boxW - w) / 2;
+    ctx.drawImage(image, x, top, w, h);
+    ctx.strokeStyle = '#d1d5db';
+    ctx.lineWidth = 0.5;
+    ctx.strokeRect(x, top, w, h);
+  } else {
+    ctx.drawImage(image, 0, 0, pageW, pageH);
+  }
+
+  doc.endPage();
+  return { buffer: doc.close(), mimeType: 'application/pdf', extension: 'pdf' };
+}
+
+// ---- svg ----
+
+const num = (v) => Math.round((Number(v) || 0) * 100) / 100;
+
+const escapeXml = (str) =>
+  String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const attrs = (obj) =>
+  Object.entries(obj)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k}="${typeof v === 'number' ? num(v) : escapeXml(v)}"`)
+    .join(' ');
+
+const translate = (el) => {
+  const t = el.transform || { x: 0, y: 0 };
+  return t.x || t.y ? `translate(${num(t.x)} ${num(t.y)})` : undefined;
+};
+
+const strokeAttrs = (el, color) => ({
+  fill: 'none',
+  stroke: color || el.style?.color || '#000',
+  'stroke-width': Math.max(1, el.style?.strokeWidth || 1),
+  'stroke-linecap': 'round',
+  'stroke-linejoin': 'round',
+  transform: translate(el),
+});
+
+// same point rules as canvasRenderer strokePoints()
+const strokePoints = (el) => {
+  const d = el.data || {};
+  if (Array.isArray(d.points) && d.points.length > 0) return d.points.filter(Boolean);
+  return d.from && d.to ? [d.from, d.to] : [];
+};
+
+function strokePath(el, color) {
+  const pts = strokePoints(el);
+  if (pts.length === 0) return '';
+  // a single point still leaves a dot (round cap)
+  const path = pts.length === 1 ? [pts[0], pts[0]] : pts;
+  const d = path.map((p, i) => `${i === 0 ? 'M' : 'L'}${num(p.x)} ${num(p.y)}`).join(' ');
+  return `<path ${attrs({ d, ...strokeAttrs(el, color) })}/>`;
+}
+
+// one non-eraser, non-fill element
+function svgElement(el) {
+  const d = el.data || {};
+
+  switch (el.type) {
+    case 'pen':
+      return strokePath(el);
+
+    case 'rectangle':
+      if (!d.from || !d.to) return '';
+      return `<rect ${attrs({
+        x: Math.min(d.from.x, d.to.x),
+        y: Math.min(d.from.y, d.to.y),
+        width: Math.abs(d.to.x - d.from.x),
+        height: Math.abs(d.to.y - d.from.y),
+        ...strokeAttrs(el),
+      })}/>`;
+
+    case 'circle':
+      if (!d.from || !d.to) return '';
+      return `<circle ${attrs({
+        cx: d.from.x,
+        cy: d.from.y,
+        r: Math.hypot(d.to.x - d.from.x, d.to.y - d.from.y),
+        ...strokeAttrs(el),
+      })}/>`;
+
+    case 'line':
+      if (!d.from || !d.to) return '';
+      return `<line ${attrs({ x1: d.from.x, y1: d.from.y, x2: d.to.x, y2: d.to.y, ...strokeAttrs(el) })}/>`;
+
+    case 'text':
+      if (typeof d.x !== 'number' || typeof d.y !== 'number') return '';
+      return `<text ${attrs({
+        x: d.x,
+        y: d.y,
+        fill: el.style?.color || '#000',
+        'font-family': 'Arial',
+        'font-size': el.style?.fontSize || DEFAULT_FONT_SIZE,
+        'dominant-baseline': 'text-before-edge',
+        'xml:space': 'preserve',
+        transform: translate(el),
+      })}>${escapeXml(d.text || '')}</text>`;
+
+    case 'image':
+      if (!d.src) return '';
+      return `<image ${attrs({
+        x: d.x,
+        y: d.y,
+        width: d.width,
+        height: d.height,
+        preserveAspectRatio: 'none',
+        href: d.src,
+        transform: translate(el),
+      })}/>`;
+
+    default:
+      return '';
+  }
+}
+
+// the pixels a flood fill changed, as a png layer over the whole board
+async function fillLayer(elements, index) {
+  const [before, after] = await Promise.all([
+    renderScene({ elements: elements.slice(0, index) }),
+    renderScene({ elements: elements.slice(0, index + 1) }),
+  ]);
+  const a = before.getContext('2d').getImageData(0, 0, before.width, before.height).data;
+  const afterCtx = after.getContext('2d');
+  const img = afterCtx.getImageData(0, 0, after.width, after.height);
+  const b = img.data;
+
+  let changed = false;
+  for (let i = 0; i < b.length; i += 4) {
+    if (a[i] === b[i] && a[i + 1] === b[i + 1] && a[i + 2] === b[i + 2] && a[i + 3] === b[i + 3]) {
+      b[i + 3] = 0;
+    } else {
+      changed = true;
+    }
+  }
+  if (!changed) return '';
+
+  afterCtx.putImageData(img, 0, 0);
+  const href = `data:image/png;base64,${after.toBuffer('image/png').toString('base64')}`;
+  return `<image ${attrs({ x: 0, y: 0, width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT, href })}/>`;
+}
+
+async function renderSVG(elements, { compressed = false } = {}, board = {}) {
+  const masks = [];
+  let content = '';
+  let erasers = [];
+
+  // erasers in a row share one mask over everything drawn so far
+  const flushErasers = () => {
+    if (erasers.length === 0) return;
+    const id = `erase-${masks.length + 1}`;
+    masks.push(
+      `<mask ${attrs({ id, maskUnits: 'userSpaceOnUse', x: 0, y: 0, width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT })}>` +
+        `<rect ${attrs({ width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT, fill: '#fff' })}/>` +
+        erasers.map((el) => strokePath(el, '#000')).join('') +
+        '</mask>'
+    );
+    content = `<g mask="url(#${id})">${content}</g>`;
+    erasers = [];
+  };
+
+  for (let i = 0; i < elements.length; i++) {
+    const el = elements[i];
+    if (ERASER_TYPES.includes(el.type)) {
+      erasers.push(el);
+      continue;
+    }
+    flushErasers();
+    try {
+      content += el.type === 'fill' ? await fillLayer(elements, i) : svgElement(el);
+    } catch (err) {
+      console.error(`exportRenderer: ${el?.type} element ${el?.id} failed:`, err.message);
+    }
+  }
+  flushErasers();
+
+  const svg =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({
+      width: VIRTUAL_WIDTH,
+      height: VIRTUAL_HEIGHT,
+      viewBox: `0 0 ${VIRTUAL_WIDTH} ${VIRTUAL_HEIGHT}`,
+    })}>\n` +
+    `<title>${escapeXml(board.title || 'Whiteboard')}</title>\n` +
+    (masks.length > 0 ? `<defs>${masks.join('')}</defs>\n` : '') +
+    `<rect ${attrs({ width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT, fill: BACKGROUND })}/>\n` +
+    `<g>${content}</g>\n` +
+    '</svg>\n';
+
+  const buffer = Buffer.from(svg, 'utf8');
+  return compressed
+    ? { buffer: zlib.gzipSync(buffer), mimeType: 'image/svg+xml', extension: 'svgz' }
+    : { buffer, mimeType: 'image/svg+xml', extension: 'svg' };
+}
+
+// ---- json ----
+
+// the elements as the app stores them; includeMetadata adds authorship, sync
+// clocks and board details so the file documents where it came from
+function renderJSON(elements, { includeMetadata = false } = {}, board = {}) {
+  const out = {
+    type: 'whiteboard',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    board: {
+      id: board._id ? String(board._id) : null,
+      title: board.title || 'Untitled Whiteboard',
+      width: VIRTUAL_WIDTH,
+      height: VIRTUAL_HEIGHT,
+    },
+    elements: elements.map((el) => ({
+      id: el.id,
+      type: el.type,
+      zIndex: el.zIndex || 0,
+      data: el.data || {},
+      style: el.style || {},
+      transform: el.transform || { x: 0, y: 0 },
+      ...(includeMetadata ? { createdBy: el.createdBy || null, clock: el.clock || {} } : {}),
+    })),
+  };
+
+  if (includeMetadata) {
+    out.metadata = {
+      ownerId: board.ownerId || null,
+      status: board.status || null,
+      members: (board.members || []).map((m) => ({ userId: m.userId, role: m.role })),
+      createdAt: board.createdAt || null,
+      updatedAt: board.updatedAt || null,
+      lastModified: board.lastModified || null,
+      seq: board.seq ?? null,
+      elementCount: elements.length,
+      strokeCount: elements.filter((el) => STROKE_TYPES.includes(el.type)).length,
+    };
+  }
+
+  const buffer = Buffer.from(JSON.stringify(out, null, 2), 'utf8');
+  return { buffer, mimeType: 'application/json', extension: 'json' };
+}
+
+const RENDERERS = {
+  png: renderPNG,
+  pdf: renderPDF,
+  svg: renderSVG,
+  json: renderJSON,
+};
+
+/**
+ * Render live `elements` (paint order) as `format` with the export's options.
+ * `board` is the Whiteboard doc (title etc.). Returns { buffer, mimeType, extension }.
+ */
+async function renderExport(format, elements, options = {}, board = {}) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unsupported export format "${format}"`);
+  return render(elements, options || {}, board);
+}
+
+module.exports = {
+  renderExport,
+  pageSize,
+};
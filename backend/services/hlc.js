@@ -0,0 +1,57 @@
+// hybrid logical clock stamps for board ops (see services/scene.js)
+// a stamp is "<ms, 13 digits>.<counter, 4 digits>.<actor>" so plain string
+// comparison orders them: wall time first, then counter, then actor as tie-break.
+// keep in sync with frontend/src/utils/hlc.js.
+
+const crypto = require('crypto');
+
+const STAMP = /^(\d{13})\.(\d{4})\.([\w-]{1,32})$/;
+const MAX_COUNTER = 9999;
+
+const format = (time, counter, actor) =>
+  `${String(time).padStart(13, '0')}.${String(counter).padStart(4, '0')}.${actor}`;
+
+// { time, counter, actor } or null
+function parseStamp(stamp) {
+  const m = typeof stamp === 'string' && STAMP.exec(stamp);
+  return m ? { time: Number(m[1]), counter: Number(m[2]), actor: m[3] } : null;
+}
+
+function createClock(actor) {
+  let last = 0;
+  let counter = 0;
+
+  return {
+    actor,
+
+    // a stamp greater than anything this clock has produced or seen
+    now() {
+      const t = Date.now();
+      if (t > last) {
+        last = t;
+        counter = 0;
+      } else if (counter < MAX_COUNTER) {
+        counter += 1;
+      } else {
+        last += 1;
+        counter = 0;
+      }
+      return format(last, counter, actor);
+    },
+
+    // move past a stamp from someone else
+    observe(stamp) {
+      const s = parseStamp(stamp);
+      if (!s) return;
+      if (s.time > last || (s.time === last && s.counter > counter)) {
+        last = s.time;
+        counter = s.counter;
+      }
+    },
+  };
+}
+
+// ops made by the server itself (REST imports); one actor per process
+const serverClock = createClock(`server-${crypto.randomBytes(4).toString('hex')}`);
+
+module.exports = { parseStamp, createClock, serverClock };
@@ -0,0 +1,209 @@
+// invitation emails: html + plain-text template, sent through services/mailer.js,
+// with the outcome written to invitation.delivery (queued -> sent | failed).
+// routes call deliverInvitationLater() after saving the invitation and answer
+// right away; retries happen in the background.
+// each delivery run stamps delivery.attemptId and only writes while it's still the
+// owner, so a resend can't be overwritten by the run before it. retries live in
+// memory, so runs lost with their instance are started over (resumeStaleDeliveries).
+
+const crypto = require('crypto');
+const { Invitation, Whiteboard, UserProfile } = require('../models');
+const { sendMail } = require('./mailer');
+
+// a delivery still queued with no write for this long died with its instance
+// (runs write when they start and after every failed try)
+const STALE_DELIVERY_MS = 15 * 60 * 1000;
+
+const APP_URL = () => process.env.APP_URL || 'http://localhost:3000';
+
+const ROLE_LABELS = {
+  editor: 'edit',
+  commenter: 'comment on',
+  viewer: 'view',
+};
+
+const inviteUrl = (invitation) => `${APP_URL()}/invite/${invitation.token}`;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build the invitation email. `message` is the sender's optional note.
+ * Returns { subject, text, html }.
+ */
+function renderInvitation({ senderName, boardTitle, role, message, url, expiresAt }) {
+  const action = ROLE_LABELS[role] || 'view';
+  const expires = new Date(expiresAt).toDateString();
+  const subject = `${senderName} invited you to "${boardTitle}"`;
+
+  const text = [
+    `${senderName} invited you to ${action} the whiteboard "${boardTitle}".`,
+    '',
+    ...(message ? [`Message from ${senderName}:`, message, ''] : []),
+    `Open the invitation: ${url}`,
+    '',
+    `This link expires on ${expires}. If you weren't expecting it, you can ignore this email.`,
+  ].join('\n');
+
+  const quote = message
+    ? `<blockquote style="margin:16px 0;padding:8px 12px;border-left:3px solid #6D94C5;color:#374151;white-space:pre-wrap">${escapeHtml(message)}</blockquote>`
+    : '';
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#F5EFE6;font-family:Arial,Helvetica,sans-serif;color:#111827">
+    <table role="presentation" width="100%" style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">
+      <tr><td>
+        <h2 style="margin:0 0 12px;color:#6D94C5">You're invited to a whiteboard</h2>
+        <p style="margin:0">
+          <strong>${escapeHtml(senderName)}</strong> invited you to ${action}
+          <strong>${escapeHtml(boardTitle)}</strong>.
+        </p>
+        ${quote}
+        <p style="margin:24px 0">
+          <a href="${escapeHtml(url)}" style="background:#6D94C5;color:#ffffff;text-decoration:none;padding:10px 20px;border-radius:6px;display:inline-block">Open invitation</a>
+        </p>
+        <p style="margin:0;font-size:12px;color:#6b7280">
+          Or paste this link into your browser: ${escapeHtml(url)}<br>
+          It expires on ${escapeHtml(expires)}. If you weren't expecting it, you can ignore this email.
+        </p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Send the email for an invitation and record how it went.
+ * Never throws; the delivery status on the invitation carries failures.
+ */
+async function deliverInvitation(invitation, { senderName, boardTitle }) {
+  const id = invitation._id;
+  const attemptId = crypto.randomBytes(8).toString('hex');
+  // from here on this run owns the status; a newer run takes it over
+  await Invitation.updateOne(
+    { _id: id },
+    { $set: { 'delivery.status': 'queued', 'delivery.attemptId': attemptId } }
+  );
+  const ours = { _id: id, 'delivery.attemptId': attemptId };
+
+  const mail = renderInvitation({
+    senderName: senderName || 'Someone',
+    boardTitle: boardTitle || 'Untitled Whiteboard',
+    role: invitation.role,
+    message: invitation.message,
+    url: inviteUrl(invitation),
+    expiresAt: invitation.expiresAt,
+  });
+
+  let result;
+  try {
+    result = await sendMail(
+      { to: invitation.recipientEmail, ...mail },
+      {
+        onAttempt: (attempt, err) =>
+          Invitation.updateOne(
+            ours,
+            {
+              $set: {
+                'delivery.attempts': attempt,
+                'delivery.lastAttemptAt': new Date(),
+                'delivery.error': err.message,
+              },
+            }
+          ).catch((e) => console.error('invitationMail:status error:', e)),
+      }
+    );
+  } catch (err) {
+    console.error('invitationMail:deliver error:', err.message);
+    await Invitation.updateOne(
+      ours,
+      {
+        $set: {
+          'delivery.status': 'failed',
+          'delivery.transport': err.transport || null,
+          'delivery.attempts': err.attempts || 0,
+          'delivery.lastAttemptAt': new Date(),
+          'delivery.error': err.message,
+        },
+      }
+    ).catch((e) => console.error('invitationMail:status error:', e));
+    return 'failed';
+  }
+
+  await Invitation.updateOne(
+    ours,
+    {
+      $set: {
+        'delivery.status': 'sent',
+        'delivery.transport': result.transport,
+        'delivery.attempts': result.attempts,
+        'delivery.lastAttemptAt': new Date(),
+        'delivery.sentAt': new Date(),
+        'delivery.messageId': result.messageId,
+        'delivery.error': null,
+      },
+    }
+  ).catch((e) => console.error('invitationMail:status error:', e));
+  return 'sent';
+}
+
+// fire-and-forget version for request handlers
+function deliverInvitationLater(invitation, context) {
+  deliverInvitation(invitation, context).catch((err) =>
+    console.error('invitationMail:deliver error:', err)
+  );
+}
+
+// reset before sending again (resend)
+function resetDelivery(invitation) {
+  invitation.delivery = {
+    status: 'queued',
+    transport: null,
+    attempts: 0,
+    lastAttemptAt: null,
+    sentAt: null,
+    messageId: null,
+    error: null,
+    attemptId: null,
+  };
+}
+
+/**
+ * Start over deliveries whose run went away with its instance (still queued and
+ * untouched for STALE_DELIVERY_MS). Returns how many were restarted.
+ */
+async function resumeStaleDeliveries() {
+  const stale = await Invitation.find({
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+    'delivery.status': 'queued',
+    updatedAt: { $lt: new Date(Date.now() - STALE_DELIVERY_MS) },
+  });
+
+  for (const invitation of stale) {
+    const [sender, whiteboard] = await Promise.all([
+      UserProfile.findById(invitation.senderId).select('displayName').lean(),
+      Whiteboard.findById(invitation.whiteboardId).select('title').lean(),
+    ]);
+    deliverInvitationLater(invitation, { senderName: sender?.displayName, boardTitle: whiteboard?.title });
+  }
+  return stale.length;
+}
+
+module.exports = {
+  inviteUrl,
+  renderInvitation,
+  deliverInvitation,
+  deliverInvitationLater,
+  resetDelivery,
+  resumeStaleDeliveries,
+};
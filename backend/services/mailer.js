@@ -0,0 +1,104 @@
+// outgoing email behind one sendMail() call; the transport is picked by env:
+//   MAIL_TRANSPORT=smtp     real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//                           (SMTP_SECURE=true for implicit TLS, usually port 465)
+//   MAIL_TRANSPORT=file     writes each message to MAIL_OUTBOX_DIR (default backend/outbox)
+//                           as .json + .html, for development and tests
+//   MAIL_TRANSPORT=console  logs a summary (default when no SMTP_HOST is set)
+// sendMail retries failed attempts with a growing delay before giving up.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_MS = parseInt(process.env.MAIL_RETRY_BASE_MS, 10) || 2000;
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+const FROM = process.env.MAIL_FROM || 'Whiteboard <no-reply@localhost>';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const transports = {
+  smtp() {
+    // only needed when smtp is actually used
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE === 'true' || port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    };
+  },
+
+  file() {
+    return async (mail) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.mkdir(OUTBOX_DIR, { recursive: true });
+      await fs.writeFile(
+        path.join(OUTBOX_DIR, `${messageId}.json`),
+        JSON.stringify({ ...mail, date: new Date().toISOString() }, null, 2)
+      );
+      if (mail.html) await fs.writeFile(path.join(OUTBOX_DIR, `${messageId}.html`), mail.html);
+      return { messageId };
+    };
+  },
+
+  console() {
+    return async (mail) => {
+      console.log(`mail: to=${mail.to} subject="${mail.subject}"\n${mail.text || ''}`);
+      return { messageId: `console-${Date.now()}` };
+    };
+  },
+};
+
+const transportName = () =>
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+// built on first use so env changes in tests apply
+let active = null;
+function getTransport() {
+  const name = transportName();
+  if (!active || active.name !== name) {
+    if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    active = { name, send: transports[name]() };
+  }
+  return active;
+}
+
+/**
+ * Send one message ({ to, subject, text, html }).
+ * onAttempt(attempt, err) is called after every failed try so callers can record progress.
+ * Resolves { transport, messageId, attempts }; rejects with the last error once out of attempts.
+ */
+async function sendMail(mail, { maxAttempts = MAX_ATTEMPTS, onAttempt } = {}) {
+  const transport = getTransport();
+  let lastErr;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    try {
+      const { messageId } = await transport.send({ from: FROM, ...mail });
+      return { transport: transport.name, messageId, attempts: attempt };
+    } catch (err) {
+      lastErr = err;
+      console.error(`mailer:send error (attempt ${attempt}/${maxAttempts}):`, err.message);
+      await onAttempt?.(attempt, err);
+      if (attempt < maxAttempts) await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  lastErr.attempts = maxAttempts;
+  lastErr.transport = transport.name;
+  throw lastErr;
+}
+
+module.exports = {
+  sendMail,
+  transportName,
+  OUTBOX_DIR,
+};
@@ -0,0 +1,99 @@
+// @mentions in board chat.
+// a message mentions a board member when its text has "@<their display name>"
+// (the chat input autocompletes those from GET /api/whiteboards/:id/members).
+// mentioned users get a notification (services/notifications.js) and a 'mention'
+// event on their own socket channel for the in-board toast, unless they turned
+// notifications off (UserProfile preferences.notificationsEnabled).
+
+const mongoose = require('mongoose');
+const { Whiteboard, UserProfile } = require('../models');
+const { userRoom } = require('../sockets/access');
+const { notify } = require('./notifications');
+
+const displayName = (profile) =>
+  profile.displayName || (profile.email ? profile.email.split('@')[0] : 'Member');
+
+/**
+ * Owner + members of a board with display names:
+ * [{ userId, name, avatarUrl }] sorted by name. Accepts a board doc or id.
+ */
+async function boardMembers(whiteboard) {
+  let wb = whiteboard;
+  if (!wb?.ownerId) {
+    // preview rooms aren't boards, nobody to mention
+    if (!mongoose.isValidObjectId(whiteboard)) return [];
+    wb = await Whiteboard.findById(whiteboard).select('ownerId members').lean();
+    if (!wb) return [];
+  }
+
+  const ids = [...new Set([wb.ownerId, ...(wb.members || []).map((m) => m.userId)].filter(Boolean))];
+  const profiles = await UserProfile.find({ _id: { $in: ids } })
+    .select('displayName email avatarUrl')
+    .lean();
+
+  return profiles
+    .map((p) => ({ userId: p._id, name: displayName(p), avatarUrl: p.avatarUrl || null }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// "@name" followed by the end or anything that can't continue a name
+function mentions(text, name) {
+  const lower = text.toLowerCase();
+  const token = `@${name.toLowerCase()}`;
+  let at = lower.indexOf(token);
+  while (at !== -1) {
+    const next = lower.charAt(at + token.length);
+    if (!next || !/[\p{L}\p{N}_]/u.test(next)) return true;
+    at = lower.indexOf(token, at + 1);
+  }
+  return false;
+}
+
+/**
+ * User ids of the board members `text` mentions.
+ */
+async function findMentions(roomId, text) {
+  if (!text.includes('@')) return [];
+  const members = await boardMembers(roomId);
+  return members.filter((m) => mentions(text, m.name)).map((m) => m.userId);
+}
+
+/**
+ * Tell mentioned users (except the author) about `message` (services/chat.js serialize).
+ * Skips anyone who turned notifications off. Returns the ids that were notified.
+ */
+async function notifyMentions(io, roomId, message, userIds) {
+  const targets = userIds.filter((id) => id !== message.userId);
+  if (targets.length === 0) return [];
+
+  const wb = await Whiteboard.findById(roomId).select('title').lean();
+  const whiteboardTitle = wb?.title || 'Untitled Whiteboard';
+
+  const notified = [];
+  for (const id of targets) {
+    const notification = await notify(io, id, {
+      type: 'mention',
+      title: `${message.user} mentioned you in ${whiteboardTitle}`,
+      body: message.text,
+      link: `/whiteboard/${roomId}`,
+      data: { whiteboardId: roomId, messageId: String(message._id) },
+    });
+    if (!notification) continue; // notifications off
+    notified.push(id);
+    io.to(userRoom(id)).emit('mention', { whiteboardId: roomId, whiteboardTitle, message });
+  }
+  return notified;
+}
+
+// notifyMentions without waiting: the message is out already, a failed
+// notification shouldn't fail (or hold up) sending it
+function notifyMentionsLater(io, roomId, message, userIds) {
+  notifyMentions(io, roomId, message, userIds).catch((err) => console.error('mentions:notify error:', err));
+}
+
+module.exports = {
+  boardMembers,
+  findMentions,
+  notifyMentions,
+  notifyMentionsLater,
+};
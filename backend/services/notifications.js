@@ -0,0 +1,97 @@
+// in-app notifications: stored (models/Notification.js) and pushed live to the
+// recipient's socket channel (every socket of theirs, on any page of the app):
+//   notification { notification }          a new one
+//   notifications:read { ids, unreadCount } marked read (ids null = all), to sync other tabs
+// nothing is created for users who turned notifications off
+// (UserProfile preferences.notificationsEnabled).
+
+const { Notification, UserProfile } = require('../models');
+const { userRoom } = require('../sockets/access');
+
+function serialize(n) {
+  return {
+    _id: n._id,
+    type: n.type,
+    title: n.title,
+    body: n.body || '',
+    link: n.link || null,
+    data: n.data || {},
+    read: Boolean(n.readAt),
+    timestamp: n.createdAt,
+  };
+}
+
+/**
+ * Notify one user. `io` may be null (no live push, e.g. from a script).
+ * Returns the notification, or null when they turned notifications off.
+ */
+async function notify(io, userId, { type, title, body = '', link = null, data = {} }) {
+  if (!userId) return null;
+
+  const profile = await UserProfile.findById(userId).select('preferences.notificationsEnabled').lean();
+  if (profile?.preferences?.notificationsEnabled === false) return null;
+
+  const doc = await Notification.create({
+    userId,
+    type,
+    title: title.slice(0, 200),
+    body: body.slice(0, 500),
+    link,
+    data,
+  });
+  const notification = serialize(doc);
+  io?.to(userRoom(userId)).emit('notification', { notification });
+  return notification;
+}
+
+// fire-and-forget version for request handlers: a failed notification
+// shouldn't fail the thing that caused it
+function notifyLater(io, userId, payload) {
+  notify(io, userId, payload).catch((err) => console.error('notifications:notify error:', err));
+}
+
+/**
+ * Newest first. `before` = id of the oldest one the client has; `unreadOnly` skips read ones.
+ */
+async function listNotifications(userId, { before = null, limit = 20, unreadOnly = false } = {}) {
+  const query = { userId };
+  if (unreadOnly) query.readAt = null;
+  if (before) {
+    const cursor = await Notification.findOne({ _id: before, userId }).select('createdAt').lean();
+    if (cursor) query.createdAt = { $lt: cursor.createdAt };
+  }
+
+  const docs = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .lean();
+  return {
+    notifications: docs.slice(0, limit).map(serialize),
+    hasMore: docs.length > limit,
+  };
+}
+
+async function markRead(io, userId, ids) {
+  await Notification.updateMany(
+    { _id: { $in: ids }, userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  const unreadCount = await Notification.unreadCount(userId);
+  io?.to(userRoom(userId)).emit('notifications:read', { ids, unreadCount });
+  return unreadCount;
+}
+
+async function markAllRead(io, userId) {
+  await Notification.markAllRead(userId);
+  io?.to(userRoom(userId)).emit('notifications:read', { ids: null, unreadCount: 0 });
+  return 0;
+}
+
+module.exports = {
+  serialize,
+  notify,
+  notifyLater,
+  listNotifications,
+  markRead,
+  markAllRead,
+};
@@ -0,0 +1,186 @@
+// room presence: who is on a board right now, with display name, avatar,
+// cursor color, current tool, active/idle/away status and who they follow.
+// one entry per socket (redis hash per room when it's up at startup so every
+// instance sees the same roster, in-process Map otherwise; fails while redis is
+// down, see services/storeMode.js); the roster merges a user's tabs.
+// clients send 'presence' heartbeats with their tool, how long since their last
+// input and whether the tab is hidden; status comes from that plus how long ago
+// we last heard from them.
+
+const storeMode = require('./storeMode');
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+// client heartbeat interval (Whiteboard.jsx uses the same)
+const HEARTBEAT_MS = 15 * 1000;
+const IDLE_AFTER_MS = 60 * 1000;
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+// no heartbeat for this long = away; twice as long = gone (crashed instance, lost disconnect)
+const SILENT_AFTER_MS = 3 * HEARTBEAT_MS;
+const STALE_AFTER_MS = 2 * SILENT_AFTER_MS;
+const TTL_SECONDS = 24 * 60 * 60;
+
+// cursor colors, handed out in order so people in one room don't share one
+const CURSOR_COLORS = [
+  '#e11d48', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2',
+  '#db2777', '#65a30d', '#ea580c', '#4f46e5', '#0d9488', '#9333ea',
+];
+
+const STATUS_RANK = { active: 2, idle: 1, away: 0 };
+
+const rosterKey = (roomId) => `presence:${roomId}`;
+
+// memory store (no redis): Map<roomId, Map<socketId, entry>>
+const memory = new Map();
+
+const { useRedis } = storeMode;
+const checkRedis = () => storeMode.checkRedis('Presence');
+
+// all socket entries of a room (stale ones are dropped on the way)
+async function getEntries(roomId) {
+  const now = Date.now();
+  let entries;
+
+  if (useRedis()) {
+    checkRedis();
+    const raw = await redis.hgetall(rosterKey(roomId));
+    entries = Object.values(raw).map((s) => JSON.parse(s));
+    const stale = entries.filter((e) => now - e.lastSeen > STALE_AFTER_MS).map((e) => e.socketId);
+    if (stale.length > 0) await redis.hdel(rosterKey(roomId), ...stale);
+  } else {
+    const room = memory.get(roomId);
+    if (!room) return [];
+    room.forEach((e, socketId) => {
+      if (now - e.lastSeen > STALE_AFTER_MS) room.delete(socketId);
+    });
+    if (room.size === 0) memory.delete(roomId);
+    entries = Array.from(room.values());
+  }
+
+  return entries.filter((e) => now - e.lastSeen <= STALE_AFTER_MS);
+}
+
+async function putEntry(roomId, entry) {
+  if (useRedis()) {
+    checkRedis();
+    await redis
+      .multi()
+      .hset(rosterKey(roomId), entry.socketId, JSON.stringify(entry))
+      .expire(rosterKey(roomId), TTL_SECONDS)
+      .exec();
+    return;
+  }
+  if (!memory.has(roomId)) memory.set(roomId, new Map());
+  memory.get(roomId).set(entry.socketId, entry);
+}
+
+// a user keeps their color across tabs; otherwise the first one nobody in the room has
+function pickColor(entries, userId) {
+  const own = entries.find((e) => e.userId === userId);
+  if (own) return own.color;
+  const taken = new Set(entries.map((e) => e.color));
+  const free = CURSOR_COLORS.find((c) => !taken.has(c));
+  if (free) return free;
+  // more people than colors: stable per user
+  const hash = [...String(userId)].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 0);
+  return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+}
+
+function statusOf(entry, now = Date.now()) {
+  const silentFor = now - entry.lastSeen;
+  if (entry.hidden || silentFor > SILENT_AFTER_MS) return 'away';
+  const sinceInput = (entry.idleMs || 0) + silentFor;
+  if (sinceInput > AWAY_AFTER_MS) return 'away';
+  if (sinceInput > IDLE_AFTER_MS) return 'idle';
+  return 'active';
+}
+
+/**
+ * Add a socket to a room's roster.
+ * `user` is { userId, name, avatarUrl }. Returns the entry (with its color).
+ */
+async function join(roomId, socketId, user) {
+  const entries = await getEntries(roomId);
+  const entry = {
+    socketId,
+    userId: user.userId,
+    name: user.name || 'Anonymous',
+    avatarUrl: user.avatarUrl || null,
+    color: pickColor(entries.filter((e) => e.socketId !== socketId), user.userId),
+    tool: null,
+    following: null, // userId whose viewport this socket tracks
+    idleMs: 0,
+    hidden: false,
+    lastSeen: Date.now(),
+  };
+  await putEntry(roomId, entry);
+  return entry;
+}
+
+/**
+ * Heartbeat: merge { tool, idleMs, hidden, following } into a socket's entry.
+ * Returns false when the socket isn't on the roster (e.g. it was swept).
+ */
+async function heartbeat(roomId, socketId, changes) {
+  const entries = await getEntries(roomId);
+  const entry = entries.find((e) => e.socketId === socketId);
+  if (!entry) return false;
+  await putEntry(roomId, { ...entry, ...changes, lastSeen: Date.now() });
+  return true;
+}
+
+async function leave(roomId, socketId) {
+  if (useRedis()) {
+    checkRedis();
+    await redis.hdel(rosterKey(roomId), socketId);
+    return;
+  }
+  const room = memory.get(roomId);
+  room?.delete(socketId);
+  if (room?.size === 0) memory.delete(roomId);
+}
+
+/**
+ * Who is in the room, one row per user:
+ * [{ userId, name, avatarUrl, color, tool, status, following }] sorted by name.
+ * A user with several tabs shows their most active one (following: any tab's).
+ */
+async function getRoster(roomId) {
+  const now = Date.now();
+  const byUser = new Map();
+
+  (await getEntries(roomId)).forEach((e) => {
+    const row = {
+      userId: e.userId,
+      name: e.name,
+      avatarUrl: e.avatarUrl,
+      color: e.color,
+      tool: e.tool,
+      status: statusOf(e, now),
+      following: e.following || null,
+    };
+    const prev = byUser.get(e.userId);
+    if (!prev) {
+      byUser.set(e.userId, row);
+    } else if (STATUS_RANK[row.status] > STATUS_RANK[prev.status]) {
+      byUser.set(e.userId, { ...row, following: row.following || prev.following });
+    } else if (!prev.following) {
+      prev.following = row.following;
+    }
+  });
+
+  return Array.from(byUser.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  HEARTBEAT_MS,
+  join,
+  heartbeat,
+  leave,
+  getRoster,
+};
@@ -0,0 +1,106 @@
+// presenter mode: at most one presenter per room. everyone else follows their
+// viewport (follow mode, see services/presence.js) and, with lockEditing on,
+// can only watch. the presenter is { userId, socketId, name, lockEditing, since }.
+// redis key per room when it's up at startup so every instance agrees, memory
+// otherwise; fails while redis is down (services/storeMode.js).
+// reads are cached for a moment because the lock is checked on every board op.
+// starting a presentation is a claim (SET NX / compare-and-set), so two people
+// starting at once can't both win.
+
+const storeMode = require('./storeMode');
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+// how stale another instance's view of the presenter may be
+const CACHE_MS = 1000;
+const TTL_SECONDS = 24 * 60 * 60;
+
+const presenterKey = (roomId) => `presenter:${roomId}`;
+
+// memory store (no redis): Map<roomId, presenter>
+const memory = new Map();
+// Map<roomId, { presenter, at }>
+const cache = new Map();
+
+const { useRedis } = storeMode;
+const checkRedis = () => storeMode.checkRedis('Presenter');
+
+/**
+ * Current presenter of a room, or null.
+ * `fresh` skips the cache (for decisions like starting or handing off).
+ */
+async function get(roomId, { fresh = false } = {}) {
+  const hit = cache.get(roomId);
+  if (!fresh && hit && Date.now() - hit.at < CACHE_MS) return hit.presenter;
+
+  let presenter = memory.get(roomId) || null;
+  if (useRedis()) {
+    checkRedis();
+    const raw = await redis.get(presenterKey(roomId));
+    presenter = raw ? JSON.parse(raw) : null;
+  }
+
+  cache.set(roomId, { presenter, at: Date.now() });
+  return presenter;
+}
+
+// make someone the presenter (start, lock change, handoff)
+async function set(roomId, presenter) {
+  if (useRedis()) {
+    checkRedis();
+    await redis.set(presenterKey(roomId), JSON.stringify(presenter), 'EX', TTL_SECONDS);
+  } else {
+    memory.set(roomId, presenter);
+  }
+  cache.set(roomId, { presenter, at: Date.now() });
+}
+
+/**
+ * Become the presenter unless someone else already is. Atomic across instances
+ * (SET NX) and within this one (no await between the check and the write).
+ * Returns { ok: true, presenter } or { ok: false, presenter: whoever has it }.
+ * The same user claiming again (another tab, a restart) takes it over.
+ */
+async function claim(roomId, presenter) {
+  if (useRedis()) {
+    checkRedis();
+    const json = JSON.stringify(presenter);
+    const won = await redis.set(presenterKey(roomId), json, 'EX', TTL_SECONDS, 'NX');
+    if (!won) {
+      const current = await get(roomId, { fresh: true });
+      if (current && current.userId !== presenter.userId) return { ok: false, presenter: current };
+      await redis.set(presenterKey(roomId), json, 'EX', TTL_SECONDS);
+    }
+    cache.set(roomId, { presenter, at: Date.now() });
+    return { ok: true, presenter };
+  }
+  const current = memory.get(roomId);
+  if (current && current.userId !== presenter.userId) return { ok: false, presenter: current };
+  memory.set(roomId, presenter);
+  cache.set(roomId, { presenter, at: Date.now() });
+  return { ok: true, presenter };
+}
+
+// drop cached reads that are too old to be used again (rooms nobody checks anymore)
+function pruneCache() {
+  const cutoff = Date.now() - CACHE_MS;
+  cache.forEach((hit, roomId) => {
+    if (hit.at < cutoff) cache.delete(roomId);
+  });
+}
+
+async function clear(roomId) {
+  cache.delete(roomId);
+  memory.delete(roomId);
+  if (useRedis()) {
+    checkRedis();
+    await redis.del(presenterKey(roomId));
+  }
+}
+
+module.exports = { get, set, claim, clear, pruneCache };
@@ -0,0 +1,51 @@
+// token bucket rate limiting (in-process)
+// each key gets `capacity` tokens that refill at `refillPerSec`; an action costs tokens
+// and is refused when the bucket can't cover it. buckets live per instance, so with
+// several backend instances a room's budget is per instance, which is fine for
+// keeping one noisy client from flooding the rest.
+
+function createRateLimiter({ capacity, refillPerSec }) {
+  // key -> { tokens, updatedAt }
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSec);
+    bucket.updatedAt = now;
+  };
+
+  return {
+    // take `cost` tokens for `key`; false when there aren't enough
+    take(key, cost = 1) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now };
+        buckets.set(key, bucket);
+      } else {
+        refill(bucket, now);
+      }
+
+      if (bucket.tokens < cost) return false;
+      bucket.tokens -= cost;
+      return true;
+    },
+
+    delete(key) {
+      buckets.delete(key);
+    },
+
+    // a bucket that has refilled completely is the same as no bucket
+    prune() {
+      const now = Date.now();
+      buckets.forEach((bucket, key) => {
+        refill(bucket, now);
+        if (bucket.tokens >= capacity) buckets.delete(key);
+      });
+    },
+
+    size: () => buckets.size,
+  };
+}
+
+module.exports = { createRateLimiter };
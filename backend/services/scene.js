@@ -0,0 +1,340 @@
+// board scene = the vector elements on a board, keyed by element id.
+// the room log holds element ops (element:create / element:update / element:delete /
+// element:restore / board-cleared); applying them to the stored elements gives the live board.
+//
+// the scene is a CRDT so every replica (clients, this server) converges whatever
+// order ops arrive in: element fields are last-writer-wins registers stamped with
+// services/hlc.js stamps, deletes leave tombstones, stroke points merge by index,
+// moves write a transform offset, and board-cleared deletes everything stamped
+// before it. the long version is in frontend/src/utils/scene.js.
+// keep applyOp() in sync with that file.
+
+const mongoose = require('mongoose');
+const { Whiteboard, Element } = require('../models');
+const { VIRTUAL_WIDTH, VIRTUAL_HEIGHT } = require('./canvasRenderer');
+const { storeImage } = require('./boardImages');
+const { parseStamp } = require('./hlc');
+
+// a stroke stops growing here (the client starts a new one)
+const MAX_STROKE_POINTS = 5000;
+
+// raster boards from before the vector model come back as one image element
+const LEGACY_IMAGE_ID = 'legacy-canvas';
+
+// tombstones are kept this long so late (offline) ops can't revive what was deleted
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const STROKE_TYPES = ['pen', 'eraser', 'erase'];
+const STYLE_KEYS = ['color', 'strokeWidth', 'fontSize'];
+const ZERO = { x: 0, y: 0 };
+
+const createScene = (elements = [], cleared = null) => ({
+  elements: new Map(elements.map((el) => [el.id, el])),
+  cleared,
+});
+
+// ops logged before stamps existed sort below every real stamp, in seq order
+const stampOf = (ev) =>
+  ev.stamp || `0000000000000.${String(ev.seq || 0).padStart(10, '0')}.legacy`;
+
+// index-wise union of two point lists (later indexes may arrive first)
+function mergePoints(a, b, at = 0) {
+  if (!Array.isArray(b) || b.length === 0) return a;
+  const out = Array.isArray(a) ? a.slice() : [];
+  let changed = false;
+  for (let i = 0; i < b.length && at + i < MAX_STROKE_POINTS; i++) {
+    const idx = at + i;
+    while (out.length < idx) out.push(null);
+    if (out[idx] == null && b[i]) {
+      out[idx] = b[i];
+      changed = true;
+    }
+  }
+  return changed ? out : a;
+}
+
+// write registers from one op; returns el itself when nothing changed
+function write(el, stamp, values) {
+  let next = el;
+  const copy = () => {
+    if (next === el) next = { ...el, style: { ...el.style }, clock: { ...el.clock } };
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined || !stamp) return;
+    const current = el.clock?.[name];
+    const strokes = name === 'data' && STROKE_TYPES.includes(el.type);
+
+    // stroke points from any write are kept, whichever write wins
+    if (strokes && Array.isArray(value?.points) && Array.isArray(el.data?.points)) {
+      const newer = !current || stamp > current;
+      const points = mergePoints(el.data.points, value.points);
+      if (points !== el.data.points || newer) {
+        copy();
+        next.data = { ...(newer ? value : el.data), points };
+        if (newer) next.clock[name] = stamp;
+      }
+      return;
+    }
+
+    if (current && current >= stamp) return;
+    copy();
+    if (STYLE_KEYS.includes(name)) next.style[name] = value;
+    else next[name] = value;
+    next.clock[name] = stamp;
+  });
+  return next;
+}
+
+// an element the ops have mentioned but not created (yet)
+const blank = (id, type) => ({
+  id,
+  type,
+  zIndex: 0,
+  data: null,
+  style: {},
+  transform: ZERO,
+  deleted: true,
+  clock: {},
+});
+
+// changed elements are new objects, never mutated, so callers can diff a
+// scene against a copy by reference
+function applyOp(scene, ev) {
+  const { elements } = scene;
+  const stamp = stampOf(ev || {});
+
+  // whatever the op did, a board-cleared newer than it still wins
+  const put = (el) => {
+    const next = write(el, scene.cleared, { deleted: true });
+    if (next !== elements.get(next.id)) elements.set(next.id, next);
+  };
+
+  switch (ev?.type) {
+    case 'element:create': {
+      const src = ev.element;
+      if (!src?.id) return;
+      const el = elements.get(src.id) || blank(src.id, src.type);
+      if (el.type && el.type !== src.type) return;
+      const base =
+        el.type && el.createdBy
+          ? el
+          : { ...el, type: src.type, createdBy: el.createdBy ?? ev.userId ?? src.createdBy };
+
+      put(write(base, stamp, {
+        data: src.data,
+        color: src.style?.color,
+        strokeWidth: src.style?.strokeWidth,
+        fontSize: src.style?.fontSize,
+        zIndex: src.zIndex ?? 0,
+        transform: src.transform || ZERO,
+        deleted: false,
+      }));
+      return;
+    }
+
+    case 'element:update': {
+      if (!ev.id) return;
+      // the type rides along so an update can land before its create
+      const el = elements.get(ev.id) || (ev.elementType && blank(ev.id, ev.elementType));
+      if (!el || (ev.elementType && el.type && ev.elementType !== el.type)) return;
+
+      let next = write(el, stamp, {
+        data: ev.data,
+        color: ev.style?.color,
+        strokeWidth: ev.style?.strokeWidth,
+        fontSize: ev.style?.fontSize,
+        zIndex: ev.zIndex,
+        transform: ev.transform,
+      });
+      if (ev.append?.points?.length) {
+        const points = mergePoints(next.data?.points || [], ev.append.points, ev.append.at);
+        if (points !== next.data?.points) next = { ...next, data: { ...next.data, points } };
+      }
+      if (next !== el || !elements.has(ev.id)) put(next);
+      return;
+    }
+
+    case 'element:delete':
+      (ev.ids || []).forEach((id) => {
+        // no type yet: a later create fills it in
+        put(write(elements.get(id) || blank(id, undefined), stamp, { deleted: true }));
+      });
+      return;
+
+    // undo of a delete / redo of a create (tombstones keep their data)
+    case 'element:restore':
+      (ev.ids || []).forEach((id) => {
+        put(write(elements.get(id) || blank(id, undefined), stamp, { deleted: false }));
+      });
+      return;
+
+    case 'board-cleared':
+      if (!scene.cleared || stamp > scene.cleared) scene.cleared = stamp;
+      elements.forEach(put);
+      return;
+
+    default:
+      // raster events from before the vector model carry nothing we can keep
+      return;
+  }
+}
+
+const isLive = (el) => !!el && !el.deleted && !!el.data;
+
+// paint order: z-index, then id so every client agrees on ties
+const sortElements = (elements) =>
+  [...elements].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+// what's on the board, in paint order
+const liveElements = (scene) => sortElements([...scene.elements.values()].filter(isLive));
+
+// drop tombstones nobody has touched for TOMBSTONE_TTL_MS; returns how many
+function pruneTombstones(scene, now = Date.now()) {
+  let pruned = 0;
+  scene.elements.forEach((el, id) => {
+    if (!el.deleted) return;
+    const times = Object.values(el.clock || {}).map((s) => parseStamp(s)?.time || 0);
+    if (times.length > 0 && now - Math.max(...times) < TOMBSTONE_TTL_MS) return;
+    scene.elements.delete(id);
+    pruned += 1;
+  });
+  return pruned;
+}
+
+// Element doc -> wire/scene shape
+const fromDoc = (doc) => ({
+  id: doc.elementId || String(doc._id), // batch-saved elements from before ids
+  type: doc.type,
+  zIndex: doc.zIndex || 0,
+  data: doc.data || {},
+  style: doc.style || {},
+  transform: doc.transform || ZERO,
+  deleted: !!doc.deleted,
+  clock: doc.clock || {},
+  createdBy: doc.createdBy,
+});
+
+const toDoc = (roomId, el) => ({
+  whiteboardId: roomId,
+  elementId: el.id,
+  type: el.type,
+  zIndex: el.zIndex || 0,
+  data: el.data || {},
+  style: el.style,
+  transform: el.transform || ZERO,
+  deleted: !!el.deleted,
+  clock: el.clock || {},
+  createdBy: el.createdBy || 'unknown',
+});
+
+const hasBounds = (b) =>
+  b && ['x', 'y', 'width', 'height'].every((k) => Number.isFinite(b[k])) && b.width <= VIRTUAL_WIDTH && b.height <= VIRTUAL_HEIGHT;
+
+// the old board bitmap as an image element under everything else; the bitmap
+// moves to storage (the element only names it)
+const legacyImage = async (wb) => ({
+  id: LEGACY_IMAGE_ID,
+  type: 'image',
+  zIndex: -1,
+  data: {
+    ...(hasBounds(wb.canvasBounds)
+      ? { x: wb.canvasBounds.x, y: wb.canvasBounds.y, width: wb.canvasBounds.width, height: wb.canvasBounds.height }
+      : { x: 0, y: 0, width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT }),
+    file: await storeImage(String(wb._id), wb.canvasImage),
+  },
+  style: {},
+  transform: ZERO,
+  clock: {},
+});
+
+// a raster board's first load turns its bitmap into a stored element and drops
+// canvasImage, so later loads just read the element. the preview is still missing
+// until the next save (compactor.migrateLegacyBoards looks for those boards).
+async function migrateLegacyImage(wb) {
+  const el = await legacyImage(wb);
+  try {
+    await Element.updateOne(
+      { whiteboardId: wb._id, elementId: el.id },
+      { $setOnInsert: toDoc(wb._id, el) },
+      { upsert: true }
+    );
+  } catch (err) {
+    // another load got there first
+    if (err.code !== 11000) throw err;
+  }
+  await Whiteboard.updateOne(
+    { _id: wb._id },
+    { $set: { canvasFormat: 'vector' }, $unset: { canvasImage: '', canvasBounds: '' } }
+  );
+  return el;
+}
+
+/**
+ * Stored elements of a board (the state at Whiteboard.canvasSeq), tombstones included.
+ * Returns { stored, scene, wb }: `stored` is exactly what's in the Element collection,
+ * `scene` a copy the caller can apply ops to. Raster boards are converted on the way.
+ */
+async function loadScene(roomId) {
+  const stored = new Map();
+  if (!mongoose.Types.ObjectId.isValid(roomId)) return { stored, scene: createScene(), wb: null };
+
+  const [wb, docs] = await Promise.all([
+    Whiteboard.findById(roomId).select('canvasImage canvasBounds canvasSeq canvasFormat canvasCleared').lean(),
+    Element.find({ whiteboardId: roomId }).lean(),
+  ]);
+
+  docs.forEach((doc) => {
+    const el = fromDoc(doc);
+    stored.set(el.id, el);
+  });
+
+  if (wb && wb.canvasFormat !== 'vector' && wb.canvasImage && !stored.has(LEGACY_IMAGE_ID)) {
+    const el = await migrateLegacyImage(wb);
+    stored.set(el.id, el);
+  }
+  return { stored, scene: createScene([...stored.values()], wb?.canvasCleared || null), wb };
+}
+
+// batch-saved elements from before ids only have their _id
+const byId = (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? { $or: [{ elementId: id }, { _id: id }] } : { elementId: id };
+
+/**
+ * Write the difference between two element maps to the Element collection.
+ * Returns { upserted, deleted }.
+ */
+async function saveSceneDiff(roomId, before, after) {
+  const ops = [];
+  after.forEach((el, id) => {
+    if (before.get(id) === el) return;
+    ops.push({
+      replaceOne: {
+        filter: { whiteboardId: roomId, ...byId(id) },
+        replacement: toDoc(roomId, el),
+        upsert: true,
+      },
+    });
+  });
+
+  const removed = [...before.keys()].filter((id) => !after.has(id));
+  if (removed.length > 0) {
+    ops.push({ deleteMany: { filter: { whiteboardId: roomId, $or: removed.map(byId) } } });
+  }
+
+  if (ops.length > 0) await Element.bulkWrite(ops, { ordered: true });
+  return { upserted: ops.length - (removed.length > 0 ? 1 : 0), deleted: removed.length };
+}
+
+module.exports = {
+  MAX_STROKE_POINTS,
+  LEGACY_IMAGE_ID,
+  createScene,
+  applyOp,
+  isLive,
+  sortElements,
+  liveElements,
+  pruneTombstones,
+  loadScene,
+  saveSceneDiff,
+};
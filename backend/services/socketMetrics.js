@@ -0,0 +1,42 @@
+// counters for inbound realtime events (per instance, reset on restart)
+// served from GET /metrics so we can see who is being throttled and why.
+
+const startedAt = new Date();
+
+// event -> count
+const accepted = new Map();
+// event -> { reason -> count }   reasons: rate-limited | invalid-payload
+const dropped = new Map();
+
+function recordAccepted(event) {
+  accepted.set(event, (accepted.get(event) || 0) + 1);
+}
+
+function recordDropped(event, reason) {
+  const byReason = dropped.get(event) || {};
+  byReason[reason] = (byReason[reason] || 0) + 1;
+  dropped.set(event, byReason);
+}
+
+function snapshot() {
+  let totalAccepted = 0;
+  let totalDropped = 0;
+  accepted.forEach((n) => {
+    totalAccepted += n;
+  });
+  dropped.forEach((byReason) => {
+    Object.values(byReason).forEach((n) => {
+      totalDropped += n;
+    });
+  });
+
+  return {
+    since: startedAt.toISOString(),
+    totalAccepted,
+    totalDropped,
+    accepted: Object.fromEntries(accepted),
+    dropped: Object.fromEntries(dropped),
+  };
+}
+
+module.exports = { recordAccepted, recordDropped, snapshot };
@@ -0,0 +1,234 @@
+// file storage behind one interface (exports now; canvas images and uploads use the
+// same keys scheme: "<area>/<name>"). the driver is picked by env:
+//   STORAGE_DRIVER=local  files under STORAGE_DIR (default backend/storage); signed
+//                         urls point at GET /api/files/<key> (routes/files.js)
+//   STORAGE_DRIVER=s3     any S3-compatible bucket: S3_BUCKET, S3_REGION, and for
+//                         MinIO/localstack-style stand-ins S3_ENDPOINT + S3_FORCE_PATH_STYLE=true;
+//                         credentials from S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY or the
+//                         usual AWS env/profile chain. signed urls are S3 presigned GETs.
+// every driver has: put(key, buffer, { contentType }), get(key), remove(key),
+// exists(key), list(prefix) and signedUrl(key, { expiresIn, fileName, contentType }).
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_URL_TTL_S = parseInt(process.env.STORAGE_URL_TTL, 10) || 15 * 60;
+const MAX_URL_TTL_S = 7 * 24 * 60 * 60; // S3 presigned urls can't live longer
+
+// local signed urls; without a configured secret they only survive until restart
+const SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.STORAGE_SIGNING_SECRET && (process.env.STORAGE_DRIVER || 'local') === 'local') {
+  console.warn('storage: STORAGE_SIGNING_SECRET not set, download links stop working on restart');
+}
+
+const clampTtl = (s) => Math.min(Math.max(1, parseInt(s, 10) || DEFAULT_URL_TTL_S), MAX_URL_TTL_S);
+
+// keys are relative paths made of safe segments ("exports/<id>.png")
+const SEGMENT = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+function checkKey(key) {
+  if (typeof key !== 'string' || !key.split('/').every((s) => SEGMENT.test(s))) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+}
+
+const attachment = (fileName) => `attachment; filename="${String(fileName).replace(/["\\\r\n]/g, '_')}"`;
+
+// ---- local filesystem ----
+
+const signLocal = (key, expires, fileName = '') =>
+  crypto.createHmac('sha256', SIGNING_SECRET).update(`${key}\n${expires}\n${fileName}`).digest('hex');
+
+function localDriver() {
+  const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage'));
+  const fullPath = (key) => path.join(root, ...checkKey(key).split('/'));
+
+  return {
+    name: 'local',
+    root,
+    fullPath,
+
+    async put(key, buffer, { contentType } = {}) {
+      const file = fullPath(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      // write + rename so readers never see half a file
+      const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fsp.writeFile(tmp, buffer);
+      await fsp.rename(tmp, file);
+      return { key, size: buffer.length, contentType };
+    },
+
+    get: (key) => fsp.readFile(fullPath(key)),
+
+    createReadStream: (key) => fs.createReadStream(fullPath(key)),
+
+    async remove(key) {
+      await fsp.rm(fullPath(key), { force: true });
+    },
+
+    async exists(key) {
+      try {
+        return (await fsp.stat(fullPath(key))).isFile();
+      } catch {
+        return false;
+      }
+    },
+
+    // everything under a folder prefix ("exports/")
+    async list(prefix = '') {
+      const dir = prefix ? fullPath(prefix.replace(/\/$/, '')) : root;
+      const out = [];
+      const walk = async (abs, rel) => {
+        let entries;
+        try {
+          entries = await fsp.readdir(abs, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const e of entries) {
+          const childRel = rel ? `${rel}/${e.name}` : e.name;
+          if (e.isDirectory()) await walk(path.join(abs, e.name), childRel);
+          else if (e.isFile() && !e.name.endsWith('.tmp')) {
+            const st = await fsp.stat(path.join(abs, e.name));
+            out.push({ key: childRel, size: st.size, lastModified: st.mtime });
+          }
+        }
+      };
+      await walk(dir, prefix.replace(/\/$/, ''));
+      return out;
+    },
+
+    // app-relative url; routes/files.js checks the signature
+    async signedUrl(key, { expiresIn, fileName = '' } = {}) {
+      checkKey(key);
+      const expires = Math.floor(Date.now() / 1000) + clampTtl(expiresIn);
+      const params = new URLSearchParams({ expires: String(expires), sig: signLocal(key, expires, fileName) });
+      if (fileName) params.set('name', fileName);
+      return `/api/files/${key}?${params}`;
+    },
+  };
+}
+
+// ---- S3 compatible ----
+
+function s3Driver() {
+  // only needed when s3 is actually used
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const Bucket = process.env.S3_BUCKET;
+  if (!Bucket) throw new Error('S3_BUCKET is required for STORAGE_DRIVER=s3');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(
+        new PutObjectCommand({ Bucket, Key: checkKey(key), Body: buffer, ContentType: contentType })
+      );
+      return { key, size: buffer.length, contentType };
+    },
+
+    async get(key) {
+      const res = await client.send(new GetObjectCommand({ Bucket, Key: checkKey(key) }));
+      return Buffer.from(await res.Body.transformToByteArray());
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: checkKey(key) }));
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket, Key: checkKey(key) }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async list(prefix = '') {
+      const out = [];
+      let ContinuationToken;
+      do {
+        const res = await client.send(
+          new ListObjectsV2Command({ Bucket, Prefix: prefix, ContinuationToken })
+        );
+        (res.Contents || []).forEach((o) =>
+          out.push({ key: o.Key, size: o.Size, lastModified: o.LastModified })
+        );
+        ContinuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return out;
+    },
+
+    signedUrl(key, { expiresIn, fileName, contentType } = {}) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket,
+          Key: checkKey(key),
+          ResponseContentDisposition: fileName ? attachment(fileName) : undefined,
+          ResponseContentType: contentType || undefined,
+        }),
+        { expiresIn: clampTtl(expiresIn) }
+      );
+    },
+  };
+}
+
+const DRIVERS = { local: localDriver, s3: s3Driver };
+
+const driverName = () => process.env.STORAGE_DRIVER || 'local';
+
+// built on first use so env changes in tests apply
+let active = null;
+function getStorage() {
+  const name = driverName();
+  if (!active || active.name !== name) {
+    if (!DRIVERS[name]) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    active = DRIVERS[name]();
+  }
+  return active;
+}
+
+/**
+ * Check a local signed url (routes/files.js). Returns true when the signature
+ * matches and it hasn't expired.
+ */
+function verifyLocalSignature(key, { expires, sig, name = '' } = {}) {
+  const exp = parseInt(expires, 10);
+  if (!Number.isFinite(exp) || exp < Math.floor(Date.now() / 1000) || typeof sig !== 'string') return false;
+  const expected = Buffer.from(signLocal(key, exp, name), 'hex');
+  const given = Buffer.from(sig, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  getStorage,
+  driverName,
+  checkKey,
+  attachment,
+  verifyLocalSignature,
+  DEFAULT_URL_TTL_S,
+};
@@ -0,0 +1,36 @@
+// where the shared room state lives: the canvas log (canvasState), undo history,
+// presence, presenter and soft locks. redis when it's up at startup (every instance
+// sees the same state), in-process Maps when there is no redis (one instance).
+// the choice is made once (init(), after connecting redis) and never changes: if
+// redis drops out later, store calls throw instead of each instance quietly
+// starting its own copy in memory. callers answer 'unavailable' and clients retry.
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+const redisReady = () => Boolean(redis) && redis.status === 'ready';
+
+// 'redis' | 'memory' once init() ran
+let store = null;
+
+// fix the store for the life of the process (server.js, after connecting redis)
+function init() {
+  store = redisReady() ? 'redis' : 'memory';
+  return store;
+}
+
+// before init (scripts, tests) it follows the connection
+const useRedis = () => (store ? store === 'redis' : redisReady());
+
+// redis is the store: when it's down, calls fail rather than fall back
+function checkRedis(what) {
+  if (!redisReady()) throw new Error(`${what} unavailable (redis is not connected)`);
+}
+
+const backend = () => (useRedis() ? 'redis' : 'memory');
+
+module.exports = { init, useRedis, checkRedis, redisReady, backend };
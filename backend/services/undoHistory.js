@@ -0,0 +1,121 @@
+// per-user undo/redo history for a board
+// each step is { undo: ops, redo: ops } sent by the client that made the edit
+// (it knows what the edit replaced). undoing publishes the step's ops to the
+// room, so only that user's own edits are reverted and everyone sees it.
+// redis when it's up at startup (shared by every instance, survives reconnects
+// and restarts), in-process Map otherwise; fails while redis is down (services/storeMode.js).
+
+const storeMode = require('./storeMode');
+
+let redis;
+try {
+  redis = require('../config/redis');
+} catch {
+  redis = null;
+}
+
+// steps kept per user and board
+const HISTORY_MAX_STEPS = 100;
+// how long an untouched history is kept (seconds)
+const TTL_SECONDS = parseInt(process.env.HISTORY_TTL, 10) || 7 * 24 * 60 * 60;
+
+const undoKey = (roomId, userId) => `history:${roomId}:${userId}:undo`;
+const redoKey = (roomId, userId) => `history:${roomId}:${userId}:redo`;
+
+// memory store (no redis): Map<"roomId:userId", { undo: [], redo: [], touchedAt }>, newest step first
+const memory = new Map();
+
+const { useRedis } = storeMode;
+const checkRedis = () => storeMode.checkRedis('Undo history');
+
+function pruneExpired() {
+  const cutoff = Date.now() - TTL_SECONDS * 1000;
+  memory.forEach((h, key) => {
+    if (h.touchedAt < cutoff) memory.delete(key);
+  });
+}
+
+const getMemory = (roomId, userId) => {
+  const key = `${roomId}:${userId}`;
+  if (!memory.has(key)) memory.set(key, { undo: [], redo: [], touchedAt: Date.now() });
+  const h = memory.get(key);
+  h.touchedAt = Date.now();
+  return h;
+};
+
+/**
+ * Record a new step. Anything that could be redone is dropped (new edit, new branch).
+ */
+async function push(roomId, userId, step) {
+  const entry = { undo: step.undo, redo: step.redo, at: Date.now() };
+
+  if (useRedis()) {
+    checkRedis();
+    await redis
+      .multi()
+      .lpush(undoKey(roomId, userId), JSON.stringify(entry))
+      .ltrim(undoKey(roomId, userId), 0, HISTORY_MAX_STEPS - 1)
+      .del(redoKey(roomId, userId))
+      .expire(undoKey(roomId, userId), TTL_SECONDS)
+      .exec();
+    return;
+  }
+
+  pruneExpired();
+  const h = getMemory(roomId, userId);
+  h.undo.unshift(entry);
+  h.undo.length = Math.min(h.undo.length, HISTORY_MAX_STEPS);
+  h.redo = [];
+}
+
+// move the newest step from one stack to the other; returns it or null
+async function move(roomId, userId, from) {
+  const to = from === 'undo' ? 'redo' : 'undo';
+
+  if (useRedis()) {
+    checkRedis();
+    const keys = { undo: undoKey(roomId, userId), redo: redoKey(roomId, userId) };
+    const raw = await redis.lmove(keys[from], keys[to], 'LEFT', 'LEFT');
+    if (raw) {
+      await redis
+        .multi()
+        .ltrim(keys[to], 0, HISTORY_MAX_STEPS - 1)
+        .expire(keys[to], TTL_SECONDS)
+        .exec();
+    }
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  const h = getMemory(roomId, userId);
+  const entry = h[from].shift();
+  if (!entry) return null;
+  h[to].unshift(entry);
+  return entry;
+}
+
+/**
+ * Take the user's newest step off the undo stack (onto redo).
+ * Returns { undo, redo } or null when there is nothing to undo.
+ */
+const undo = (roomId, userId) => move(roomId, userId, 'undo');
+
+// same for redo
+const redo = (roomId, userId) => move(roomId, userId, 'redo');
+
+// forget a user's history on a board (e.g. after they cleared it)
+async function reset(roomId, userId) {
+  if (useRedis()) {
+    checkRedis();
+    await redis.del(undoKey(roomId, userId), redoKey(roomId, userId));
+    return;
+  }
+  memory.delete(`${roomId}:${userId}`);
+}
+
+module.exports = {
+  HISTORY_MAX_STEPS,
+  push,
+  undo,
+  redo,
+  reset,
+};
@@ -0,0 +1,133 @@
+// socket access checks for whiteboard rooms
+// same owner/editor/viewer/public/invitation rules as checkWhiteboardAccess + requireRole,
+// resolved once at join time and checked again on every room event.
+
+const mongoose = require('mongoose');
+const { Whiteboard } = require('../models');
+const { resolveWhiteboardRole } = require('../middleware/auth');
+
+// roles allowed to change the board
+const EDIT_ROLES = ['owner', 'editor'];
+// roles allowed to start/answer/resolve comment threads (commenters can't draw)
+const COMMENT_ROLES = ['owner', 'editor', 'commenter'];
+// anyone who joined the room
+const ANY_ROLE = ['owner', 'editor', 'commenter', 'viewer'];
+
+// every socket of a user also sits in their own channel (notifications, mentions);
+// it isn't a board room, so sweeps/cleanup skip it and nobody can join it
+const USER_ROOM_PREFIX = 'user:';
+const userRoom = (userId) => `${USER_ROOM_PREFIX}${userId}`;
+const isUserRoom = (room) => room.startsWith(USER_ROOM_PREFIX);
+
+/**
+ * Typed error back to the sender.
+ * Clients switch on `type`: invalid-room | not-found | access-denied | not-in-room | forbidden
+ * (plus invalid-payload / rate-limited from sockets/guard.js and join-failed / server-error
+ * from the handlers themselves)
+ */
+function emitError(socket, type, message, extra = {}) {
+  socket.emit('error', { type, message, ...extra });
+}
+
+/**
+ * Work out what this socket may do in `roomId`.
+ * Returns { role, whiteboard } or { error, message }.
+ */
+async function resolveRoomAccess(socket, roomId) {
+  if (isUserRoom(roomId)) {
+    return { error: 'access-denied', message: 'You do not have access to this whiteboard' };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(roomId)) {
+    // not a db-backed board (preview etc.), nothing to protect
+    return { role: 'editor', whiteboard: null };
+  }
+
+  const whiteboard = await Whiteboard.findById(roomId).select('-canvasImage -thumbnail');
+  if (!whiteboard) {
+    return { error: 'not-found', message: 'Whiteboard not found' };
+  }
+
+  const role = await resolveWhiteboardRole(whiteboard, {
+    userId: socket.userId,
+    userEmail: socket.userEmail,
+  });
+  if (!role) {
+    return { error: 'access-denied', message: 'You do not have access to this whiteboard' };
+  }
+
+  return { role, whiteboard };
+}
+
+// remember the role for later events (socket.data is visible cluster-wide)
+function setRoomRole(socket, roomId, role) {
+  socket.data.roles = { ...(socket.data.roles || {}), [roomId]: role };
+}
+
+function clearRoomRole(socket, roomId) {
+  if (!socket.data.roles) return;
+  delete socket.data.roles[roomId];
+}
+
+const getRoomRole = (socket, roomId) => socket.data.roles?.[roomId] || null;
+
+/**
+ * A member was removed from a board: their open sockets leave the room now
+ * instead of keeping the role they joined with. Works for sockets on other
+ * instances too (leaving the room is enough for authorize() to refuse them).
+ * Each socket gets 'access:revoked' { roomId } so the client can leave the board.
+ */
+async function revokeRoomAccess(io, roomId, userId) {
+  if (!io) return;
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets.forEach((s) => {
+    // socket.data of another instance's socket can't be written from here
+    if (s.server) clearRoomRole(s, roomId);
+    s.leave(roomId);
+    s.emit('access:revoked', { roomId });
+  });
+}
+
+/**
+ * Per-event guard. Emits a typed `error` and returns false when the socket
+ * hasn't joined the room or its role isn't in `allowedRoles`.
+ */
+function authorize(socket, event, roomId, allowedRoles = EDIT_ROLES) {
+  if (!roomId || typeof roomId !== 'string') {
+    emitError(socket, 'invalid-room', 'Invalid room id', { event });
+    return false;
+  }
+
+  const role = getRoomRole(socket, roomId);
+  if (!role || !socket.rooms.has(roomId)) {
+    emitError(socket, 'not-in-room', 'Join the whiteboard first', { event, roomId });
+    return false;
+  }
+
+  if (!allowedRoles.includes(role)) {
+    emitError(
+      socket,
+      'forbidden',
+      `Access denied. Required role: ${allowedRoles.join(' or ')}. Your role: ${role}`,
+      { event, roomId, role }
+    );
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  EDIT_ROLES,
+  COMMENT_ROLES,
+  ANY_ROLE,
+  emitError,
+  userRoom,
+  isUserRoom,
+  resolveRoomAccess,
+  setRoomRole,
+  clearRoomRole,
+  getRoomRole,
+  revokeRoomAccess,
+  authorize,
+};
@@ -0,0 +1,138 @@
+// inbound event guard: token buckets first (cheap), then the payload schema.
+// drops are counted in services/socketMetrics and reported to the sender as typed errors.
+
+const { createRateLimiter } = require('../services/rateLimiter');
+const metrics = require('../services/socketMetrics');
+const { validatePayload } = require('./validate');
+const { emitError, getRoomRole } = require('./access');
+
+// per-socket budgets, by event class
+const SOCKET_LIMITS = {
+  canvas: { capacity: 240, refillPerSec: 120 }, // pen strokes append on every pointer move
+  typing: { capacity: 40, refillPerSec: 20 },
+  cursor: { capacity: 60, refillPerSec: 30 },
+  ephemeral: { capacity: 60, refillPerSec: 30 }, // laser/ink batches, client sends ~25/s
+  locks: { capacity: 20, refillPerSec: 2 }, // selection changes + renewals
+  chat: { capacity: 5, refillPerSec: 1 },
+  chatMeta: { capacity: 20, refillPerSec: 2 }, // history pages, reactions, thread lists
+  sync: { capacity: 10, refillPerSec: 0.5 },
+};
+
+// whole-room budget for logged canvas events (each one fans out to everyone)
+const ROOM_CANVAS_LIMIT = { capacity: 1200, refillPerSec: 600 };
+
+const EVENT_CLASS = {
+  'element:create': 'canvas',
+  'element:update': 'canvas',
+  'element:delete': 'canvas',
+  'element:restore': 'canvas',
+  'board-cleared': 'canvas',
+  'history:push': 'canvas',
+  'history:undo': 'canvas',
+  'history:redo': 'canvas',
+  'text-typing': 'typing',
+  'text-finalized': 'typing',
+  typing: 'typing',
+  cursor: 'cursor',
+  ephemeral: 'ephemeral',
+  'lock:set': 'locks',
+  presence: 'cursor',
+  follow: 'cursor',
+  viewport: 'cursor',
+  chatMessage: 'chat',
+  'chat:edit': 'chat',
+  'chat:delete': 'chat',
+  'chat:history': 'chatMeta',
+  'chat:react': 'chatMeta',
+  'chat:unreact': 'chatMeta',
+  'comment:list': 'chatMeta',
+  'comment:create': 'chat',
+  'comment:reply': 'chat',
+  'comment:resolve': 'chat',
+  join: 'sync',
+  resume: 'sync',
+  'board-saved': 'sync',
+  'presenter:start': 'sync',
+  'presenter:update': 'sync',
+  'presenter:stop': 'sync',
+};
+
+// heavier events cost more than a stroke point
+const EVENT_COST = {
+  'element:create': 2,
+  'element:delete': 5,
+  'element:restore': 5,
+  'board-cleared': 10,
+  'history:undo': 5,
+  'history:redo': 5,
+};
+
+// don't answer a flood with a flood of errors
+const NOTICE_INTERVAL_MS = 2000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const socketLimiters = Object.fromEntries(
+  Object.entries(SOCKET_LIMITS).map(([cls, opts]) => [cls, createRateLimiter(opts)])
+);
+const roomLimiter = createRateLimiter(ROOM_CANVAS_LIMIT);
+
+setInterval(() => {
+  Object.values(socketLimiters).forEach((limiter) => limiter.prune());
+  roomLimiter.prune();
+}, PRUNE_INTERVAL_MS).unref();
+
+const notify = (socket, type, message, extra) => {
+  const now = Date.now();
+  socket.lastGuardNotice = socket.lastGuardNotice || {};
+  if (now - (socket.lastGuardNotice[type] || 0) < NOTICE_INTERVAL_MS) return;
+  socket.lastGuardNotice[type] = now;
+  emitError(socket, type, message, extra);
+};
+
+const withinLimits = (socket, event, roomId) => {
+  const cls = EVENT_CLASS[event];
+  if (!cls) return true;
+
+  const cost = EVENT_COST[event] || 1;
+  if (!socketLimiters[cls].take(socket.id, cost)) return false;
+
+  // room budget only for rooms this socket actually joined (keeps keys bounded)
+  if (cls === 'canvas' && typeof roomId === 'string' && getRoomRole(socket, roomId)) {
+    return roomLimiter.take(roomId, cost);
+  }
+  return true;
+};
+
+/**
+ * Rate limit + validate one inbound event.
+ * Returns { value } with the cleaned payload, or { error: 'rate-limited' | 'invalid-payload' }.
+ */
+function check(socket, event, payload) {
+  const roomId = payload?.roomId;
+
+  if (!withinLimits(socket, event, roomId)) {
+    metrics.recordDropped(event, 'rate-limited');
+    notify(socket, 'rate-limited', 'Too many events, slow down', { event, roomId });
+    return { error: 'rate-limited' };
+  }
+
+  const { value, error } = validatePayload(event, payload);
+  if (error) {
+    metrics.recordDropped(event, 'invalid-payload');
+    notify(socket, 'invalid-payload', `Invalid ${event} payload: ${error}`, { event, roomId });
+    return { error: 'invalid-payload' };
+  }
+
+  metrics.recordAccepted(event);
+  return { value };
+}
+
+// check() for handlers that don't care why: the cleaned payload or null
+const admit = (socket, event, payload) => check(socket, event, payload).value || null;
+
+// drop a disconnected socket's buckets
+function forgetSocket(socket) {
+  Object.values(socketLimiters).forEach((limiter) => limiter.delete(socket.id));
+}
+
+module.exports = { check, admit, forgetSocket };
@@ -0,0 +1,456 @@
+// payload schemas for realtime events
+// every inbound event is rebuilt from the fields listed here, so nothing a client
+// adds on top ends up in the room log or in other people's browsers.
+
+// shared logical canvas (see CanvasBoard.jsx)
+const VIRTUAL_WIDTH = 1920;
+const VIRTUAL_HEIGHT = 1080;
+// strokes may start a little outside the board
+const EDGE_MARGIN = 64;
+
+const MAX_STROKE_WIDTH = 60; // toolbar max 20, eraser draws at 3x
+const MAX_FONT_SIZE = 400;
+const MAX_TEXT_LENGTH = 500;
+const MAX_CHAT_LENGTH = 2000; // ChatMessage.text maxlength
+const MAX_STROKE_POINTS = 5000; // services/scene.js stops growing a stroke here
+const MAX_APPEND_POINTS = 200;
+const MAX_DELETE_IDS = 500;
+const MAX_HISTORY_OPS = 500; // ops per undo step (e.g. moving a big selection)
+const MAX_Z_INDEX = 1e9;
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+// op stamps may run this far ahead of the server clock (a clock far in the
+// future would win every last-writer-wins conflict)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const ELEMENT_TYPES = ['pen', 'eraser', 'rectangle', 'circle', 'line', 'text', 'fill', 'image'];
+// toolbar tools, shown next to people in the presence roster
+const TOOLS = ['pen', 'eraser', 'rectangle', 'circle', 'line', 'text', 'fill', 'select-rect', 'lasso', 'laser', 'ink', 'comment'];
+// pointing tools whose strokes are relayed but never kept
+const EPHEMERAL_TOOLS = ['laser', 'ink'];
+const MAX_IDLE_MS = 24 * 60 * 60 * 1000;
+const MAX_ZOOM = 8; // 1 = whole board fits the screen
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const CLIENT_ID = /^[\w-]{1,32}$/;
+const ELEMENT_ID = /^[\w-]{1,40}$/;
+const USER_ID = /^[\w-]{1,64}$/;
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+// one emoji (incl. skin tones / zwj sequences), no words or markup
+const EMOJI = /^[^\s\w<>&"']{1,16}$/u;
+const MAX_CHAT_PAGE = 100; // services/chat.js MAX_PAGE
+const COMMENT_STATUSES = ['open', 'resolved'];
+const IMAGE_DATA_URL = /^data:image\/(?:png|jpeg);base64,/;
+
+const { parseStamp } = require('../services/hlc');
+
+class PayloadError extends Error {}
+
+const fail = (field, why) => {
+  throw new PayloadError(`${field} ${why}`);
+};
+
+// ---- field checks (return the cleaned value or throw) ----
+
+const number = (v, field, min, max) => {
+  if (typeof v !== 'number' || !Number.isFinite(v)) fail(field, 'must be a number');
+  if (v < min || v > max) fail(field, `must be between ${min} and ${max}`);
+  return v;
+};
+
+const boolean = (v, field) => {
+  if (typeof v !== 'boolean') fail(field, 'must be a boolean');
+  return v;
+};
+
+const coordX = (v, field) => number(v, field, -EDGE_MARGIN, VIRTUAL_WIDTH + EDGE_MARGIN);
+const coordY = (v, field) => number(v, field, -EDGE_MARGIN, VIRTUAL_HEIGHT + EDGE_MARGIN);
+
+const point = (v, field) => {
+  if (!v || typeof v !== 'object') fail(field, 'must be a point');
+  return { x: coordX(v.x, `${field}.x`), y: coordY(v.y, `${field}.y`) };
+};
+
+const color = (v, field = 'color') => {
+  if (typeof v !== 'string' || !HEX_COLOR.test(v)) fail(field, 'must be a hex color');
+  return v;
+};
+
+const strokeWidth = (v) => number(v, 'strokeWidth', 1, MAX_STROKE_WIDTH);
+
+const oneOf = (v, field, allowed) => {
+  if (!allowed.includes(v)) fail(field, `must be one of ${allowed.join(', ')}`);
+  return v;
+};
+
+const text = (v, field, max, { allowEmpty = false } = {}) => {
+  if (typeof v !== 'string') fail(field, 'must be a string');
+  if (!allowEmpty && v.trim().length === 0) fail(field, 'must not be empty');
+  if (v.length > max) fail(field, `must be at most ${max} characters`);
+  return v;
+};
+
+const dataURL = (v, field, maxBytes) => {
+  if (typeof v !== 'string' || !IMAGE_DATA_URL.test(v)) fail(field, 'must be a PNG or JPEG data URL');
+  if (v.length > maxBytes) fail(field, `is too large (max ${Math.round(maxBytes / 1024)}KB)`);
+  return v;
+};
+
+// an image the server moved to storage (services/boardImages.js)
+const IMAGE_FILE = /^[a-f0-9]{40}\.(png|jpg)$/;
+const imageFile = (v, field) => {
+  if (typeof v !== 'string' || !IMAGE_FILE.test(v)) fail(field, 'must be a stored image name');
+  return v;
+};
+
+const rect = (p) => ({
+  x: coordX(p.x, 'x'),
+  y: coordY(p.y, 'y'),
+  width: number(p.width, 'width', 0, VIRTUAL_WIDTH + 2 * EDGE_MARGIN),
+  height: number(p.height, 'height', 0, VIRTUAL_HEIGHT + 2 * EDGE_MARGIN),
+});
+
+const seqNumber = (v, field) => {
+  if (!Number.isSafeInteger(v) || v < 0) fail(field, 'must be a sequence number');
+  return v;
+};
+
+const optional = (v, check) => (v === undefined || v === null ? undefined : check(v));
+
+const object = (v, field) => {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) fail(field, 'must be an object');
+  return v;
+};
+
+const list = (v, field, min, max, check) => {
+  if (!Array.isArray(v)) fail(field, 'must be an array');
+  if (v.length < min || v.length > max) fail(field, `must have ${min} to ${max} items`);
+  return v.map((item, i) => check(item, `${field}[${i}]`));
+};
+
+// hlc stamp of an op; the actor has to be the sending client
+const stamp = (p) => {
+  const s = parseStamp(p.stamp);
+  if (!s) fail('stamp', 'is invalid');
+  if (s.actor !== p.clientId) fail('stamp', 'does not belong to this client');
+  if (s.time > Date.now() + MAX_CLOCK_SKEW_MS) fail('stamp', 'is too far in the future');
+  return p.stamp;
+};
+
+const elementId = (v, field = 'id') => {
+  if (typeof v !== 'string' || !ELEMENT_ID.test(v)) fail(field, 'is not a valid element id');
+  return v;
+};
+
+// mongo ids (chat messages, comment threads)
+const objectId = (v, field) => {
+  if (typeof v !== 'string' || !OBJECT_ID.test(v)) fail(field, 'is not a valid id');
+  return v;
+};
+
+const emoji = (v, field = 'emoji') => {
+  if (typeof v !== 'string' || !EMOJI.test(v)) fail(field, 'must be an emoji');
+  return v;
+};
+
+// ---- vector elements (see services/scene.js) ----
+
+// null = a stroke point whose append hasn't arrived yet
+const strokePoint = (v, field) => (v === null ? null : point(v, field));
+
+// geometry per element type; an update replaces it as a whole
+const elementData = {
+  pen: (d) => ({ points: list(d.points, 'data.points', 1, MAX_STROKE_POINTS, strokePoint) }),
+  rectangle: (d) => ({ from: point(d.from, 'data.from'), to: point(d.to, 'data.to') }),
+  text: (d) => ({
+    x: coordX(d.x, 'data.x'),
+    y: coordY(d.y, 'data.y'),
+    text: text(d.text, 'data.text', MAX_TEXT_LENGTH),
+  }),
+  fill: (d) => ({ x: coordX(d.x, 'data.x'), y: coordY(d.y, 'data.y') }),
+  // inline data URL, or the name of an image the server stored for this board
+  image: (d) => ({
+    ...rect(d),
+    ...(d.file !== undefined
+      ? { file: imageFile(d.file, 'data.file') }
+      : { src: dataURL(d.src, 'data.src', MAX_IMAGE_BYTES) }),
+  }),
+};
+elementData.eraser = elementData.pen;
+elementData.circle = elementData.rectangle;
+elementData.line = elementData.rectangle;
+
+const elementStyle = (s) => ({
+  color: optional(s.color, (v) => color(v, 'style.color')),
+  strokeWidth: optional(s.strokeWidth, strokeWidth),
+  fontSize: optional(s.fontSize, (v) => number(v, 'style.fontSize', 6, MAX_FONT_SIZE)),
+});
+
+const zIndex = (v) => number(v, 'zIndex', -MAX_Z_INDEX, MAX_Z_INDEX);
+
+// offset of a moved element; enough to take anything from one edge to the other
+const transform = (v, field = 'transform') => {
+  object(v, field);
+  return {
+    x: number(v.x, `${field}.x`, -(VIRTUAL_WIDTH + 2 * EDGE_MARGIN), VIRTUAL_WIDTH + 2 * EDGE_MARGIN),
+    y: number(v.y, `${field}.y`, -(VIRTUAL_HEIGHT + 2 * EDGE_MARGIN), VIRTUAL_HEIGHT + 2 * EDGE_MARGIN),
+  };
+};
+
+// points written from index `at` on
+const append = (v) => {
+  object(v, 'append');
+  const at = number(v.at, 'append.at', 0, MAX_STROKE_POINTS - 1);
+  if (!Number.isInteger(at)) fail('append.at', 'must be an integer');
+  return { at, points: list(v.points, 'append.points', 1, MAX_APPEND_POINTS, point) };
+};
+
+const dropUndefined = (obj) => {
+  Object.keys(obj).forEach((k) => obj[k] === undefined && delete obj[k]);
+  return obj;
+};
+
+// ---- per-event schemas (roomId/clientId are handled for all of them) ----
+
+const schemas = {
+  // room membership + sync
+  join: () => ({}),
+  leave: () => ({}),
+  // since = last seq the client applied, null when it has none
+  resume: (p) => ({
+    since: p.since === null || p.since === undefined ? null : seqNumber(p.since, 'since'),
+  }),
+  'board-saved': () => ({}),
+
+  typing: (p) => ({
+    isTyping: boolean(p.isTyping, 'isTyping'),
+  }),
+
+  'element:create': (p) => {
+    const el = object(p.element, 'element');
+    const type = oneOf(el.type, 'element.type', ELEMENT_TYPES);
+    return {
+      element: {
+        id: elementId(el.id, 'element.id'),
+        type,
+        zIndex: zIndex(el.zIndex ?? 0),
+        data: elementData[type](object(el.data, 'element.data')),
+        style: dropUndefined(elementStyle(optional(el.style, (v) => object(v, 'element.style')) || {})),
+        transform: optional(el.transform, (v) => transform(v, 'element.transform')),
+      },
+    };
+  },
+
+  // every field sent overwrites its register; append adds points to a stroke
+  'element:update': (p) => {
+    const type = oneOf(p.elementType, 'elementType', ELEMENT_TYPES);
+    const value = {
+      id: elementId(p.id),
+      elementType: type,
+      zIndex: optional(p.zIndex, zIndex),
+      data: optional(p.data, (d) => elementData[type](object(d, 'data'))),
+      style: optional(p.style, (st) => dropUndefined(elementStyle(object(st, 'style')))),
+      transform: optional(p.transform, transform),
+      append: optional(p.append, append),
+    };
+    if (value.append && type !== 'pen' && type !== 'eraser') fail('append', 'only works on strokes');
+    if (!value.data && !value.style && value.zIndex === undefined && !value.transform && !value.append) {
+      fail('update', 'changes nothing');
+    }
+    return value;
+  },
+
+  'element:delete': (p) => ({
+    ids: list(p.ids, 'ids', 1, MAX_DELETE_IDS, elementId),
+  }),
+
+  // undo of a delete / redo of a create: the tombstone comes back as it was
+  'element:restore': (p) => ({
+    ids: list(p.ids, 'ids', 1, MAX_DELETE_IDS, elementId),
+  }),
+
+  // one undo step: the ops that revert an edit and the ops that redo it
+  // (unstamped; the server stamps them when they're replayed)
+  'history:push': (p) => ({
+    undo: historyOps(p.undo, 'undo'),
+    redo: historyOps(p.redo, 'redo'),
+  }),
+
+  'history:undo': () => ({}),
+
+  'history:redo': () => ({}),
+
+  'text-typing': (p) => ({
+    x: coordX(p.x, 'x'),
+    y: coordY(p.y, 'y'),
+    text: text(p.text, 'text', MAX_TEXT_LENGTH, { allowEmpty: true }),
+    color: color(p.color),
+    strokeWidth: strokeWidth(p.strokeWidth),
+  }),
+
+  'text-finalized': () => ({}),
+
+  'board-cleared': () => ({}),
+
+  cursor: (p) => ({
+    x: coordX(p.x, 'x'),
+    y: coordY(p.y, 'y'),
+  }),
+
+  // heartbeat + tool changes (services/presence.js)
+  presence: (p) => ({
+    tool: optional(p.tool, (v) => oneOf(v, 'tool', TOOLS)),
+    idleMs: optional(p.idleMs, (v) => number(v, 'idleMs', 0, MAX_IDLE_MS)),
+    hidden: optional(p.hidden, (v) => boolean(v, 'hidden')),
+  }),
+
+  // laser pointer / ephemeral ink batch (relayed live, never logged or saved)
+  ephemeral: (p) => ({
+    id: elementId(p.id),
+    tool: oneOf(p.tool, 'tool', EPHEMERAL_TOOLS),
+    points: list(p.points, 'points', 0, MAX_APPEND_POINTS, point),
+    color: color(p.color),
+    strokeWidth: strokeWidth(p.strokeWidth),
+    end: optional(p.end, (v) => boolean(v, 'end')),
+  }),
+
+  // soft locks: everything this socket is editing right now (empty releases)
+  'lock:set': (p) => ({
+    ids: list(p.ids || [], 'ids', 0, MAX_DELETE_IDS, elementId),
+    text: optional(p.text, (v) => point(v, 'text')),
+  }),
+
+  // follow mode: whose viewport we track (null stops)
+  follow: (p) => ({
+    userId: optional(p.userId, (v) => {
+      if (typeof v !== 'string' || !USER_ID.test(v)) fail('userId', 'must be a user id');
+      return v;
+    }),
+  }),
+
+  // what part of the board we're looking at, sent while someone follows us
+  viewport: (p) => ({
+    cx: coordX(p.cx, 'cx'),
+    cy: coordY(p.cy, 'cy'),
+    zoom: number(p.zoom, 'zoom', 1, MAX_ZOOM),
+  }),
+
+  // presenter mode
+  'presenter:start': (p) => ({
+    lockEditing: optional(p.lockEditing, (v) => boolean(v, 'lockEditing')),
+  }),
+
+  'presenter:update': (p) => ({
+    lockEditing: boolean(p.lockEditing, 'lockEditing'),
+  }),
+
+  'presenter:stop': () => ({}),
+
+  chatMessage: (p) => ({
+    text: text(p.text, 'text', MAX_CHAT_LENGTH),
+  }),
+
+  // history page before the oldest message the client has
+  'chat:history': (p) => ({
+    before: optional(p.before, (v) => objectId(v, 'before')),
+    limit: optional(p.limit, (v) => number(v, 'limit', 1, MAX_CHAT_PAGE)),
+  }),
+
+  'chat:edit': (p) => ({
+    messageId: objectId(p.messageId, 'messageId'),
+    text: text(p.text, 'text', MAX_CHAT_LENGTH),
+  }),
+
+  'chat:delete': (p) => ({
+    messageId: objectId(p.messageId, 'messageId'),
+  }),
+
+  'chat:react': (p) => ({
+    messageId: objectId(p.messageId, 'messageId'),
+    emoji: emoji(p.emoji),
+  }),
+
+  'chat:unreact': (p) => ({
+    messageId: objectId(p.messageId, 'messageId'),
+  }),
+
+  // comment threads, pinned to a point or a region of the board
+  'comment:list': (p) => ({
+    status: optional(p.status, (v) => oneOf(v, 'status', COMMENT_STATUSES)),
+  }),
+
+  'comment:create': (p) => {
+    const a = object(p.anchor, 'anchor');
+    return {
+      anchor: dropUndefined({
+        x: coordX(a.x, 'anchor.x'),
+        y: coordY(a.y, 'anchor.y'),
+        width: optional(a.width, (v) => number(v, 'anchor.width', 0, VIRTUAL_WIDTH + 2 * EDGE_MARGIN)),
+        height: optional(a.height, (v) => number(v, 'anchor.height', 0, VIRTUAL_HEIGHT + 2 * EDGE_MARGIN)),
+      }),
+      text: text(p.text, 'text', MAX_CHAT_LENGTH),
+    };
+  },
+
+  'comment:reply': (p) => ({
+    threadId: objectId(p.threadId, 'threadId'),
+    text: text(p.text, 'text', MAX_CHAT_LENGTH),
+  }),
+
+  'comment:resolve': (p) => ({
+    threadId: objectId(p.threadId, 'threadId'),
+    resolved: boolean(p.resolved, 'resolved'),
+  }),
+};
+
+// board ops carry the stamp their last-writer-wins merge is decided by (services/scene.js)
+const STAMPED_EVENTS = ['element:create', 'element:update', 'element:delete', 'element:restore', 'board-cleared'];
+
+// ops an undo step may replay (creates come back through element:restore)
+const HISTORY_OP_TYPES = ['element:update', 'element:delete', 'element:restore'];
+
+function historyOps(v, field) {
+  return list(v, field, 1, MAX_HISTORY_OPS, (op, f) => {
+    object(op, f);
+    const type = oneOf(op.type, `${f}.type`, HISTORY_OP_TYPES);
+    return dropUndefined({ type, ...schemas[type](op) });
+  });
+}
+
+/**
+ * Check and rebuild a payload for `event`.
+ * Returns { value } with only the known fields, or { error } describing the first problem.
+ * Every schema'd payload needs a `roomId` (REST routes reusing a schema pass the
+ * board id from the url, never one from the body).
+ * Events without a schema only have to be an object and pass through untouched.
+ */
+function validatePayload(event, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'payload must be an object' };
+  }
+
+  const schema = schemas[event];
+  if (!schema) return { value: payload };
+
+  try {
+    const value = { roomId: objectId(payload.roomId, 'roomId'), ...schema(payload) };
+    if (payload.clientId !== undefined) {
+      if (typeof payload.clientId !== 'string' || !CLIENT_ID.test(payload.clientId)) {
+        fail('clientId', 'is invalid');
+      }
+      value.clientId = payload.clientId;
+    }
+    if (STAMPED_EVENTS.includes(event)) value.stamp = stamp(payload);
+    // drop optional fields that weren't sent
+    return { value: dropUndefined(value) };
+  } catch (err) {
+    if (err instanceof PayloadError) return { error: err.message };
+    throw err;
+  }
+}
+
+module.exports = {
+  VIRTUAL_WIDTH,
+  VIRTUAL_HEIGHT,
+  MAX_IMAGE_BYTES,
+  validatePayload,
+};
@@ -0,0 +1,118 @@
+// sockets/access.js: who may do what in a board room, checked per event,
+// and removed members losing the room right away
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, fakeIo } = require('./helpers/http');
+const { stubBoard } = require('./helpers/db');
+const { Activity, Notification, UserProfile } = require('../models');
+const access = require('../sockets/access');
+const router = require('../routes/whiteboards');
+
+// a socket as the handlers see it
+const fakeSocket = (userId, { rooms = [], local = true } = {}) => {
+  const errors = [];
+  const emitted = [];
+  const left = [];
+  return {
+    userId,
+    userEmail: `${userId}@test.local`,
+    data: {},
+    rooms: new Set(rooms),
+    server: local ? {} : undefined,
+    errors,
+    emitted,
+    left,
+    emit(event, payload) {
+      (event === 'error' ? errors : emitted).push(event === 'error' ? payload : { event, payload });
+    },
+    leave(room) {
+      left.push(room);
+      this.rooms.delete(room);
+    },
+  };
+};
+
+test('resolveRoomAccess: same rules as the REST access check', async (t) => {
+  const board = stubBoard(t, {
+    ownerId: 'owner',
+    members: [
+      { userId: 'ed', role: 'editor' },
+      { userId: 'co', role: 'commenter' },
+    ],
+  });
+  const roomId = String(board._id);
+  const role = async (userId) => (await access.resolveRoomAccess(fakeSocket(userId), roomId)).role || null;
+
+  assert.equal(await role('owner'), 'owner');
+  assert.equal(await role('ed'), 'editor');
+  assert.equal(await role('co'), 'commenter');
+  assert.equal(await role('stranger'), null);
+
+  board.settings.isPublic = true;
+  assert.equal(await role('stranger'), 'viewer');
+
+  const missing = await access.resolveRoomAccess(fakeSocket('ed'), '0123456789abcdef01234567');
+  assert.equal(missing.error, 'not-found');
+  assert.equal((await access.resolveRoomAccess(fakeSocket('ed'), 'user:ed')).error, 'access-denied');
+});
+
+test('authorize: joined sockets only, and only with an allowed role', () => {
+  const roomId = 'room-1';
+  const outsider = fakeSocket('u1');
+  assert.equal(access.authorize(outsider, 'element:create', roomId), false);
+  assert.equal(outsider.errors[0].type, 'not-in-room');
+
+  const viewer = fakeSocket('u2', { rooms: [roomId] });
+  access.setRoomRole(viewer, roomId, 'viewer');
+  assert.equal(access.authorize(viewer, 'element:create', roomId), false);
+  assert.equal(viewer.errors[0].type, 'forbidden');
+  assert.equal(access.authorize(viewer, 'chatMessage', roomId, access.ANY_ROLE), true);
+
+  const commenter = fakeSocket('u3', { rooms: [roomId] });
+  access.setRoomRole(commenter, roomId, 'commenter');
+  assert.equal(access.authorize(commenter, 'comment:create', roomId, access.COMMENT_ROLES), true);
+  assert.equal(access.authorize(commenter, 'element:update', roomId), false);
+
+  const editor = fakeSocket('u4', { rooms: [roomId] });
+  access.setRoomRole(editor, roomId, 'editor');
+  assert.equal(access.authorize(editor, 'element:update', roomId), true);
+  // joined once, then left: the role alone isn't enough
+  editor.leave(roomId);
+  assert.equal(access.authorize(editor, 'element:update', roomId), false);
+});
+
+test('removing a member takes their open sockets out of the room', async (t) => {
+  const board = stubBoard(t, { ownerId: 'owner', members: [{ userId: 'ed', role: 'editor' }] });
+  const roomId = String(board._id);
+  t.mock.method(Activity, 'create', async () => ({}));
+  t.mock.method(UserProfile, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+  t.mock.method(Notification, 'create', async (fields) => new Notification(fields));
+
+  const here = fakeSocket('ed', { rooms: [roomId] });
+  access.setRoomRole(here, roomId, 'editor');
+  const elsewhere = fakeSocket('ed', { rooms: [roomId], local: false });
+  const io = fakeIo();
+  const asked = [];
+  io.in = (room) => ({
+    fetchSockets: async () => {
+      asked.push(room);
+      return [here, elsewhere];
+    },
+  });
+  const app = await serve('/api/whiteboards', router, { io });
+  t.after(app.close);
+
+  assert.equal((await app.request('DELETE', `/api/whiteboards/${roomId}/members/ed`, { user: 'ed' })).status, 403);
+  const res = await app.request('DELETE', `/api/whiteboards/${roomId}/members/ed`, { user: 'owner' });
+  assert.equal(res.status, 200);
+
+  assert.deepEqual(asked, ['user:ed']);
+  assert.deepEqual(board.members.map((m) => m.userId), []);
+  [here, elsewhere].forEach((s) => {
+    assert.deepEqual(s.left, [roomId]);
+    assert.deepEqual(s.emitted, [{ event: 'access:revoked', payload: { roomId } }]);
+  });
+  assert.equal(access.getRoomRole(here, roomId), null);
+  assert.equal(access.authorize(elsewhere, 'element:create', roomId), false);
+});
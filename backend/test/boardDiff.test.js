@@ -0,0 +1,69 @@
+// services/boardDiff.js: element and preview diffs between two board versions
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas } = require('@napi-rs/canvas');
+const { elementBounds, diffElements, diffImages } = require('../services/boardDiff');
+
+const rect = (id, x, extra = {}) => ({
+  id,
+  type: 'rectangle',
+  data: { from: { x, y: 10 }, to: { x: x + 40, y: 50 } },
+  style: { color: '#000000', strokeWidth: 2 },
+  ...extra,
+});
+
+test('elementBounds covers the stroke width and the move offset', () => {
+  assert.deepEqual(elementBounds(rect('a', 10)), { x: 9, y: 9, width: 42, height: 42 });
+  assert.deepEqual(elementBounds(rect('a', 10, { transform: { x: 100, y: -5 } })), { x: 109, y: 4, width: 42, height: 42 });
+  assert.deepEqual(
+    elementBounds({ type: 'circle', data: { from: { x: 100, y: 100 }, to: { x: 103, y: 104 } }, style: { strokeWidth: 2 } }),
+    { x: 94, y: 94, width: 12, height: 12 }
+  );
+  assert.equal(elementBounds({ type: 'fill', data: { x: 1, y: 1 } }), null);
+});
+
+test('diffElements sorts elements into added, removed and modified', () => {
+  const from = [rect('same', 0), rect('moved', 100), rect('restyled', 200), rect('gone', 300)];
+  const to = [
+    rect('same', 0),
+    rect('moved', 100, { transform: { x: 20, y: 0 } }),
+    rect('restyled', 200, { style: { color: '#ff0000', strokeWidth: 2 }, zIndex: 3 }),
+    rect('new', 400),
+  ];
+  const diff = diffElements(from, to);
+
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diff.added.map((e) => e.id), ['new']);
+  assert.deepEqual(diff.removed.map((e) => e.id), ['gone']);
+  assert.deepEqual(
+    diff.modified.map(({ id, changes }) => ({ id, changes })),
+    [
+      { id: 'moved', changes: ['moved'] },
+      { id: 'restyled', changes: ['style', 'order'] },
+    ]
+  );
+  const moved = diff.modified[0];
+  assert.equal(moved.bounds.x - moved.before.x, 20);
+});
+
+// a transparent preview at board size with optional black boxes
+const preview = (boxes = []) => {
+  const canvas = createCanvas(1920, 1080);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000000';
+  boxes.forEach(([x, y, w, h]) => ctx.fillRect(x, y, w, h));
+  return canvas.toBuffer('image/png');
+};
+
+test('diffImages finds the changed area of two previews', async () => {
+  const none = await diffImages(preview(), preview());
+  assert.deepEqual(none, { regions: [], changedPercent: 0 });
+
+  const { regions, changedPercent } = await diffImages(preview(), preview([[320, 160, 160, 80], [1600, 900, 64, 64]]));
+  assert.equal(regions.length, 2);
+  // largest first, snapped to the 16px grid around the drawn box
+  assert.deepEqual(regions[0], { x: 320, y: 160, width: 160, height: 80 });
+  assert.deepEqual(regions[1], { x: 1600, y: 896, width: 64, height: 80 });
+  assert.ok(changedPercent > 0 && changedPercent < 2);
+});
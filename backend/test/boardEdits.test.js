@@ -0,0 +1,126 @@
+// REST edits of a board (version restore, element import, canvas import) go through
+// the room log, and are refused like socket ops while a presenter has editing
+// locked (423) or someone else holds a lock on what they'd change (409)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'board-edits-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_DIR = dir;
+
+const { serve } = require('./helpers/http');
+const { query, stubBoard } = require('./helpers/db');
+const { Activity, Element } = require('../models');
+const canvasState = require('../services/canvasState');
+const presenter = require('../services/presenter');
+const elementLocks = require('../services/elementLocks');
+const versions = require('../services/boardVersions');
+const whiteboardsRouter = require('../routes/whiteboards');
+const versionsRouter = require('../routes/versions');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const rect = (id) => ({ id, type: 'rectangle', data: { from: { x: 0, y: 0 }, to: { x: 10, y: 10 } }, style: { color: '#000000' } });
+
+// a board owned by ann with bob as editor and one stored element 'old'; both routers served
+async function setup(t) {
+  const board = stubBoard(t, { ownerId: 'ann', members: [{ userId: 'bob', role: 'editor' }] });
+  const roomId = String(board._id);
+  t.mock.method(Element, 'find', () => query([{ elementId: 'old', ...rect('old'), clock: {} }]));
+  t.mock.method(Activity, 'create', async () => ({}));
+  const app = await serve('/api/whiteboards', whiteboardsRouter);
+  const versionsApp = await serve('/api/whiteboards/:id/versions', versionsRouter, { io: app.io });
+  t.after(async () => {
+    await app.close();
+    await versionsApp.close();
+    await presenter.clear(roomId);
+  });
+  return { board, roomId, app, versionsApp };
+}
+
+// the restore route with a version holding `elements`
+function stubVersion(t, roomId, elements) {
+  const version = { _id: new mongoose.Types.ObjectId(), whiteboardId: roomId, trigger: 'manual', createdAt: new Date() };
+  t.mock.method(versions, 'findVersion', async (room, id) => (String(id) === String(version._id) ? version : null));
+  t.mock.method(versions, 'readSnapshot', async () => elements);
+  const captured = t.mock.method(versions, 'captureVersion', async (room, options) => ({ ...version, ...options }));
+  return { version, captured };
+}
+
+test('restore: clear + the version elements go to the room, the old board is kept first', async (t) => {
+  const { roomId, versionsApp, app } = await setup(t);
+  const { version, captured } = stubVersion(t, roomId, [rect('a'), rect('b')]);
+
+  const res = await versionsApp.request('POST', `/api/whiteboards/${roomId}/versions/${version._id}/restore`, { user: 'bob' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(captured.mock.calls.map((c) => c.arguments[1].trigger), ['before-restore', 'restore']);
+  assert.deepEqual(
+    app.io.emitted.map(({ event, payload }) => [event, payload.element?.id]),
+    [['board-cleared', undefined], ['element:create', 'a'], ['element:create', 'b'], ['board:restored', undefined]]
+  );
+  assert.equal(res.body.seq, await canvasState.getSeq(roomId));
+});
+
+test('restore: 423 while someone else presents with editing locked, fine for the presenter', async (t) => {
+  const { roomId, versionsApp } = await setup(t);
+  const { version } = stubVersion(t, roomId, [rect('a')]);
+  await presenter.set(roomId, { userId: 'ann', socketId: 's1', name: 'Ann', lockEditing: true });
+  const url = `/api/whiteboards/${roomId}/versions/${version._id}/restore`;
+
+  const res = await versionsApp.request('POST', url, { user: 'bob' });
+  assert.equal(res.status, 423);
+  assert.equal(res.body.error, 'Ann is presenting and has editing locked.');
+  assert.equal((await versionsApp.request('POST', url, { user: 'ann' })).status, 200);
+});
+
+test('restore: 409 while someone else holds a lock on an element it would replace', async (t) => {
+  const { roomId, versionsApp } = await setup(t);
+  const { version, captured } = stubVersion(t, roomId, [rect('a')]);
+  await elementLocks.setLocks(roomId, { userId: 'ann', socketId: 's1', name: 'Ann' }, { ids: ['old'] });
+  t.after(() => elementLocks.releaseAll(roomId, 's1'));
+
+  const res = await versionsApp.request('POST', `/api/whiteboards/${roomId}/versions/${version._id}/restore`, { user: 'bob' });
+  assert.equal(res.status, 409);
+  assert.equal(captured.mock.callCount(), 0);
+});
+
+test('element import: same gates, then the elements go to the room', async (t) => {
+  const { roomId, app } = await setup(t);
+  const url = `/api/whiteboards/${roomId}/elements`;
+
+  await presenter.set(roomId, { userId: 'ann', socketId: 's1', name: 'Ann', lockEditing: true });
+  assert.equal((await app.request('POST', url, { user: 'bob', body: { elements: [rect('n1')] } })).status, 423);
+  await presenter.clear(roomId);
+
+  await elementLocks.setLocks(roomId, { userId: 'ann', socketId: 's1', name: 'Ann' }, { ids: ['n1'] });
+  t.after(() => elementLocks.releaseAll(roomId, 's1'));
+  assert.equal((await app.request('POST', url, { user: 'bob', body: { elements: [rect('n1')] } })).status, 409);
+  assert.equal(app.io.emitted.length, 0);
+
+  const res = await app.request('POST', url, { user: 'bob', body: { elements: [rect('n2')] } });
+  assert.equal(res.status, 201);
+  assert.deepEqual(app.io.emitted.map(({ event, payload }) => [event, payload.element.id]), [['element:create', 'n2']]);
+});
+
+test('canvas import: refused while the board it would clear is locked', async (t) => {
+  const { roomId, app } = await setup(t);
+  const url = `/api/whiteboards/${roomId}/canvas`;
+  const body = { canvasImage: 'data:image/png;base64,iVBORw0KGgo=' };
+
+  await presenter.set(roomId, { userId: 'ann', socketId: 's1', name: 'Ann', lockEditing: true });
+  assert.equal((await app.request('PUT', url, { user: 'bob', body })).status, 423);
+  await presenter.clear(roomId);
+
+  await elementLocks.setLocks(roomId, { userId: 'ann', socketId: 's1', name: 'Ann' }, { ids: ['old'] });
+  assert.equal((await app.request('PUT', url, { user: 'bob', body })).status, 409);
+  assert.equal(app.io.emitted.length, 0);
+
+  await elementLocks.releaseAll(roomId, 's1');
+  assert.equal((await app.request('PUT', url, { user: 'bob', body })).status, 200);
+  assert.deepEqual(app.io.emitted.map(({ event }) => event), ['board-cleared', 'element:create']);
+});
@@ -0,0 +1,122 @@
+// services/boardImages.js + image elements in services/scene.js: images stored once
+// per content, kept by file name through saves, previews/thumbnails, and raster
+// boards converted the first time they load (temp storage folder, models stubbed)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_DIR = dir;
+
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { query } = require('./helpers/db');
+const { Whiteboard, Element } = require('../models');
+const { getStorage } = require('../services/storage');
+const boardImages = require('../services/boardImages');
+const { loadScene, saveSceneDiff, LEGACY_IMAGE_ID } = require('../services/scene');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const pngDataURL = (color = '#ff0000', w = 4, h = 4) => {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, w, h);
+  return canvas.toDataURL('image/png');
+};
+
+const newRoom = () => String(new mongoose.Types.ObjectId());
+
+test('an image is stored once per content and read back as a data URL', async (t) => {
+  const roomId = newRoom();
+  const put = t.mock.method(getStorage(), 'put');
+  const src = pngDataURL();
+
+  const file = await boardImages.storeImage(roomId, src);
+  assert.match(file, /^[0-9a-f]{40}\.png$/);
+  assert.equal(await boardImages.storeImage(roomId, src), file);
+  assert.equal(put.mock.callCount(), 1);
+
+  const el = await boardImages.storeElementImage(roomId, { id: 'i', type: 'image', data: { x: 1, y: 2, src } });
+  assert.deepEqual(el.data, { x: 1, y: 2, file });
+
+  const errors = t.mock.method(console, 'error', () => {});
+  const [inlined, missing] = await boardImages.inlineImages(roomId, [el, { ...el, id: 'j', data: { file: 'gone.png' } }]);
+  assert.equal(inlined.data.src, src);
+  assert.equal(missing.data.src, undefined);
+  assert.equal(errors.mock.callCount(), 1);
+});
+
+test('previews go to storage; the thumbnail is a small jpeg', async () => {
+  const roomId = newRoom();
+  const { preview, thumbnail } = await boardImages.savePreview(roomId, createCanvas(1920, 1080));
+
+  assert.match(preview.etag, /^[0-9a-f]{40}$/);
+  assert.equal((await boardImages.readPreview(roomId)).length, preview.size);
+  assert.match(thumbnail, /^data:image\/jpeg;base64,/);
+  const img = await loadImage(Buffer.from(thumbnail.split(',')[1], 'base64'));
+  assert.deepEqual([img.width, img.height], [320, 180]);
+});
+
+// an Element collection in memory: writes go through mongoose's casting (strict
+// schema), reads give back what was written
+function stubElements(t) {
+  const docs = new Map();
+  t.mock.method(Element.collection, 'bulkWrite', async (ops) => {
+    ops.forEach(({ replaceOne }) => replaceOne && docs.set(replaceOne.replacement.elementId, replaceOne.replacement));
+    return {};
+  });
+  t.mock.method(Element.collection, 'updateOne', async (filter, { $setOnInsert }) => {
+    if (!docs.has(filter.elementId)) docs.set(filter.elementId, { ...$setOnInsert, elementId: filter.elementId });
+    return {};
+  });
+  t.mock.method(Element, 'find', () => query(() => [...docs.values()]));
+  return docs;
+}
+
+test('an image element keeps its file through a save and a load', async (t) => {
+  const roomId = newRoom();
+  stubElements(t);
+  t.mock.method(Whiteboard, 'findById', () => query({ _id: roomId, canvasFormat: 'vector', canvasSeq: 3 }));
+
+  const image = { id: 'img', type: 'image', zIndex: 1, data: { x: 5, y: 5, width: 40, height: 30, file: 'abc.png' }, style: {}, clock: {} };
+  await saveSceneDiff(roomId, new Map(), new Map([[image.id, image]]));
+
+  const { stored } = await loadScene(roomId);
+  assert.deepEqual(stored.get('img').data, { x: 5, y: 5, width: 40, height: 30, file: 'abc.png', points: [] });
+});
+
+test('a raster board is converted on its first load, and only then', async (t) => {
+  const roomId = newRoom();
+  const docs = stubElements(t);
+  const board = { _id: new mongoose.Types.ObjectId(roomId), canvasImage: pngDataURL('#00ff00'), canvasBounds: { x: 10, y: 20, width: 100, height: 50 } };
+  t.mock.method(Whiteboard, 'findById', () => query(() => ({ ...board })));
+  const updates = [];
+  t.mock.method(Whiteboard, 'updateOne', async (filter, update) => {
+    updates.push(update);
+    if (update.$unset?.canvasImage === '') delete board.canvasImage;
+    Object.assign(board, update.$set);
+  });
+  const put = t.mock.method(getStorage(), 'put');
+
+  const first = await loadScene(roomId);
+  const el = first.scene.elements.get(LEGACY_IMAGE_ID);
+  const { file, ...box } = el.data;
+  assert.deepEqual(box, { x: 10, y: 20, width: 100, height: 50 });
+  assert.match(file, /\.png$/);
+  assert.equal(docs.get(LEGACY_IMAGE_ID).data.file, el.data.file);
+  assert.ok(await getStorage().exists(`boards/${roomId}/images/${el.data.file}`));
+  assert.deepEqual(updates, [{ $set: { canvasFormat: 'vector' }, $unset: { canvasImage: '', canvasBounds: '' } }]);
+  // already stored: a save right after has nothing to write for it
+  assert.equal(first.stored.get(LEGACY_IMAGE_ID), el);
+
+  const second = await loadScene(roomId);
+  assert.equal(second.stored.get(LEGACY_IMAGE_ID).data.file, el.data.file);
+  assert.equal(put.mock.callCount(), 1);
+  assert.equal(updates.length, 1);
+});
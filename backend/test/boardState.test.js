@@ -0,0 +1,90 @@
+// services/boardState.js: what a (re)joining client gets (memory log, models stubbed)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query } = require('./helpers/db');
+const { Whiteboard, Element } = require('../models');
+const canvasState = require('../services/canvasState');
+const { getBoardState, getLiveElements } = require('../services/boardState');
+
+const stamp = (n) => `${Date.now()}.${String(n).padStart(4, '0')}.u1`;
+const rect = (id, n) => ({
+  type: 'element:create',
+  stamp: stamp(n),
+  element: { id, type: 'rectangle', data: { from: { x: 0, y: 0 }, to: { x: 5, y: 5 } }, style: {} },
+});
+
+// a stored board; `board()` / `elements()` are read when loadScene awaits them
+function stubBoard(t, { board = () => ({ canvasSeq: 0, canvasFormat: 'vector' }), elements = () => [] } = {}) {
+  const roomId = String(new mongoose.Types.ObjectId());
+  t.mock.method(Whiteboard, 'findById', (id) => query(() => (String(id) === roomId ? { _id: roomId, ...board() } : null)));
+  t.mock.method(Element, 'find', () => query(elements));
+  return roomId;
+}
+
+test('a client that is still inside the log gets a delta', async (t) => {
+  const roomId = stubBoard(t);
+  await canvasState.appendEvent(roomId, rect('a', 1));
+  await canvasState.appendEvent(roomId, rect('b', 2));
+
+  const state = await getBoardState(roomId, { since: 1 });
+  assert.equal(state.reset, false);
+  assert.equal(state.seq, 2);
+  assert.deepEqual(state.events.map((e) => e.element.id), ['b']);
+  assert.equal(Element.find.mock.callCount(), 0);
+});
+
+test('no since, one older than the log or one past it: a reset', async (t) => {
+  const roomId = stubBoard(t, {
+    board: () => ({ canvasSeq: 2, canvasFormat: 'vector' }),
+    elements: () => [{ elementId: 'a', type: 'rectangle', data: { x: 1 }, clock: {} }],
+  });
+  for (let i = 1; i <= 3; i++) await canvasState.appendEvent(roomId, rect(`e${i}`, i));
+  await canvasState.truncate(roomId, 2);
+
+  for (const since of [undefined, 1, 4]) {
+    const state = await getBoardState(roomId, { since });
+    assert.equal(state.reset, true);
+    assert.equal(state.baseSeq, 2);
+    assert.deepEqual(state.snapshot.elements.map((el) => el.id), ['a']);
+    assert.equal(state.snapshot.seq, 2);
+    assert.deepEqual(state.events.map((e) => e.seq), [3]);
+  }
+});
+
+test('a compaction while the snapshot loads loses nothing', async (t) => {
+  // the compaction lands right after the board was read: the elements it stores
+  // aren't in this snapshot, so they have to still be in the tail
+  const roomId = stubBoard(t, {
+    board: () => {
+      canvasState.truncate(roomId, 1);
+      return { canvasSeq: 0, canvasFormat: 'vector' };
+    },
+  });
+  await canvasState.appendEvent(roomId, rect('a', 1));
+
+  const state = await getBoardState(roomId);
+  assert.deepEqual(state.snapshot.elements, []);
+  assert.deepEqual(state.events.map((e) => e.element.id), ['a']);
+});
+
+test('unknown boards reset to no snapshot', async (t) => {
+  stubBoard(t);
+  const other = String(new mongoose.Types.ObjectId());
+  const state = await getBoardState(other, { since: 5 });
+  assert.equal(state.reset, true);
+  assert.equal(state.snapshot, null);
+});
+
+test('live elements: stored ones plus the logged ops, in paint order', async (t) => {
+  const roomId = stubBoard(t, {
+    elements: () => [{ elementId: 'a', type: 'rectangle', zIndex: 2, data: { x: 1 }, clock: {} }],
+  });
+  await canvasState.appendEvent(roomId, rect('b', 1));
+
+  const { elements, seq, wb } = await getLiveElements(roomId);
+  assert.deepEqual(elements.map((el) => el.id), ['b', 'a']);
+  assert.equal(seq, 1);
+  assert.ok(wb);
+});
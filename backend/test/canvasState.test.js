@@ -0,0 +1,75 @@
+// services/canvasState.js + services/storeMode.js: one room log per process,
+// picked at startup; a redis outage fails calls instead of starting a second log
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeRedis = require('./helpers/fakeRedis');
+const storeMode = require('../services/storeMode');
+const canvasState = require('../services/canvasState');
+const undoHistory = require('../services/undoHistory');
+const presenter = require('../services/presenter');
+const presence = require('../services/presence');
+const elementLocks = require('../services/elementLocks');
+
+const redis = fakeRedis.install();
+
+test.afterEach(() => {
+  redis.down = false;
+});
+
+test('redis log: seqs keep counting, since/truncate/clear work', async () => {
+  assert.equal(storeMode.init(), 'redis');
+  const room = 'room-a';
+
+  assert.equal((await canvasState.appendEvent(room, { type: 'element:create', seq: 99 })).seq, 1);
+  assert.equal((await canvasState.appendEvent(room, { type: 'element:update' })).seq, 2);
+  assert.equal((await canvasState.appendEvent(room, { type: 'element:delete' })).seq, 3);
+
+  assert.deepEqual((await canvasState.getEvents(room, { since: 1 })).map((e) => e.seq), [2, 3]);
+
+  await canvasState.truncate(room, 2);
+  assert.equal(await canvasState.getBaseSeq(room), 2);
+  assert.deepEqual((await canvasState.getEvents(room)).map((e) => e.type), ['element:delete']);
+
+  await canvasState.clearEvents(room);
+  assert.equal(await canvasState.countEvents(room), 0);
+  assert.equal(await canvasState.getSeq(room), 3);
+  assert.deepEqual(await canvasState.listRooms(), [room]);
+});
+
+test('redis down: log calls fail and nothing forks into memory', async () => {
+  storeMode.init();
+  const room = 'room-b';
+  await canvasState.appendEvent(room, { type: 'element:create' });
+
+  redis.down = true;
+  await assert.rejects(canvasState.appendEvent(room, { type: 'element:update' }), /Canvas log unavailable/);
+  await assert.rejects(canvasState.getEvents(room), /Canvas log unavailable/);
+
+  redis.down = false;
+  assert.equal((await canvasState.appendEvent(room, { type: 'element:update' })).seq, 2);
+  assert.deepEqual((await canvasState.getEvents(room)).map((e) => e.seq), [1, 2]);
+});
+
+test('redis down: the other room stores fail the same way', async () => {
+  storeMode.init();
+  redis.down = true;
+  const step = { undo: [], redo: [] };
+
+  await assert.rejects(undoHistory.push('r', 'u1', step), /Undo history unavailable/);
+  await assert.rejects(presenter.get('r', { fresh: true }), /Presenter unavailable/);
+  await assert.rejects(presenter.claim('r', { userId: 'u1', socketId: 's1' }), /Presenter unavailable/);
+  await assert.rejects(presence.join('r', 's1', { userId: 'u1', name: 'A' }), /Presence unavailable/);
+  await assert.rejects(elementLocks.lockedByOthers('r-uncached', 'u1', ['a']), /Element locks unavailable/);
+});
+
+test('the store is fixed at init: redis coming back later is not picked up', async () => {
+  redis.down = true;
+  assert.equal(storeMode.init(), 'memory');
+  redis.down = false;
+
+  assert.equal(storeMode.backend(), 'memory');
+  const room = 'room-c';
+  assert.equal((await canvasState.appendEvent(room, { type: 'element:create' })).seq, 1);
+  assert.equal(redis.data.has('canvas:room-c:seq'), false);
+});
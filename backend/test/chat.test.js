@@ -0,0 +1,88 @@
+// services/chat.js + routes/chat.js: only authors edit/delete, reactions swap,
+// and the REST routes pass the same payload checks as the socket events
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { serve } = require('./helpers/http');
+const { query, doc, stubBoard } = require('./helpers/db');
+const { ChatMessage } = require('../models');
+const router = require('../routes/chat');
+
+// one stored message on the board that ChatMessage.findOne finds
+function stubMessage(t, board, fields = {}) {
+  const msg = doc(t, ChatMessage, {
+    _id: new mongoose.Types.ObjectId(),
+    whiteboardId: board._id,
+    userId: 'ann',
+    userName: 'Ann',
+    text: 'hello',
+    ...fields,
+  });
+  t.mock.method(ChatMessage, 'findOne', (filter) =>
+    query(String(filter._id) === String(msg._id) && String(filter.whiteboardId) === String(board._id) && !msg.isDeleted ? msg : null)
+  );
+  return msg;
+}
+
+async function setup(t) {
+  const board = stubBoard(t, { ownerId: 'ann', members: [{ userId: 'bob', role: 'viewer' }] });
+  const msg = stubMessage(t, board);
+  const app = await serve('/api/whiteboards/:id/messages', router);
+  t.after(app.close);
+  return { board, msg, app, url: `/api/whiteboards/${board._id}/messages/${msg._id}`, roomId: String(board._id) };
+}
+
+test('PATCH edits your own message and tells the room', async (t) => {
+  const { msg, app, url, roomId } = await setup(t);
+
+  // a room id in the body doesn't move the edit anywhere else
+  const res = await app.request('PATCH', url, { user: 'ann', body: { text: '  hi there ', roomId: 'elsewhere' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message.text, 'hi there');
+  assert.equal(res.body.message.isEdited, true);
+  assert.equal(msg.text, 'hi there');
+  assert.deepEqual(app.io.emitted.map(({ room, event }) => [room, event]), [[roomId, 'chat:updated']]);
+});
+
+test("someone else's message can't be edited or deleted", async (t) => {
+  const { msg, app, url } = await setup(t);
+
+  assert.equal((await app.request('PATCH', url, { user: 'bob', body: { text: 'mine now' } })).status, 403);
+  assert.equal((await app.request('DELETE', url, { user: 'bob' })).status, 403);
+  assert.equal(msg.text, 'hello');
+  assert.equal(app.io.emitted.length, 0);
+});
+
+test('bad payloads get the socket validation error', async (t) => {
+  const { app, url, board } = await setup(t);
+
+  const empty = await app.request('PATCH', url, { user: 'ann', body: { text: '   ' } });
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.error, /text/);
+  const badId = await app.request('PATCH', `/api/whiteboards/${board._id}/messages/nope`, { user: 'ann', body: { text: 'x' } });
+  assert.equal(badId.status, 400);
+  assert.match(badId.body.error, /messageId/);
+});
+
+test('deleting hides the message; later edits find nothing', async (t) => {
+  const { msg, app, url, roomId } = await setup(t);
+
+  const res = await app.request('DELETE', url, { user: 'ann' });
+  assert.equal(res.status, 200);
+  assert.equal(msg.isDeleted, true);
+  assert.deepEqual(app.io.emitted[0], { room: roomId, event: 'chat:deleted', payload: { messageId: String(msg._id) } });
+  assert.equal((await app.request('PATCH', url, { user: 'ann', body: { text: 'back' } })).status, 404);
+});
+
+test('one reaction per person: reacting again swaps it, unreact removes it', async (t) => {
+  const { msg, app, url } = await setup(t);
+
+  assert.equal((await app.request('POST', `${url}/reactions`, { user: 'bob', body: { emoji: '👍' } })).status, 201);
+  const res = await app.request('POST', `${url}/reactions`, { user: 'bob', body: { emoji: '🎉' } });
+  assert.deepEqual(res.body.message.reactions, [{ userId: 'bob', emoji: '🎉' }]);
+
+  await app.request('DELETE', `${url}/reactions`, { user: 'bob' });
+  assert.equal(msg.reactions.length, 0);
+  assert.equal(app.io.emitted.length, 3);
+});
@@ -0,0 +1,60 @@
+// services/clusterLock.js: one instance per job run, never unlocked while redis is down
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeRedis = require('./helpers/fakeRedis');
+const storeMode = require('../services/storeMode');
+const { withClusterLock, INSTANCE_ID } = require('../services/clusterLock');
+
+const redis = fakeRedis.install();
+
+test.afterEach(() => {
+  redis.down = false;
+  redis.data.clear();
+});
+
+test('a held lock skips the job; a released one can be taken again', async () => {
+  storeMode.init();
+  let runs = 0;
+  const job = () => withClusterLock('job', 60000, async () => {
+    runs += 1;
+    assert.equal(await withClusterLock('job', 60000, async () => (runs += 100)), false);
+  });
+
+  assert.equal(await job(), true);
+  assert.equal(await job(), true);
+  assert.equal(runs, 2);
+  assert.equal(redis.data.has('lock:job'), false);
+});
+
+test('keep leaves the lock until its ttl runs out', async () => {
+  storeMode.init();
+  assert.equal(await withClusterLock('periodic', 60000, async () => {}, { keep: true }), true);
+  assert.equal(redis.data.get('lock:periodic'), INSTANCE_ID);
+  assert.equal(await withClusterLock('periodic', 60000, async () => {}, { keep: true }), false);
+});
+
+test('releasing leaves a lock another instance took after ours expired', async () => {
+  storeMode.init();
+  await withClusterLock('slow', 60000, async () => {
+    // our ttl ran out mid-job and someone else got the lock
+    redis.data.set('lock:slow', 'other-instance');
+  });
+  assert.equal(redis.data.get('lock:slow'), 'other-instance');
+});
+
+test('redis configured but down: the job is skipped', async () => {
+  storeMode.init();
+  redis.down = true;
+  let ran = false;
+  assert.equal(await withClusterLock('job', 60000, async () => (ran = true)), false);
+  assert.equal(ran, false);
+});
+
+test('no redis at startup: the single instance just runs the job', async () => {
+  redis.down = true;
+  storeMode.init();
+  let ran = false;
+  assert.equal(await withClusterLock('job', 60000, async () => (ran = true)), true);
+  assert.equal(ran, true);
+});
@@ -0,0 +1,83 @@
+// services/comments.js + routes/comments.js: threads pinned to the board, for
+// owners, editors and commenters; every change goes out to the room
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { serve } = require('./helpers/http');
+const { query, doc, stubBoard } = require('./helpers/db');
+const { CommentThread } = require('../models');
+const router = require('../routes/comments');
+
+async function setup(t) {
+  const board = stubBoard(t, {
+    ownerId: 'ann',
+    members: [
+      { userId: 'co', role: 'commenter' },
+      { userId: 'vi', role: 'viewer' },
+    ],
+  });
+  const threads = [];
+  t.mock.method(CommentThread, 'create', async (fields) => {
+    const thread = doc(t, CommentThread, { ...fields, createdAt: new Date() });
+    threads.push(thread);
+    return thread;
+  });
+  t.mock.method(CommentThread, 'findOne', (filter) =>
+    query(threads.find((th) => String(th._id) === String(filter._id) && String(th.whiteboardId) === String(filter.whiteboardId)) || null)
+  );
+  const app = await serve('/api/whiteboards/:id/comments', router);
+  t.after(app.close);
+  return { board, threads, app, url: `/api/whiteboards/${board._id}/comments`, roomId: String(board._id) };
+}
+
+test('a commenter starts a thread and the room gets it', async (t) => {
+  const { app, url, roomId, threads } = await setup(t);
+
+  // a room id in the body doesn't put the thread on another board
+  const res = await app.request('POST', url, {
+    user: 'co',
+    body: { anchor: { x: 10, y: 20 }, text: ' looks off ', roomId: 'elsewhere' },
+  });
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body.thread.anchor, { x: 10, y: 20, width: 0, height: 0 });
+  assert.deepEqual(res.body.thread.comments.map((c) => [c.userId, c.text]), [['co', 'looks off']]);
+  assert.equal(String(threads[0].whiteboardId), roomId);
+  assert.deepEqual(app.io.emitted.map(({ room, event }) => [room, event]), [[roomId, 'comment:thread']]);
+});
+
+test('viewers can read but not comment; bad anchors are refused', async (t) => {
+  const { app, url } = await setup(t);
+
+  assert.equal((await app.request('POST', url, { user: 'vi', body: { anchor: { x: 0, y: 0 }, text: 'hi' } })).status, 403);
+  const bad = await app.request('POST', url, { user: 'co', body: { anchor: { x: 'left', y: 0 }, text: 'hi' } });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /anchor\.x/);
+  assert.equal(app.io.emitted.length, 0);
+});
+
+test('resolve, then a reply reopens the thread', async (t) => {
+  const { app, url } = await setup(t);
+  const created = await app.request('POST', url, { user: 'ann', body: { anchor: { x: 0, y: 0 }, text: 'fix this' } });
+  const threadUrl = `${url}/${created.body.thread._id}`;
+
+  const resolved = await app.request('PATCH', threadUrl, { user: 'co', body: { resolved: true } });
+  assert.equal(resolved.status, 200);
+  assert.equal(resolved.body.thread.status, 'resolved');
+  assert.equal(resolved.body.thread.resolvedBy, 'co');
+
+  const reply = await app.request('POST', `${threadUrl}/replies`, { user: 'ann', body: { text: 'not yet' } });
+  assert.equal(reply.status, 201);
+  assert.equal(reply.body.thread.status, 'open');
+  assert.equal(reply.body.thread.resolvedBy, null);
+  assert.deepEqual(reply.body.thread.comments.map((c) => c.text), ['fix this', 'not yet']);
+  assert.equal(app.io.emitted.length, 3);
+});
+
+test('unknown threads are a 404', async (t) => {
+  const { app, url } = await setup(t);
+  const missing = `${url}/${new mongoose.Types.ObjectId()}`;
+
+  assert.equal((await app.request('PATCH', missing, { user: 'ann', body: { resolved: true } })).status, 404);
+  assert.equal((await app.request('POST', `${missing}/replies`, { user: 'ann', body: { text: 'hi' } })).status, 404);
+});
@@ -0,0 +1,126 @@
+// services/compactor.js: folding a room's log into the Element collection
+// (memory log, models stubbed, previews and versions go to a temp storage folder)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compactor-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_DIR = dir;
+process.env.CANVAS_COMPACT_THRESHOLD = '3';
+
+const { query } = require('./helpers/db');
+const { Whiteboard, Element, BoardVersion, UserProfile } = require('../models');
+const canvasState = require('../services/canvasState');
+const compactor = require('../services/compactor');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const stamp = (n) => `${Date.now()}.${String(n).padStart(4, '0')}.u1`;
+const rect = (id, n) => ({
+  type: 'element:create',
+  stamp: stamp(n),
+  userId: 'u1',
+  element: { id, type: 'rectangle', data: { from: { x: 0, y: 0 }, to: { x: 10, y: 10 } }, style: { color: '#000' } },
+});
+
+// one stored board with no elements yet; records what gets written
+function stubDb(t, { latestVersion = { hash: 'other', createdAt: new Date() } } = {}) {
+  const roomId = String(new mongoose.Types.ObjectId());
+  const writes = { bulk: [], updates: [], versions: [] };
+  t.mock.method(Whiteboard, 'findById', (id) =>
+    query(String(id) === roomId ? { _id: roomId, ownerId: 'owner', canvasSeq: 0, canvasFormat: 'vector' } : null)
+  );
+  t.mock.method(Element, 'find', () => query([]));
+  t.mock.method(Element, 'bulkWrite', async (ops) => writes.bulk.push(...ops));
+  t.mock.method(Whiteboard, 'updateOne', async (filter, update) => writes.updates.push(update));
+  t.mock.method(BoardVersion, 'findOne', () => query(latestVersion));
+  t.mock.method(BoardVersion, 'find', () => query([]));
+  t.mock.method(BoardVersion, 'create', async (fields) => {
+    writes.versions.push(fields);
+    return { toObject: () => fields };
+  });
+  t.mock.method(UserProfile, 'findById', () => query(null));
+  return { roomId, writes };
+}
+
+test('a save folds the log into elements, stores the preview and truncates', async (t) => {
+  const { roomId, writes } = stubDb(t);
+  await canvasState.appendEvent(roomId, rect('a', 1));
+  await canvasState.appendEvent(roomId, rect('b', 2));
+  await canvasState.appendEvent(roomId, { type: 'element:delete', ids: ['b'], stamp: stamp(3), userId: 'u1' });
+
+  const res = await compactor.saveRoom(roomId);
+  assert.deepEqual({ uptoSeq: res.uptoSeq, folded: res.folded, elements: res.elements }, { uptoSeq: 3, folded: 3, elements: 1 });
+
+  // the tombstone is stored too, so a late update can't bring b back
+  const saved = writes.bulk.map((op) => op.replaceOne.replacement);
+  assert.deepEqual(saved.map((d) => [d.elementId, d.deleted]), [['a', false], ['b', true]]);
+
+  const { $set, $unset } = writes.updates[0];
+  assert.equal($set.canvasSeq, 3);
+  assert.equal($set.canvasFormat, 'vector');
+  assert.ok($set.preview && $set.thumbnail);
+  assert.ok($set.lastModified instanceof Date);
+  assert.deepEqual($unset, { canvasImage: '', canvasBounds: '' });
+
+  assert.deepEqual(await canvasState.getEvents(roomId), []);
+  assert.equal(await canvasState.getBaseSeq(roomId), 3);
+});
+
+test('nothing to save: empty log, preview rooms', async (t) => {
+  const { roomId, writes } = stubDb(t);
+  assert.equal(await compactor.saveRoom(roomId), null);
+  assert.equal(await compactor.saveRoom('preview-room'), null);
+  assert.equal(writes.bulk.length + writes.updates.length, 0);
+});
+
+test('a clear leaves a before-clear version of what it wiped', async (t) => {
+  const { roomId, writes } = stubDb(t, { latestVersion: null });
+  await canvasState.appendEvent(roomId, rect('a', 1));
+  await canvasState.appendEvent(roomId, { type: 'board-cleared', stamp: stamp(2), userId: 'u2' });
+
+  const res = await compactor.saveRoom(roomId, { trigger: 'manual', user: { userId: 'u1', userName: 'Ann' } });
+  assert.equal(res.elements, 0);
+
+  // the empty board after the clear is saved too (a manual save always is)
+  assert.deepEqual(
+    writes.versions.map((v) => [v.trigger, v.seq, v.elementCount, v.createdBy]),
+    [['before-clear', 1, 1, 'u2'], ['manual', 2, 0, 'u1']]
+  );
+});
+
+test('maybeCompact only looks every 50 seqs and saves once the log is long enough', async (t) => {
+  const { roomId, writes } = stubDb(t);
+  for (let i = 1; i <= 3; i++) await canvasState.appendEvent(roomId, rect(`e${i}`, i));
+
+  compactor.maybeCompact(roomId, 49);
+  compactor.maybeCompact(roomId, 50);
+  while ((await canvasState.countEvents(roomId)) > 0) await new Promise((r) => setImmediate(r));
+
+  assert.equal(writes.updates.length, 1);
+  assert.equal(writes.updates[0].$set.canvasSeq, 3);
+});
+
+test('compactAll saves every room with events and keeps going past a failing one', async (t) => {
+  const { roomId, writes } = stubDb(t);
+  const broken = String(new mongoose.Types.ObjectId());
+  await canvasState.appendEvent(broken, rect('x', 1));
+  await canvasState.appendEvent(roomId, rect('a', 1));
+
+  const find = Element.find;
+  t.mock.method(Element, 'find', (filter) =>
+    String(filter.whiteboardId) === broken ? query(() => Promise.reject(new Error('db down'))) : find(filter)
+  );
+  const errors = t.mock.method(console, 'error', () => {});
+
+  assert.equal(await compactor.compactAll(), 1);
+  assert.equal(writes.updates.length, 1);
+  assert.equal(errors.mock.callCount(), 1);
+  // the failed room keeps its log for the next pass
+  assert.equal(await canvasState.countEvents(broken), 1);
+});
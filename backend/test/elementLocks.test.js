@@ -0,0 +1,75 @@
+// services/elementLocks.js: soft locks on selections and text spots (redis store,
+// Date.now mocked)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeRedis = require('./helpers/fakeRedis');
+const storeMode = require('../services/storeMode');
+const elementLocks = require('../services/elementLocks');
+
+fakeRedis.install();
+storeMode.init();
+
+let now = 1_000_000;
+let rooms = 0;
+test.beforeEach((t) => {
+  t.mock.method(Date, 'now', () => now);
+});
+const room = () => `room-${(rooms += 1)}`;
+const ann = { userId: 'u1', socketId: 's1', name: 'Ann' };
+const annTab = { userId: 'u1', socketId: 's3', name: 'Ann' };
+const bob = { userId: 'u2', socketId: 's2', name: 'Bob' };
+
+test('selecting what someone else holds is denied, the rest is granted', async () => {
+  const r = room();
+  await elementLocks.setLocks(r, ann, { ids: ['a', 'b'] });
+  const res = await elementLocks.setLocks(r, bob, { ids: ['b', 'c'] });
+
+  assert.deepEqual(res.granted, ['c']);
+  assert.deepEqual(res.denied.map((l) => [l.id, l.name]), [['b', 'Ann']]);
+  assert.deepEqual(await elementLocks.lockedByOthers(r, 'u2', ['a', 'b', 'c']), ['a', 'b']);
+  // the same user's other tab isn't blocked
+  assert.deepEqual((await elementLocks.setLocks(r, annTab, { ids: ['a'] })).granted, ['a']);
+});
+
+test('two people grabbing the same element at once: one gets it', async () => {
+  const r = room();
+  const [a, b] = await Promise.all([
+    elementLocks.setLocks(r, ann, { ids: ['x'] }),
+    elementLocks.setLocks(r, bob, { ids: ['x'] }),
+  ]);
+  assert.equal(a.granted.length + b.granted.length, 1);
+  assert.equal(a.denied.length + b.denied.length, 1);
+});
+
+test('a new selection replaces the old one, releaseAll drops everything', async () => {
+  const r = room();
+  await elementLocks.setLocks(r, ann, { ids: ['a', 'b'], text: { x: 0, y: 0 } });
+  await elementLocks.setLocks(r, ann, { ids: ['c'] });
+  assert.deepEqual(await elementLocks.heldBy(r, 's1'), ['c']);
+  assert.equal(await elementLocks.textSpotTaken(r, 'u2', { x: 0, y: 0 }), null);
+
+  await elementLocks.releaseAll(r, 's1');
+  assert.deepEqual(await elementLocks.readLocks(r), []);
+});
+
+test("new text near someone else's text spot collides", async () => {
+  const r = room();
+  await elementLocks.setLocks(r, ann, { text: { x: 100, y: 100 } });
+
+  assert.equal((await elementLocks.textSpotTaken(r, 'u2', { x: 130, y: 120 })).userId, 'u1');
+  assert.equal(await elementLocks.textSpotTaken(r, 'u2', { x: 300, y: 100 }), null);
+  assert.equal((await elementLocks.setLocks(r, bob, { text: { x: 110, y: 90 } })).textDenied.userId, 'u1');
+
+  await elementLocks.releaseText(r, 's1');
+  assert.equal(await elementLocks.textSpotTaken(r, 'u2', { x: 130, y: 120 }), null);
+});
+
+test('locks nobody renews run out', async () => {
+  const r = room();
+  await elementLocks.setLocks(r, ann, { ids: ['a'] });
+  now += elementLocks.LOCK_TTL_MS;
+
+  assert.deepEqual(await elementLocks.lockedByOthers(r, 'u2', ['a']), []);
+  assert.deepEqual((await elementLocks.setLocks(r, bob, { ids: ['a'] })).granted, ['a']);
+});
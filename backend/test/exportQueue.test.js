@@ -0,0 +1,84 @@
+// services/exportQueue.js: the worker renders claimed jobs, stores the file and
+// tells the requester (models stubbed, memory log, temp storage folder)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_DIR = dir;
+
+const { fakeIo } = require('./helpers/http');
+const { query } = require('./helpers/db');
+const { Export, Whiteboard, Element, Notification, UserProfile } = require('../models');
+const canvasState = require('../services/canvasState');
+const { getStorage } = require('../services/storage');
+const exportQueue = require('../services/exportQueue');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// queued jobs handed out one at a time; returns the docs as finish() leaves them
+function stubJobs(t, jobs, board) {
+  const queue = [...jobs];
+  const done = new Map();
+  t.mock.method(Export, 'updateMany', async () => ({}));
+  t.mock.method(Export, 'findOneAndUpdate', async () => queue.shift() || null);
+  t.mock.method(Export, 'findByIdAndUpdate', async (id, { $set }) => {
+    const job = jobs.find((j) => String(j._id) === String(id));
+    done.set(String(id), { ...job, ...$set });
+    return done.get(String(id));
+  });
+  t.mock.method(Whiteboard, 'findById', (id) => query(String(id) === String(board._id) ? board : null));
+  t.mock.method(Element, 'find', () => query([]));
+  t.mock.method(UserProfile, 'findById', () => query(null));
+  t.mock.method(Notification, 'create', async (fields) => new Notification({ ...fields, createdAt: new Date() }));
+  return done;
+}
+
+const job = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: 'ann',
+  status: 'processing',
+  options: {},
+  createdAt: new Date(),
+  ...fields,
+});
+
+test('a claimed job is rendered from the live board, stored and announced', async (t) => {
+  const board = { _id: new mongoose.Types.ObjectId(), title: 'Plan', ownerId: 'ann' };
+  const roomId = String(board._id);
+  await canvasState.appendEvent(roomId, {
+    type: 'element:create',
+    stamp: `${Date.now()}.0001.ann`,
+    element: { id: 'a', type: 'line', data: { from: { x: 0, y: 0 }, to: { x: 9, y: 9 } }, style: {} },
+  });
+  const ok = job({ whiteboardId: board._id, format: 'json', options: { includeMetadata: true } });
+  const lost = job({ whiteboardId: new mongoose.Types.ObjectId(), format: 'png' });
+  const done = stubJobs(t, [ok, lost], board);
+  t.mock.method(console, 'error', () => {});
+
+  const io = fakeIo();
+  exportQueue.start(io);
+  t.after(exportQueue.stop);
+  while (io.emitted.filter((e) => e.event === 'notification').length < 2) await new Promise((r) => setImmediate(r));
+
+  const saved = done.get(String(ok._id));
+  assert.equal(saved.status, 'completed');
+  assert.equal(saved.storageKey, `exports/${ok._id}.json`);
+  assert.equal(saved.fileUrl, `/api/exports/${ok._id}/download`);
+  const file = JSON.parse(await getStorage().get(saved.storageKey));
+  assert.deepEqual(file.elements.map((el) => el.id), ['a']);
+  assert.equal(file.metadata.seq, 1);
+
+  // a job for a board that's gone fails instead of stopping the queue
+  assert.equal(done.get(String(lost._id)).status, 'failed');
+  assert.equal(done.get(String(lost._id)).error, 'Whiteboard not found');
+
+  const notes = io.emitted.filter((e) => e.event === 'notification').map((e) => e.payload.notification.title);
+  assert.deepEqual(notes, ['Your JSON export is ready', 'Your PNG export failed']);
+  assert.ok(io.emitted.every((e) => e.room === 'user:ann'));
+});
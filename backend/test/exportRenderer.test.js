@@ -0,0 +1,74 @@
+// services/exportRenderer.js: a board as png, pdf, svg and json
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { renderExport, pageSize } = require('../services/exportRenderer');
+
+const rect = { id: 'r1', type: 'rectangle', data: { from: { x: 10, y: 10 }, to: { x: 110, y: 60 } }, style: { color: '#ff0000', strokeWidth: 2 } };
+const text = { id: 't1', type: 'text', data: { x: 20, y: 30, text: 'Q&A <today>' }, style: { color: '#000000', fontSize: 24 }, transform: { x: 5, y: 0 } };
+const pen = { id: 'p1', type: 'pen', data: { points: [{ x: 0, y: 0 }, null, { x: 50, y: 50 }] }, style: { color: '#0000ff', strokeWidth: 4 } };
+const eraser = { id: 'e1', type: 'eraser', data: { points: [{ x: 20, y: 20 }, { x: 40, y: 40 }] }, style: { strokeWidth: 10 } };
+
+// width/height from a png's IHDR chunk
+const pngSize = (buf) => [buf.readUInt32BE(16), buf.readUInt32BE(20)];
+
+test('png: the board at the chosen resolution', async () => {
+  const one = await renderExport('png', [rect], { resolution: '1x' });
+  assert.equal(one.mimeType, 'image/png');
+  assert.equal(one.extension, 'png');
+  assert.deepEqual(pngSize(one.buffer), [1920, 1080]);
+
+  // unknown resolutions fall back to 2x
+  assert.deepEqual(pngSize((await renderExport('png', [rect], { resolution: '3x' })).buffer), [3840, 2160]);
+});
+
+test('pdf: one page, sized by paper and orientation', async () => {
+  const file = await renderExport('pdf', [rect, text], { pageSize: 'Letter', orientation: 'portrait' }, { title: 'Plan' });
+  assert.equal(file.mimeType, 'application/pdf');
+  assert.equal(file.buffer.subarray(0, 5).toString(), '%PDF-');
+
+  assert.deepEqual(pageSize('A4', 'landscape'), [841.89, 595.28]);
+  assert.deepEqual(pageSize('Letter', 'portrait'), [612, 792]);
+  assert.deepEqual(pageSize('Custom', 'portrait'), [1440, 810]);
+});
+
+test('svg: elements stay vector, text is escaped, erasers become masks', async () => {
+  const svg = (await renderExport('svg', [rect, pen, eraser, text], {}, { title: 'Board <1>' })).buffer.toString();
+
+  assert.match(svg, /<title>Board &lt;1&gt;<\/title>/);
+  assert.match(svg, /<rect x="10" y="10" width="100" height="50" fill="none" stroke="#ff0000" stroke-width="2"/);
+  // missing points are skipped
+  assert.match(svg, /<path d="M0 0 L50 50"/);
+  assert.match(svg, /<text x="20" y="30" [^>]*transform="translate\(5 0\)">Q&amp;A &lt;today&gt;<\/text>/);
+  // the eraser masks what came before it, not the text after it
+  assert.match(svg, /<mask id="erase-1"[^>]*>.*stroke="#000" stroke-width="10"/);
+  assert.match(svg, /<g mask="url\(#erase-1\)"><rect .*<path .*<\/g><text/);
+});
+
+test('svg: fills are embedded as png layers; compressed gives svgz', async () => {
+  const fill = { id: 'f1', type: 'fill', data: { x: 50, y: 30 }, style: { color: '#00ff00' } };
+  const file = await renderExport('svg', [rect, fill], { compressed: true });
+
+  assert.equal(file.extension, 'svgz');
+  const svg = zlib.gunzipSync(file.buffer).toString();
+  assert.match(svg, /<image x="0" y="0" width="1920" height="1080" href="data:image\/png;base64,/);
+});
+
+test('json: the stored elements, with metadata on request', async () => {
+  const board = { _id: 'b1', title: 'Plan', ownerId: 'ann', members: [{ userId: 'bob', role: 'editor', email: 'x' }], seq: 7 };
+  const plain = JSON.parse((await renderExport('json', [{ ...rect, clock: { data: 's' }, createdBy: 'ann' }], {}, board)).buffer);
+  assert.deepEqual(plain.board, { id: 'b1', title: 'Plan', width: 1920, height: 1080 });
+  assert.deepEqual(Object.keys(plain.elements[0]), ['id', 'type', 'zIndex', 'data', 'style', 'transform']);
+  assert.equal(plain.metadata, undefined);
+
+  const full = JSON.parse((await renderExport('json', [rect, pen, eraser], { includeMetadata: true }, board)).buffer);
+  assert.deepEqual(full.metadata.members, [{ userId: 'bob', role: 'editor' }]);
+  assert.equal(full.metadata.seq, 7);
+  assert.equal(full.metadata.elementCount, 3);
+  assert.equal(full.metadata.strokeCount, 2);
+});
+
+test('unknown formats are refused', async () => {
+  await assert.rejects(renderExport('gif', []), /Unsupported export format "gif"/);
+});
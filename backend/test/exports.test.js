@@ -0,0 +1,76 @@
+// routes/exports.js: download links for your own exports, never outliving them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { serve } = require('./helpers/http');
+const { query, doc } = require('./helpers/db');
+const { Export } = require('../models');
+const router = require('../routes/exports');
+
+// one completed export of ann's, expiring `msLeft` from now
+function stubExport(t, msLeft, fields = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  const exp = doc(t, Export, {
+    _id,
+    whiteboardId: new mongoose.Types.ObjectId(),
+    userId: 'ann',
+    format: 'png',
+    status: 'completed',
+    fileUrl: `/api/exports/${_id}/download`,
+    storageKey: `exports/${_id}.png`,
+    fileName: 'board.png',
+    mimeType: 'image/png',
+    expiresAt: new Date(Date.now() + msLeft),
+    ...fields,
+  });
+  t.mock.method(Export, 'findById', (id) => query(String(id) === String(_id) ? exp : null));
+  return exp;
+}
+
+async function setup(t) {
+  const app = await serve('/api/exports', router);
+  t.after(app.close);
+  return app;
+}
+
+test('the owner gets a signed link that lives 15 minutes at most', async (t) => {
+  const exp = stubExport(t, 24 * 60 * 60 * 1000);
+  const app = await setup(t);
+
+  const res = await app.request('GET', `/api/exports/${exp._id}/download`, { user: 'ann' });
+  assert.equal(res.status, 200);
+  assert.match(res.body.fileUrl, new RegExp(`/api/files/exports/${exp._id}\\.png\\?expires=`));
+  const lifetime = new Date(res.body.urlExpiresAt).getTime() - Date.now();
+  assert.ok(lifetime > 14 * 60 * 1000 && lifetime <= 15 * 60 * 1000);
+  assert.equal(exp.downloadCount, 1);
+});
+
+test('a link never outlives the export', async (t) => {
+  const exp = stubExport(t, 30 * 1000);
+  const app = await setup(t);
+
+  const res = await app.request('GET', `/api/exports/${exp._id}/download`, { user: 'ann' });
+  assert.equal(res.status, 200);
+  const expires = Number(new URL(res.body.fileUrl).searchParams.get('expires'));
+  assert.ok(expires * 1000 <= exp.expiresAt.getTime());
+});
+
+test('under a second left is already expired', async (t) => {
+  const exp = stubExport(t, 500);
+  const app = await setup(t);
+
+  const res = await app.request('GET', `/api/exports/${exp._id}/download`, { user: 'ann' });
+  assert.equal(res.status, 410);
+  assert.equal(exp.downloadCount, 0);
+});
+
+test("someone else's export, or an unfinished one, can't be downloaded", async (t) => {
+  const exp = stubExport(t, 60 * 60 * 1000);
+  const app = await setup(t);
+
+  assert.equal((await app.request('GET', `/api/exports/${exp._id}/download`, { user: 'bob' })).status, 403);
+  exp.status = 'processing';
+  assert.equal((await app.request('GET', `/api/exports/${exp._id}/download`, { user: 'ann' })).status, 410);
+  assert.equal((await app.request('GET', `/api/exports/${new mongoose.Types.ObjectId()}/download`, { user: 'ann' })).status, 404);
+});
@@ -0,0 +1,45 @@
+// mongoose without a database: model calls are stubbed per test (t.mock.method)
+// and answer with query() so the usual .select().sort().lean() chains still work.
+
+const mongoose = require('mongoose');
+
+// a chainable, awaitable stand-in for a mongoose Query that resolves to `value`
+function query(value) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(typeof value === 'function' ? value() : value).then(resolve, reject),
+    catch: (reject) => q.then(null, reject),
+    exec: () => q.then((v) => v),
+  };
+  ['select', 'sort', 'limit', 'skip', 'lean', 'populate', 'session', 'hint'].forEach((name) => {
+    q[name] = () => q;
+  });
+  return q;
+}
+
+// a real document of `Model` whose save() only runs validation
+function doc(t, Model, fields) {
+  const d = new Model(fields);
+  t.mock.method(d, 'save', async function save() {
+    await this.validate();
+    return this;
+  });
+  return d;
+}
+
+// one board that Whiteboard.findById finds (for checkWhiteboardAccess and the sockets);
+// nobody has an invitation unless the test says so
+function stubBoard(t, fields = {}) {
+  const { Whiteboard, Invitation } = require('../../models');
+  const board = doc(t, Whiteboard, {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Board',
+    ownerId: 'owner',
+    members: [],
+    ...fields,
+  });
+  t.mock.method(Whiteboard, 'findById', (id) => query(String(id) === String(board._id) ? board : null));
+  t.mock.method(Invitation, 'exists', async () => null);
+  return board;
+}
+
+module.exports = { query, doc, stubBoard };
@@ -0,0 +1,5 @@
+// env the app modules read at require time (middleware/auth.js builds its supabase
+// client on load); require this first in tests that load them
+process.env.REACT_APP_SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test';
+process.env.STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || 'test-secret';
@@ -0,0 +1,176 @@
+// in-process stand-in for the ioredis client in config/redis.js, enough for the
+// stores under services/. install() swaps the commands onto the shared client, so
+// modules that already required it use the fake; `down` makes it look disconnected.
+
+const redis = require('../../config/redis');
+
+function install() {
+  const data = new Map();
+  const state = { data, down: false };
+
+  Object.defineProperty(redis, 'status', {
+    get: () => (state.down ? 'reconnecting' : 'ready'),
+    configurable: true,
+  });
+
+  const check = () => {
+    if (state.down) throw new Error('Connection is closed.');
+  };
+  const hash = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  const list = (key) => {
+    if (!data.has(key)) data.set(key, []);
+    return data.get(key);
+  };
+  const zset = (key) => {
+    if (!data.has(key)) data.set(key, new Map()); // member -> score
+    return data.get(key);
+  };
+  const bound = (v, inf) => {
+    if (v === '-inf') return -Infinity;
+    if (v === '+inf') return inf;
+    return String(v).startsWith('(') ? { open: Number(String(v).slice(1)) } : Number(v);
+  };
+  const above = (score, min) => (typeof min === 'object' ? score > min.open : score >= min);
+  const below = (score, max) => (typeof max === 'object' ? score < max.open : score <= max);
+
+  const commands = {
+    async get(key) {
+      check();
+      const v = data.get(key);
+      return v === undefined ? null : String(v);
+    },
+    async set(key, value, ...opts) {
+      check();
+      if (opts.includes('NX') && data.has(key)) return null;
+      data.set(key, String(value));
+      return 'OK';
+    },
+    async del(...keys) {
+      check();
+      return keys.filter((k) => data.delete(k)).length;
+    },
+    async incr(key) {
+      check();
+      const n = (parseInt(data.get(key), 10) || 0) + 1;
+      data.set(key, String(n));
+      return n;
+    },
+    async expire() {
+      check();
+      return 1;
+    },
+    async pexpire() {
+      check();
+      return 1;
+    },
+    async hgetall(key) {
+      check();
+      return Object.fromEntries(data.get(key) || []);
+    },
+    async hset(key, field, value) {
+      check();
+      hash(key).set(field, value);
+      return 1;
+    },
+    async hsetnx(key, field, value) {
+      check();
+      if (hash(key).has(field)) return 0;
+      hash(key).set(field, value);
+      return 1;
+    },
+    async hdel(key, ...fields) {
+      check();
+      return fields.filter((f) => hash(key).delete(f)).length;
+    },
+    async lpush(key, value) {
+      check();
+      return list(key).unshift(value);
+    },
+    async ltrim(key, start, stop) {
+      check();
+      data.set(key, list(key).slice(start, stop + 1));
+      return 'OK';
+    },
+    async lmove(from, to) {
+      check();
+      const v = list(from).shift();
+      if (v === undefined) return null;
+      list(to).unshift(v);
+      return v;
+    },
+    async zadd(key, score, member) {
+      check();
+      zset(key).set(member, Number(score));
+      return 1;
+    },
+    async zrangebyscore(key, min, max) {
+      check();
+      const lo = bound(min, Infinity);
+      const hi = bound(max, Infinity);
+      return [...zset(key)].filter(([, s]) => above(s, lo) && below(s, hi)).sort((a, b) => a[1] - b[1]).map(([m]) => m);
+    },
+    async zremrangebyscore(key, min, max) {
+      check();
+      const lo = bound(min, Infinity);
+      const hi = bound(max, Infinity);
+      const z = zset(key);
+      [...z].forEach(([m, s]) => above(s, lo) && below(s, hi) && z.delete(m));
+      return 'OK';
+    },
+    async zcard(key) {
+      check();
+      return zset(key).size;
+    },
+    async scan(cursor, _match, pattern) {
+      check();
+      const re = new RegExp(`^${pattern.split('*').map((p) => p.replace(/[.:]/g, '\\$&')).join('.*')}$`);
+      return ['0', [...data.keys()].filter((k) => re.test(k))];
+    },
+    // the lua scripts the services use, recognised by what they do
+    async eval(script, numKeys, ...args) {
+      check();
+      const keys = args.slice(0, numKeys);
+      const argv = args.slice(numKeys);
+      if (script.includes("'zadd'")) {
+        const seq = await commands.incr(keys[0]);
+        await commands.zadd(keys[1], seq, `{"seq":${seq},${argv[0].slice(1)}`);
+        return seq;
+      }
+      if (script.includes("'del'")) {
+        if (data.get(keys[0]) !== String(argv[0])) return 0;
+        return commands.del(keys[0]);
+      }
+      throw new Error('fakeRedis: unknown script');
+    },
+  };
+
+  Object.assign(redis, commands);
+  redis.multi = () => {
+    const queued = [];
+    const tx = new Proxy(
+      {},
+      {
+        get: (_, name) =>
+          name === 'exec'
+            ? async () => {
+                check();
+                const out = [];
+                for (const [cmd, args] of queued) out.push([null, await commands[cmd](...args)]);
+                return out;
+              }
+            : (...args) => {
+                queued.push([name, args]);
+                return tx;
+              },
+      }
+    );
+    return tx;
+  };
+
+  return state;
+}
+
+module.exports = { install };
@@ -0,0 +1,63 @@
+// run one express router on a free port with authentication stubbed out:
+// requests carry the user in headers (x-user-id / x-user-email) instead of a
+// supabase token. require this before the routes, so they pick up the stub.
+
+require('./env');
+
+const express = require('express');
+const auth = require('../../middleware/auth');
+
+auth.authenticate = (req, res, next) => {
+  const userId = req.headers['x-user-id'];
+  if (!userId) return res.status(401).json({ error: 'Authetication required. Please login' });
+  req.userId = userId;
+  req.userEmail = req.headers['x-user-email'] || `${userId}@test.local`;
+  req.userName = userId;
+  req.profile = { _id: userId, displayName: userId, subscription: { plan: req.headers['x-plan'] || 'free' } };
+  next();
+};
+
+// io stand-in that records what was emitted to which room
+function fakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    in: () => ({ fetchSockets: async () => [] }),
+  };
+}
+
+async function serve(mountPath, router, { io = fakeIo() } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.set('io', io);
+  app.use(mountPath, router);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { user = 'user-1', email, body } = {}) => {
+    const headers = { 'x-user-id': user };
+    if (email) headers['x-user-email'] = email;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  };
+
+  return { io, request, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+module.exports = { serve, fakeIo };
@@ -0,0 +1,53 @@
+// services/hlc.js: stamps sort by string comparison and never go backwards
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStamp, createClock } = require('../services/hlc');
+
+test('parseStamp reads valid stamps and rejects anything else', () => {
+  assert.deepEqual(parseStamp('0000000001000.0002.client-1'), { time: 1000, counter: 2, actor: 'client-1' });
+  assert.equal(parseStamp('1000.0002.client-1'), null);
+  assert.equal(parseStamp('0000000001000.0002.bad actor'), null);
+  assert.equal(parseStamp(42), null);
+});
+
+test('stamps from one clock keep increasing when the wall clock stalls or goes back', (t) => {
+  let now = 5000;
+  t.mock.method(Date, 'now', () => now);
+  const clock = createClock('a');
+
+  const stamps = [clock.now(), clock.now()];
+  now = 4000;
+  stamps.push(clock.now());
+  now = 6000;
+  stamps.push(clock.now());
+
+  assert.deepEqual(stamps, [...stamps].sort());
+  assert.equal(new Set(stamps).size, stamps.length);
+  assert.deepEqual(parseStamp(stamps[2]), { time: 5000, counter: 2, actor: 'a' });
+  assert.deepEqual(parseStamp(stamps[3]), { time: 6000, counter: 0, actor: 'a' });
+});
+
+test('the counter rolls over into the next millisecond', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const clock = createClock('a');
+  clock.observe('0000000001000.9999.b');
+  assert.deepEqual(parseStamp(clock.now()), { time: 1001, counter: 0, actor: 'a' });
+});
+
+test('observe moves past stamps from clocks that run ahead', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const clock = createClock('a');
+  const remote = '0000000009000.0003.b';
+  clock.observe(remote);
+  clock.observe('not a stamp');
+
+  const next = clock.now();
+  assert.ok(next > remote);
+  assert.deepEqual(parseStamp(next), { time: 9000, counter: 4, actor: 'a' });
+});
+
+test('equal time and counter are ordered by actor', () => {
+  assert.ok('0000000001000.0000.a' < '0000000001000.0000.b');
+  assert.ok('0000000001000.0001.a' > '0000000001000.0000.b');
+});
@@ -0,0 +1,140 @@
+// services/invitationMail.js + services/mailer.js: invitation emails through the
+// file outbox, retries, and delivery status that only the newest run may write
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = dir;
+process.env.MAIL_RETRY_BASE_MS = '1';
+
+const { query } = require('./helpers/db');
+const { Invitation, UserProfile, Whiteboard } = require('../models');
+const invitationMail = require('../services/invitationMail');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const invitation = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  token: 'tok123',
+  role: 'editor',
+  recipientEmail: 'guest@example.com',
+  message: 'Join <us>',
+  expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  ...fields,
+});
+
+// the delivery status as Invitation.updateOne leaves it; writes filtered on
+// another run's attemptId are dropped, like the real query would
+function stubDelivery(t) {
+  const delivery = {};
+  t.mock.method(Invitation, 'updateOne', async (filter, { $set }) => {
+    const owner = filter['delivery.attemptId'];
+    if (owner && owner !== delivery.attemptId) return { modifiedCount: 0 };
+    Object.entries($set).forEach(([k, v]) => {
+      delivery[k.replace('delivery.', '')] = v;
+    });
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(console, 'error', () => {});
+  return delivery;
+}
+
+const outbox = async () => (await fsp.readdir(dir)).filter((f) => f.endsWith('.json'));
+
+// fail the outbox's json writes while `fail(n)` says so (n = 1 for the first one)
+function failWrites(t, fail) {
+  const writeFile = fsp.writeFile;
+  let n = 0;
+  t.mock.method(fsp, 'writeFile', async (file, ...rest) => {
+    if (String(file).endsWith('.json')) {
+      n += 1;
+      if (await fail(n)) throw new Error(`smtp said no (${n})`);
+    }
+    return writeFile(file, ...rest);
+  });
+}
+
+test('the email lands in the outbox and the invitation is marked sent', async (t) => {
+  const delivery = stubDelivery(t);
+  const before = (await outbox()).length;
+
+  assert.equal(await invitationMail.deliverInvitation(invitation(), { senderName: 'Ann', boardTitle: 'Roadmap' }), 'sent');
+
+  const files = await outbox();
+  assert.equal(files.length, before + 1);
+  const mail = JSON.parse(await fsp.readFile(path.join(dir, files[files.length - 1]), 'utf8'));
+  assert.equal(mail.to, 'guest@example.com');
+  assert.equal(mail.subject, 'Ann invited you to "Roadmap"');
+  assert.match(mail.text, /invited you to edit the whiteboard "Roadmap"/);
+  assert.match(mail.text, /\/invite\/tok123/);
+  assert.match(mail.html, /Join &lt;us&gt;/);
+
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.transport, 'file');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.error, null);
+});
+
+test('a failed try is recorded and retried', async (t) => {
+  const delivery = stubDelivery(t);
+  const tries = [];
+  failWrites(t, (n) => {
+    if (n === 1) tries.push({ ...delivery });
+    return n === 1;
+  });
+
+  assert.equal(await invitationMail.deliverInvitation(invitation(), {}), 'sent');
+  assert.equal(tries[0].status, 'queued');
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.error, null);
+});
+
+test('out of attempts: failed, with the last error', async (t) => {
+  const delivery = stubDelivery(t);
+  failWrites(t, () => true);
+
+  assert.equal(await invitationMail.deliverInvitation(invitation(), {}), 'failed');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.transport, 'file');
+  assert.equal(delivery.error, 'smtp said no (3)');
+});
+
+test("a resend takes over: the older run's writes are dropped", async (t) => {
+  const delivery = stubDelivery(t);
+  const inv = invitation();
+  // the first run's first try fails, and the resend goes out meanwhile
+  failWrites(t, async (n) => {
+    if (n !== 1) return false;
+    assert.equal(await invitationMail.deliverInvitation(inv, {}), 'sent');
+    return true;
+  });
+
+  assert.equal(await invitationMail.deliverInvitation(inv, {}), 'sent');
+  // what the resend wrote, not the older run's second try
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('deliveries left queued by a lost instance are started over', async (t) => {
+  const delivery = stubDelivery(t);
+  const find = t.mock.method(Invitation, 'find', async () => [invitation({ senderId: 'ann', whiteboardId: 'wb1' })]);
+  t.mock.method(UserProfile, 'findById', () => query({ displayName: 'Ann' }));
+  t.mock.method(Whiteboard, 'findById', () => query({ title: 'Roadmap' }));
+
+  assert.equal(await invitationMail.resumeStaleDeliveries(), 1);
+  const filter = find.mock.calls[0].arguments[0];
+  assert.equal(filter['delivery.status'], 'queued');
+  assert.ok(Date.now() - filter.updatedAt.$lt >= 15 * 60 * 1000);
+
+  while (delivery.status !== 'sent') await new Promise((r) => setImmediate(r));
+  assert.equal(delivery.attempts, 1);
+});
@@ -0,0 +1,73 @@
+// services/mentions.js: who "@name" in a chat message means, and who hears about it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { fakeIo } = require('./helpers/http');
+const { query } = require('./helpers/db');
+const { Whiteboard, UserProfile, Notification } = require('../models');
+const mentions = require('../services/mentions');
+
+const roomId = String(new mongoose.Types.ObjectId());
+const profiles = [
+  { _id: 'ann', displayName: 'Ann Lee' },
+  { _id: 'al', displayName: 'Al' },
+  { _id: 'bob', email: 'bob@example.com' },
+  { _id: 'cy', displayName: 'Cy', preferences: { notificationsEnabled: false } },
+];
+
+// the board (owner ann, members al/bob/cy) and its members' profiles
+function stubMembers(t) {
+  t.mock.method(Whiteboard, 'findById', () =>
+    query({ _id: roomId, title: 'Roadmap', ownerId: 'ann', members: ['al', 'bob', 'cy'].map((userId) => ({ userId })) })
+  );
+  t.mock.method(UserProfile, 'find', ({ _id }) => query(profiles.filter((p) => _id.$in.includes(p._id))));
+  t.mock.method(UserProfile, 'findById', (id) => query(profiles.find((p) => p._id === id) || null));
+}
+
+test('board members with their display names, sorted', async (t) => {
+  stubMembers(t);
+  assert.deepEqual(
+    (await mentions.boardMembers(roomId)).map((m) => [m.userId, m.name]),
+    [['al', 'Al'], ['ann', 'Ann Lee'], ['bob', 'bob'], ['cy', 'Cy']]
+  );
+  assert.deepEqual(await mentions.boardMembers('preview-room'), []);
+});
+
+test('"@name" only counts when the name ends there', async (t) => {
+  stubMembers(t);
+  const find = (text) => mentions.findMentions(roomId, text);
+
+  assert.deepEqual(await find('@Ann Lee can you look?'), ['ann']);
+  assert.deepEqual(await find('thanks @al, and @BOB!'), ['al', 'bob']);
+  // "@Alice" isn't "@Al", an email isn't a mention
+  assert.deepEqual(await find('@Alice said hi to bob@example.com'), []);
+  assert.deepEqual(await find('no mentions here'), []);
+});
+
+test('mentioned people get a notification and a toast, except the author and opted-out users', async (t) => {
+  stubMembers(t);
+  t.mock.method(Notification, 'create', async (fields) => new Notification({ ...fields, createdAt: new Date() }));
+  const io = fakeIo();
+  const message = { _id: 'm1', userId: 'ann', user: 'Ann Lee', text: '@Al @bob @Cy @Ann Lee look' };
+
+  const notified = await mentions.notifyMentions(io, roomId, message, ['al', 'bob', 'cy', 'ann']);
+  assert.deepEqual(notified, ['al', 'bob']);
+  assert.deepEqual(
+    io.emitted.map(({ room, event }) => [room, event]),
+    [['user:al', 'notification'], ['user:al', 'mention'], ['user:bob', 'notification'], ['user:bob', 'mention']]
+  );
+  const { notification } = io.emitted[0].payload;
+  assert.equal(notification.title, 'Ann Lee mentioned you in Roadmap');
+  assert.equal(notification.link, `/whiteboard/${roomId}`);
+  assert.equal(io.emitted[1].payload.whiteboardTitle, 'Roadmap');
+});
+
+test('notifyMentionsLater never throws at the caller', async (t) => {
+  t.mock.method(Whiteboard, 'findById', () => query(() => Promise.reject(new Error('db down'))));
+  const errors = t.mock.method(console, 'error', () => {});
+
+  mentions.notifyMentionsLater(fakeIo(), roomId, { _id: 'm1', userId: 'ann', user: 'Ann', text: 'x' }, ['bob']);
+  await new Promise((r) => setImmediate(r));
+  assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,74 @@
+// services/notifications.js + routes/notifications.js: stored, pushed live to the
+// recipient's channel, and only ever visible to their owner
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { serve, fakeIo } = require('./helpers/http');
+const { query } = require('./helpers/db');
+const { Notification, UserProfile } = require('../models');
+const notifications = require('../services/notifications');
+const router = require('../routes/notifications');
+
+const created = (fields) => new Notification({ ...fields, createdAt: new Date() });
+
+test('notify stores the notification and pushes it to the user channel', async (t) => {
+  t.mock.method(UserProfile, 'findById', () => query(null));
+  t.mock.method(Notification, 'create', async (fields) => created(fields));
+  const io = fakeIo();
+
+  const n = await notifications.notify(io, 'u1', { type: 'mention', title: 'x'.repeat(300), link: '/whiteboard/1' });
+
+  assert.equal(n.title.length, 200);
+  assert.equal(n.read, false);
+  assert.deepEqual(io.emitted.map(({ room, event }) => [room, event]), [['user:u1', 'notification']]);
+  assert.equal(io.emitted[0].payload.notification.link, '/whiteboard/1');
+});
+
+test('nothing is created for users who turned notifications off', async (t) => {
+  t.mock.method(UserProfile, 'findById', () => query({ preferences: { notificationsEnabled: false } }));
+  const create = t.mock.method(Notification, 'create', async (fields) => created(fields));
+  const io = fakeIo();
+
+  assert.equal(await notifications.notify(io, 'u1', { type: 'mention', title: 'hi' }), null);
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(io.emitted.length, 0);
+});
+
+test('markRead only touches the caller\'s notifications and syncs their tabs', async (t) => {
+  const update = t.mock.method(Notification, 'updateMany', async () => ({}));
+  t.mock.method(Notification, 'unreadCount', async () => 3);
+  const io = fakeIo();
+
+  assert.equal(await notifications.markRead(io, 'u1', ['a']), 3);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: { $in: ['a'] }, userId: 'u1', readAt: null });
+  assert.deepEqual(io.emitted[0], { room: 'user:u1', event: 'notifications:read', payload: { ids: ['a'], unreadCount: 3 } });
+});
+
+test('REST: list pages newest first with the unread count; bad cursors are refused', async (t) => {
+  const docs = [3, 2, 1].map((i) => created({ userId: 'u1', type: 'mention', title: `n${i}` }).toObject());
+  const find = t.mock.method(Notification, 'find', () => query(docs));
+  t.mock.method(Notification, 'unreadCount', async () => 2);
+  const app = await serve('/api/notifications', router);
+  t.after(app.close);
+
+  const res = await app.request('GET', '/api/notifications?limit=2', { user: 'u1' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.notifications.map((n) => n.title), ['n3', 'n2']);
+  assert.equal(res.body.hasMore, true);
+  assert.equal(res.body.unreadCount, 2);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { userId: 'u1' });
+
+  assert.equal((await app.request('GET', '/api/notifications?before=nope', { user: 'u1' })).status, 400);
+});
+
+test('REST: someone else\'s notification is not found', async (t) => {
+  const exists = t.mock.method(Notification, 'exists', async () => null);
+  const app = await serve('/api/notifications', router);
+  t.after(app.close);
+
+  const id = new mongoose.Types.ObjectId().toString();
+  const res = await app.request('PATCH', `/api/notifications/${id}/read`, { user: 'u2' });
+  assert.equal(res.status, 404);
+  assert.deepEqual(exists.mock.calls[0].arguments[0], { _id: id, userId: 'u2' });
+});
@@ -0,0 +1,72 @@
+// services/presence.js: colors, status from heartbeats, one roster row per user
+// (memory store, Date.now mocked)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const presence = require('../services/presence');
+
+let now = 1_000_000;
+let rooms = 0;
+test.beforeEach((t) => {
+  t.mock.method(Date, 'now', () => now);
+});
+const room = () => `room-${(rooms += 1)}`;
+
+test('everyone gets their own color, a second tab keeps the first one', async () => {
+  const r = room();
+  const a = await presence.join(r, 's1', { userId: 'u1', name: 'Ann' });
+  const b = await presence.join(r, 's2', { userId: 'u2', name: 'Bob' });
+  const a2 = await presence.join(r, 's3', { userId: 'u1', name: 'Ann' });
+
+  assert.notEqual(a.color, b.color);
+  assert.equal(a2.color, a.color);
+  // a freed color goes to the next one who joins
+  await presence.leave(r, 's2');
+  assert.equal((await presence.join(r, 's4', { userId: 'u3', name: 'Cy' })).color, b.color);
+});
+
+test('status: active, idle after a minute without input, away when hidden or silent', async () => {
+  const r = room();
+  await presence.join(r, 's1', { userId: 'u1', name: 'Ann' });
+  const status = async () => (await presence.getRoster(r))[0].status;
+
+  assert.equal(await status(), 'active');
+  await presence.heartbeat(r, 's1', { idleMs: 61 * 1000 });
+  assert.equal(await status(), 'idle');
+  await presence.heartbeat(r, 's1', { idleMs: 6 * 60 * 1000 });
+  assert.equal(await status(), 'away');
+  await presence.heartbeat(r, 's1', { idleMs: 0, hidden: true });
+  assert.equal(await status(), 'away');
+
+  await presence.heartbeat(r, 's1', { hidden: false });
+  now += 3 * presence.HEARTBEAT_MS + 1;
+  assert.equal(await status(), 'away');
+});
+
+test('a user with several tabs shows up once, as their most active tab', async () => {
+  const r = room();
+  await presence.join(r, 's1', { userId: 'u1', name: 'Ann' });
+  await presence.join(r, 's2', { userId: 'u1', name: 'Ann' });
+  await presence.join(r, 's3', { userId: 'u2', name: 'Bob' });
+  await presence.heartbeat(r, 's1', { hidden: true, following: 'u2' });
+  await presence.heartbeat(r, 's2', { tool: 'pen' });
+
+  assert.deepEqual(
+    (await presence.getRoster(r)).map((row) => [row.name, row.status, row.tool, row.following]),
+    [['Ann', 'active', 'pen', 'u2'], ['Bob', 'active', null, null]]
+  );
+});
+
+test('sockets that stop sending heartbeats are swept from the roster', async () => {
+  const r = room();
+  await presence.join(r, 's1', { userId: 'u1', name: 'Ann' });
+  await presence.join(r, 's2', { userId: 'u2', name: 'Bob' });
+
+  now += 4 * presence.HEARTBEAT_MS;
+  await presence.heartbeat(r, 's2', {});
+  now += 3 * presence.HEARTBEAT_MS;
+
+  assert.deepEqual((await presence.getRoster(r)).map((row) => row.userId), ['u2']);
+  // a swept socket has to join again
+  assert.equal(await presence.heartbeat(r, 's1', {}), false);
+});
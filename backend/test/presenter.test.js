@@ -0,0 +1,76 @@
+// services/presenter.js: one presenter per room, claimed atomically (redis store,
+// with memory for the claim rules)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeRedis = require('./helpers/fakeRedis');
+const storeMode = require('../services/storeMode');
+const presenter = require('../services/presenter');
+
+const redis = fakeRedis.install();
+
+let rooms = 0;
+const room = () => `room-${(rooms += 1)}`;
+const ann = { userId: 'u1', socketId: 's1', name: 'Ann', lockEditing: false };
+const bob = { userId: 'u2', socketId: 's2', name: 'Bob', lockEditing: false };
+
+test.beforeEach(() => {
+  storeMode.init();
+});
+
+test('two people starting at once: exactly one wins', async () => {
+  const r = room();
+  const results = await Promise.all([presenter.claim(r, ann), presenter.claim(r, bob)]);
+
+  assert.deepEqual(results.map((res) => res.ok).sort(), [false, true]);
+  const winner = results.find((res) => res.ok).presenter;
+  assert.deepEqual(results.find((res) => !res.ok).presenter, winner);
+  assert.deepEqual(await presenter.get(r, { fresh: true }), winner);
+});
+
+test('the same user claiming again (another tab) takes it over', async () => {
+  const r = room();
+  await presenter.claim(r, ann);
+  const res = await presenter.claim(r, { ...ann, socketId: 's9' });
+
+  assert.equal(res.ok, true);
+  assert.equal((await presenter.get(r, { fresh: true })).socketId, 's9');
+});
+
+test('clear ends the presentation so someone else can start', async () => {
+  const r = room();
+  await presenter.claim(r, ann);
+  await presenter.clear(r);
+
+  assert.equal(await presenter.get(r), null);
+  assert.equal((await presenter.claim(r, bob)).ok, true);
+});
+
+test('reads are cached for a moment unless asked for fresh', async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const r = room();
+  await presenter.set(r, ann);
+
+  // another instance hands off
+  redis.data.set(`presenter:${r}`, JSON.stringify(bob));
+  assert.equal((await presenter.get(r)).userId, 'u1');
+  assert.equal((await presenter.get(r, { fresh: true })).userId, 'u2');
+
+  await presenter.set(r, ann);
+  redis.data.set(`presenter:${r}`, JSON.stringify(bob));
+  now += 1001;
+  assert.equal((await presenter.get(r)).userId, 'u2');
+});
+
+test('memory store: same claim rules', async () => {
+  redis.down = true;
+  storeMode.init();
+  redis.down = false;
+  const r = room();
+
+  assert.equal((await presenter.claim(r, ann)).ok, true);
+  assert.deepEqual(await presenter.claim(r, bob), { ok: false, presenter: ann });
+  await presenter.set(r, { ...ann, lockEditing: true });
+  assert.equal((await presenter.get(r, { fresh: true })).lockEditing, true);
+});
@@ -0,0 +1,65 @@
+// services/rateLimiter.js: token buckets per key
+
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../services/rateLimiter');
+
+test('refuses once the bucket is empty and refills over time', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ capacity: 3, refillPerSec: 2 });
+
+  assert.equal(limiter.take('a'), true);
+  assert.equal(limiter.take('a', 2), true);
+  assert.equal(limiter.take('a'), false);
+
+  now = 500; // one token back
+  assert.equal(limiter.take('a'), true);
+  assert.equal(limiter.take('a'), false);
+
+  now = 60 * 1000; // never more than capacity
+  assert.equal(limiter.take('a', 4), false);
+  assert.equal(limiter.take('a', 3), true);
+});
+
+test('keys have their own buckets', () => {
+  const limiter = createRateLimiter({ capacity: 1, refillPerSec: 1 });
+  assert.equal(limiter.take('a'), true);
+  assert.equal(limiter.take('a'), false);
+  assert.equal(limiter.take('b'), true);
+
+  limiter.delete('a');
+  assert.equal(limiter.take('a'), true);
+});
+
+test('prune forgets buckets that have refilled', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ capacity: 2, refillPerSec: 1 });
+  limiter.take('a', 2);
+  limiter.take('b', 1);
+
+  now = 1000;
+  limiter.prune();
+  assert.equal(limiter.size(), 1); // 'a' is still one short
+
+  now = 2000;
+  limiter.prune();
+  assert.equal(limiter.size(), 0);
+});
+
+test('socket guard: chat is refused past its budget, bad payloads are refused by schema', () => {
+  const { check } = require('../sockets/guard');
+  const errors = [];
+  const socket = { id: 'guard-socket', data: {}, emit: (event, payload) => errors.push(payload) };
+  const msg = { roomId: '0123456789abcdef01234567', text: 'hi' };
+
+  const results = Array.from({ length: 6 }, () => check(socket, 'chatMessage', msg));
+  assert.deepEqual(results.slice(0, 5).map((r) => Boolean(r.value)), [true, true, true, true, true]);
+  assert.deepEqual(results[5], { error: 'rate-limited' });
+
+  const other = { id: 'guard-socket-2', data: {}, emit: (event, payload) => errors.push(payload) };
+  assert.deepEqual(check(other, 'cursor', { roomId: msg.roomId, x: 'left', y: 0 }), { error: 'invalid-payload' });
+  assert.deepEqual(errors.map((e) => e.type), ['rate-limited', 'invalid-payload']);
+});
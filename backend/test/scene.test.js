@@ -0,0 +1,108 @@
+// services/scene.js: replicas that apply the same ops in any order end up with the same board
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScene, applyOp, liveElements, pruneTombstones } = require('../services/scene');
+
+const stamp = (time, counter, actor) => `${String(time).padStart(13, '0')}.${String(counter).padStart(4, '0')}.${actor}`;
+
+const rect = (id, x, s) => ({
+  type: 'element:create',
+  stamp: s,
+  userId: 'u1',
+  element: { id, type: 'rectangle', zIndex: 0, data: { from: { x, y: 0 }, to: { x: x + 10, y: 10 } }, style: { color: '#000000' } },
+});
+
+const replay = (ops) => {
+  const scene = createScene();
+  ops.forEach((op) => applyOp(scene, op));
+  return liveElements(scene).map(({ clock, ...el }) => el);
+};
+
+// every ordering of a small op list
+function permutations(list) {
+  if (list.length <= 1) return [list];
+  return list.flatMap((op, i) => permutations([...list.slice(0, i), ...list.slice(i + 1)]).map((rest) => [op, ...rest]));
+}
+
+const assertConverges = (ops) => {
+  const expected = replay(ops);
+  permutations(ops).forEach((order) => assert.deepEqual(replay(order), expected));
+  return expected;
+};
+
+test('concurrent updates: the newest stamp wins in any order', () => {
+  const ops = [
+    rect('a', 0, stamp(1000, 0, 'c1')),
+    { type: 'element:update', id: 'a', elementType: 'rectangle', stamp: stamp(2000, 0, 'c1'), style: { color: '#ff0000' } },
+    { type: 'element:update', id: 'a', elementType: 'rectangle', stamp: stamp(2000, 0, 'c2'), style: { color: '#00ff00' } },
+    { type: 'element:update', id: 'a', elementType: 'rectangle', stamp: stamp(1500, 0, 'c3'), transform: { x: 5, y: 5 } },
+  ];
+  const [a] = assertConverges(ops);
+  // same time and counter: the actor breaks the tie
+  assert.equal(a.style.color, '#00ff00');
+  assert.deepEqual(a.transform, { x: 5, y: 5 });
+});
+
+test('a delete leaves a tombstone that older ops cannot revive', () => {
+  const ops = [
+    rect('a', 0, stamp(1000, 0, 'c1')),
+    { type: 'element:delete', ids: ['a'], stamp: stamp(3000, 0, 'c2') },
+    { type: 'element:update', id: 'a', elementType: 'rectangle', stamp: stamp(2000, 0, 'c1'), zIndex: 4 },
+  ];
+  assert.deepEqual(assertConverges(ops), []);
+});
+
+test('a restore newer than the delete brings the element back with its data', () => {
+  const ops = [
+    rect('a', 0, stamp(1000, 0, 'c1')),
+    { type: 'element:delete', ids: ['a'], stamp: stamp(2000, 0, 'c1') },
+    { type: 'element:restore', ids: ['a'], stamp: stamp(3000, 0, 'c1') },
+  ];
+  const live = assertConverges(ops);
+  assert.equal(live.length, 1);
+  assert.deepEqual(live[0].data, { from: { x: 0, y: 0 }, to: { x: 10, y: 10 } });
+});
+
+test('board-cleared removes what came before it, keeps what came after', () => {
+  const ops = [
+    rect('a', 0, stamp(1000, 0, 'c1')),
+    rect('b', 20, stamp(3000, 0, 'c2')),
+    { type: 'board-cleared', stamp: stamp(2000, 0, 'c3') },
+    { type: 'element:update', id: 'a', elementType: 'rectangle', stamp: stamp(1500, 0, 'c1'), zIndex: 2 },
+  ];
+  assert.deepEqual(assertConverges(ops).map((el) => el.id), ['b']);
+});
+
+test('stroke appends merge by index whichever arrives first', () => {
+  const p = (x) => ({ x, y: x });
+  const ops = [
+    {
+      type: 'element:create',
+      stamp: stamp(1000, 0, 'c1'),
+      element: { id: 's', type: 'pen', data: { points: [p(0)] }, style: { color: '#000000', strokeWidth: 2 } },
+    },
+    { type: 'element:update', id: 's', elementType: 'pen', stamp: stamp(1001, 0, 'c1'), append: { at: 1, points: [p(1), p(2)] } },
+    { type: 'element:update', id: 's', elementType: 'pen', stamp: stamp(1002, 0, 'c1'), append: { at: 3, points: [p(3)] } },
+  ];
+  const [s] = assertConverges(ops);
+  assert.deepEqual(s.data.points, [p(0), p(1), p(2), p(3)]);
+});
+
+test('an update for another element type is ignored', () => {
+  const scene = createScene();
+  applyOp(scene, rect('a', 0, stamp(1000, 0, 'c1')));
+  applyOp(scene, { type: 'element:update', id: 'a', elementType: 'text', stamp: stamp(2000, 0, 'c1'), data: { x: 1, y: 1, text: 'hi' } });
+  assert.equal(liveElements(scene)[0].type, 'rectangle');
+});
+
+test('pruneTombstones drops only old tombstones', () => {
+  const scene = createScene();
+  applyOp(scene, rect('old', 0, stamp(1000, 0, 'c1')));
+  applyOp(scene, { type: 'element:delete', ids: ['old'], stamp: stamp(2000, 0, 'c1') });
+  applyOp(scene, rect('recent', 0, stamp(1000, 0, 'c1')));
+  applyOp(scene, { type: 'element:delete', ids: ['recent'], stamp: stamp(Date.now(), 0, 'c1') });
+
+  assert.equal(pruneTombstones(scene), 1);
+  assert.deepEqual([...scene.elements.keys()], ['recent']);
+});
@@ -0,0 +1,67 @@
+// services/storage.js: local driver files and signed download urls
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_DIR = dir;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+
+const { getStorage, checkKey, verifyLocalSignature } = require('../services/storage');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// the query of a signed url as verifyLocalSignature takes it
+const signed = async (key, opts) => {
+  const url = await getStorage().signedUrl(key, opts);
+  return Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+};
+
+test('put, get, list and remove a file', async () => {
+  const storage = getStorage();
+  await storage.put('exports/a.png', Buffer.from('png'));
+  assert.equal((await storage.get('exports/a.png')).toString(), 'png');
+  assert.deepEqual((await storage.list('exports/')).map((f) => f.key), ['exports/a.png']);
+
+  await storage.remove('exports/a.png');
+  assert.equal(await storage.exists('exports/a.png'), false);
+});
+
+test('keys may not leave the storage folder', () => {
+  assert.throws(() => checkKey('../etc/passwd'), /Invalid storage key/);
+  assert.throws(() => checkKey('exports//a.png'), /Invalid storage key/);
+  assert.equal(checkKey('boards/abc/images/x.png'), 'boards/abc/images/x.png');
+});
+
+test('a signed url is valid until it expires', async (t) => {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const query = await signed('exports/a.png', { expiresIn: 60 });
+  assert.equal(Number(query.expires), 1_700_000_060);
+  assert.equal(verifyLocalSignature('exports/a.png', query), true);
+
+  now += 59 * 1000;
+  assert.equal(verifyLocalSignature('exports/a.png', query), true);
+  now += 2 * 1000;
+  assert.equal(verifyLocalSignature('exports/a.png', query), false);
+});
+
+test('a signature only fits its own key, expiry and file name', async () => {
+  const query = await signed('exports/a.png', { expiresIn: 60, fileName: 'board.png' });
+  assert.equal(verifyLocalSignature('exports/a.png', query), true);
+  assert.equal(verifyLocalSignature('exports/b.png', query), false);
+  assert.equal(verifyLocalSignature('exports/a.png', { ...query, expires: String(Number(query.expires) + 3600) }), false);
+  assert.equal(verifyLocalSignature('exports/a.png', { ...query, name: 'other.png' }), false);
+  assert.equal(verifyLocalSignature('exports/a.png', { ...query, sig: 'zz' }), false);
+});
+
+test('url lifetimes are clamped to a week', async (t) => {
+  const now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const query = await signed('exports/a.png', { expiresIn: 365 * 24 * 60 * 60 });
+  assert.equal(Number(query.expires), now / 1000 + 7 * 24 * 60 * 60);
+});
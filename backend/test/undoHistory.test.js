@@ -0,0 +1,71 @@
+// services/undoHistory.js: per-user stacks, the same in the redis and the memory store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeRedis = require('./helpers/fakeRedis');
+const storeMode = require('../services/storeMode');
+const undoHistory = require('../services/undoHistory');
+
+const redis = fakeRedis.install();
+
+const step = (n) => ({ undo: [{ type: 'element:delete', ids: [`e${n}`] }], redo: [{ type: 'element:restore', ids: [`e${n}`] }] });
+const ids = (entry) => entry && entry.undo[0].ids[0];
+
+// run each test against both stores, in a fresh room
+let rooms = 0;
+function bothStores(name, fn) {
+  ['redis', 'memory'].forEach((store) => {
+    test(`${name} (${store})`, async () => {
+      redis.down = store === 'memory';
+      assert.equal(storeMode.init(), store);
+      redis.down = false;
+      await fn(`room-${(rooms += 1)}`);
+    });
+  });
+}
+
+bothStores('undo and redo walk back and forth through my own steps', async (room) => {
+  await undoHistory.push(room, 'u1', step(1));
+  await undoHistory.push(room, 'u1', step(2));
+  await undoHistory.push(room, 'u2', step(3));
+
+  assert.equal(ids(await undoHistory.undo(room, 'u1')), 'e2');
+  assert.equal(ids(await undoHistory.undo(room, 'u1')), 'e1');
+  assert.equal(await undoHistory.undo(room, 'u1'), null);
+
+  assert.equal(ids(await undoHistory.redo(room, 'u1')), 'e1');
+  // someone else's history is untouched
+  assert.equal(ids(await undoHistory.undo(room, 'u2')), 'e3');
+});
+
+bothStores('a new step drops what could be redone', async (room) => {
+  await undoHistory.push(room, 'u1', step(1));
+  await undoHistory.undo(room, 'u1');
+  await undoHistory.push(room, 'u1', step(2));
+
+  assert.equal(await undoHistory.redo(room, 'u1'), null);
+  assert.equal(ids(await undoHistory.undo(room, 'u1')), 'e2');
+});
+
+bothStores('only the newest HISTORY_MAX_STEPS steps are kept', async (room) => {
+  for (let i = 1; i <= undoHistory.HISTORY_MAX_STEPS + 5; i++) await undoHistory.push(room, 'u1', step(i));
+
+  let count = 0;
+  let last = null;
+  for (let entry = await undoHistory.undo(room, 'u1'); entry; entry = await undoHistory.undo(room, 'u1')) {
+    count += 1;
+    last = entry;
+  }
+  assert.equal(count, undoHistory.HISTORY_MAX_STEPS);
+  assert.equal(ids(last), 'e6');
+});
+
+bothStores('reset forgets both stacks', async (room) => {
+  await undoHistory.push(room, 'u1', step(1));
+  await undoHistory.push(room, 'u1', step(2));
+  await undoHistory.undo(room, 'u1');
+
+  await undoHistory.reset(room, 'u1');
+  assert.equal(await undoHistory.undo(room, 'u1'), null);
+  assert.equal(await undoHistory.redo(room, 'u1'), null);
+});
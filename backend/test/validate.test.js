@@ -0,0 +1,89 @@
+// sockets/validate.js: payloads are checked and rebuilt from known fields only
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload } = require('../sockets/validate');
+
+const roomId = '0123456789abcdef01234567';
+const clientId = 'client-1';
+const stamp = (time = Date.now()) => `${String(time).padStart(13, '0')}.0000.${clientId}`;
+
+const rectangle = {
+  id: 'el-1',
+  type: 'rectangle',
+  data: { from: { x: 10, y: 10 }, to: { x: 50, y: 40 } },
+  style: { color: '#ff0000', strokeWidth: 3 },
+};
+
+test('rebuilds an element op and drops unknown fields', () => {
+  const { value, error } = validatePayload('element:create', {
+    roomId,
+    clientId,
+    stamp: stamp(),
+    element: { ...rectangle, createdBy: 'someone-else', data: { ...rectangle.data, html: '<b>' } },
+    extra: true,
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(Object.keys(value).sort(), ['clientId', 'element', 'roomId', 'stamp']);
+  assert.equal('createdBy' in value.element, false);
+  assert.deepEqual(value.element.data, rectangle.data);
+  assert.deepEqual(value.element.style, rectangle.style);
+  assert.equal(value.element.zIndex, 0);
+});
+
+test('refuses bad room ids, element types and coordinates', () => {
+  const op = { roomId, clientId, stamp: stamp(), element: rectangle };
+  assert.match(validatePayload('element:create', { ...op, roomId: 'abc' }).error, /roomId/);
+  assert.match(validatePayload('element:create', { ...op, element: { ...rectangle, type: 'script' } }).error, /element\.type/);
+  assert.match(
+    validatePayload('element:create', { ...op, element: { ...rectangle, data: { from: { x: 1e6, y: 0 }, to: { x: 0, y: 0 } } } }).error,
+    /data\.from\.x/
+  );
+  assert.match(validatePayload('element:create', { ...op, element: { ...rectangle, style: { color: 'red' } } }).error, /style\.color/);
+});
+
+test('stamps must belong to the sender and not run far ahead', () => {
+  const op = { roomId, clientId, element: rectangle };
+  assert.match(validatePayload('element:create', { ...op, stamp: 'nope' }).error, /stamp is invalid/);
+  assert.match(validatePayload('element:create', { ...op, clientId: 'other' }).error, /stamp/);
+  assert.match(
+    validatePayload('element:create', { ...op, stamp: stamp(Date.now() + 60 * 60 * 1000) }).error,
+    /too far in the future/
+  );
+});
+
+test('updates must change something and only strokes take appends', () => {
+  const base = { roomId, clientId, stamp: stamp(), id: 'el-1' };
+  assert.match(validatePayload('element:update', { ...base, elementType: 'rectangle' }).error, /changes nothing/);
+  assert.match(
+    validatePayload('element:update', { ...base, elementType: 'rectangle', append: { at: 0, points: [{ x: 1, y: 1 }] } }).error,
+    /only works on strokes/
+  );
+  const { value } = validatePayload('element:update', { ...base, elementType: 'pen', append: { at: 2, points: [{ x: 1, y: 1 }] } });
+  assert.deepEqual(value.append, { at: 2, points: [{ x: 1, y: 1 }] });
+});
+
+test('images are a png/jpeg data url or a stored file name', () => {
+  const base = { roomId, clientId, stamp: stamp() };
+  const image = (data) => validatePayload('element:create', { ...base, element: { id: 'img', type: 'image', data } });
+  const box = { x: 0, y: 0, width: 100, height: 100 };
+
+  assert.equal(image({ ...box, src: 'data:image/png;base64,AAAA' }).error, undefined);
+  assert.equal(image({ ...box, file: `${'a'.repeat(40)}.png` }).error, undefined);
+  assert.match(image({ ...box, src: 'https://example.com/x.png' }).error, /data\.src/);
+  assert.match(image({ ...box, file: '../secret.png' }).error, /data\.file/);
+});
+
+test('sync events: resume since and typing', () => {
+  assert.deepEqual(validatePayload('resume', { roomId, since: 12 }).value, { roomId, since: 12 });
+  assert.deepEqual(validatePayload('resume', { roomId }).value, { roomId, since: null });
+  assert.match(validatePayload('resume', { roomId, since: -1 }).error, /since/);
+  assert.match(validatePayload('typing', { roomId, isTyping: 'yes' }).error, /isTyping/);
+});
+
+test('payloads must be objects; events without a schema pass through', () => {
+  assert.equal(validatePayload('join', null).error, 'payload must be an object');
+  assert.equal(validatePayload('join', [roomId]).error, 'payload must be an object');
+  const payload = { anything: 1 };
+  assert.equal(validatePayload('no-such-event', payload).value, payload);
+});
@@ -3,6 +3,17 @@
 // each screen, but all drawing coordinates are kept normalized so
 // users on large monitors and tablets see the same content.
 //
+// The board is a scene of vector elements (see utils/scene.js): every
+// stroke, shape, text, fill and image has an id, so it can be selected,
+// moved, restyled and deleted later. Changes travel as element ops.
+//
+// Ops are stamped (utils/hlc.js) and the scene merges them like a CRDT, so
+// concurrent edits converge without waiting for the server. Ops the server
+// hasn't acked yet stay in an outbox (also kept in localStorage) and are sent
+// again after a reconnect, which is how offline edits get merged in later.
+//
+// Undo/redo is per user and lives on the server: every edit is recorded there
+// as a step of inverse ops, and undo asks the server to replay them to the room.
 
 import {
   useEffect,
@@ -10,20 +21,84 @@ import {
   useState,
   useImperativeHandle,
   forwardRef,
-  useMemo,
 } from "react";
+import { createSeqTracker } from "../utils/seqTracker";
+import { createClock } from "../utils/hlc";
+import {
+  VIRTUAL_WIDTH,
+  VIRTUAL_HEIGHT,
+  MAX_STROKE_POINTS,
+  SHAPE_TYPES,
+  newElementId,
+  createScene,
+  applyOp,
+  isLive,
+  liveElement,
+  liveElements,
+  sortElements,
+  topZIndex,
+  isTopmost,
+  latestStamp,
+  offsetOf,
+  movedBy,
+  strokePoints,
+  paintStroke,
+  paintElement,
+  renderScene,
+  elementBounds,
+  hitTest,
+  elementsInRect,
+  elementsInLasso,
+} from "../utils/scene";
+import {
+  EPHEMERAL_TOOLS,
+  LASER_COLOR,
+  addToStroke,
+  paintEphemeral,
+} from "../utils/ephemeral";
 import { API_URL } from "../utils/api";
 
-// Logical canvas space shared by all clients
-const VIRTUAL_WIDTH = 1920;
-const VIRTUAL_HEIGHT = 1080;
-
-// History and replay behavior
-const HISTORY_MAX_FRAMES = 100;
-const REPLAY_RETRY_MS = 120;
-
-// Local autosave delay 1.2s (any faster, it crashes so 1.2 was ideal number)
-const AUTOSAVE_MS = 1200;
+// Reliable delivery: how long a hole in the seq numbers may stay open
+// before we ask the server to resume, and how long we wait for that answer
+const GAP_RESYNC_MS = 800;
+const RESUME_TIMEOUT_MS = 10000;
+// Server-side save renders the whole log, give it a moment
+const SAVE_TIMEOUT_MS = 20000;
+
+// Outbox: how many queued ops go out per second after a reconnect (stays under
+// the server's rate limit), and how often it is written to localStorage
+const OUTBOX_BATCH = 100;
+const OUTBOX_RETRY_MS = 1000;
+const OUTBOX_SAVE_MS = 500;
+const outboxKey = (whiteboardId) => `whiteboard-outbox-${whiteboardId}`;
+
+// Remote cursors: how often ours goes out, and when a still one is hidden
+const CURSOR_SEND_MS = 50;
+const CURSOR_HIDE_MS = 10000;
+// Laser/ephemeral ink points are batched this long before going out
+const EPHEMERAL_SEND_MS = 40;
+
+// Soft locks on what we're editing: renewed this often while held (the server
+// lets them go after 15s), and how long a "someone else is editing" notice stays
+const LOCK_RENEW_MS = 5000;
+const LOCK_NOTICE_MS = 2500;
+
+// Viewport: zoom 1 fits the whole board; above that (cx, cy) is the logical
+// point in the middle of the screen. Followers get ours at most this often.
+const FIT_VIEWPORT = { zoom: 1, cx: VIRTUAL_WIDTH / 2, cy: VIRTUAL_HEIGHT / 2 };
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+const VIEWPORT_SEND_MS = 100;
+
+const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+
+// Element coordinates may reach a little past the board (server EDGE_MARGIN)
+const EDGE_MARGIN = 64;
+// Drags shorter than this (logical px) are clicks
+const DRAG_THRESHOLD = 3;
+
+// Toolbar width -> text size (same rule the text tool always used)
+const textSize = (strokeWidth) => Math.max(10, Math.round(strokeWidth * 10));
 
 const CanvasBoard = forwardRef(function CanvasBoard(
   {
@@ -34,6 +109,19 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     socket,
     gridEnabled = true,
     sessionToken,
+    readOnly = false,
+    initialState = null, // server board state from GET /api/whiteboards/:id
+    participants = [], // presence roster from room-info (names, cursor colors, status)
+    userId = null, // our user id (locks held by our other tabs don't block us)
+    following = null, // roster entry whose viewport we track (follow mode)
+    followLabel = null, // banner text instead of "Following <name>" (presenter mode)
+    followers = [], // roster entries tracking ours
+    onStopFollowing,
+    commentThreads = [], // pinned comment threads to show (already filtered)
+    activeThreadId = null,
+    commentDraft = null, // anchor of the thread being written, before it's posted
+    onCommentPlace, // (anchor) comment tool click (point) or drag (region)
+    onCommentSelect, // (threadId) pin clicked
   },
   ref
 ) {
@@ -44,13 +132,26 @@ const CanvasBoard = forwardRef(function CanvasBoard(
 
   // Internal flags and metrics
   const isInitialized = useRef(false);
-  const hasLoadedContent = useRef(false);
   const dprRef = useRef(1);
 
+  // Scene: elements by id, plus a cached rendering of it (offscreen canvas)
+  // so overlays and drafts don't repaint every element on each pointer move
+  const sceneRef = useRef(createScene());
+  const cacheRef = useRef(null);
+  const cacheDirtyRef = useRef(true);
+  const frameRef = useRef(null);
+  const imagesRef = useRef(new Map()); // element id -> { source, img, loaded, blobUrl }
+
   // Pointer state
   const [isDrawing, setIsDrawing] = useState(false);
   const dragStart = useRef({ x: 0, y: 0 });
-  const previewSnapshot = useRef(null);
+  const strokeIdRef = useRef(null); // pen/eraser stroke being drawn
+  const draftRef = useRef(null); // { kind: "shape" | "marquee" | "move" | "lasso", ... }
+
+  // Laser / ephemeral ink (utils/ephemeral.js): ours and everyone else's strokes,
+  // plus the one we're drawing { id, tool, color, strokeWidth, pending, sentAt }
+  const ephemeralRef = useRef(new Map());
+  const ephemeralOutRef = useRef(null);
 
   // Text input state
   const [textInput, setTextInput] = useState(null); // { x, y, text, userId }
@@ -58,15 +159,29 @@ const CanvasBoard = forwardRef(function CanvasBoard(
   const textInputRef = useRef(null);
   const textInputCreatedTime = useRef(0);
 
+  // Other people's cursors: userId -> { x, y, at }
+  const [remoteCursors, setRemoteCursors] = useState({});
+  const cursorSentAtRef = useRef(0);
+
+  // Soft locks (server grants them): [{ kind, id, x, y, userId, name }] for the
+  // whole room, and a short notice when something we wanted is taken
+  const [locks, setLocks] = useState([]);
+  const locksRef = useRef([]);
+  const [lockNotice, setLockNotice] = useState(null);
+  const lockNoticeTimerRef = useRef(null);
+
   // Selection state
-  const [selection, setSelection] = useState(null); // { x, y, width, height, imageData }
-  const [selectionDragging, setSelectionDragging] = useState(false);
+  const selectedRef = useRef(new Set()); // selected element ids
+  const textSpotRef = useRef(null); // { x, y } of the text we're typing
+  const lastLockRequestRef = useRef(null);
   const [lassoPath, setLassoPath] = useState([]); // for lasso tool
-  const selectionRef = useRef(null);
 
-  // History of ImageData frames (backing store space)
-  const historyRef = useRef([]);
-  const historyStepRef = useRef(-1);
+  // Viewport (zoom/pan), shared with whoever follows us
+  const [viewport, setViewport] = useState(FIT_VIEWPORT);
+  const viewportRef = useRef(FIT_VIEWPORT);
+  const viewportSentAtRef = useRef(0);
+  const stopFollowingRef = useRef(null);
+  const [, setLayoutVersion] = useState(0); // overlays follow the canvas position
 
   // CSS sizing (kept for future debugging or overlays)
   const cssSizeRef = useRef({
@@ -76,8 +191,97 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     top: 0,
   });
 
-  // Autosave timer
-  const autosaveTimerRef = useRef(null);
+  // Server sequence tracking (see utils/seqTracker.js)
+  const seqRef = useRef(createSeqTracker());
+  const gapTimerRef = useRef(null);
+  const resumingRef = useRef(false);
+  // Tags our own events so a resume doesn't apply them a second time
+  const clientIdRef = useRef(Math.random().toString(36).slice(2, 10));
+  // Stamps our ops; moves past every stamp we see so our edits win over them
+  const clockRef = useRef(createClock(clientIdRef.current));
+
+  // Ops not acked yet, oldest first: [{ type, payload, sentOn }] where
+  // sentOn is the id of the socket it last went out on
+  const outboxRef = useRef([]);
+  const outboxTimerRef = useRef(null);
+  const outboxSaveTimerRef = useRef(null);
+
+  const writeOutbox = () => {
+    clearTimeout(outboxSaveTimerRef.current);
+    outboxSaveTimerRef.current = null;
+    if (!whiteboardId) return;
+    try {
+      const pending = outboxRef.current.map(({ type, payload }) => ({ type, payload }));
+      if (pending.length > 0) {
+        localStorage.setItem(outboxKey(whiteboardId), JSON.stringify(pending));
+      } else {
+        localStorage.removeItem(outboxKey(whiteboardId));
+      }
+    } catch (err) {
+      console.warn("canvas: could not store unsent edits", err);
+    }
+  };
+
+  const saveOutbox = () => {
+    if (outboxSaveTimerRef.current) return;
+    outboxSaveTimerRef.current = setTimeout(writeOutbox, OUTBOX_SAVE_MS);
+  };
+
+  const dropFromOutbox = (entry) => {
+    outboxRef.current = outboxRef.current.filter((e) => e !== entry);
+    saveOutbox();
+  };
+
+  // Send one queued op; the server acks with the seq it was given.
+  // Rate-limited ops (and ones the server couldn't log just now) wait for the
+  // next flush; any other refusal means our scene has an op the room will never
+  // see, so start over from the server.
+  const sendEntry = (entry) => {
+    entry.sentOn = socket.id;
+    socket.emit(entry.type, entry.payload, (res) => {
+      if (res?.ok) {
+        dropFromOutbox(entry);
+        acceptSeq(res.seq);
+      } else if (res?.error === "rate-limited" || res?.error === "unavailable") {
+        entry.sentOn = null;
+        scheduleFlush();
+      } else {
+        dropFromOutbox(entry);
+        if (res?.error === "locked" && entry.payload.element?.type === "text") {
+          showLockNotice("Someone else is typing there");
+        }
+        // a lost undo step doesn't change the board
+        if (entry.type !== "history:push") requestResume({ fresh: true });
+      }
+    });
+  };
+
+  // Send whatever hasn't gone out on this socket yet, a batch at a time
+  const flushOutbox = () => {
+    outboxTimerRef.current = null;
+    if (!socket?.connected) return;
+    const unsent = outboxRef.current.filter((e) => e.sentOn !== socket.id);
+    unsent.slice(0, OUTBOX_BATCH).forEach(sendEntry);
+    if (unsent.length > OUTBOX_BATCH) scheduleFlush();
+  };
+
+  const scheduleFlush = () => {
+    if (outboxTimerRef.current) return;
+    outboxTimerRef.current = setTimeout(flushOutbox, OUTBOX_RETRY_MS);
+  };
+
+  // Queue a logged canvas event and send it if we're online
+  const emitCanvasEvent = (type, payload) => {
+    if (!whiteboardId) return;
+    const entry = {
+      type,
+      payload: { roomId: whiteboardId, clientId: clientIdRef.current, ...payload },
+      sentOn: null,
+    };
+    outboxRef.current.push(entry);
+    saveOutbox();
+    if (socket?.connected) sendEntry(entry);
+  };
 
   // Text input handlers
   const handleTextInputChange = (e) => {
@@ -121,30 +325,12 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       return;
     }
 
-    const ctx = ctxRef.current;
-    if (!ctx) return;
-
-    // Draw text on canvas
-    ctx.save();
-    ctx.globalCompositeOperation = "source-over";
-    ctx.fillStyle = color;
-    const px = Math.max(10, Math.round(strokeWidth * 10));
-    ctx.font = `${px}px Arial`;
-    ctx.textBaseline = "top";
-    ctx.fillText(textInput.text, textInput.x, textInput.y);
-    ctx.restore();
-    pushHistory();
-
-    // Emit finalized text to others
+    createElement({
+      type: "text",
+      data: { x: textInput.x, y: textInput.y, text: textInput.text },
+      style: { color, fontSize: textSize(strokeWidth) },
+    });
     if (socket && whiteboardId) {
-      socket.emit("text", {
-        roomId: whiteboardId,
-        x: textInput.x,
-        y: textInput.y,
-        text: textInput.text,
-        color,
-        strokeWidth,
-      });
       socket.emit("text-finalized", { roomId: whiteboardId });
     }
 
@@ -164,21 +350,6 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     }
   };
 
-  // Board-specific localStorage key for autosave
-  const specificKey = useMemo(
-    () => (whiteboardId ? `whiteboard-cache-${whiteboardId}` : null),
-    [whiteboardId]
-  );
-
-  // Clean up old generic cache on mount (one-time migration)
-  useEffect(() => {
-    try {
-      localStorage.removeItem("whiteboard-cache");
-    } catch (e) {
-      // ignore
-    }
-  }, []);
-
   // Convert mouse/touch event into logical coords (1920x1080 space)
   // This handles iPad Safari "touchend" where touches[] is empty.
   // (This was a crash before; fixed with ChatGPT.)
@@ -210,525 +381,456 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       return { x: last.x, y: last.y };
     }
 
+    // Keep points on the board (touch drags can wander off the canvas)
     const lx = ((cx - rect.left) / rect.width) * VIRTUAL_WIDTH;
     const ly = ((cy - rect.top) / rect.height) * VIRTUAL_HEIGHT;
-    return { x: lx, y: ly };
+    return {
+      x: Math.min(Math.max(lx, 0), VIRTUAL_WIDTH),
+      y: Math.min(Math.max(ly, 0), VIRTUAL_HEIGHT),
+    };
   };
 
-  // Simple drawing helper functions (work in logical coordinates)
-  const stroke = (ctx, a, b) => {
-    ctx.beginPath();
-    ctx.moveTo(a.x, a.y);
-    ctx.lineTo(b.x, b.y);
-    ctx.stroke();
-    ctx.closePath();
-  };
-  const drawRect = (ctx, a, b) => {
-    const x = Math.min(a.x, b.x);
-    const y = Math.min(a.y, b.y);
-    const w = Math.abs(b.x - a.x);
-    const h = Math.abs(b.y - a.y);
-    ctx.strokeRect(x, y, w, h);
-  };
-  const drawCircle = (ctx, a, b) => {
-    const r = Math.hypot(b.x - a.x, b.y - a.y);
-    ctx.beginPath();
-    ctx.arc(a.x, a.y, r, 0, Math.PI * 2);
-    ctx.stroke();
+  // === Rendering ===
+
+  // Decoded images by element id; a finished decode repaints the scene.
+  // Images the server stored (data.file) come from the board's image endpoint,
+  // which wants our token, so they go through a blob url; the rest are data URLs.
+  const getImage = (el) => {
+    const source = el.data?.file || el.data?.src;
+    const cached = imagesRef.current.get(el.id);
+    if (cached?.source === source) return cached.loaded ? cached.img : null;
+    if (cached?.blobUrl) URL.revokeObjectURL(cached.blobUrl);
+
+    const img = new Image();
+    const entry = { source, img, loaded: false, blobUrl: null };
+    imagesRef.current.set(el.id, entry);
+    img.onload = () => {
+      entry.loaded = true;
+      invalidate();
+    };
+    img.onerror = () => console.error("canvas: bad image element", el.id);
+    if (!el.data?.file) {
+      img.src = el.data?.src;
+      return null;
+    }
+
+    fetch(`${API_URL}/api/whiteboards/${whiteboardId}/images/${el.data.file}`, {
+      headers: { Authorization: `Bearer ${sessionToken}` },
+    })
+      .then((res) => (res.ok ? res.blob() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((blob) => {
+        if (imagesRef.current.get(el.id) !== entry) return;
+        entry.blobUrl = URL.createObjectURL(blob);
+        img.src = entry.blobUrl;
+      })
+      .catch((err) => console.error("canvas: could not load image", el.id, err.message));
+    return null;
   };
-  const drawLine = (ctx, a, b) => stroke(ctx, a, b);
-  const drawShape = { rectangle: drawRect, circle: drawCircle, line: drawLine };
 
-  // Cut selection (rectangular)
-  const cutSelection = (x, y, width, height) => {
+  // Offscreen canvas with the committed scene, same backing size as the screen
+  const getCache = () => {
     const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx) return;
-
-    const dpr = dprRef.current || 1;
-
-    // Extract image data from selection
-    const sx = Math.round(x * dpr);
-    const sy = Math.round(y * dpr);
-    const sw = Math.round(width * dpr);
-    const sh = Math.round(height * dpr);
-
-    try {
-      const imageData = ctx.getImageData(sx, sy, sw, sh);
-
-      // Clear the selected area
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.clearRect(x, y, width, height);
-      ctx.restore();
-
-      // Store selection
-      setSelection({
-        x,
-        y,
-        width,
-        height,
-        imageData,
-      });
-
-      pushHistory();
-
-      // Broadcast the cut to other users
-      if (socket && whiteboardId) {
-        console.log("Emitting selection-cut (rect):", {
-          roomId: whiteboardId,
-          x,
-          y,
-          width,
-          height,
-          type: "rect",
-        });
-        socket.emit("selection-cut", {
-          roomId: whiteboardId,
-          x,
-          y,
-          width,
-          height,
-          type: "rect",
-        });
-      }
-    } catch (err) {
-      console.error("Cut selection error:", err);
+    if (!canvas) return null;
+    if (!cacheRef.current) cacheRef.current = document.createElement("canvas");
+
+    const cache = cacheRef.current;
+    if (cache.width !== canvas.width || cache.height !== canvas.height) {
+      cache.width = canvas.width;
+      cache.height = canvas.height;
+      cacheDirtyRef.current = true;
     }
+    return cache;
   };
 
-  // Cut lasso selection
-  const cutLassoSelection = (path) => {
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx || path.length < 3) return;
+  const refreshCache = () => {
+    const cache = getCache();
+    if (!cache || !cacheDirtyRef.current) return cache;
+    cacheDirtyRef.current = false;
 
-    const dpr = dprRef.current || 1;
+    const scene = sceneRef.current;
+    const cctx = cache.getContext("2d", { willReadFrequently: true });
+    renderScene(cctx, dprRef.current || 1, liveElements(scene), getImage);
 
-    // Find bounding box of lasso path
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    path.forEach((pt) => {
-      minX = Math.min(minX, pt.x);
-      minY = Math.min(minY, pt.y);
-      maxX = Math.max(maxX, pt.x);
-      maxY = Math.max(maxY, pt.y);
+    // forget decoded images of deleted elements
+    imagesRef.current.forEach((entry, id) => {
+      if (liveElement(scene, id)) return;
+      if (entry.blobUrl) URL.revokeObjectURL(entry.blobUrl);
+      imagesRef.current.delete(id);
     });
+    return cache;
+  };
 
-    const x = minX;
-    const y = minY;
-    const width = maxX - minX;
-    const height = maxY - minY;
-
-    if (width < 5 || height < 5) return;
-
-    try {
-      const sx = Math.round(x * dpr);
-      const sy = Math.round(y * dpr);
-      const sw = Math.round(width * dpr);
-      const sh = Math.round(height * dpr);
-
-      const imageData = ctx.getImageData(sx, sy, sw, sh);
-
-      // Create mask from lasso path
-      const maskCanvas = document.createElement("canvas");
-      maskCanvas.width = sw;
-      maskCanvas.height = sh;
-      const maskCtx = maskCanvas.getContext("2d");
-
-      // Draw lasso path as filled region (white = keep, black = discard)
-      maskCtx.fillStyle = "black";
-      maskCtx.fillRect(0, 0, sw, sh);
-
-      // Fill the lasso area with white
-      maskCtx.fillStyle = "white";
-      maskCtx.beginPath();
-      maskCtx.moveTo((path[0].x - x) * dpr, (path[0].y - y) * dpr);
-      for (let i = 1; i < path.length; i++) {
-        maskCtx.lineTo((path[i].x - x) * dpr, (path[i].y - y) * dpr);
-      }
-      maskCtx.closePath();
-      maskCtx.fill();
-
-      // Apply mask to imageData - keep only white areas
-      const maskData = maskCtx.getImageData(0, 0, sw, sh);
-      for (let i = 0; i < imageData.data.length; i += 4) {
-        if (maskData.data[i] === 0) {
-          // Black area - make transparent
-          imageData.data[i + 3] = 0;
-        }
-      }
-
-      // Clear the lasso area on canvas
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.beginPath();
-      ctx.moveTo(path[0].x, path[0].y);
-      for (let i = 1; i < path.length; i++) {
-        ctx.lineTo(path[i].x, path[i].y);
-      }
-      ctx.closePath();
-      ctx.clip();
-      ctx.clearRect(x, y, width, height);
-      ctx.restore();
-
-      // Store selection
-      setSelection({
-        x,
-        y,
-        width,
-        height,
-        imageData,
-        isLasso: true,
-      });
-
-      pushHistory();
-
-      // Broadcast the lasso cut to other users
-      if (socket && whiteboardId) {
-        // Send the lasso path so others can clear the same area
-        console.log("Emitting selection-cut (lasso):", {
-          roomId: whiteboardId,
-          x,
-          y,
-          width,
-          height,
-          type: "lasso",
-          pathLength: path.length,
-        });
-        socket.emit("selection-cut", {
-          roomId: whiteboardId,
-          x,
-          y,
-          width,
-          height,
-          type: "lasso",
-          path: path,
-        });
-      }
-    } catch (err) {
-      console.error("Cut lasso selection error:", err);
-    }
+  // Bounds of everything selected, moved by (dx, dy)
+  const selectionOutlines = (dx = 0, dy = 0) => {
+    const out = [];
+    selectedRef.current.forEach((id) => {
+      const el = liveElement(sceneRef.current, id);
+      const b = el && elementBounds(el, ctxRef.current);
+      if (b) out.push({ ...b, x: b.x + dx, y: b.y + dy });
+    });
+    return out;
   };
 
-  // Flood fill algorithm for paint bucket tool
-  const floodFill = (ctx, x, y, fillColor) => {
+  // Paint one frame: cached scene (or the scene with the selection being
+  // dragged), then drafts and selection outlines on top
+  const renderFrame = () => {
+    frameRef.current = null;
     const canvas = canvasRef.current;
+    const ctx = ctxRef.current;
     if (!canvas || !ctx) return;
 
     const dpr = dprRef.current || 1;
-
-    // Save current transform
-    ctx.save();
-
-    // Reset transform to get raw pixel data
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const { width, height, data } = imageData;
-
-    // Convert click coordinates to pixel coordinates
-    const startX = Math.floor(x * dpr);
-    const startY = Math.floor(y * dpr);
-
-    if (startX < 0 || startX >= width || startY < 0 || startY >= height) {
+    const draft = draftRef.current;
+    const moving = draft?.kind === "move" && (draft.dx || draft.dy);
+
+    if (moving) {
+      const elements = liveElements(sceneRef.current).map((el) =>
+        selectedRef.current.has(el.id)
+          ? { ...el, transform: movedBy(el, draft.dx, draft.dy) }
+          : el
+      );
+      renderScene(ctx, dpr, elements, getImage);
+    } else {
+      const cache = refreshCache();
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (cache) ctx.drawImage(cache, 0, 0);
       ctx.restore();
-      return;
     }
 
-    // Get target color at click point
-    const startPos = (startY * width + startX) * 4;
-    const targetR = data[startPos];
-    const targetG = data[startPos + 1];
-    const targetB = data[startPos + 2];
-    const targetA = data[startPos + 3];
-
-    // Parse fill color (hex to RGB)
-    const hex = fillColor.replace('#', '');
-    const fillR = parseInt(hex.substring(0, 2), 16);
-    const fillG = parseInt(hex.substring(2, 4), 16);
-    const fillB = parseInt(hex.substring(4, 6), 16);
-    const fillA = 255;
-
-    // Don't fill if target color is same as fill color
-    if (targetR === fillR && targetG === fillG && targetB === fillB && targetA === fillA) {
-      ctx.restore();
-      return;
+    ctx.save();
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    if (draft?.kind === "shape") paintElement(ctx, dpr, draft.element);
+
+    if (draft?.kind === "marquee" || draft?.kind === "comment") {
+      const comment = draft.kind === "comment";
+      ctx.strokeStyle = comment ? "#f59e0b" : "#3b82f6";
+      ctx.fillStyle = comment ? "rgba(245, 158, 11, 0.1)" : "rgba(59, 130, 246, 0.08)";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      const x = Math.min(draft.from.x, draft.to.x);
+      const y = Math.min(draft.from.y, draft.to.y);
+      const w = Math.abs(draft.to.x - draft.from.x);
+      const h = Math.abs(draft.to.y - draft.from.y);
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeRect(x, y, w, h);
     }
 
-    // Stack-based flood fill to avoid recursion limits
-    const stack = [[startX, startY]];
-    const visited = new Set();
-
-    const colorMatch = (pos) => {
-      return (
-        data[pos] === targetR &&
-        data[pos + 1] === targetG &&
-        data[pos + 2] === targetB &&
-        data[pos + 3] === targetA
-      );
-    };
-
-    while (stack.length > 0) {
-      const [cx, cy] = stack.pop();
-      const key = `${cx},${cy}`;
+    ctx.strokeStyle = "#3b82f6";
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    selectionOutlines(moving ? draft.dx : 0, moving ? draft.dy : 0).forEach((b) =>
+      ctx.strokeRect(b.x - 4, b.y - 4, b.width + 8, b.height + 8)
+    );
+    ctx.setLineDash([]);
+
+    // Elements someone else is editing: outline in their color, named once per person
+    const labelled = new Set();
+    locksRef.current.forEach((lock) => {
+      if (lock.kind !== "element" || lock.userId === userId) return;
+      const el = liveElement(sceneRef.current, lock.id);
+      const b = el && elementBounds(el, ctx);
+      if (!b) return;
+      const c = holderColor(lock.userId);
+      ctx.strokeStyle = c;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(b.x - 6, b.y - 6, b.width + 12, b.height + 12);
+      ctx.setLineDash([]);
+      if (labelled.has(lock.userId)) return;
+      labelled.add(lock.userId);
+      ctx.font = "12px Arial";
+      const label = `\u{1F512} ${lock.name}`;
+      ctx.fillStyle = c;
+      ctx.fillRect(b.x - 6, b.y - 26, ctx.measureText(label).width + 10, 18);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(label, b.x - 1, b.y - 13);
+    });
 
-      if (visited.has(key)) continue;
-      if (cx < 0 || cx >= width || cy < 0 || cy >= height) continue;
+    // Laser and ephemeral ink fade by themselves, so keep animating while any are left
+    const fading = paintEphemeral(ctx, ephemeralRef.current);
+    ctx.restore();
+    if (fading) scheduleRender();
+  };
 
-      const pos = (cy * width + cx) * 4;
-      if (!colorMatch(pos)) continue;
+  const scheduleRender = () => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(renderFrame);
+  };
 
-      visited.add(key);
+  // The scene changed in a way that needs a full repaint
+  const invalidate = () => {
+    cacheDirtyRef.current = true;
+    scheduleRender();
+  };
 
-      // Fill this pixel
-      data[pos] = fillR;
-      data[pos + 1] = fillG;
-      data[pos + 2] = fillB;
-      data[pos + 3] = fillA;
+  // Drop selected ids whose elements are gone
+  const pruneSelection = () => {
+    selectedRef.current.forEach((id) => {
+      if (!liveElement(sceneRef.current, id)) selectedRef.current.delete(id);
+    });
+  };
 
-      // Add neighbors to stack
-      stack.push([cx + 1, cy]);
-      stack.push([cx - 1, cy]);
-      stack.push([cx, cy + 1]);
-      stack.push([cx, cy - 1]);
+  // Apply one op (ours or from the room) to the scene and repaint.
+  // More points at the end of the topmost stroke only need the new segment painted.
+  const applyToScene = (type, p = {}) => {
+    const scene = sceneRef.current;
+    clockRef.current.observe(p.stamp);
+    const before = type === "element:update" ? liveElement(scene, p.id) : null;
+    applyOp(scene, type, p);
+
+    const after = before && scene.elements.get(p.id);
+    const appendOnly =
+      isLive(after) &&
+      after !== before &&
+      p.append?.at === before.data.points?.length &&
+      !before.data.points.includes(null) &&
+      !p.data &&
+      !p.style &&
+      !p.transform &&
+      p.zIndex === undefined;
+
+    if (appendOnly && !cacheDirtyRef.current && isTopmost(scene, after)) {
+      const cache = getCache();
+      if (cache && !cacheDirtyRef.current) {
+        const dpr = dprRef.current || 1;
+        const cctx = cache.getContext("2d", { willReadFrequently: true });
+        cctx.save();
+        cctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        paintStroke(cctx, after, strokePoints(before).length);
+        cctx.restore();
+        scheduleRender();
+        return;
+      }
     }
 
-    // Put the modified image data back
-    ctx.putImageData(imageData, 0, 0);
-
-    // Restore the transform
-    ctx.restore();
+    pruneSelection();
+    invalidate();
   };
 
-   // Capture a history frame (with DPR) and debounce autosave.
-  const pushHistory = () => {
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx) return;
+  // === Ops and history ===
+
+  // Record an undo step on the server (queued like an op when offline).
+  // Steps are unstamped: replaying one is a new edit and gets new stamps.
+  const pushHistory = (undo, redo) => emitCanvasEvent("history:push", { undo, redo });
+
+  // Undo/redo of a created element: it goes to a tombstone and back
+  const createdStep = (id) => [
+    [{ type: "element:delete", ids: [id] }],
+    [{ type: "element:restore", ids: [id] }],
+  ];
+
+  // Stamp our own ops, apply them, send them to the room and (given
+  // `history`, [undo ops, redo ops]) record them as one undo step
+  const commitOps = (ops, history) => {
+    ops.forEach(({ type, ...fields }) => {
+      const payload = { ...fields, stamp: clockRef.current.now() };
+      applyToScene(type, payload);
+      emitCanvasEvent(type, payload);
+    });
+    if (history) pushHistory(...history);
+  };
 
-    try {
-      const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      historyRef.current = historyRef.current.slice(
-        0,
-        historyStepRef.current + 1
-      );
-      historyRef.current.push(img);
-      historyStepRef.current = historyRef.current.length - 1;
-      if (historyRef.current.length > HISTORY_MAX_FRAMES) {
-        historyRef.current.shift();
-        historyStepRef.current = historyRef.current.length - 1;
-      }
-    } catch (err) {
-      console.error("canvas: pushHistory failed", err);
-    }
-    // Save 1.2s after last change.
-    queueLocalAutosave();
+  // New element on top of everything else; returns it
+  const createElement = (partial, { record = true } = {}) => {
+    const element = {
+      id: newElementId(),
+      zIndex: topZIndex(sceneRef.current) + 1,
+      style: {},
+      ...partial,
+    };
+    commitOps(
+      [{ type: "element:create", element }],
+      record ? createdStep(element.id) : undefined
+    );
+    return element;
   };
 
-  // Restore a frame from history (scaled back into logical space)
-  const restoreHistory = (idx) => {
-    const frame = historyRef.current[idx];
-    if (!frame) return;
+  const selectedElements = () =>
+    sortElements(
+      [...selectedRef.current].map((id) => liveElement(sceneRef.current, id)).filter(Boolean)
+    );
 
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!ctx || !canvas) return;
+  const startStroke = (from) => {
+    const eraser = selectedTool === "eraser";
+    const el = createElement(
+      {
+        type: selectedTool,
+        data: { points: [from] },
+        style: eraser
+          ? { strokeWidth: strokeWidth * 3 }
+          : { color, strokeWidth },
+      },
+      // the undo step is recorded once the stroke is finished
+      { record: false }
+    );
+    strokeIdRef.current = el.id;
+  };
 
-    const off = document.createElement("canvas");
-    off.width = frame.width;
-    off.height = frame.height;
-    const offCtx = off.getContext("2d");
-    if (!offCtx) return;
+  const finishStroke = () => {
+    const id = strokeIdRef.current;
+    strokeIdRef.current = null;
+    if (!id || !liveElement(sceneRef.current, id)) return;
+    pushHistory(...createdStep(id));
+  };
 
-    offCtx.putImageData(frame, 0, 0);
+  // Keep a moved selection's coordinates inside what the server accepts
+  const clampMove = (dx, dy) => {
+    const boxes = selectionOutlines();
+    if (boxes.length === 0) return { dx, dy };
+    const minX = Math.min(...boxes.map((b) => b.x));
+    const minY = Math.min(...boxes.map((b) => b.y));
+    const maxX = Math.max(...boxes.map((b) => b.x + b.width));
+    const maxY = Math.max(...boxes.map((b) => b.y + b.height));
+    return {
+      dx: Math.min(Math.max(dx, -EDGE_MARGIN - minX), VIRTUAL_WIDTH + EDGE_MARGIN - maxX),
+      dy: Math.min(Math.max(dy, -EDGE_MARGIN - minY), VIRTUAL_HEIGHT + EDGE_MARGIN - maxY),
+    };
+  };
 
-    ctx.save();
-    ctx.setTransform(dprRef.current, 0, 0, dprRef.current, 0, 0);
-    ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-    ctx.drawImage(
-      off,
-      0,
-      0,
-      canvas.width,
-      canvas.height,
-      0,
-      0,
-      VIRTUAL_WIDTH,
-      VIRTUAL_HEIGHT
-    );
-    ctx.restore();
+  const moveSelection = (dx, dy) => {
+    const els = selectedElements();
+    if (els.length === 0) return;
+    // moves write the transform, so a stroke still being drawn keeps growing
+    const update = (el, transform) => ({
+      type: "element:update",
+      id: el.id,
+      elementType: el.type,
+      transform,
+    });
+    const ops = els.map((el) => update(el, movedBy(el, dx, dy)));
+    commitOps(ops, [els.map((el) => update(el, offsetOf(el))), ops]);
   };
 
-  // Scan the backing store for non-transparent bounds and return LOGICAL bounds.
-  // (This is how we crop for autosave + server save without white backgrounds.)
-  const getContentBoundsLogical = () => {
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx) return null;
+  // Toolbar color/width changes apply to whatever is selected
+  const restyleSelection = (changes) => {
+    if (readOnly) return;
+    const ops = [];
+    const undo = [];
 
-    const dpr = dprRef.current || 1;
-    const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const { width, height, data } = img;
-
-    let minX = width;
-    let minY = height;
-    let maxX = 0;
-    let maxY = 0;
-    let has = false;
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        if (data[(y * width + x) * 4 + 3] > 0) {
-          has = true;
-          if (x < minX) minX = x;
-          if (x > maxX) maxX = x;
-          if (y < minY) minY = y;
-          if (y > maxY) maxY = y;
-        }
+    selectedElements().forEach((el) => {
+      const style = {};
+      if (changes.color && !["eraser", "image"].includes(el.type)) {
+        style.color = changes.color;
+      }
+      if (changes.strokeWidth) {
+        if (el.type === "text") style.fontSize = textSize(changes.strokeWidth);
+        else if (el.type === "eraser") style.strokeWidth = changes.strokeWidth * 3;
+        else if (el.type !== "fill" && el.type !== "image") style.strokeWidth = changes.strokeWidth;
       }
-    }
-    if (!has) return null;
 
-    const padPx = Math.round(10 * dpr);
-    minX = Math.max(0, minX - padPx);
-    minY = Math.max(0, minY - padPx);
-    maxX = Math.min(width - 1, maxX + padPx);
-    maxY = Math.min(height - 1, maxY + padPx);
+      const keys = Object.keys(style).filter((k) => el.style?.[k] !== style[k]);
+      if (keys.length === 0) return;
 
-    const toLogical = (n) => n / dpr;
-    return {
-      x: toLogical(minX),
-      y: toLogical(minY),
-      width: toLogical(maxX - minX + 1),
-      height: toLogical(maxY - minY + 1),
-    };
+      const defaults = { color: "#000000", strokeWidth: 1, fontSize: textSize(2) };
+      const pick = (src) => Object.fromEntries(keys.map((k) => [k, src?.[k] ?? defaults[k]]));
+      const base = { type: "element:update", id: el.id, elementType: el.type };
+      ops.push({ ...base, style: pick(style) });
+      undo.push({ ...base, style: pick(el.style) });
+    });
+
+    if (ops.length > 0) commitOps(ops, [undo, ops]);
   };
 
-  // Local autosave of a cropped transparent PNG and logical bounds
-  const autosaveToLocal = () => {
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx) return;
+  // === Server sync ===
+
+  // Returns false for an event we already applied (e.g. it came back in a resume).
+  // A hole in the numbers that doesn't fill within GAP_RESYNC_MS triggers a resume.
+  const acceptSeq = (seq) => {
+    if (!Number.isInteger(seq)) return true;
+    const tracker = seqRef.current;
+    if (tracker.has(seq)) return false;
+    tracker.mark(seq);
+
+    if (tracker.hasGap() && !gapTimerRef.current) {
+      gapTimerRef.current = setTimeout(() => {
+        gapTimerRef.current = null;
+        if (seqRef.current.hasGap()) requestResume();
+      }, GAP_RESYNC_MS);
+    }
+    return true;
+  };
 
-    const dpr = dprRef.current || 1;
-    const bounds = getContentBoundsLogical();
+  // Ask the server for whatever we missed since the last seq we applied
+  // (fresh: ignore what we have and take the full server state)
+  const requestResume = ({ fresh = false } = {}) => {
+    if (!socket?.connected || !whiteboardId || resumingRef.current) return;
+    resumingRef.current = true;
+
+    socket
+      .timeout(RESUME_TIMEOUT_MS)
+      .emit(
+        "resume",
+        { roomId: whiteboardId, since: fresh ? null : seqRef.current.last },
+        (err, state) => {
+          try {
+            if (err || !state?.ok) {
+              console.warn("canvas: resume failed", err?.message || state);
+              return;
+            }
+            applyResumeState(state);
+          } catch (e) {
+            console.error("canvas: resume apply failed", e);
+          } finally {
+            resumingRef.current = false;
+            // caught up (or not): either way our queued edits go out now
+            flushOutbox();
+          }
+        }
+      );
+  };
 
-    try {
-      let payload;
-
-      if (bounds && bounds.width > 0 && bounds.height > 0) {
-        const temp = document.createElement("canvas");
-        temp.width = Math.round(bounds.width);
-        temp.height = Math.round(bounds.height);
-        const tctx = temp.getContext("2d");
-        tctx.drawImage(
-          canvas,
-          Math.round(bounds.x * dpr),
-          Math.round(bounds.y * dpr),
-          Math.round(bounds.width * dpr),
-          Math.round(bounds.height * dpr),
-          0,
-          0,
-          temp.width,
-          temp.height
-        );
-        payload = {
-          img: temp.toDataURL("image/png"),
-          bounds,
-          vw: VIRTUAL_WIDTH,
-          vh: VIRTUAL_HEIGHT,
-          ts: Date.now(),
-        };
-      } else {
-        const t = document.createElement("canvas");
-        t.width = 1;
-        t.height = 1;
-        payload = {
-          img: t.toDataURL("image/png"),
-          bounds: { x: 0, y: 0, width: 1, height: 1 },
-          vw: VIRTUAL_WIDTH,
-          vh: VIRTUAL_HEIGHT,
-          ts: Date.now(),
-        };
+  // Resume answer: a delta on top of what we have, or a reset
+  // (stored elements + log tail) when we were too far behind. Ops still in
+  // the outbox are merged back in; the server may not have them yet.
+  const applyResumeState = ({ reset, snapshot, events = [], seq, baseSeq }) => {
+    const tracker = seqRef.current;
+
+    if (reset) {
+      const scene = createScene(snapshot?.elements || [], snapshot?.cleared || null);
+      tracker.reset(baseSeq);
+      for (const ev of events) {
+        applyOp(scene, ev.type, ev);
+        tracker.mark(ev.seq);
       }
-
-      const blob = JSON.stringify(payload);
-      // Only save to board-specific key to avoid cross-contamination
-      if (specificKey) {
-        localStorage.setItem(specificKey, blob);
+      outboxRef.current.forEach((e) => applyOp(scene, e.type, e.payload));
+      clockRef.current.observe(latestStamp(scene));
+      sceneRef.current = scene;
+      pruneSelection();
+      invalidate();
+    } else {
+      for (const ev of events) {
+        if (tracker.has(ev.seq)) continue;
+        tracker.mark(ev.seq);
+        // our own ops are already in the scene
+        if (ev.clientId !== clientIdRef.current) applyToScene(ev.type, ev);
       }
-    } catch {
-      // ignore private mode or quota errors
     }
-  };
 
-  const queueLocalAutosave = () => {
-    clearTimeout(autosaveTimerRef.current);
-    autosaveTimerRef.current = setTimeout(autosaveToLocal, AUTOSAVE_MS);
+    tracker.advanceTo(seq);
   };
 
-  // Socket listeners for normalized events
+  // Socket listeners for element ops
   useEffect(() => {
     if (!socket) return;
 
-    const onDraw = ({ tool, from: fromPt, to: toPt, color, strokeWidth }) => {
-      if (!fromPt || !toPt) return;
-      const ctx = ctxRef.current;
-      if (!ctx) return;
-
-      // Ensure proper transform is set
-      const dpr = dprRef.current || 1;
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.globalCompositeOperation =
-        tool === "eraser" ? "destination-out" : "source-over";
-      ctx.strokeStyle = color;
-      ctx.lineWidth = Math.max(1, strokeWidth || 1);
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      stroke(ctx, { x: fromPt.x, y: fromPt.y }, { x: toPt.x, y: toPt.y });
-      ctx.restore();
-      queueLocalAutosave();
-    };
-
-    const onShape = ({ tool, from: fromPt, to: toPt, color, strokeWidth }) => {
-      console.log("Received shape event:", { tool, from: fromPt, to: toPt, color, strokeWidth });
-      if (!fromPt || !toPt) return;
-      const ctx = ctxRef.current;
-      if (!ctx) return;
-
-      // Ensure proper transform is set
-      const dpr = dprRef.current || 1;
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.globalCompositeOperation = "source-over";
-      ctx.strokeStyle = color;
-      ctx.lineWidth = Math.max(1, strokeWidth || 1);
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-
-      // Draw the shape
-      drawShape[tool]?.(ctx, fromPt, toPt);
-      ctx.restore();
-
-      console.log("Shape drawn, pushing to history");
-      pushHistory();
-      queueLocalAutosave();
+    // skip duplicates, then apply
+    const applyLive = (type, after) => (payload = {}) => {
+      if (!acceptSeq(payload.seq)) return;
+      applyToScene(type, payload);
+      after?.();
     };
 
-    const onText = ({ x, y, text, color, strokeWidth }) => {
-      if (typeof x !== "number" || typeof y !== "number") return;
-      const ctx = ctxRef.current;
-      if (!ctx) return;
-      ctx.save();
-      ctx.globalCompositeOperation = "source-over";
-      ctx.fillStyle = color || "#000";
-      const px = Math.max(10, Math.round((strokeWidth || 2) * 10));
-      ctx.font = `${px}px Arial`;
-      ctx.textBaseline = "top";
-      ctx.fillText(text || "", x, y);
-      ctx.restore();
-      queueLocalAutosave();
-    };
+    const onCreate = applyLive("element:create");
+    const onUpdate = applyLive("element:update");
+    const onDelete = applyLive("element:delete");
+    const onBoardCleared = applyLive("board-cleared", () => {
+      // Clear active texts when board is cleared
+      setActiveTexts([]);
+      setTextInput(null);
+    });
 
     const onTextTyping = ({ x, y, text, color, strokeWidth, userId }) => {
       // Update the active texts being typed by others
@@ -746,131 +848,111 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       setActiveTexts((prev) => prev.filter((t) => t.userId !== userId));
     };
 
-    const onBoardCleared = () => {
-      const canvas = canvasRef.current;
-      const ctx = ctxRef.current;
-      if (!ctx || !canvas) return;
-      ctx.save();
-      ctx.setTransform(dprRef.current, 0, 0, dprRef.current, 0, 0);
-      ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-      ctx.restore();
-      pushHistory();
-      queueLocalAutosave();
-      // Clear active texts when board is cleared
-      setActiveTexts([]);
-      setTextInput(null);
-    };
-
-    const onFill = ({ x, y, color }) => {
-      console.log("Received fill event:", { x, y, color });
-      if (typeof x !== "number" || typeof y !== "number") return;
-      const ctx = ctxRef.current;
-      const canvas = canvasRef.current;
-      if (!ctx || !canvas) return;
-
-      console.log("Applying fill from remote user");
-
-      // Ensure proper transform is set
-      const dpr = dprRef.current || 1;
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.restore();
+    socket.on("element:create", onCreate);
+    socket.on("element:update", onUpdate);
+    socket.on("element:delete", onDelete);
+    socket.on("board-cleared", onBoardCleared);
+    socket.on("text-typing", onTextTyping);
+    socket.on("text-finalized", onTextFinalized);
+    socket.on("canvas-state", applyResumeState);
 
-      // Apply the fill
-      floodFill(ctx, x, y, color || "#000");
+    return () => {
+      socket.off("element:create", onCreate);
+      socket.off("element:update", onUpdate);
+      socket.off("element:delete", onDelete);
+      socket.off("board-cleared", onBoardCleared);
+      socket.off("text-typing", onTextTyping);
+      socket.off("text-finalized", onTextFinalized);
+      socket.off("canvas-state", applyResumeState);
+      clearTimeout(gapTimerRef.current);
+      gapTimerRef.current = null;
+    };
+  }, [socket]);
 
-      console.log("Fill applied, pushing to history");
+  // Remote cursors (labels come from the presence roster)
+  useEffect(() => {
+    if (!socket) return;
 
-      // Push to history and save
-      pushHistory();
-      queueLocalAutosave();
+    const onCursorMove = ({ userId, x, y }) => {
+      setRemoteCursors((prev) => ({ ...prev, [userId]: { x, y, at: Date.now() } }));
     };
-
-    const onPasteSelection = async ({ x, y, width, height, dataURL }) => {
-      if (!dataURL) return;
-      const ctx = ctxRef.current;
-      if (!ctx) return;
-
-      const img = new Image();
-      img.src = dataURL;
-      img.onload = () => {
-        ctx.save();
-        ctx.setTransform(dprRef.current, 0, 0, dprRef.current, 0, 0);
-        ctx.drawImage(img, x, y, width, height);
-        ctx.restore();
-        pushHistory();
-      };
+    const onUserLeft = ({ userId }) => {
+      setRemoteCursors((prev) => {
+        if (!prev[userId]) return prev;
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
     };
 
-    const onSelectionCut = ({ x, y, width, height, type, path }) => {
-      console.log("Received selection-cut event:", { x, y, width, height, type, pathLength: path?.length });
-      const ctx = ctxRef.current;
-      if (!ctx) {
-        console.log("No context available for selection-cut");
-        return;
-      }
+    // Hide cursors that stopped moving
+    const timer = setInterval(() => {
+      setRemoteCursors((prev) => {
+        const cutoff = Date.now() - CURSOR_HIDE_MS;
+        const next = Object.fromEntries(Object.entries(prev).filter(([, c]) => c.at >= cutoff));
+        return Object.keys(next).length === Object.keys(prev).length ? prev : next;
+      });
+    }, CURSOR_HIDE_MS / 2);
 
-      const dpr = dprRef.current || 1;
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-
-      if (type === "rect") {
-        console.log("Clearing rectangular area:", { x, y, width, height });
-        // Clear rectangular area
-        ctx.clearRect(x, y, width, height);
-      } else if (type === "lasso" && path && path.length > 0) {
-        console.log("Clearing lasso area with path length:", path.length);
-        // Clear lasso area
-        ctx.beginPath();
-        ctx.moveTo(path[0].x, path[0].y);
-        for (let i = 1; i < path.length; i++) {
-          ctx.lineTo(path[i].x, path[i].y);
-        }
-        ctx.closePath();
-        ctx.clip();
-        ctx.clearRect(x, y, width, height);
-      }
+    socket.on("cursor-move", onCursorMove);
+    socket.on("user-left", onUserLeft);
 
-      ctx.restore();
-      console.log("Selection cut applied, pushing to history");
-      pushHistory();
+    return () => {
+      clearInterval(timer);
+      socket.off("cursor-move", onCursorMove);
+      socket.off("user-left", onUserLeft);
+      setRemoteCursors({});
     };
+  }, [socket]);
 
-    socket.on("draw", onDraw);
-    socket.on("shape", onShape);
-    socket.on("text", onText);
-    socket.on("text-typing", onTextTyping);
-    socket.on("text-finalized", onTextFinalized);
-    socket.on("fill", onFill);
-    socket.on("selection-cut", onSelectionCut);
-    socket.on("paste-selection", onPasteSelection);
-    socket.on("board-cleared", onBoardCleared);
-
-    return () => {
-      socket.off("draw", onDraw);
-      socket.off("shape", onShape);
-      socket.off("text", onText);
-      socket.off("text-typing", onTextTyping);
-      socket.off("text-finalized", onTextFinalized);
-      socket.off("fill", onFill);
-      socket.off("selection-cut", onSelectionCut);
-      socket.off("paste-selection", onPasteSelection);
-      socket.off("board-cleared", onBoardCleared);
+  // Other people's laser / ephemeral ink
+  useEffect(() => {
+    if (!socket) return;
+    const onEphemeral = (payload = {}) => {
+      if (!payload.id || !EPHEMERAL_TOOLS.includes(payload.tool)) return;
+      addToStroke(ephemeralRef.current, payload);
+      scheduleRender();
     };
+    socket.on("ephemeral", onEphemeral);
+    return () => socket.off("ephemeral", onEphemeral);
   }, [socket]);
 
-  // Flush autosave before page unload
+  // Soft locks: who is editing what. Someone else may have won a race for
+  // something we selected, so drop that from our selection.
   useEffect(() => {
-    const beforeUnload = () => {
-      clearTimeout(autosaveTimerRef.current);
-      autosaveToLocal();
+    if (!socket) return;
+    const onLocks = ({ locks: next = [] } = {}) => {
+      locksRef.current = next;
+      setLocks(next);
+      next.forEach((l) => {
+        if (l.kind === "element" && l.userId !== userId) selectedRef.current.delete(l.id);
+      });
+      scheduleRender();
     };
-    window.addEventListener("beforeunload", beforeUnload);
+    socket.on("locks", onLocks);
+
+    // Keep what we hold (the server forgets locks nobody renews)
+    const timer = setInterval(() => {
+      if (selectedRef.current.size > 0 || textSpotRef.current) syncLocks({ renew: true });
+    }, LOCK_RENEW_MS);
+
     return () => {
-      window.removeEventListener("beforeunload", beforeUnload);
-      clearTimeout(autosaveTimerRef.current);
+      clearInterval(timer);
+      socket.off("locks", onLocks);
+      locksRef.current = [];
+      setLocks([]);
+      lastLockRequestRef.current = null;
     };
-  }, []);
+  }, [socket, userId]);
+
+  // Typing new text locks the spot (others can't start text right there)
+  const textSpot = textInput ? `${textInput.x},${textInput.y}` : null;
+  useEffect(() => {
+    textSpotRef.current = textInput ? { x: textInput.x, y: textInput.y } : null;
+    syncLocks();
+  }, [textSpot]);
+
+  useEffect(() => () => clearTimeout(lockNoticeTimerRef.current), []);
 
   // Focus text input when it appears
   useEffect(() => {
@@ -879,53 +961,69 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     }
   }, [textInput]);
 
-  // Render other users' typing text on canvas overlay
-  useEffect(() => {
-    // This will re-render when activeTexts changes
-  }, [activeTexts]);
-
-  // Handle global mouse events for selection dragging
+  // Toolbar changes restyle the selection
   useEffect(() => {
-    if (!selectionDragging) return;
-
-    const handleGlobalMove = (e) => {
-      if (!selection) return;
-      const curr = clientToLogical(e);
-      const dx = curr.x - dragStart.current.x;
-      const dy = curr.y - dragStart.current.y;
-      setSelection((prev) => ({
-        ...prev,
-        x: prev.x + dx,
-        y: prev.y + dy,
-      }));
-      dragStart.current = curr;
-    };
+    restyleSelection({ color });
+  }, [color]);
 
-    const handleGlobalUp = () => {
-      setSelectionDragging(false);
-    };
+  useEffect(() => {
+    restyleSelection({ strokeWidth });
+  }, [strokeWidth]);
 
-    window.addEventListener("mousemove", handleGlobalMove);
-    window.addEventListener("mouseup", handleGlobalUp);
-    window.addEventListener("touchmove", handleGlobalMove);
-    window.addEventListener("touchend", handleGlobalUp);
+  // Switching to a drawing tool drops the selection
+  useEffect(() => {
+    if (selectedTool === "select-rect" || selectedTool === "lasso") return;
+    if (selectedRef.current.size === 0) return;
+    selectedRef.current.clear();
+    syncLocks();
+    scheduleRender();
+  }, [selectedTool]);
+
+  // CSS size and position of the canvas for the wrapper size and viewport.
+  // At zoom 1 it fits the wrapper with a small top padding; zoomed in, the
+  // viewport centre goes in the middle (kept where the board still covers the screen).
+  const layoutCanvas = () => {
+    const canvas = canvasRef.current;
+    const wrapper = wrapperRef.current;
+    if (!canvas || !wrapper) return;
+    const rect = wrapper.getBoundingClientRect();
+
+    const padding = 20;
+    const availableWidth = rect.width - padding * 2;
+    const availableHeight = rect.height - padding * 2;
+
+    const { zoom, cx, cy } = viewportRef.current;
+    const scale =
+      Math.min(availableWidth / VIRTUAL_WIDTH, availableHeight / VIRTUAL_HEIGHT) * zoom;
+    const cssW = Math.max(1, Math.floor(VIRTUAL_WIDTH * scale));
+    const cssH = Math.max(1, Math.floor(VIRTUAL_HEIGHT * scale));
+
+    let left = Math.floor((rect.width - cssW) / 2);
+    let top = padding;
+    if (zoom > 1) {
+      const centre = (c, size, visible) =>
+        visible >= size ? size / 2 : clamp(c, visible / 2, size - visible / 2);
+      left = Math.round(rect.width / 2 - centre(cx, VIRTUAL_WIDTH, rect.width / scale) * scale);
+      top = Math.round(rect.height / 2 - centre(cy, VIRTUAL_HEIGHT, rect.height / scale) * scale);
+    }
 
-    return () => {
-      window.removeEventListener("mousemove", handleGlobalMove);
-      window.removeEventListener("mouseup", handleGlobalUp);
-      window.removeEventListener("touchmove", handleGlobalMove);
-      window.removeEventListener("touchend", handleGlobalUp);
-    };
-  }, [selectionDragging, selection]);
+    canvas.style.width = `${cssW}px`;
+    canvas.style.height = `${cssH}px`;
+    canvas.style.position = "absolute";
+    canvas.style.left = `${left}px`;
+    canvas.style.top = `${top}px`;
+    cssSizeRef.current = { width: cssW, height: cssH, left, top };
+    setLayoutVersion((v) => v + 1);
+  };
 
-  // Canvas setup and resize that does not wipe pixels
+  // Canvas setup and resize
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
     // NOTE(Tatiana): This was destroying drawings whenever iPad menus
-    // opened/closed (resize). ChatGPT helped me only touch the backing
-    // size when it actually changes and restore pixels from a snapshot.
+    // opened/closed (resize). Now we only touch the backing size when it
+    // actually changes, and then repaint the scene at the new resolution.
     const ctx = canvas.getContext("2d", { willReadFrequently: true });
     if (!ctx) return;
     ctxRef.current = ctx;
@@ -935,169 +1033,23 @@ const CanvasBoard = forwardRef(function CanvasBoard(
       const ctx = ctxRef.current;
       if (!canvas || !ctx) return;
 
-      // Snapshot current pixels before any backing-store resize
-      let snapshot = null;
-      if (canvas.width && canvas.height) {
-        try {
-          snapshot = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        } catch {
-          // ignore
-        }
-      }
-
       const dpr = window.devicePixelRatio || 1;
       dprRef.current = dpr;
 
       const targetW = Math.round(VIRTUAL_WIDTH * dpr);
       const targetH = Math.round(VIRTUAL_HEIGHT * dpr);
-      const sizeChanged = canvas.width !== targetW || canvas.height !== targetH;
 
       // Only reset backing size when it actually changes
-      if (sizeChanged) {
+      if (canvas.width !== targetW || canvas.height !== targetH) {
         canvas.width = targetW;
         canvas.height = targetH;
+        invalidate();
       }
 
-      // Draw in logical units and let DPR handle crispness
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
       ctx.imageSmoothingEnabled = true;
 
-      // If we changed backing size, restore the snapshot scaled back
-      if (sizeChanged && snapshot) {
-        try {
-          const off = document.createElement("canvas");
-          off.width = snapshot.width;
-          off.height = snapshot.height;
-          const offCtx = off.getContext("2d");
-          offCtx.putImageData(snapshot, 0, 0);
-          ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-          ctx.drawImage(
-            off,
-            0,
-            0,
-            off.width,
-            off.height,
-            0,
-            0,
-            VIRTUAL_WIDTH,
-            VIRTUAL_HEIGHT
-          );
-        } catch {
-          // ignore
-        }
-        // do not push history here, we did not change content, just restored it
-      }
-
-      // CSS size to fit wrapper with a small top padding
-      const wrapper = wrapperRef.current;
-      if (!wrapper) return;
-      const rect = wrapper.getBoundingClientRect();
-
-      const padding = 20;
-      const availableWidth = rect.width - padding * 2;
-      const availableHeight = rect.height - padding * 2;
-
-      const scale = Math.min(
-        availableWidth / VIRTUAL_WIDTH,
-        availableHeight / VIRTUAL_HEIGHT
-      );
-      const cssW = Math.max(1, Math.floor(VIRTUAL_WIDTH * scale));
-      const cssH = Math.max(1, Math.floor(VIRTUAL_HEIGHT * scale));
-
-      canvas.style.width = `${cssW}px`;
-      canvas.style.height = `${cssH}px`;
-
-      const left = Math.floor((rect.width - cssW) / 2);
-      const top = padding;
-      canvas.style.position = "absolute";
-      canvas.style.left = `${left}px`;
-      canvas.style.top = `${top}px`;
-      cssSizeRef.current = { width: cssW, height: cssH, left, top };
-
-      if (!isInitialized.current) {
-        isInitialized.current = true;
-        loadSavedBoard();
-      }
-    };
-
-    // Restore from local cache. Prefer specific key if present.
-    // Skip if we already loaded from server or a peer.
-    const loadSavedBoard = () => {
-      if (hasLoadedContent.current) return;
-
-      try {
-        // Only load from board-specific cache
-        if (!specificKey) return;
-        const raw = localStorage.getItem(specificKey);
-        if (!raw) return;
-
-        const cached = JSON.parse(raw);
-        const { img, bounds, vw, vh } = cached || {};
-        if (!img || typeof img !== "string") return;
-
-        const looksLegacy =
-          Number(vw) !== VIRTUAL_WIDTH || Number(vh) !== VIRTUAL_HEIGHT;
-
-        if (ref?.current?.loadFromDataURL) {
-          ref.current.loadFromDataURL(img, looksLegacy ? null : bounds);
-        } else {
-          const image = new Image();
-          image.src = img;
-          image.onload = () => {
-            const ctx = ctxRef.current;
-            if (!ctx) return;
-            ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-            if (!looksLegacy && bounds) {
-              const bx = Math.max(
-                0,
-                Math.min(bounds.x, VIRTUAL_WIDTH - bounds.width)
-              );
-              const by = Math.max(
-                0,
-                Math.min(bounds.y, VIRTUAL_HEIGHT - bounds.height)
-              );
-              const bw = Math.min(bounds.width, VIRTUAL_WIDTH);
-              const bh = Math.min(bounds.height, VIRTUAL_HEIGHT);
-              ctx.drawImage(
-                image,
-                0,
-                0,
-                image.width,
-                image.height,
-                bx,
-                by,
-                bw,
-                bh
-              );
-            } else {
-              const cx = Math.max(
-                0,
-                Math.floor((VIRTUAL_WIDTH - image.width) / 2)
-              );
-              const cy = Math.max(
-                0,
-                Math.floor((VIRTUAL_HEIGHT - image.height) / 2)
-              );
-              ctx.drawImage(
-                image,
-                0,
-                0,
-                image.width,
-                image.height,
-                cx,
-                cy,
-                image.width,
-                image.height
-              );
-            }
-            pushHistory();
-          };
-        }
-      } catch {
-        // ignore bad cache
-      }
+      layoutCanvas();
+      isInitialized.current = true;
     };
 
     // Debounced resize observer
@@ -1115,383 +1067,334 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     return () => {
       clearTimeout(t);
       ro.disconnect();
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
     };
-  }, [specificKey]);
+  }, []);
 
-  // === Late joiner sync (very small protocol fixed using ChatGPT) ===
-  // When a new user joins, they "request-sync". Anyone alive replies
-  // with a PNG snapshot so the joiner sees the board immediately.
-  // (I added this so people don't stare at a blank while others are drawing.)
+  // Viewport changes move the canvas
   useEffect(() => {
-    if (!socket || !whiteboardId) return;
+    viewportRef.current = viewport;
+    layoutCanvas();
+  }, [viewport]);
+
+  // Our own zooming/panning ends follow mode
+  useEffect(() => {
+    stopFollowingRef.current = following ? onStopFollowing : null;
+  }, [following, onStopFollowing]);
 
-    const onRequestSync = ({ roomId }) => {
-      if (roomId !== whiteboardId) return;
-      try {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-        const img = canvas.toDataURL("image/png");
-        socket.emit("board:load-snapshot", { roomId: whiteboardId, img });
-      } catch (e) {
-        console.error("snapshot failed", e);
+  // Ctrl/Cmd + wheel (and trackpad pinch) zooms around the pointer, wheel pans
+  // when zoomed in. Native listener: React's wheel handlers can't preventDefault.
+  useEffect(() => {
+    const wrapper = wrapperRef.current;
+    if (!wrapper) return;
+
+    const onWheel = (e) => {
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        zoomAt(viewportRef.current.zoom * Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+      } else if (viewportRef.current.zoom > 1) {
+        e.preventDefault();
+        panBy(e.shiftKey ? e.deltaY : e.deltaX, e.shiftKey ? 0 : e.deltaY);
       }
     };
 
-    const onLoadSnapshot = ({ roomId, img, bounds }) => {
-      if (roomId !== whiteboardId || !img) return;
-      hasLoadedContent.current = true;
+    wrapper.addEventListener("wheel", onWheel, { passive: false });
+    return () => wrapper.removeEventListener("wheel", onWheel);
+  }, []);
 
-      if (ref?.current?.loadFromDataURL) {
-        ref.current.loadFromDataURL(
-          img,
-          bounds || { x: 0, y: 0, width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT }
-        );
-      } else {
-        const image = new Image();
-        image.src = img;
-        image.onload = () => {
-          const ctx = ctxRef.current;
-          if (!ctx) return;
-          ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-          ctx.drawImage(image, 0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-          pushHistory();
-        };
-      }
+  // Follow mode: mirror the followed user's viewport
+  const followingId = following?.userId;
+  useEffect(() => {
+    if (!socket || !followingId) return;
+    const onViewportMove = ({ userId, cx, cy, zoom }) => {
+      if (userId === followingId) setViewport({ zoom, cx, cy });
     };
+    socket.on("viewport-move", onViewportMove);
+    return () => socket.off("viewport-move", onViewportMove);
+  }, [socket, followingId]);
 
-    socket.on("board:request-sync", onRequestSync);
-    socket.on("board:load-snapshot", onLoadSnapshot);
+  // Followers get our viewport (throttled); a new follower gets it right away
+  const followerIds = followers.map((u) => u.userId).join(",");
+  useEffect(() => {
+    if (!socket || !whiteboardId || !followerIds) return;
+    const send = () => {
+      viewportSentAtRef.current = Date.now();
+      socket.emit("viewport", { roomId: whiteboardId, ...viewport });
+    };
+    const wait = VIEWPORT_SEND_MS - (Date.now() - viewportSentAtRef.current);
+    if (wait <= 0) {
+      send();
+      return;
+    }
+    const timer = setTimeout(send, wait);
+    return () => clearTimeout(timer);
+  }, [socket, whiteboardId, viewport, followerIds]);
 
-    socket.emit("board:request-sync", { roomId: whiteboardId });
+  // Edits made offline in an earlier visit (or before a reload) are
+  // merged into whatever we load and sent once we're connected
+  useEffect(() => {
+    if (!whiteboardId) return;
+    try {
+      const stored = JSON.parse(localStorage.getItem(outboxKey(whiteboardId)) || "[]");
+      if (Array.isArray(stored) && stored.length > 0) {
+        outboxRef.current = stored
+          .filter((e) => e?.type && e.payload)
+          .map(({ type, payload }) => ({ type, payload, sentOn: null }));
+        outboxRef.current.forEach((e) => applyToScene(e.type, e.payload));
+      }
+    } catch (err) {
+      console.warn("canvas: could not read unsent edits", err);
+    }
 
+    window.addEventListener("beforeunload", writeOutbox);
     return () => {
-      socket.off("board:request-sync", onRequestSync);
-      socket.off("board:load-snapshot", onLoadSnapshot);
+      window.removeEventListener("beforeunload", writeOutbox);
+      writeOutbox();
+      clearTimeout(outboxTimerRef.current);
+      outboxTimerRef.current = null;
     };
-  }, [socket, whiteboardId, ref]);
+  }, [whiteboardId]);
 
-  // Imperative API for parent components
-  useImperativeHandle(ref, () => ({
-    applyEvents(events) {
-      const replay = (evs) => {
-        if (!isInitialized.current) {
-          setTimeout(() => replay(evs), REPLAY_RETRY_MS);
-          return;
-        }
-        const ctx = ctxRef.current;
-        if (!ctx || !Array.isArray(evs)) return;
+  // Load the server state we were mounted with, unless a resume already
+  // brought us something newer
+  useEffect(() => {
+    if (!initialState) return;
+    if ((seqRef.current.last ?? -1) >= initialState.seq) return;
+    applyResumeState({ ...initialState, reset: true });
+  }, [initialState]);
 
-        for (const ev of evs) {
-          const { type, ...p } = ev || {};
-          try {
-            switch (type) {
-              case "draw":
-                if (!p.from || !p.to) break;
-                ctx.save();
-                ctx.globalCompositeOperation =
-                  p.tool === "eraser" ? "destination-out" : "source-over";
-                ctx.strokeStyle = p.color;
-                ctx.lineWidth = Math.max(1, p.strokeWidth || 1);
-                stroke(ctx, p.from, p.to);
-                ctx.restore();
-                break;
-              case "shape":
-                if (!p.from || !p.to) break;
-                ctx.save();
-                ctx.globalCompositeOperation = "source-over";
-                ctx.strokeStyle = p.color;
-                ctx.lineWidth = Math.max(1, p.strokeWidth || 1);
-                drawShape[p.tool]?.(ctx, p.from, p.to);
-                ctx.restore();
-                break;
-              case "text":
-                if (typeof p.x !== "number" || typeof p.y !== "number") break;
-                ctx.save();
-                ctx.globalCompositeOperation = "source-over";
-                ctx.fillStyle = p.color || "#000";
-                {
-                  const px = Math.max(10, Math.round((p.strokeWidth || 2) * 10));
-                  ctx.font = `${px}px Arial`;
-                }
-                ctx.textBaseline = "top";
-                ctx.fillText(p.text || "", p.x, p.y);
-                ctx.restore();
-                break;
-              case "fill":
-                if (typeof p.x !== "number" || typeof p.y !== "number") break;
-                floodFill(ctx, p.x, p.y, p.color || "#000");
-                break;
-              default:
-                break;
-            }
-          } catch (err) {
-            console.error("canvas: replay error", err);
-          }
+  // Then catch up from the server every time we (re)join the room.
+  // The parent only passes the socket down once the join is acknowledged.
+  useEffect(() => {
+    if (!socket || !whiteboardId) return;
+    resumingRef.current = false;
+    requestResume();
+  }, [socket, whiteboardId]);
+
+  // Ask the server to replay our newest undo (or redo) step. The ops come
+  // back over the room like anyone else's, so there's nothing to apply here.
+  const replayHistory = (direction) => {
+    if (readOnly || !whiteboardId) return;
+    if (!socket?.connected) {
+      console.warn(`canvas: can't ${direction} while offline`);
+      return;
+    }
+    socket
+      .timeout(RESUME_TIMEOUT_MS)
+      .emit(`history:${direction}`, { roomId: whiteboardId }, (err, res) => {
+        // "empty" = nothing left to undo/redo
+        if (res?.error === "locked") {
+          showLockNotice(`Someone is editing what that ${direction} would change`);
+        } else if (err || (!res?.ok && res?.error !== "empty")) {
+          console.warn(`canvas: ${direction} failed`, err?.message || res);
         }
-        pushHistory();
-      };
-
-      replay(events);
-    },
+      });
+  };
 
+  // Imperative API for parent components
+  useImperativeHandle(ref, () => ({
     clear() {
-      const ctx = ctxRef.current;
-      if (!ctx) return;
-      ctx.save();
-      ctx.setTransform(dprRef.current, 0, 0, dprRef.current, 0, 0);
-      ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-      ctx.restore();
-      pushHistory();
-      if (socket && whiteboardId) {
-        socket.emit("board-cleared", { roomId: whiteboardId });
-      }
+      // not undoable (the toolbar warns about this); the server drops our history
+      commitOps([{ type: "board-cleared" }]);
+      selectedRef.current.clear();
     },
 
     undo() {
-      if (historyStepRef.current > 0) {
-        historyStepRef.current -= 1;
-        restoreHistory(historyStepRef.current);
-      }
+      replayHistory("undo");
     },
 
     redo() {
-      if (historyStepRef.current < historyRef.current.length - 1) {
-        historyStepRef.current += 1;
-        restoreHistory(historyStepRef.current);
-      }
+      replayHistory("redo");
     },
 
-    // Save to our server API with cropped transparent PNG (no white box).
-    // (JPEG was causing white background before; fixed with ChatGPT.)
-    async save() {
-      const canvas = canvasRef.current;
-      const ctx = ctxRef.current;
-      if (!canvas || !ctx) return;
-
-      try {
-        const bounds = getContentBoundsLogical();
-        let dataURL;
-        let savedBounds = null;
-
-        if (bounds && bounds.width > 0 && bounds.height > 0) {
-          const temp = document.createElement("canvas");
-          temp.width = Math.round(bounds.width);
-          temp.height = Math.round(bounds.height);
-          const tctx = temp.getContext("2d");
-          if (tctx) {
-            const dpr = dprRef.current || 1;
-            tctx.drawImage(
-              canvas,
-              Math.round(bounds.x * dpr),
-              Math.round(bounds.y * dpr),
-              Math.round(bounds.width * dpr),
-              Math.round(bounds.height * dpr),
-              0,
-              0,
-              temp.width,
-              temp.height
-            );
-            dataURL = temp.toDataURL("image/png");
-            savedBounds = { ...bounds };
-          } else {
-            dataURL = canvas.toDataURL("image/png");
-          }
-        } else {
-          const t = document.createElement("canvas");
-          t.width = 1;
-          t.height = 1;
-          dataURL = t.toDataURL("image/png");
-          savedBounds = { x: 0, y: 0, width: 1, height: 1 };
-        }
+    deleteSelection() {
+      if (readOnly) return;
+      const ids = selectedElements().map((el) => el.id);
+      if (ids.length === 0) return;
+      const remove = [{ type: "element:delete", ids }];
+      commitOps(remove, [[{ type: "element:restore", ids }], remove]);
+      selectedRef.current.clear();
+      syncLocks();
+    },
 
-        if (whiteboardId && sessionToken) {
-          const res = await fetch(
-            `${API_URL}/api/whiteboards/${whiteboardId}/canvas`,
-            {
-              method: "PUT",
-              headers: {
-                "Content-Type": "application/json",
-                Authorization: `Bearer ${sessionToken}`,
-              },
-              body: JSON.stringify({ canvasImage: dataURL, bounds: savedBounds }),
-            }
-          );
-
-          if (!res.ok) {
-            let msg = `${res.status}: ${res.statusText}`;
-            try {
-              const j = await res.json();
-              if (j?.error) msg = j.error;
-            } catch {}
-            throw new Error(msg);
-          }
+    clearSelection() {
+      selectedRef.current.clear();
+      syncLocks();
+      scheduleRender();
+    },
 
-          const out = await res.json();
-          alert(`Saved to server! (${out.sizeMB ?? "OK"})`);
-          if (socket && whiteboardId) {
-            socket.emit("board-saved", { roomId: whiteboardId });
-          }
-        } else {
-          alert("Cannot save: No server connection or session.");
-        }
-      } catch (err) {
-        console.error("canvas: save failed", err);
-        alert(`Save failed: ${err.message}`);
+    // Ask the server to save the board now. It folds the shared op log into
+    // the stored elements itself, so nothing depends on what this client has.
+    save() {
+      if (!socket?.connected || !whiteboardId) {
+        alert("Cannot save: not connected to the server.");
+        return Promise.resolve(false);
       }
+
+      return new Promise((resolve) => {
+        socket
+          .timeout(SAVE_TIMEOUT_MS)
+          .emit("board-saved", { roomId: whiteboardId }, (err, res) => {
+            if (err || !res?.ok) {
+              console.error("canvas: save failed", err || res);
+              alert(`Save failed: ${err?.message || "the server could not save the board"}`);
+              resolve(false);
+              return;
+            }
+            alert("Saved to server!");
+            resolve(true);
+          });
+      });
     },
 
     exportPNG() {
-      const canvas = canvasRef.current;
-      if (!canvas) return;
+      // the cache has the scene without selection outlines
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+      const cache = refreshCache();
+      renderFrame();
+      if (!cache) return;
       const a = document.createElement("a");
       const ts = new Date().toISOString().replace(/[:.]/g, "-");
       const filename = whiteboardId
         ? `whiteboard-${whiteboardId}-${ts}.png`
         : `whiteboard-${ts}.png`;
       a.download = filename;
-      a.href = canvas.toDataURL("image/png");
+      a.href = cache.toDataURL("image/png");
       a.click();
     },
 
+    // Add an image (data URL) as an element; covers the board unless bounds are given
     loadFromDataURL(dataURL, bounds) {
-      if (!dataURL || typeof dataURL !== "string") return;
-
-      hasLoadedContent.current = true;
-
-      const img = new Image();
-      img.src = dataURL;
-
-      img.onload = () => {
-        const ctx = ctxRef.current;
-        if (!ctx) return;
-
-        ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-
-        if (
-          bounds &&
-          Number.isFinite(bounds.x) &&
-          Number.isFinite(bounds.y) &&
-          Number.isFinite(bounds.width) &&
-          Number.isFinite(bounds.height)
-        ) {
-          let bx = bounds.x;
-          let by = bounds.y;
-          let bw = bounds.width;
-          let bh = bounds.height;
-
-          const looksPhysical =
-            bx > VIRTUAL_WIDTH ||
-            by > VIRTUAL_HEIGHT ||
-            bw > VIRTUAL_WIDTH ||
-            bh > VIRTUAL_HEIGHT;
-
-          if (looksPhysical) {
-            const cx = Math.max(
-              0,
-              Math.floor((VIRTUAL_WIDTH - img.width) / 2)
-            );
-            const cy = Math.max(
-              0,
-              Math.floor((VIRTUAL_HEIGHT - img.height) / 2)
-            );
-            ctx.drawImage(
-              img,
-              0,
-              0,
-              img.width,
-              img.height,
-              cx,
-              cy,
-              img.width,
-              img.height
-            );
-          } else {
-            bw = Math.min(bw, VIRTUAL_WIDTH);
-            bh = Math.min(bh, VIRTUAL_HEIGHT);
-            bx = Math.max(0, Math.min(bx, VIRTUAL_WIDTH - bw));
-            by = Math.max(0, Math.min(by, VIRTUAL_HEIGHT - bh));
-
-            ctx.drawImage(
-              img,
-              0,
-              0,
-              img.width,
-              img.height,
-              bx,
-              by,
-              bw,
-              bh
-            );
-          }
-        } else {
-          ctx.drawImage(img, 0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-        }
+      if (!dataURL || typeof dataURL !== "string" || readOnly) return;
+      const box = bounds || { x: 0, y: 0, width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT };
+      createElement({
+        type: "image",
+        data: { x: box.x, y: box.y, width: box.width, height: box.height, src: dataURL },
+      });
+    },
+  }));
 
-        pushHistory();
-      };
+  // Pointer handlers: produce logical coords and emit element ops
+  // Lock holders are shown in their presence color
+  const holderColor = (holderId) =>
+    participants.find((u) => u.userId === holderId)?.color || "#6b7280";
+
+  // Element ids someone else (not one of our tabs) has locked
+  const lockedByOthers = () =>
+    new Set(
+      locksRef.current
+        .filter((l) => l.kind === "element" && l.userId !== userId)
+        .map((l) => l.id)
+    );
 
-      img.onerror = () => console.error("canvas: bad dataURL");
-    },
+  const showLockNotice = (text) => {
+    setLockNotice(text);
+    clearTimeout(lockNoticeTimerRef.current);
+    lockNoticeTimerRef.current = setTimeout(() => setLockNotice(null), LOCK_NOTICE_MS);
+  };
 
-    loadElements(elements) {
-      const ctx = ctxRef.current;
-      if (!ctx || !Array.isArray(elements)) return;
-
-      hasLoadedContent.current = true;
-
-      for (const el of elements) {
-        try {
-          const w = Math.max(1, Number(el.strokeWidth) || 1);
-          ctx.save();
-          ctx.globalCompositeOperation =
-            el.tool === "eraser" ? "destination-out" : "source-over";
-          ctx.strokeStyle = el.color || "#000";
-          ctx.fillStyle = el.color || "#000";
-          ctx.lineWidth = w;
-
-          switch (el.type || el.tool) {
-            case "pen":
-            case "line":
-              if (el.from && el.to) stroke(ctx, el.from, el.to);
-              break;
-            case "rectangle":
-              if (el.from && el.to) drawRect(ctx, el.from, el.to);
-              break;
-            case "circle":
-              if (el.from && el.to) drawCircle(ctx, el.from, el.to);
-              break;
-            case "text": {
-              const px = Math.max(10, Math.round((el.strokeWidth || 2) * 10));
-              ctx.font = `${px}px Arial`;
-              ctx.textBaseline = "top";
-              ctx.fillText(el.text || "", el.x, el.y);
-              break;
-            }
-            default:
-              break;
-          }
-          ctx.restore();
-        } catch (err) {
-          console.error("canvas: loadElements draw error", err);
-        }
+  // Tell the server what we're editing (selection + text spot); it answers with
+  // what someone else got first, which we let go of
+  const syncLocks = ({ renew = false } = {}) => {
+    if (!socket?.connected || !whiteboardId || readOnly) return;
+    const ids = [...selectedRef.current];
+    const text = textSpotRef.current || undefined;
+    const request = JSON.stringify({ ids, text });
+    if (!renew && request === lastLockRequestRef.current) return;
+    lastLockRequestRef.current = request;
+
+    socket.emit("lock:set", { roomId: whiteboardId, ids, text }, (res) => {
+      if (!res?.ok) return;
+      // deleted under us before the server saw the selection
+      if (res.missing?.length > 0) {
+        res.missing.forEach((id) => selectedRef.current.delete(id));
+        lastLockRequestRef.current = null;
+        scheduleRender();
       }
-      pushHistory();
-    },
-  }));
+      if (res.denied?.length > 0) {
+        res.denied.forEach((l) => selectedRef.current.delete(l.id));
+        lastLockRequestRef.current = null;
+        showLockNotice(`${res.denied[0].name} is editing that`);
+        scheduleRender();
+      }
+      if (res.textDenied) {
+        setTextInput(null);
+        showLockNotice(`${res.textDenied.name} is typing there`);
+      }
+    });
+  };
+
+  // Laser / ephemeral ink: drawn here right away, sent to the room in small
+  // batches, never turned into elements
+  const sendEphemeral = (end = false) => {
+    const out = ephemeralOutRef.current;
+    if (!out) return;
+    if (socket?.connected && whiteboardId) {
+      socket.emit("ephemeral", {
+        roomId: whiteboardId,
+        id: out.id,
+        tool: out.tool,
+        color: out.color,
+        strokeWidth: out.strokeWidth,
+        points: out.pending,
+        end,
+      });
+    }
+    out.pending = [];
+    out.sentAt = Date.now();
+  };
+
+  const addEphemeralPoint = (pos, end = false) => {
+    const out = ephemeralOutRef.current;
+    if (!out) return;
+    if (pos) out.pending.push(pos);
+    addToStroke(ephemeralRef.current, { ...out, points: pos ? [pos] : [], end });
+    if (end || Date.now() - out.sentAt >= EPHEMERAL_SEND_MS) sendEphemeral(end);
+    scheduleRender();
+  };
+
+  const startEphemeral = (pos) => {
+    ephemeralOutRef.current = {
+      id: newElementId(),
+      tool: selectedTool,
+      color: selectedTool === "laser" ? LASER_COLOR : color,
+      strokeWidth,
+      pending: [],
+      sentAt: 0,
+    };
+    addEphemeralPoint(pos);
+  };
+
+  const finishEphemeral = () => {
+    addEphemeralPoint(null, true);
+    ephemeralOutRef.current = null;
+  };
 
-  // Pointer handlers: produce logical coords and emit normalized events
   const onPointerDown = (e) => {
     if (!ctxRef.current || !isInitialized.current) return;
 
-    const clickPos = clientToLogical(e);
+    // Pointing doesn't change the board, so viewers may do it too
+    if (EPHEMERAL_TOOLS.includes(selectedTool)) {
+      setIsDrawing(true);
+      startEphemeral(clientToLogical(e));
+      return;
+    }
 
-    // If there's an active selection, clicking on canvas pastes it
-    if (selection) {
-      pasteSelection();
-      // Don't start drawing after pasting
+    // Comment pins aren't board elements, so commenters (who can't draw) place them too
+    if (selectedTool === "comment") {
+      if (!onCommentPlace) return;
+      const pos = clientToLogical(e);
+      setIsDrawing(true);
+      draftRef.current = { kind: "comment", from: pos, to: pos };
       return;
     }
 
+    // viewers can look but not draw (server rejects their ops anyway)
+    if (readOnly) return;
+
+    const clickPos = clientToLogical(e);
     setIsDrawing(true);
     dragStart.current = clickPos;
 
@@ -1508,249 +1411,266 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     }
 
     if (selectedTool === "fill") {
-      const ctx = ctxRef.current;
-      if (!ctx) return;
-      console.log("Filling locally and emitting to socket:", {
-        roomId: whiteboardId,
-        x: dragStart.current.x,
-        y: dragStart.current.y,
-        color,
-        socketConnected: socket?.connected,
-        socketId: socket?.id,
+      createElement({
+        type: "fill",
+        data: { x: clickPos.x, y: clickPos.y },
+        style: { color },
       });
-      floodFill(ctx, dragStart.current.x, dragStart.current.y, color);
-      pushHistory();
-      if (socket && whiteboardId) {
-        console.log("Socket state before emit:", {
-          connected: socket.connected,
-          id: socket.id,
-          roomId: whiteboardId
-        });
-        socket.emit("fill", {
-          roomId: whiteboardId,
-          x: dragStart.current.x,
-          y: dragStart.current.y,
-          color,
-        });
-        console.log("Fill event emitted to server");
-      } else {
-        console.log("No socket or whiteboardId!", { socket: !!socket, whiteboardId });
-      }
       setIsDrawing(false);
       return;
     }
 
-    // Selection tools
-    if (selectedTool === "select-rect") {
-      // Start rectangular selection
+    // Selection tools: press on a selected element to move the selection,
+    // (select tool) press on any element to pick it, otherwise select an area
+    if (selectedTool === "select-rect" || selectedTool === "lasso") {
+      const selected = selectedRef.current;
+      const locked = lockedByOthers();
+      let hit = hitTest(liveElements(sceneRef.current), clickPos, ctxRef.current);
+      if (hit && locked.has(hit.id)) {
+        const holder = locksRef.current.find((l) => l.id === hit.id);
+        showLockNotice(`${holder?.name || "Someone"} is editing that`);
+        hit = null;
+      }
+
+      if (hit && (selected.has(hit.id) || selectedTool === "select-rect")) {
+        if (!selected.has(hit.id)) {
+          if (!e.shiftKey) selected.clear();
+          selected.add(hit.id);
+        }
+        draftRef.current = { kind: "move", from: clickPos, dx: 0, dy: 0 };
+      } else {
+        if (!e.shiftKey) selected.clear();
+        if (selectedTool === "lasso") {
+          setLassoPath([clickPos]);
+          draftRef.current = { kind: "lasso" };
+        } else {
+          draftRef.current = { kind: "marquee", from: clickPos, to: clickPos };
+        }
+      }
+      scheduleRender();
       return;
     }
 
-    if (selectedTool === "lasso") {
-      // Start lasso selection
-      setLassoPath([dragStart.current]);
+    if (selectedTool === "pen" || selectedTool === "eraser") {
+      startStroke(clickPos);
       return;
     }
 
-    if (drawShape[selectedTool]) {
-      const c = canvasRef.current;
-      const ctx = ctxRef.current;
-      if (!c || !ctx) return;
-      try {
-        previewSnapshot.current = ctx.getImageData(0, 0, c.width, c.height);
-      } catch (err) {
-        console.error("canvas: preview snapshot fail", err);
-      }
+    if (SHAPE_TYPES.includes(selectedTool)) {
+      draftRef.current = {
+        kind: "shape",
+        element: {
+          type: selectedTool,
+          data: { from: clickPos, to: clickPos },
+          style: { color, strokeWidth },
+        },
+      };
     }
   };
 
+  // Share where our pointer is (throttled; the server relays it as cursor-move)
+  const sendCursor = (pos) => {
+    if (!socket?.connected || !whiteboardId) return;
+    const now = Date.now();
+    if (now - cursorSentAtRef.current < CURSOR_SEND_MS) return;
+    cursorSentAtRef.current = now;
+    socket.emit("cursor", { roomId: whiteboardId, x: pos.x, y: pos.y });
+  };
+
   const onPointerMove = (e) => {
     if (!ctxRef.current) return;
     const curr = clientToLogical(e);
+    sendCursor(curr);
+    if (!isDrawing) return;
+    const draft = draftRef.current;
 
-    // Handle selection dragging
-    if (selectionDragging && selection) {
-      const dx = curr.x - dragStart.current.x;
-      const dy = curr.y - dragStart.current.y;
-      setSelection((prev) => ({
-        ...prev,
-        x: prev.x + dx,
-        y: prev.y + dy,
-      }));
-      dragStart.current = curr;
+    if (ephemeralOutRef.current) {
+      addEphemeralPoint(curr);
       return;
     }
 
-    if (!isDrawing) return;
-    const ctx = ctxRef.current;
-
-    if (selectedTool === "pen" || selectedTool === "eraser") {
-      ctx.save();
-      ctx.strokeStyle = color;
-      ctx.lineWidth = selectedTool === "eraser" ? strokeWidth * 3 : strokeWidth;
-      ctx.globalCompositeOperation =
-        selectedTool === "eraser" ? "destination-out" : "source-over";
-      stroke(ctx, dragStart.current, curr);
-      ctx.restore();
+    if (strokeIdRef.current) {
+      // skip sub-pixel jitter
+      if (Math.hypot(curr.x - dragStart.current.x, curr.y - dragStart.current.y) < 1) return;
 
-      if (socket && whiteboardId)
-        socket.emit("draw", {
-          roomId: whiteboardId,
-          tool: selectedTool,
-          from: dragStart.current,
-          to: curr,
-          color,
-          strokeWidth:
-            selectedTool === "eraser" ? strokeWidth * 3 : strokeWidth,
-        });
+      let el = liveElement(sceneRef.current, strokeIdRef.current);
+      if (!el) {
+        // deleted under us (e.g. someone cleared the board)
+        strokeIdRef.current = null;
+        return;
+      }
+      if (el.data.points.length >= MAX_STROKE_POINTS) {
+        // very long stroke: carry on as a new element
+        finishStroke();
+        startStroke(dragStart.current);
+        el = liveElement(sceneRef.current, strokeIdRef.current);
+      }
 
+      // points are written by index so repeats and reordering don't matter
+      commitOps([
+        {
+          type: "element:update",
+          id: el.id,
+          elementType: el.type,
+          append: { at: el.data.points.length, points: [curr] },
+        },
+      ]);
       dragStart.current = curr;
       return;
     }
 
-    if (selectedTool === "lasso" && lassoPath.length > 0) {
-      // Add point to lasso path
-      setLassoPath((prev) => [...prev, curr]);
+    if (draft?.kind === "shape") {
+      draft.element.data.to = curr;
+      scheduleRender();
       return;
     }
 
-    if (previewSnapshot.current && drawShape[selectedTool]) {
-      ctx.putImageData(previewSnapshot.current, 0, 0);
-
-      // Set up the drawing style for preview
-      ctx.save();
-      ctx.strokeStyle = color;
-      ctx.lineWidth = strokeWidth;
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      drawShape[selectedTool](ctx, dragStart.current, curr);
-      ctx.restore();
+    if (draft?.kind === "marquee" || draft?.kind === "comment") {
+      draft.to = curr;
+      scheduleRender();
+      return;
     }
-  };
 
-  const onPointerUp = (e) => {
-    // Handle selection drag end
-    if (selectionDragging) {
-      setSelectionDragging(false);
+    if (draft?.kind === "move") {
+      const { dx, dy } = clampMove(curr.x - draft.from.x, curr.y - draft.from.y);
+      draft.dx = dx;
+      draft.dy = dy;
+      scheduleRender();
       return;
     }
 
+    if (draft?.kind === "lasso") {
+      // Add point to lasso path
+      setLassoPath((prev) => [...prev, curr]);
+    }
+  };
+
+  const onPointerUp = (e) => {
     if (!ctxRef.current) return;
     if (!isDrawing) return;
     setIsDrawing(false);
 
-    const ctx = ctxRef.current;
     const curr = clientToLogical(e);
+    const draft = draftRef.current;
+    draftRef.current = null;
 
-    // Handle rectangular selection
-    if (selectedTool === "select-rect") {
-      const x = Math.min(dragStart.current.x, curr.x);
-      const y = Math.min(dragStart.current.y, curr.y);
-      const width = Math.abs(curr.x - dragStart.current.x);
-      const height = Math.abs(curr.y - dragStart.current.y);
-
-      if (width > 5 && height > 5) {
-        cutSelection(x, y, width, height);
-      }
+    if (ephemeralOutRef.current) {
+      finishEphemeral();
       return;
     }
 
-    // Handle lasso selection
-    if (selectedTool === "lasso" && lassoPath.length > 2) {
-      cutLassoSelection(lassoPath);
-      setLassoPath([]);
+    if (draft?.kind === "comment") {
+      // A click pins a point, a drag pins the region
+      const width = Math.abs(curr.x - draft.from.x);
+      const height = Math.abs(curr.y - draft.from.y);
+      onCommentPlace(
+        width > DRAG_THRESHOLD && height > DRAG_THRESHOLD
+          ? { x: Math.min(draft.from.x, curr.x), y: Math.min(draft.from.y, curr.y), width, height }
+          : { x: draft.from.x, y: draft.from.y }
+      );
+      scheduleRender();
       return;
     }
 
-    if (drawShape[selectedTool]) {
-      if (previewSnapshot.current) ctx.putImageData(previewSnapshot.current, 0, 0);
+    if (strokeIdRef.current) {
+      finishStroke();
+      return;
+    }
 
-      // Set up the drawing style for final shape
-      ctx.save();
-      ctx.strokeStyle = color;
-      ctx.lineWidth = strokeWidth;
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      drawShape[selectedTool](ctx, dragStart.current, curr);
-      ctx.restore();
+    if (draft?.kind === "shape") {
+      const { from } = draft.element.data;
+      if (Math.hypot(curr.x - from.x, curr.y - from.y) >= DRAG_THRESHOLD) {
+        createElement({ ...draft.element, data: { from, to: curr } });
+      }
+      scheduleRender();
+      return;
+    }
 
-      if (socket && whiteboardId)
-        socket.emit("shape", {
-          roomId: whiteboardId,
-          tool: selectedTool,
-          from: dragStart.current,
-          to: curr,
-          color,
-          strokeWidth,
-        });
+    if (draft?.kind === "marquee") {
+      const rect = {
+        x: Math.min(draft.from.x, curr.x),
+        y: Math.min(draft.from.y, curr.y),
+        width: Math.abs(curr.x - draft.from.x),
+        height: Math.abs(curr.y - draft.from.y),
+      };
+      if (rect.width > DRAG_THRESHOLD && rect.height > DRAG_THRESHOLD) {
+        const locked = lockedByOthers();
+        const found = elementsInRect(liveElements(sceneRef.current), rect, ctxRef.current);
+        found.filter((el) => !locked.has(el.id)).forEach((el) => selectedRef.current.add(el.id));
+      }
+      syncLocks();
+      scheduleRender();
+      return;
+    }
 
-      previewSnapshot.current = null;
+    if (draft?.kind === "move") {
+      if (Math.abs(draft.dx) + Math.abs(draft.dy) > 0) moveSelection(draft.dx, draft.dy);
+      syncLocks();
+      scheduleRender();
+      return;
     }
 
-    pushHistory();
-    ctx.globalCompositeOperation = "source-over";
+    if (draft?.kind === "lasso") {
+      const locked = lockedByOthers();
+      const found = elementsInLasso(liveElements(sceneRef.current), lassoPath, ctxRef.current);
+      found.filter((el) => !locked.has(el.id)).forEach((el) => selectedRef.current.add(el.id));
+      syncLocks();
+      setLassoPath([]);
+      scheduleRender();
+    }
   };
 
-  // Paste selection to canvas
-  const pasteSelection = () => {
-    if (!selection) return;
-
-    const ctx = ctxRef.current;
-    if (!ctx) return;
-
-    try {
-      const dpr = dprRef.current || 1;
-      const { x, y, imageData, width, height } = selection;
-
-      // Create temporary canvas with the imageData
-      const tempCanvas = document.createElement("canvas");
-      tempCanvas.width = imageData.width;
-      tempCanvas.height = imageData.height;
-      const tempCtx = tempCanvas.getContext("2d");
-      tempCtx.putImageData(imageData, 0, 0);
+  // A viewport change of our own
+  const changeViewport = ({ zoom, cx, cy }) => {
+    setViewport({
+      zoom: clamp(zoom, 1, MAX_ZOOM),
+      cx: clamp(cx, 0, VIRTUAL_WIDTH),
+      cy: clamp(cy, 0, VIRTUAL_HEIGHT),
+    });
+    stopFollowingRef.current?.();
+  };
 
-      // Use drawImage to paste with proper alpha compositing
-      ctx.save();
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.drawImage(
-        tempCanvas,
-        0,
-        0,
-        imageData.width,
-        imageData.height,
-        x,
-        y,
-        width,
-        height
-      );
-      ctx.restore();
+  // Logical point in the middle of the wrapper right now, and the CSS px per logical px
+  const currentCentre = () => {
+    const rect = wrapperRef.current.getBoundingClientRect();
+    const { width, left, top } = cssSizeRef.current;
+    const scale = width / VIRTUAL_WIDTH;
+    return { rect, scale, cx: (rect.width / 2 - left) / scale, cy: (rect.height / 2 - top) / scale };
+  };
 
-      setSelection(null);
-      pushHistory();
+  // Zoom, keeping the board point under (clientX, clientY) where it is
+  const zoomAt = (zoom, clientX, clientY) => {
+    if (!wrapperRef.current) return;
+    const { rect, scale } = currentCentre();
+    const next = clamp(zoom, 1, MAX_ZOOM);
+    const px = clientX - rect.left;
+    const py = clientY - rect.top;
+    const lx = (px - cssSizeRef.current.left) / scale;
+    const ly = (py - cssSizeRef.current.top) / scale;
+    const nextScale = (scale * next) / viewportRef.current.zoom;
+    changeViewport({
+      zoom: next,
+      cx: lx - (px - rect.width / 2) / nextScale,
+      cy: ly - (py - rect.height / 2) / nextScale,
+    });
+  };
 
-      // Emit to other users
-      if (socket && whiteboardId) {
-        const dataURL = tempCanvas.toDataURL("image/png");
+  // Zoom buttons work around the middle of the screen
+  const zoomBy = (factor) => {
+    const rect = wrapperRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    zoomAt(viewportRef.current.zoom * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  };
 
-        socket.emit("paste-selection", {
-          roomId: whiteboardId,
-          x,
-          y,
-          width,
-          height,
-          dataURL,
-        });
-      }
-    } catch (err) {
-      console.error("Paste selection error:", err);
-    }
+  // Pan by screen pixels
+  const panBy = (dx, dy) => {
+    if (!wrapperRef.current) return;
+    const { scale, cx, cy } = currentCentre();
+    changeViewport({ zoom: viewportRef.current.zoom, cx: cx + dx / scale, cy: cy + dy / scale });
   };
 
   // Convert logical coordinates to CSS pixel coordinates on screen
   const logicalToScreen = (lx, ly) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return { x: 0, y: 0 };
-    const rect = canvas.getBoundingClientRect();
     const cssSize = cssSizeRef.current;
 
     const x = (lx / VIRTUAL_WIDTH) * cssSize.width + cssSize.left;
@@ -1759,12 +1679,21 @@ const CanvasBoard = forwardRef(function CanvasBoard(
     return { x, y };
   };
 
+  // Comment pins, plus the one being written
+  const pins = commentDraft
+    ? [...commentThreads, { _id: null, anchor: commentDraft, status: "draft" }]
+    : commentThreads;
+
   // Render
   return (
     <div
       ref={wrapperRef}
       className="relative w-full h-full max-h-full overflow-hidden"
-      style={{ backgroundColor: "#e5e7eb" }}
+      style={{
+        backgroundColor: "#e5e7eb",
+        // Framed in the followed user's color while following
+        boxShadow: following ? `inset 0 0 0 3px ${following.color}` : undefined,
+      }}
     >
       {gridEnabled && (
         <div
@@ -1812,8 +1741,8 @@ const CanvasBoard = forwardRef(function CanvasBoard(
               ? "text"
               : selectedTool === "fill"
               ? "pointer"
-              : selectedTool === "select-rect" || selectedTool === "lasso"
-              ? "crosshair"
+              : selectedTool === "select-rect"
+              ? "default"
               : "crosshair",
           touchAction: "none",
           borderRadius: "4px",
@@ -1840,7 +1769,7 @@ const CanvasBoard = forwardRef(function CanvasBoard(
               top: `${pos.y}px`,
               color: color,
               backgroundColor: "rgba(255, 255, 255, 0.9)",
-              fontSize: `${Math.max(10, Math.round(strokeWidth * 10))}px`,
+              fontSize: `${textSize(strokeWidth)}px`,
               fontFamily: "Arial",
               minWidth: "100px",
               padding: "2px 4px",
@@ -1860,7 +1789,7 @@ const CanvasBoard = forwardRef(function CanvasBoard(
             left: `${logicalToScreen(txt.x, txt.y).x}px`,
             top: `${logicalToScreen(txt.x, txt.y).y}px`,
             color: txt.color || "#000",
-            fontSize: `${Math.max(10, Math.round((txt.strokeWidth || 2) * 10))}px`,
+            fontSize: `${textSize(txt.strokeWidth || 2)}px`,
             fontFamily: "Arial",
             opacity: 0.7,
             borderBottom: "2px dashed rgba(100, 100, 100, 0.5)",
@@ -1870,58 +1799,160 @@ const CanvasBoard = forwardRef(function CanvasBoard(
         </div>
       ))}
 
-      {/* Show selection preview */}
-      {selection && (() => {
-        const pos = logicalToScreen(selection.x, selection.y);
-        const size = {
-          width: (selection.width / VIRTUAL_WIDTH) * cssSizeRef.current.width,
-          height: (selection.height / VIRTUAL_HEIGHT) * cssSizeRef.current.height,
-        };
-
-        // Render selection imageData as preview
-        const tempCanvas = document.createElement("canvas");
-        tempCanvas.width = selection.imageData.width;
-        tempCanvas.height = selection.imageData.height;
-        const tempCtx = tempCanvas.getContext("2d");
-        tempCtx.putImageData(selection.imageData, 0, 0);
-        const dataURL = tempCanvas.toDataURL("image/png");
-
+      {/* Other people's cursors, labelled in their roster color */}
+      {participants.map((user) => {
+        const cursor = remoteCursors[user.userId];
+        if (!cursor) return null;
+        const pos = logicalToScreen(cursor.x, cursor.y);
         return (
           <div
-            className="absolute z-30 border-2 border-dashed border-blue-500"
+            key={user.userId}
+            className="absolute z-30 pointer-events-none transition-all duration-75"
             style={{
               left: `${pos.x}px`,
               top: `${pos.y}px`,
-              width: `${size.width}px`,
-              height: `${size.height}px`,
-              backgroundImage: `url(${dataURL})`,
-              backgroundSize: "100% 100%",
-              backgroundRepeat: "no-repeat",
-              backgroundPosition: "0 0",
-              cursor: selectionDragging ? "grabbing" : "grab",
-              pointerEvents: "auto",
-              boxShadow: "0 2px 8px rgba(0, 0, 0, 0.2)",
-            }}
-            onMouseDown={(e) => {
-              e.stopPropagation();
-              setSelectionDragging(true);
-              dragStart.current = clientToLogical(e);
-            }}
-            onTouchStart={(e) => {
-              e.stopPropagation();
-              setSelectionDragging(true);
-              dragStart.current = clientToLogical(e);
+              opacity: user.status === "active" ? 1 : 0.5,
             }}
           >
-            <div className="absolute -bottom-6 left-0 text-xs bg-blue-500 text-white px-2 py-1 rounded whitespace-nowrap pointer-events-none">
-              Drag to move - Click outside to paste
-            </div>
+            <svg width="16" height="20" viewBox="0 0 16 20">
+              <path
+                d="M1 1 L1 16 L5 12 L8 19 L11 18 L8 11 L14 11 Z"
+                fill={user.color}
+                stroke="#ffffff"
+                strokeWidth="1.5"
+              />
+            </svg>
+            <span
+              className="absolute left-4 top-4 px-1.5 py-0.5 rounded text-xs text-white whitespace-nowrap shadow"
+              style={{ backgroundColor: user.color }}
+            >
+              {user.name}
+            </span>
           </div>
         );
-      })()}
+      })}
+
+      {/* Text spots others are typing at (element locks are painted on the canvas) */}
+      {locks.map((lock) => {
+        if (lock.kind !== "text" || lock.userId === userId) return null;
+        const pos = logicalToScreen(lock.x, lock.y);
+        return (
+          <div
+            key={`text-${lock.userId}-${lock.x}-${lock.y}`}
+            className="absolute z-30 pointer-events-none px-1.5 py-0.5 rounded text-xs text-white whitespace-nowrap -translate-y-full"
+            style={{ left: `${pos.x}px`, top: `${pos.y}px`, backgroundColor: holderColor(lock.userId) }}
+          >
+            <i className="fa-solid fa-lock mr-1" />
+            {lock.name} is typing
+          </div>
+        );
+      })}
+
+      {/* Comment threads pinned to the board; regions get a dashed frame */}
+      {pins.map((thread) => {
+        const { x, y, width = 0, height = 0 } = thread.anchor;
+        const pos = logicalToScreen(x, y);
+        const end = logicalToScreen(x + width, y + height);
+        const active = thread._id === activeThreadId || thread.status === "draft";
+        const tone = thread.status === "resolved" ? "#9ca3af" : "#f59e0b";
+        return (
+          <div key={thread._id || "draft"}>
+            {width > 0 && height > 0 && (
+              <div
+                className="absolute z-20 pointer-events-none rounded"
+                style={{
+                  left: `${pos.x}px`,
+                  top: `${pos.y}px`,
+                  width: `${end.x - pos.x}px`,
+                  height: `${end.y - pos.y}px`,
+                  border: `2px dashed ${tone}`,
+                  backgroundColor: active ? "rgba(245, 158, 11, 0.08)" : "transparent",
+                }}
+              />
+            )}
+            <button
+              onClick={() => thread._id && onCommentSelect?.(thread._id)}
+              className={`absolute z-30 -translate-y-full flex items-center gap-1 px-1.5 py-0.5 rounded-t-full rounded-br-full text-xs text-white shadow ${
+                active ? "ring-2 ring-offset-1 ring-primary" : ""
+              }`}
+              style={{ left: `${pos.x}px`, top: `${pos.y}px`, backgroundColor: tone }}
+              title={
+                thread.comments?.[0]
+                  ? `${thread.user}: ${thread.comments[0].text}`
+                  : "New comment"
+              }
+            >
+              <i className={`fa-solid ${thread.status === "resolved" ? "fa-check" : "fa-comment"}`} />
+              {thread.comments?.length > 1 && thread.comments.length}
+            </button>
+          </div>
+        );
+      })}
+
+      {lockNotice && (
+        <div className="absolute bottom-14 left-1/2 -translate-x-1/2 z-40 px-3 py-1.5 rounded-lg bg-gray-800 text-white text-xs shadow">
+          <i className="fa-solid fa-lock mr-1" />
+          {lockNotice}
+        </div>
+      )}
+
+      {/* Follow mode: who we follow / who follows us */}
+      {following && (
+        <div
+          className="absolute top-2 left-1/2 -translate-x-1/2 z-40 flex items-center gap-2 px-3 py-1 rounded-full text-xs text-white shadow"
+          style={{ backgroundColor: following.color }}
+        >
+          <i className="fa-solid fa-location-arrow" />
+          {followLabel || `Following ${following.name}`}
+          <button
+            onClick={() => onStopFollowing?.()}
+            className="ml-1 px-2 rounded-full bg-white/25 hover:bg-white/40"
+          >
+            Stop
+          </button>
+        </div>
+      )}
+      {followers.length > 0 && (
+        <div
+          className="absolute top-2 right-2 z-40 flex items-center gap-1 px-2 py-1 rounded-full bg-white text-xs text-gray-600 shadow"
+          title={followers.map((u) => u.name).join(", ")}
+        >
+          <i className="fa-solid fa-eye" />
+          {followers.length === 1
+            ? `${followers[0].name} is following you`
+            : `${followers.length} people following you`}
+        </div>
+      )}
+
+      {/* Zoom controls */}
+      <div className="absolute bottom-3 right-3 z-40 flex items-center bg-white rounded-lg shadow text-xs text-gray-600">
+        <button
+          onClick={() => zoomBy(1 / ZOOM_STEP)}
+          disabled={viewport.zoom <= 1}
+          className="px-2 py-1 hover:bg-gray-100 rounded-l-lg disabled:opacity-40"
+          title="Zoom out"
+        >
+          <i className="fa-solid fa-minus" />
+        </button>
+        <button
+          onClick={() => changeViewport(FIT_VIEWPORT)}
+          className="px-2 py-1 hover:bg-gray-100 min-w-[3.5rem]"
+          title="Fit board"
+        >
+          {Math.round(viewport.zoom * 100)}%
+        </button>
+        <button
+          onClick={() => zoomBy(ZOOM_STEP)}
+          disabled={viewport.zoom >= MAX_ZOOM}
+          className="px-2 py-1 hover:bg-gray-100 rounded-r-lg disabled:opacity-40"
+          title="Zoom in"
+        >
+          <i className="fa-solid fa-plus" />
+        </button>
+      </div>
 
       {/* Show lasso path while drawing - positioned relative to wrapper */}
-      {lassoPath.length > 0 && selectedTool === "lasso" && !selection && (
+      {lassoPath.length > 0 && selectedTool === "lasso" && (
         <svg
           className="absolute pointer-events-none z-25"
           style={{
@@ -0,0 +1,244 @@
+import { useState } from "react";
+
+const FILTERS = [
+  { value: "open", label: "Open" },
+  { value: "resolved", label: "Resolved" },
+  { value: "all", label: "All" },
+];
+
+const formatTime = (ts) =>
+  ts
+    ? new Date(ts).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+// Comment threads pinned to the board: filter tabs, a composer for the thread
+// being placed, and one thread opened at a time with its replies. Pins live on
+// the canvas (CanvasBoard); this panel only lists and edits.
+export default function CommentsPanel({
+  threads,
+  filter,
+  onFilterChange,
+  activeThreadId,
+  onSelect,
+  draft,
+  onPost,
+  onCancelDraft,
+  onReply,
+  onResolve,
+  canComment,
+  connected,
+  onClose,
+}) {
+  const [draftText, setDraftText] = useState("");
+  const [replyText, setReplyText] = useState("");
+
+  const visible = filter === "all" ? threads : threads.filter((t) => t.status === filter);
+  const active = threads.find((t) => t._id === activeThreadId) || null;
+  const counts = {
+    open: threads.filter((t) => t.status === "open").length,
+    resolved: threads.filter((t) => t.status === "resolved").length,
+    all: threads.length,
+  };
+
+  const post = () => {
+    const text = draftText.trim();
+    if (!text) return;
+    onPost(text);
+    setDraftText("");
+  };
+
+  const reply = () => {
+    const text = replyText.trim();
+    if (!text || !active) return;
+    onReply(active._id, text);
+    setReplyText("");
+  };
+
+  // Enter sends, shift+Enter breaks the line
+  const submitOnEnter = (send) => (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      send();
+    }
+  };
+
+  return (
+    <div className="absolute right-0 top-0 h-[90%] w-80 bg-white border-l shadow-lg flex flex-col z-40 overflow-hidden">
+      <div className="p-3 border-b bg-cream flex justify-between items-center flex-shrink-0">
+        <h3 className="font-semibold text-gray-700">
+          {active ? (
+            <button onClick={() => onSelect(null)} className="hover:text-primary">
+              <i className="fa-solid fa-arrow-left mr-2" />
+              Thread
+            </button>
+          ) : (
+            "Comments"
+          )}
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <i className="fa-solid fa-times" />
+        </button>
+      </div>
+
+      {/* new thread at the spot picked with the comment tool */}
+      {draft && (
+        <div className="p-3 border-b bg-amber-50 flex-shrink-0">
+          <p className="text-xs text-gray-500 mb-1">
+            <i className="fa-solid fa-location-dot mr-1 text-amber-500" />
+            New comment {draft.width ? "on the selected area" : "at this spot"}
+          </p>
+          <textarea
+            value={draftText}
+            onChange={(e) => setDraftText(e.target.value)}
+            onKeyDown={submitOnEnter(post)}
+            maxLength={2000}
+            rows={3}
+            autoFocus
+            placeholder="Write a comment..."
+            className="w-full px-2 py-1 border rounded text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <div className="flex justify-end gap-2 mt-1 text-sm">
+            <button
+              onClick={() => {
+                setDraftText("");
+                onCancelDraft();
+              }}
+              className="px-3 py-1 text-gray-600 hover:underline"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={post}
+              disabled={!draftText.trim() || !connected}
+              className="px-3 py-1 bg-primary text-white rounded hover:opacity-90 disabled:opacity-50"
+            >
+              Comment
+            </button>
+          </div>
+        </div>
+      )}
+
+      {active ? (
+        <>
+          <div className="flex-1 p-4 overflow-y-auto bg-gray-50 min-h-0 space-y-3">
+            <div className="flex items-center justify-between text-xs">
+              <span
+                className={`px-2 py-0.5 rounded-full font-medium ${
+                  active.status === "open"
+                    ? "bg-amber-100 text-amber-700"
+                    : "bg-gray-200 text-gray-600"
+                }`}
+              >
+                {active.status === "open" ? "Open" : "Resolved"}
+              </span>
+              {canComment && (
+                <button
+                  onClick={() => onResolve(active._id, active.status === "open")}
+                  disabled={!connected}
+                  className="text-primary hover:underline disabled:opacity-50"
+                >
+                  <i
+                    className={`fa-solid ${active.status === "open" ? "fa-check" : "fa-rotate-left"} mr-1`}
+                  />
+                  {active.status === "open" ? "Resolve" : "Reopen"}
+                </button>
+              )}
+            </div>
+            {active.comments.map((c) => (
+              <div key={c._id} className="bg-white border border-gray-200 rounded-lg px-3 py-2">
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="font-semibold text-primary">{c.user}</span>
+                  <span className="text-gray-400">{formatTime(c.timestamp)}</span>
+                </div>
+                <div className="text-sm break-words whitespace-pre-wrap">{c.text}</div>
+              </div>
+            ))}
+          </div>
+          {canComment && (
+            <div className="p-3 border-t bg-white flex-shrink-0 flex gap-2">
+              <textarea
+                value={replyText}
+                onChange={(e) => setReplyText(e.target.value)}
+                onKeyDown={submitOnEnter(reply)}
+                maxLength={2000}
+                rows={1}
+                placeholder={active.status === "resolved" ? "Reply to reopen..." : "Reply..."}
+                className="flex-1 px-3 py-2 border rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+              <button
+                onClick={reply}
+                disabled={!replyText.trim() || !connected}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:opacity-90 disabled:opacity-50"
+              >
+                Reply
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          <div className="flex border-b text-sm flex-shrink-0">
+            {FILTERS.map((f) => (
+              <button
+                key={f.value}
+                onClick={() => onFilterChange(f.value)}
+                className={`flex-1 py-2 ${
+                  filter === f.value
+                    ? "border-b-2 border-primary text-primary font-semibold"
+                    : "text-gray-500 hover:text-gray-700"
+                }`}
+              >
+                {f.label} ({counts[f.value]})
+              </button>
+            ))}
+          </div>
+          <div className="flex-1 p-3 overflow-y-auto bg-gray-50 min-h-0 space-y-2">
+            {visible.length === 0 ? (
+              <div className="text-gray-500 text-sm text-center py-8">
+                <p>No {filter === "all" ? "" : `${filter} `}comments</p>
+                {canComment && (
+                  <p className="text-xs mt-1">
+                    Pick the comment tool (M) and click or drag on the board.
+                  </p>
+                )}
+              </div>
+            ) : (
+              visible.map((t) => (
+                <button
+                  key={t._id}
+                  onClick={() => onSelect(t._id)}
+                  className="w-full text-left bg-white border border-gray-200 rounded-lg px-3 py-2 hover:border-primary"
+                >
+                  <div className="flex justify-between text-xs mb-1">
+                    <span className="font-semibold text-primary">{t.user}</span>
+                    <span className="text-gray-400">{formatTime(t.updatedAt)}</span>
+                  </div>
+                  <div className="text-sm text-gray-700 line-clamp-2 break-words">
+                    {t.comments[0]?.text}
+                  </div>
+                  <div className="flex items-center gap-3 text-xs text-gray-400 mt-1">
+                    <span>
+                      <i className="fa-regular fa-comment mr-1" />
+                      {t.comments.length - 1} {t.comments.length === 2 ? "reply" : "replies"}
+                    </span>
+                    {t.status === "resolved" && (
+                      <span className="text-green-600">
+                        <i className="fa-solid fa-check mr-1" />
+                        Resolved
+                      </span>
+                    )}
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
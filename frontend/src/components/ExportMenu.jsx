@@ -0,0 +1,280 @@
+import { useEffect, useRef, useState } from "react";
+import { API_URL } from "../utils/api";
+
+const FORMATS = [
+  { value: "png", label: "PNG" },
+  { value: "pdf", label: "PDF" },
+  { value: "svg", label: "SVG" },
+  { value: "json", label: "JSON" },
+];
+
+const DEFAULT_OPTIONS = {
+  png: { resolution: "2x" },
+  pdf: { pageSize: "A4", orientation: "landscape" },
+  svg: { compressed: false },
+  json: { includeMetadata: false },
+};
+
+const RECENT_JOBS = 5;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const jobId = (job) => job._id || job.id;
+
+// Export dropdown in the board toolbar: a quick PNG straight from this device's
+// canvas, or a server export (rendered in the background, see backend
+// services/exportQueue.js). Job status comes in live as "export:updated".
+export default function ExportMenu({ whiteboardId, session, socket, onQuickPNG }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("png");
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [jobs, setJobs] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const menuRef = useRef(null);
+
+  const token = session?.access_token;
+  const setOption = (key, value) =>
+    setOptions((prev) => ({ ...prev, [format]: { ...prev[format], [key]: value } }));
+
+  // recent exports of this board whenever the menu opens
+  useEffect(() => {
+    if (!open || !token) return;
+    let cancelled = false;
+    fetch(`${API_URL}/api/exports/whiteboard/${whiteboardId}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled && data) setJobs((data.exports || []).slice(0, RECENT_JOBS));
+      })
+      .catch((err) => console.warn("Failed to load exports:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, token, whiteboardId]);
+
+  // live status of our jobs
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdate = ({ export: job } = {}) => {
+      if (!job?._id || String(job.whiteboardId) !== String(whiteboardId)) return;
+      // keep the list order; new ones go on top
+      setJobs((prev) =>
+        prev.some((j) => jobId(j) === job._id)
+          ? prev.map((j) => (jobId(j) === job._id ? { ...j, ...job } : j))
+          : [job, ...prev].slice(0, RECENT_JOBS)
+      );
+    };
+    socket.on("export:updated", onUpdate);
+    return () => socket.off("export:updated", onUpdate);
+  }, [socket, whiteboardId]);
+
+  // close on outside click
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const startExport = async () => {
+    setSubmitting(true);
+    setError("");
+    try {
+      const res = await fetch(`${API_URL}/api/exports`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ whiteboardId, format, options: options[format] }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Export failed");
+      const job = { ...data.export, _id: data.export.id, whiteboardId };
+      setJobs((prev) =>
+        prev.some((j) => jobId(j) === job._id) ? prev : [job, ...prev].slice(0, RECENT_JOBS)
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const download = async (job) => {
+    try {
+      // short-lived signed link; the file is served as an attachment
+      const res = await fetch(`${API_URL}/api/exports/${jobId(job)}/download`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Download failed");
+      const a = document.createElement("a");
+      a.href = data.fileUrl;
+      a.download = data.fileName;
+      a.click();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const current = options[format];
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className={`p-2 rounded transition-colors ${
+          open ? "bg-primary text-white" : "hover:bg-light-blue text-gray-700"
+        }`}
+        title="Export"
+      >
+        <i className="fa-solid fa-file-export" />
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-72 bg-white border rounded-lg shadow-xl z-50 text-sm">
+          <button
+            onClick={() => {
+              onQuickPNG();
+              setOpen(false);
+            }}
+            className="w-full text-left px-4 py-2 hover:bg-gray-50 border-b"
+          >
+            <i className="fa-solid fa-bolt mr-2 text-primary" />
+            Quick PNG (from this screen)
+          </button>
+
+          <div className="p-3 space-y-3">
+            <div className="flex gap-1">
+              {FORMATS.map((f) => (
+                <button
+                  key={f.value}
+                  onClick={() => setFormat(f.value)}
+                  className={`flex-1 py-1 rounded ${
+                    format === f.value ? "bg-primary text-white" : "bg-cream text-gray-700 hover:bg-light-blue"
+                  }`}
+                >
+                  {f.label}
+                </button>
+              ))}
+            </div>
+
+            {format === "png" && (
+              <label className="flex items-center justify-between">
+                <span className="text-gray-600">Resolution</span>
+                <select
+                  value={current.resolution}
+                  onChange={(e) => setOption("resolution", e.target.value)}
+                  className="border rounded px-2 py-1"
+                >
+                  <option value="1x">1x (1920×1080)</option>
+                  <option value="2x">2x (3840×2160)</option>
+                  <option value="4x">4x (7680×4320)</option>
+                </select>
+              </label>
+            )}
+
+            {format === "pdf" && (
+              <>
+                <label className="flex items-center justify-between">
+                  <span className="text-gray-600">Page size</span>
+                  <select
+                    value={current.pageSize}
+                    onChange={(e) => setOption("pageSize", e.target.value)}
+                    className="border rounded px-2 py-1"
+                  >
+                    <option value="A4">A4</option>
+                    <option value="Letter">Letter</option>
+                    <option value="Custom">Board size</option>
+                  </select>
+                </label>
+                {current.pageSize !== "Custom" && (
+                  <label className="flex items-center justify-between">
+                    <span className="text-gray-600">Orientation</span>
+                    <select
+                      value={current.orientation}
+                      onChange={(e) => setOption("orientation", e.target.value)}
+                      className="border rounded px-2 py-1"
+                    >
+                      <option value="landscape">Landscape</option>
+                      <option value="portrait">Portrait</option>
+                    </select>
+                  </label>
+                )}
+              </>
+            )}
+
+            {format === "svg" && (
+              <label className="flex items-center gap-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={current.compressed}
+                  onChange={(e) => setOption("compressed", e.target.checked)}
+                />
+                Compressed (.svgz)
+              </label>
+            )}
+
+            {format === "json" && (
+              <label className="flex items-center gap-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={current.includeMetadata}
+                  onChange={(e) => setOption("includeMetadata", e.target.checked)}
+                />
+                Include authors and board details
+              </label>
+            )}
+
+            {error && <p className="text-red-600 text-xs">{error}</p>}
+
+            <button
+              onClick={startExport}
+              disabled={submitting || !token}
+              className="w-full py-2 bg-primary text-white rounded hover:opacity-90 disabled:opacity-50"
+            >
+              {submitting ? "Queueing..." : `Export ${format.toUpperCase()}`}
+            </button>
+          </div>
+
+          {jobs.length > 0 && (
+            <div className="border-t max-h-48 overflow-y-auto">
+              {jobs.map((job) => (
+                <div key={jobId(job)} className="flex items-center justify-between px-4 py-2 border-b last:border-b-0">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-700">{job.format.toUpperCase()}</div>
+                    <div className="text-xs text-gray-400">
+                      {job.status === "completed"
+                        ? formatSize(job.fileSize)
+                        : job.status === "failed"
+                          ? "Failed"
+                          : job.status === "processing"
+                            ? "Rendering..."
+                            : "Queued"}
+                    </div>
+                  </div>
+                  {job.status === "completed" ? (
+                    <button
+                      onClick={() => download(job)}
+                      className="text-primary hover:underline"
+                      title="Download"
+                    >
+                      <i className="fa-solid fa-download" />
+                    </button>
+                  ) : job.status === "failed" ? (
+                    <i className="fa-solid fa-triangle-exclamation text-red-500" />
+                  ) : (
+                    <i className="fa-solid fa-spinner fa-spin text-gray-400" />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,347 @@
+import { useCallback, useEffect, useState } from "react";
+import { API_URL } from "../utils/api";
+
+const TRIGGER_LABELS = {
+  save: "Saved",
+  autosave: "Autosave",
+  manual: "Saved version",
+  "before-clear": "Before the board was cleared",
+  "before-restore": "Before a restore",
+  restore: "Restored",
+};
+
+const formatTime = (ts) =>
+  ts
+    ? new Date(ts).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+// Board history: versions the server keeps on saves, autosaves and clears
+// (backend services/boardVersions.js). Anyone can look; owners and editors can
+// save a named version, rename one or restore it (the room sees the restore live).
+// Any two versions can be compared (onCompare(olderId, newerId), see VersionDiff).
+// `refreshKey` changes when the list should reload (e.g. someone restored).
+export default function HistoryPanel({ whiteboardId, session, canEdit, refreshKey, onCompare, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [retention, setRetention] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [newName, setNewName] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [restoringId, setRestoringId] = useState(null);
+  const [compareWith, setCompareWith] = useState("");
+
+  const token = session?.access_token;
+  const base = `${API_URL}/api/whiteboards/${whiteboardId}/versions`;
+
+  const request = useCallback(
+    async (url, options = {}) => {
+      const res = await fetch(url, {
+        ...options,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Request failed");
+      return data;
+    },
+    [token]
+  );
+
+  const load = useCallback(
+    async (before) => {
+      if (!token) return;
+      setLoading(true);
+      setError("");
+      try {
+        const query = before ? `?before=${encodeURIComponent(before)}` : "";
+        const data = await request(`${base}${query}`);
+        setVersions((prev) => (before ? [...prev, ...data.versions] : data.versions));
+        setHasMore(data.hasMore);
+        setRetention(data.retention);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [base, request, token]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // full-size preview of the picked version (needs the auth header, so via a blob)
+  useEffect(() => {
+    if (!selectedId || !token) return;
+    let cancelled = false;
+    let url = null;
+    fetch(`${base}/${selectedId}/image`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((res) => (res.ok ? res.blob() : null))
+      .then((blob) => {
+        if (cancelled || !blob) return;
+        url = URL.createObjectURL(blob);
+        setPreviewUrl(url);
+      })
+      .catch((err) => console.warn("Failed to load version preview:", err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+      setPreviewUrl(null);
+    };
+  }, [base, selectedId, token]);
+
+  const replace = (version) =>
+    setVersions((prev) => prev.map((v) => (v._id === version._id ? version : v)));
+
+  const saveVersion = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const { version } = await request(base, {
+        method: "POST",
+        body: JSON.stringify({ name: newName.trim() }),
+      });
+      setVersions((prev) => [version, ...prev.filter((v) => v._id !== version._id)]);
+      setNewName("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rename = async () => {
+    if (!editing) return;
+    setError("");
+    try {
+      const { version } = await request(`${base}/${editing.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ name: editing.name.trim() }),
+      });
+      replace(version);
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const restore = async (version) => {
+    const label = version.name || `the ${formatTime(version.createdAt)} version`;
+    if (!window.confirm(`Restore ${label}? Everyone on this board will see it; the current board is kept in the history.`)) {
+      return;
+    }
+    setRestoringId(version._id);
+    setError("");
+    try {
+      await request(`${base}/${version._id}/restore`, { method: "POST" });
+      setSelectedId(null);
+      load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // picking a version defaults the comparison to the one before it
+  const select = (id) => {
+    const i = versions.findIndex((v) => v._id === id);
+    const other = versions[i + 1] || versions[i - 1];
+    setSelectedId(id);
+    setCompareWith(other?._id || "");
+  };
+
+  // older one first, whichever was picked first
+  const compare = (version) => {
+    const other = versions.find((v) => v._id === compareWith);
+    if (!other) return;
+    const [older, newer] =
+      new Date(other.createdAt) < new Date(version.createdAt) ? [other, version] : [version, other];
+    onCompare(older._id, newer._id);
+  };
+
+  const namedCount = versions.filter((v) => v.name).length;
+
+  return (
+    <div className="absolute right-0 top-0 h-[90%] w-80 bg-white border-l shadow-lg flex flex-col z-40 overflow-hidden">
+      <div className="p-3 border-b bg-cream flex justify-between items-center flex-shrink-0">
+        <h3 className="font-semibold text-gray-700">Version history</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <i className="fa-solid fa-times" />
+        </button>
+      </div>
+
+      {canEdit && (
+        <div className="p-3 border-b flex gap-2 flex-shrink-0">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && !saving && saveVersion()}
+            maxLength={100}
+            placeholder="Name this version (optional)"
+            className="flex-1 min-w-0 px-2 py-1 border rounded text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <button
+            onClick={saveVersion}
+            disabled={saving || !token}
+            className="px-3 py-1 bg-primary text-white rounded text-sm hover:opacity-90 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="px-3 py-2 text-xs text-red-600 border-b flex-shrink-0">{error}</p>}
+
+      <div className="flex-1 overflow-y-auto bg-gray-50 min-h-0">
+        {versions.length === 0 && !loading ? (
+          <div className="text-gray-500 text-sm text-center py-8">
+            <p>No versions yet</p>
+            <p className="text-xs mt-1">Saving the board keeps a version here.</p>
+          </div>
+        ) : (
+          versions.map((v) => {
+            const selected = v._id === selectedId;
+            return (
+              <div key={v._id} className={`border-b ${selected ? "bg-white" : ""}`}>
+                <button
+                  onClick={() => (selected ? setSelectedId(null) : select(v._id))}
+                  className="w-full flex gap-3 p-3 text-left hover:bg-white"
+                >
+                  {v.thumbnail ? (
+                    <img
+                      src={v.thumbnail}
+                      alt=""
+                      className="w-20 h-[45px] object-cover rounded border bg-white flex-shrink-0"
+                    />
+                  ) : (
+                    <div className="w-20 h-[45px] rounded border bg-white flex-shrink-0" />
+                  )}
+                  <div className="min-w-0 text-sm">
+                    <div className="font-medium text-gray-700 truncate">
+                      {v.name ? (
+                        <>
+                          <i className="fa-solid fa-bookmark text-primary mr-1" />
+                          {v.name}
+                        </>
+                      ) : (
+                        TRIGGER_LABELS[v.trigger] || "Version"
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatTime(v.createdAt)}</div>
+                    <div className="text-xs text-gray-400 truncate">
+                      {v.createdByName || (v.createdBy ? "Someone" : "Autosave")} · {v.elementCount} elements
+                    </div>
+                  </div>
+                </button>
+
+                {selected && (
+                  <div className="px-3 pb-3 space-y-2">
+                    {previewUrl ? (
+                      <img src={previewUrl} alt="Version preview" className="w-full rounded border bg-white" />
+                    ) : (
+                      <div className="w-full aspect-video rounded border bg-white flex items-center justify-center text-gray-400">
+                        <i className="fa-solid fa-spinner fa-spin" />
+                      </div>
+                    )}
+
+                    {versions.length > 1 && (
+                      <div className="flex gap-2 text-sm">
+                        <select
+                          value={compareWith}
+                          onChange={(e) => setCompareWith(e.target.value)}
+                          className="flex-1 min-w-0 border rounded px-1 py-1"
+                        >
+                          {versions
+                            .filter((o) => o._id !== v._id)
+                            .map((o) => (
+                              <option key={o._id} value={o._id}>
+                                {o.name || `${TRIGGER_LABELS[o.trigger] || "Version"}, ${formatTime(o.createdAt)}`}
+                              </option>
+                            ))}
+                        </select>
+                        <button
+                          onClick={() => compare(v)}
+                          disabled={!compareWith}
+                          className="px-2 py-1 border rounded text-gray-700 hover:bg-light-blue disabled:opacity-50"
+                        >
+                          <i className="fa-solid fa-code-compare mr-1" />
+                          Compare
+                        </button>
+                      </div>
+                    )}
+
+                    {canEdit &&
+                      (editing?.id === v._id ? (
+                        <div className="flex gap-2">
+                          <input
+                            value={editing.name}
+                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                            onKeyDown={(e) => e.key === "Enter" && rename()}
+                            maxLength={100}
+                            autoFocus
+                            placeholder="No name"
+                            className="flex-1 min-w-0 px-2 py-1 border rounded text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                          />
+                          <button onClick={rename} className="text-sm text-primary hover:underline">
+                            Save
+                          </button>
+                          <button onClick={() => setEditing(null)} className="text-sm text-gray-500 hover:underline">
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex justify-between text-sm">
+                          <button
+                            onClick={() => setEditing({ id: v._id, name: v.name })}
+                            className="text-gray-600 hover:text-primary"
+                          >
+                            <i className="fa-solid fa-pen mr-1" />
+                            {v.name ? "Rename" : "Name"}
+                          </button>
+                          <button
+                            onClick={() => restore(v)}
+                            disabled={Boolean(restoringId)}
+                            className="px-3 py-1 bg-primary text-white rounded hover:opacity-90 disabled:opacity-50"
+                          >
+                            {restoringId === v._id ? "Restoring..." : "Restore"}
+                          </button>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+
+        {hasMore && (
+          <button
+            onClick={() => load(versions[versions.length - 1]?.createdAt)}
+            disabled={loading}
+            className="w-full py-2 text-sm text-primary hover:underline disabled:opacity-50"
+          >
+            {loading ? "Loading..." : "Load older versions"}
+          </button>
+        )}
+      </div>
+
+      {retention && (
+        <p className="p-3 border-t text-xs text-gray-500 flex-shrink-0">
+          {retention.plan.charAt(0).toUpperCase() + retention.plan.slice(1)} plan: unnamed versions are kept
+          for {retention.maxAgeDays} days (latest {retention.maxVersions}).
+          {retention.maxNamed !== null && !hasMore && ` Named: ${namedCount}/${retention.maxNamed}.`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -49,17 +49,17 @@ export default function InviteModal({ whiteboard, session, onClose, onSuccess })
 
       const data = await response.json();
       
-      // Show success message with invite URL
+      // Show success message with invite URL (the email itself goes out in the background)
       if (data.inviteUrl) {
         // Copy invite URL to clipboard
         try {
           await navigator.clipboard.writeText(data.inviteUrl);
-          alert(`Invitation sent to ${email}!\n\nInvite link copied to clipboard:\n${data.inviteUrl}`);
+          alert(`Invitation email is on its way to ${email}!\n\nInvite link copied to clipboard:\n${data.inviteUrl}`);
         } catch {
-          alert(`Invitation sent to ${email}!\n\nInvite link:\n${data.inviteUrl}`);
+          alert(`Invitation email is on its way to ${email}!\n\nInvite link:\n${data.inviteUrl}`);
         }
       } else {
-        alert(`Invitation sent to ${email}!`);
+        alert(`Invitation email is on its way to ${email}!`);
       }
 
       onSuccess?.();
@@ -130,6 +130,7 @@ export default function InviteModal({ whiteboard, session, onClose, onSuccess })
               className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary disabled:bg-gray-100"
             >
               <option value="editor">Editor - Can edit and draw</option>
+              <option value="commenter">Commenter - Can comment but not draw</option>
               <option value="viewer">Viewer - Can only view</option>
             </select>
           </div>
@@ -0,0 +1,204 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import { API_URL } from '../utils/api';
+
+const PAGE_SIZE = 20;
+
+// icon per notification type (backend models/Notification.js)
+const TYPE_ICONS = {
+  invitation: 'fa-envelope',
+  mention: 'fa-at',
+  'role-change': 'fa-user-shield',
+  export: 'fa-file-export',
+};
+
+const timeAgo = (ts) => {
+  const mins = Math.floor((Date.now() - new Date(ts).getTime()) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins}m ago`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  return days < 7 ? `${days}d ago` : new Date(ts).toLocaleDateString();
+};
+
+// bell + dropdown in the top nav. loads the latest notifications once, then keeps
+// up through its own socket (the server puts every socket of a user in their
+// personal channel, so new ones arrive on any page).
+export default function NotificationBell({ session }) {
+  const navigate = useNavigate();
+  const token = session?.access_token;
+
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const panelRef = useRef(null);
+
+  const api = (path, options = {}) =>
+    fetch(`${API_URL}/api/notifications${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    }).then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))));
+
+  // first page + live updates
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    fetch(`${API_URL}/api/notifications?limit=${PAGE_SIZE}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (cancelled || !data) return;
+        setItems(data.notifications || []);
+        setHasMore(Boolean(data.hasMore));
+        setUnreadCount(data.unreadCount || 0);
+      })
+      .catch((err) => console.warn('notifications: load failed', err));
+
+    const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token } });
+
+    socket.on('notification', ({ notification } = {}) => {
+      if (!notification?._id) return;
+      setItems((prev) => [notification, ...prev.filter((n) => n._id !== notification._id)]);
+      setUnreadCount((c) => c + 1);
+    });
+
+    // read in another tab (ids null = all of them)
+    socket.on('notifications:read', ({ ids, unreadCount: count } = {}) => {
+      setItems((prev) => prev.map((n) => (!ids || ids.includes(n._id) ? { ...n, read: true } : n)));
+      if (typeof count === 'number') setUnreadCount(count);
+    });
+
+    return () => {
+      cancelled = true;
+      socket.off();
+      socket.disconnect();
+    };
+  }, [token]);
+
+  // close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const loadMore = async () => {
+    const oldest = items[items.length - 1];
+    if (!oldest) return;
+    setLoadingMore(true);
+    try {
+      const data = await api(`?limit=${PAGE_SIZE}&before=${oldest._id}`);
+      setItems((prev) => [...prev, ...data.notifications]);
+      setHasMore(Boolean(data.hasMore));
+    } catch (err) {
+      console.warn('notifications: load more failed', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api('/read-all', { method: 'POST' });
+      setItems((prev) => prev.map((n) => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.warn('notifications: mark all read failed', err);
+    }
+  };
+
+  const openNotification = async (n) => {
+    setOpen(false);
+    if (!n.read) {
+      setItems((prev) => prev.map((x) => (x._id === n._id ? { ...x, read: true } : x)));
+      setUnreadCount((c) => Math.max(0, c - 1));
+      api(`/${n._id}/read`, { method: 'PATCH' }).catch((err) =>
+        console.warn('notifications: mark read failed', err)
+      );
+    }
+    if (n.link) navigate(n.link);
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="relative flex items-center rounded-lg px-2 py-2 text-gray-700 hover:bg-gray-100 transition-colors"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <i className="fa-solid fa-bell text-[18px]" aria-hidden="true"></i>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] leading-[1.1rem] text-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-[70vh] flex flex-col rounded-lg border bg-white shadow-xl z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="font-semibold text-gray-700">Notifications</span>
+            <button
+              type="button"
+              onClick={markAllRead}
+              disabled={unreadCount === 0}
+              className="text-xs text-primary hover:underline disabled:text-gray-400 disabled:no-underline"
+            >
+              Mark all read
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto">
+            {items.length === 0 ? (
+              <p className="px-4 py-8 text-center text-sm text-gray-500">You're all caught up.</p>
+            ) : (
+              items.map((n) => (
+                <button
+                  key={n._id}
+                  type="button"
+                  onClick={() => openNotification(n)}
+                  className={`w-full flex gap-3 px-4 py-3 text-left border-b last:border-b-0 hover:bg-gray-50 ${
+                    n.read ? '' : 'bg-light-blue/40'
+                  }`}
+                >
+                  <i
+                    className={`fa-solid ${TYPE_ICONS[n.type] || 'fa-bell'} mt-1 text-primary`}
+                    aria-hidden="true"
+                  ></i>
+                  <span className="min-w-0 flex-1">
+                    <span className={`block text-sm ${n.read ? 'text-gray-600' : 'font-semibold text-gray-800'}`}>
+                      {n.title}
+                    </span>
+                    {n.body && <span className="block text-xs text-gray-500 truncate">{n.body}</span>}
+                    <span className="block text-xs text-gray-400 mt-0.5">{timeAgo(n.timestamp)}</span>
+                  </span>
+                  {!n.read && <span className="mt-2 h-2 w-2 flex-shrink-0 rounded-full bg-primary" />}
+                </button>
+              ))
+            )}
+            {hasMore && (
+              <button
+                type="button"
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="w-full py-2 text-xs text-primary hover:underline disabled:opacity-50"
+              >
+                {loadingMore ? 'Loading...' : 'Show older'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
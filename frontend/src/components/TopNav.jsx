@@ -1,5 +1,6 @@
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 export default function TopNav({ onToggleSidebar }) {
   const { session, signOut } = useAuth();
@@ -42,6 +43,8 @@ export default function TopNav({ onToggleSidebar }) {
         <div className="flex items-center gap-3">
           {session ? (
             <>
+              <NotificationBell session={session} />
+
               {/* user summary (truncate long emails) */}
               <div className="hidden md:flex items-center gap-2 text-sm text-gray-600">
                 <i className="fa-solid fa-user-circle text-lg text-primary" aria-hidden="true"></i>
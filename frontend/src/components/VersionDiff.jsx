@@ -0,0 +1,247 @@
+import { useEffect, useState } from "react";
+import { API_URL } from "../utils/api";
+
+const KINDS = [
+  { key: "added", label: "Added", box: "border-green-500 bg-green-500/10", chip: "bg-green-500" },
+  { key: "removed", label: "Removed", box: "border-red-500 bg-red-500/10", chip: "bg-red-500" },
+  { key: "modified", label: "Modified", box: "border-amber-500 bg-amber-500/10", chip: "bg-amber-500" },
+  { key: "regions", label: "Changed areas", box: "border-purple-500 border-dashed", chip: "bg-purple-500" },
+];
+const BOX = Object.fromEntries(KINDS.map((k) => [k.key, k.box]));
+
+const CHANGE_LABELS = { content: "content", style: "style", moved: "moved", order: "layer order" };
+
+const formatTime = (ts) =>
+  ts
+    ? new Date(ts).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+const versionLabel = (v) => (v ? v.name || formatTime(v.createdAt) : "");
+
+// Two board versions compared (backend GET .../versions/diff): element boxes for
+// what was added / removed / modified and the changed areas of the previews, over
+// the two preview images - on top of each other or side by side.
+export default function VersionDiff({ whiteboardId, session, fromId, toId, onClose }) {
+  const [diff, setDiff] = useState(null);
+  const [images, setImages] = useState({ from: null, to: null });
+  const [error, setError] = useState("");
+  const [mode, setMode] = useState("overlay"); // overlay | side
+  const [opacity, setOpacity] = useState(50); // of the older version in overlay mode
+  const [shown, setShown] = useState({ added: true, removed: true, modified: true, regions: false });
+
+  const token = session?.access_token;
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    const urls = [];
+    const base = `${API_URL}/api/whiteboards/${whiteboardId}/versions`;
+    const headers = { Authorization: `Bearer ${token}` };
+
+    const image = (id) =>
+      fetch(`${base}/${id}/image`, { headers })
+        .then((res) => (res.ok ? res.blob() : null))
+        .then((blob) => {
+          if (!blob) return null;
+          const url = URL.createObjectURL(blob);
+          urls.push(url);
+          return url;
+        });
+
+    setDiff(null);
+    setError("");
+    Promise.all([
+      fetch(`${base}/diff?from=${fromId}&to=${toId}`, { headers }).then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Could not compare versions");
+        return data;
+      }),
+      image(fromId),
+      image(toId),
+    ])
+      .then(([data, from, to]) => {
+        if (cancelled) return;
+        setDiff(data);
+        setImages({ from, to });
+        // fills, erasing, old bitmaps: only the changed areas show anything
+        const { added, removed, modified } = data.summary;
+        if (added + removed + modified === 0) setShown((prev) => ({ ...prev, regions: true }));
+      })
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [whiteboardId, token, fromId, toId]);
+
+  // close on Escape
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  // one highlight box, positioned in % of the board
+  const box = (kind, b, key, title) =>
+    b && (
+      <div
+        key={key}
+        title={title}
+        className={`absolute border-2 rounded-sm ${BOX[kind]}`}
+        style={{
+          left: `${(b.x / diff.width) * 100}%`,
+          top: `${(b.y / diff.height) * 100}%`,
+          width: `${Math.max(b.width, 4) / diff.width * 100}%`,
+          height: `${Math.max(b.height, 4) / diff.height * 100}%`,
+        }}
+      />
+    );
+
+  const describe = (el) =>
+    el.changes ? `${el.type}: ${el.changes.map((c) => CHANGE_LABELS[c] || c).join(", ")}` : el.type;
+
+  // side = "from" | "to" | "both" (overlay)
+  const highlights = (side) => {
+    if (!diff) return null;
+    const { added, removed, modified } = diff.elements;
+    return (
+      <>
+        {shown.regions && diff.regions.map((r, i) => box("regions", r, `r-${i}`, "Changed area"))}
+        {shown.removed && side !== "to" && removed.map((el) => box("removed", el.bounds, `d-${el.id}`, describe(el)))}
+        {shown.added && side !== "from" && added.map((el) => box("added", el.bounds, `a-${el.id}`, describe(el)))}
+        {shown.modified &&
+          modified.map((el) => box("modified", side === "from" ? el.before : el.bounds, `m-${el.id}`, describe(el)))}
+      </>
+    );
+  };
+
+  const board = (src, side, extra = null) => (
+    <div className="relative w-full aspect-video bg-white border rounded overflow-hidden">
+      {src && <img src={src} alt="" className="absolute inset-0 w-full h-full" />}
+      {extra}
+      {highlights(side)}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4" onMouseDown={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-full flex flex-col overflow-hidden"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="p-3 border-b bg-cream flex items-center justify-between gap-4 flex-shrink-0">
+          <div className="min-w-0">
+            <h3 className="font-semibold text-gray-700">Compare versions</h3>
+            {diff && (
+              <p className="text-xs text-gray-500 truncate">
+                {versionLabel(diff.from)} <i className="fa-solid fa-arrow-right mx-1" /> {versionLabel(diff.to)}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="flex rounded overflow-hidden border text-sm">
+              {[
+                { value: "overlay", label: "Overlay" },
+                { value: "side", label: "Side by side" },
+              ].map((m) => (
+                <button
+                  key={m.value}
+                  onClick={() => setMode(m.value)}
+                  className={`px-3 py-1 ${mode === m.value ? "bg-primary text-white" : "bg-white text-gray-700 hover:bg-light-blue"}`}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <i className="fa-solid fa-times" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 overflow-y-auto min-h-0 space-y-3">
+          {error ? (
+            <p className="text-red-600 text-sm">{error}</p>
+          ) : !diff ? (
+            <div className="py-16 text-center text-gray-400">
+              <i className="fa-solid fa-spinner fa-spin mr-2" />
+              Comparing...
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-4 text-sm">
+                {KINDS.map((k) => (
+                  <label key={k.key} className="flex items-center gap-2 text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={shown[k.key]}
+                      onChange={(e) => setShown((prev) => ({ ...prev, [k.key]: e.target.checked }))}
+                    />
+                    <span className={`w-3 h-3 rounded-sm ${k.chip}`} />
+                    {k.label}
+                    <span className="text-gray-400">
+                      {k.key === "regions" ? diff.regions.length : diff.summary[k.key]}
+                    </span>
+                  </label>
+                ))}
+                <span className="text-gray-400 ml-auto">{diff.summary.changedPercent}% of the board changed</span>
+              </div>
+
+              {mode === "overlay" ? (
+                <>
+                  {board(
+                    images.to,
+                    "both",
+                    images.from && (
+                      <img
+                        src={images.from}
+                        alt=""
+                        className="absolute inset-0 w-full h-full"
+                        style={{ opacity: opacity / 100 }}
+                      />
+                    )
+                  )}
+                  <label className="flex items-center gap-3 text-sm text-gray-600">
+                    <span className="flex-shrink-0">{versionLabel(diff.to)}</span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={100}
+                      value={opacity}
+                      onChange={(e) => setOpacity(Number(e.target.value))}
+                      className="flex-1"
+                    />
+                    <span className="flex-shrink-0">{versionLabel(diff.from)}</span>
+                  </label>
+                </>
+              ) : (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">Before: {versionLabel(diff.from)}</p>
+                    {board(images.from, "from")}
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">After: {versionLabel(diff.to)}</p>
+                    {board(images.to, "to")}
+                  </div>
+                </div>
+              )}
+
+              {diff.summary.added + diff.summary.removed + diff.summary.modified === 0 && (
+                <p className="text-sm text-gray-500">
+                  No element changes{diff.regions.length > 0 ? "; see the changed areas." : "."}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -260,12 +260,21 @@ export default function Dashboard() {
               key={wb._id}
               className="bg-white rounded-lg border shadow-sm hover:shadow-md transition-shadow overflow-hidden"
             >
-              {/* preview */}
+              {/* preview (thumbnail comes with the list; boards never saved get the placeholder) */}
               <div
                 onClick={() => openWhiteboard(wb._id)}
                 className="h-48 bg-gradient-to-br from-cream to-light-blue cursor-pointer flex items-center justify-center relative group"
               >
-                <i className="fa-solid fa-chalkboard text-6xl text-primary opacity-20"></i>
+                {wb.thumbnail ? (
+                  <img
+                    src={wb.thumbnail}
+                    alt={`${wb.title} preview`}
+                    className="w-full h-full object-contain bg-white"
+                    loading="lazy"
+                  />
+                ) : (
+                  <i className="fa-solid fa-chalkboard text-6xl text-primary opacity-20"></i>
+                )}
                 <div className="absolute inset-0 bg-black opacity-0 group-hover:opacity-10 transition-opacity"></div>
                 {Array.isArray(wb.activeUsers) && wb.activeUsers.length > 0 && (
                   <div className="absolute top-2 right-2 bg-green-500 text-white px-2 py-1 rounded-full text-xs flex items-center gap-1">
@@ -122,9 +122,9 @@ export default function Invitations() {
   };
 
   const getRoleColor = (role) => {
-    return role === 'editor' 
-      ? 'bg-green-100 text-green-700' 
-      : 'bg-blue-100 text-blue-700';
+    if (role === 'editor') return 'bg-green-100 text-green-700';
+    if (role === 'commenter') return 'bg-amber-100 text-amber-700';
+    return 'bg-blue-100 text-blue-700';
   };
 
   if (loading) {
@@ -1,10 +1,67 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { io } from "socket.io-client";
 import { useAuth } from "../context/AuthContext";
 import CanvasBoard from "../components/CanvasBoard";
+import CommentsPanel from "../components/CommentsPanel";
+import ExportMenu from "../components/ExportMenu";
+import HistoryPanel from "../components/HistoryPanel";
+import VersionDiff from "../components/VersionDiff";
 import { API_URL } from "../utils/api";
 
+// presence heartbeat interval (backend/services/presence.js expects the same)
+const PRESENCE_HEARTBEAT_MS = 15 * 1000;
+// coming back after this long sends a heartbeat right away (idle -> active)
+const PRESENCE_WAKE_MS = 30 * 1000;
+
+const TOOL_ICONS = {
+  pen: "fa-pencil",
+  eraser: "fa-eraser",
+  rectangle: "fa-square",
+  circle: "fa-circle",
+  line: "fa-slash",
+  text: "fa-font",
+  fill: "fa-fill-drip",
+  "select-rect": "fa-square-dashed",
+  lasso: "fa-draw-polygon",
+  laser: "fa-wand-magic-sparkles",
+  ink: "fa-highlighter",
+  comment: "fa-comment-dots",
+};
+
+// roles that can start, answer and resolve comment threads (commenters can't draw)
+const COMMENT_ROLES = ["owner", "editor", "commenter"];
+
+// a comment thread, added or replaced (comment:thread carries the whole thread)
+const upsertThread = (threads, thread) =>
+  threads.some((t) => t._id === thread._id)
+    ? threads.map((t) => (t._id === thread._id ? thread : t))
+    : [thread, ...threads];
+
+// quick reactions offered in the chat picker (the server takes any emoji)
+const REACTION_EMOJIS = ["👍", "❤️", "😂", "🎉", "😮", "👀"];
+
+// "@query" right before the caret (names can have spaces, so up to the last "@")
+const MENTION_QUERY = /(^|\s)@([^@\n]{0,40})$/;
+const MAX_MENTION_SUGGESTIONS = 5;
+const MENTION_NOTICE_MS = 6000;
+const RESTORE_NOTICE_MS = 6000;
+
+// chat lists merge by id (history pages, live messages, edits), oldest first
+function mergeChat(current, incoming) {
+  const byId = new Map(current.map((m) => [m._id, m]));
+  incoming.forEach((m) => byId.set(m._id, m));
+  return Array.from(byId.values()).sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+}
+
+const STATUS_DOTS = {
+  active: "bg-green-500",
+  idle: "bg-amber-400",
+  away: "bg-gray-400",
+};
+
 export default function Whiteboard() {
   // route
   const { id: whiteboardId } = useParams();
@@ -21,17 +78,40 @@ export default function Whiteboard() {
   // page state
   const [whiteboardTitle, setWhiteboardTitle] = useState("Untitled Whiteboard");
   const [loading, setLoading] = useState(true);
+  const [canEdit, setCanEdit] = useState(true); // viewers get a read-only board
+  const [role, setRole] = useState(null); // owner | editor | commenter | viewer
+  const [boardState, setBoardState] = useState(null); // server snapshot + live tail
 
   // panels
   const [showChat, setShowChat] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [gridEnabled, setGridEnabled] = useState(true);
+  const [showComments, setShowComments] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyRefresh, setHistoryRefresh] = useState(0); // bumped when the history changed under us
+  const [restoreNotice, setRestoreNotice] = useState(null); // last "someone restored a version"
+  const [versionDiff, setVersionDiff] = useState(null); // { fromId, toId } being compared
+
+  // comment threads
+  const [commentThreads, setCommentThreads] = useState([]);
+  const [commentFilter, setCommentFilter] = useState("open"); // open | resolved | all
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [commentDraft, setCommentDraft] = useState(null); // anchor of a thread not posted yet
 
   // chat state
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState("");
+  const [chatHasMore, setChatHasMore] = useState(false); // older history on the server
+  const [loadingEarlier, setLoadingEarlier] = useState(false);
+  const [hasUnreadChat, setHasUnreadChat] = useState(false);
+  const [members, setMembers] = useState([]); // board members, for @mentions
+  const [mentionQuery, setMentionQuery] = useState(null); // { start, query } while typing "@..."
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [mentionNotice, setMentionNotice] = useState(null); // last "someone mentioned you"
   const [connected, setConnected] = useState(false);
-  const [activeUsers, setActiveUsers] = useState([]);
+  const [activeUsers, setActiveUsers] = useState([]); // presence roster
+  const [followingUserId, setFollowingUserId] = useState(null); // follow mode
+  const [presenter, setPresenter] = useState(null); // { userId, name, lockEditing } while someone presents
   const [userCount, setUserCount] = useState(1);
   const [isTyping, setIsTyping] = useState(null); // who is typing
 
@@ -41,12 +121,15 @@ export default function Whiteboard() {
   const canvasBoardRef = useRef(null);
   const chatEndRef = useRef(null);
   const typingTimeoutRef = useRef(null);
+  const chatInputRef = useRef(null);
+  const mentionNoticeTimerRef = useRef(null);
+  const restoreNoticeTimerRef = useRef(null);
+  const lastInputRef = useRef(Date.now());
 
   // quick palette (simple defaults)
   const colors = ["#000000", "#FF0000", "#00FF00", "#0000FF", "#FFFF00", "#FF00FF", "#6D94C5"];
 
-  // load whiteboard (title + elements + saved canvas) once we have id
-  // Note: Priority logic - compare localStorage vs server timestamps (fixed using ChatGPT)
+  // load whiteboard (title + permissions + authoritative canvas state) once we have id
   useEffect(() => {
     const loadWhiteboard = async () => {
       if (!whiteboardId) {
@@ -65,56 +148,12 @@ export default function Whiteboard() {
 
         const data = await res.json();
         setWhiteboardTitle(data.whiteboard?.title || "Untitled Whiteboard");
+        setCanEdit(data.permissions?.canEdit !== false);
+        if (data.permissions?.role) setRole(data.permissions.role);
 
-        // Check localStorage for cached content (board-specific only)
-        const specificKey = `whiteboard-cache-${whiteboardId}`;
-        let localCache = null;
-        try {
-          const rawSpecific = localStorage.getItem(specificKey);
-          if (rawSpecific) {
-            localCache = JSON.parse(rawSpecific);
-          }
-        } catch (e) {
-          console.warn("Failed to parse localStorage cache:", e);
-        }
-
-        // Get server timestamp (from whiteboard lastModified)
-        const serverTimestamp = data.whiteboard?.lastModified
-          ? new Date(data.whiteboard.lastModified).getTime()
-          : 0;
-
-        // Get local cache timestamp
-        const localTimestamp = localCache?.ts || 0;
-
-        // Priority 1: Use localStorage if it's newer than server
-        if (localCache && localTimestamp > serverTimestamp) {
-          console.log("Loading from localStorage (newer than server)");
-          canvasBoardRef.current?.loadFromDataURL(
-            localCache.img,
-            localCache.bounds
-          );
-        }
-        // Priority 2: Load server-saved canvas image if it exists
-        else if (data.whiteboard?.canvasImage) {
-          console.log("Loading server-saved canvas image");
-          canvasBoardRef.current?.loadFromDataURL(
-            data.whiteboard.canvasImage,
-            data.whiteboard.canvasBounds
-          );
-        }
-        // Priority 3: Load individual elements if no canvas image saved (old behavior)
-        else if (Array.isArray(data.elements) && data.elements.length > 0) {
-          console.log("Loading canvas from individual elements");
-          canvasBoardRef.current?.loadElements(data.elements);
-        }
-        // Priority 4: Load from localStorage even if server had nothing
-        else if (localCache) {
-          console.log("Loading from localStorage (server has no content)");
-          canvasBoardRef.current?.loadFromDataURL(
-            localCache.img,
-            localCache.bounds
-          );
-        }
+        // the server owns the board; CanvasBoard paints this and then
+        // keeps up through the socket (resume)
+        setBoardState(data.canvas || null);
       } catch (err) {
         console.error("Load whiteboard error:", err);
         alert("Failed to load whiteboard. Redirecting to dashboard...");
@@ -127,6 +166,17 @@ export default function Whiteboard() {
     loadWhiteboard();
   }, [whiteboardId, session, navigate]);
 
+  // board members for @mention autocomplete (names only, no harm if it fails)
+  useEffect(() => {
+    if (!whiteboardId || !session?.access_token) return;
+    fetch(`${API_URL}/api/whiteboards/${whiteboardId}/members`, {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    })
+      .then((res) => (res.ok ? res.json() : { members: [] }))
+      .then((data) => setMembers(data.members || []))
+      .catch((err) => console.warn("Load members error:", err));
+  }, [whiteboardId, session]);
+
   // Socket.IO setup + room join
   useEffect(() => {
     if (!session?.access_token) {
@@ -142,13 +192,31 @@ export default function Whiteboard() {
       auth: { token },
     });
     socketRef.current = socket;
-    setSocketState(socket);
 
     socket.on("connect", () => {
       console.log('Socket connected:', socket.id);
       setConnected(true);
       console.log('Joining room:', whiteboardId);
-      socket.emit("join", { roomId: whiteboardId }); // join room
+      // the canvas only gets the socket once we're in the room, so its
+      // resume request (on first connect and every reconnect) can't race the join
+      socket.emit("join", { roomId: whiteboardId }, (res) => {
+        if (!res?.ok) return;
+        if (res.role) {
+          setRole(res.role);
+          setCanEdit(["owner", "editor"].includes(res.role));
+        }
+        setSocketState(socket);
+        // latest page of chat history (again after a reconnect, to catch up)
+        socket.emit("chat:history", { roomId: whiteboardId }, (page) => {
+          if (!page?.ok) return;
+          setChatMessages((prev) => mergeChat(prev, page.messages));
+          setChatHasMore(page.hasMore);
+        });
+        // every thread (the panel filters); pins and counts need them all
+        socket.emit("comment:list", { roomId: whiteboardId }, (list) => {
+          if (list?.ok) setCommentThreads(list.threads);
+        });
+      });
     });
 
     socket.on("disconnect", () => {
@@ -162,10 +230,54 @@ export default function Whiteboard() {
       if (Array.isArray(users)) setActiveUsers(users);
     });
 
+    // presenter mode (sent on join and whenever it changes hands)
+    socket.on("presenter", ({ presenter: next }) => {
+      setPresenter(next || null);
+    });
+
     // chat messages
     socket.on("chatMessage", (msg) => {
       if (!msg || typeof msg !== "object") return;
-      setChatMessages((prev) => [...prev, msg]);
+      setChatMessages((prev) => mergeChat(prev, [msg]));
+      setHasUnreadChat(true);
+    });
+
+    // edits and reaction changes replace the message; deletes drop it
+    socket.on("chat:updated", ({ message } = {}) => {
+      if (!message?._id) return;
+      setChatMessages((prev) => prev.map((m) => (m._id === message._id ? message : m)));
+    });
+
+    socket.on("chat:deleted", ({ messageId } = {}) => {
+      setChatMessages((prev) => prev.filter((m) => m._id !== messageId));
+    });
+
+    socket.on("comment:thread", ({ thread } = {}) => {
+      if (thread?._id) setCommentThreads((prev) => upsertThread(prev, thread));
+    });
+
+    // someone @mentioned us, here or on another board
+    socket.on("mention", (notice) => {
+      if (!notice?.message) return;
+      setMentionNotice(notice);
+      clearTimeout(mentionNoticeTimerRef.current);
+      mentionNoticeTimerRef.current = setTimeout(() => setMentionNotice(null), MENTION_NOTICE_MS);
+    });
+
+    // the owner removed us from this board (the server already took us out of the room)
+    socket.on("access:revoked", ({ roomId } = {}) => {
+      if (roomId !== whiteboardId) return;
+      alert("You were removed from this whiteboard.");
+      navigate("/dashboard");
+    });
+
+    // someone put the board back to an older version (the ops arrive on their own)
+    socket.on("board:restored", (notice) => {
+      setHistoryRefresh((n) => n + 1);
+      if (!notice?.version || notice.userId === session?.user?.id) return;
+      setRestoreNotice(notice);
+      clearTimeout(restoreNoticeTimerRef.current);
+      restoreNoticeTimerRef.current = setTimeout(() => setRestoreNotice(null), RESTORE_NOTICE_MS);
     });
 
     // typing indicator
@@ -185,17 +297,154 @@ export default function Whiteboard() {
       setConnected(false);
     });
 
+    // typed errors from the server (access checks on join and per event)
+    socket.on("error", (err) => {
+      console.warn("Socket error:", err);
+      if (err?.event === "join" && ["access-denied", "not-found"].includes(err.type)) {
+        alert(err.message || "You do not have access to this whiteboard.");
+        navigate("/dashboard");
+      } else if (err?.type === "forbidden") {
+        setCanEdit(false);
+      }
+    });
+
     return () => {
       clearTimeout(typingTimeoutRef.current);
+      clearTimeout(mentionNoticeTimerRef.current);
+      clearTimeout(restoreNoticeTimerRef.current);
       socket.off();
       socket.disconnect();
     };
-  }, [session, whiteboardId]);
+  }, [session, whiteboardId, navigate]);
+
+  // presence heartbeat: current tool, time since last input, hidden tab.
+  // the server turns that into active/idle/away for the roster.
+  useEffect(() => {
+    if (!socketState) return;
+
+    const sendPresence = () => {
+      socketState.emit("presence", {
+        roomId: whiteboardId,
+        tool: selectedTool,
+        idleMs: Date.now() - lastInputRef.current,
+        hidden: document.hidden,
+      });
+    };
+
+    const onInput = () => {
+      const wasIdle = Date.now() - lastInputRef.current > PRESENCE_WAKE_MS;
+      lastInputRef.current = Date.now();
+      if (wasIdle) sendPresence();
+    };
+
+    // also runs on every tool change
+    sendPresence();
+    const timer = setInterval(sendPresence, PRESENCE_HEARTBEAT_MS);
+    document.addEventListener("visibilitychange", sendPresence);
+    window.addEventListener("pointermove", onInput);
+    window.addEventListener("pointerdown", onInput);
+    window.addEventListener("keydown", onInput);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", sendPresence);
+      window.removeEventListener("pointermove", onInput);
+      window.removeEventListener("pointerdown", onInput);
+      window.removeEventListener("keydown", onInput);
+    };
+  }, [socketState, whiteboardId, selectedTool]);
+
+  // follow mode: tell the room whose viewport we track (again after reconnects);
+  // the followed user sees it in the roster and starts sending their viewport
+  useEffect(() => {
+    if (!socketState) return;
+    socketState.emit("follow", { roomId: whiteboardId, userId: followingUserId });
+  }, [socketState, whiteboardId, followingUserId]);
+
+  const myUserId = session?.user?.id;
+  const followedUser = activeUsers.find((u) => u.userId === followingUserId) || null;
+  const followers = activeUsers.filter((u) => u.following === myUserId && u.userId !== myUserId);
+
+  // stop following someone who left
+  useEffect(() => {
+    if (followingUserId && activeUsers.length > 0 && !followedUser) setFollowingUserId(null);
+  }, [followingUserId, activeUsers, followedUser]);
+
+  const toggleFollow = (userId) => {
+    setFollowingUserId((current) => (current === userId ? null : userId));
+  };
+
+  // presenter mode: everyone else follows the presenter (they can break away
+  // and come back), and with the lock on only the presenter edits
+  const presenterId = presenter?.userId || null;
+  const isPresenting = Boolean(presenterId) && presenterId === myUserId;
+  const lockedByPresenter = Boolean(presenter?.lockEditing) && !isPresenting;
+  const boardEditable = canEdit && !lockedByPresenter;
+  const canComment = COMMENT_ROLES.includes(role);
+
+  const lastPresenterRef = useRef(null);
+  useEffect(() => {
+    const previous = lastPresenterRef.current;
+    lastPresenterRef.current = presenterId;
+    if (presenterId && presenterId !== myUserId) {
+      setFollowingUserId(presenterId);
+    } else if (!presenterId && previous) {
+      // presentation over: stop following the former presenter
+      setFollowingUserId((current) => (current === previous ? null : current));
+    }
+  }, [presenterId, myUserId]);
+
+  const startPresenting = () => {
+    if (!socketState) return;
+    socketState.emit("presenter:start", { roomId: whiteboardId, lockEditing: false }, (res) => {
+      if (res?.error === "presenter-taken") {
+        alert(`${res.presenter?.name || "Someone"} is already presenting.`);
+      }
+    });
+  };
+
+  const stopPresenting = () => {
+    socketState?.emit("presenter:stop", { roomId: whiteboardId });
+  };
+
+  const setPresenterLock = (lockEditing) => {
+    socketState?.emit("presenter:update", { roomId: whiteboardId, lockEditing });
+  };
 
-  // auto scroll chat down
+  // auto scroll chat down when a new message comes in (not for edits or older pages)
+  const lastChatId = chatMessages[chatMessages.length - 1]?._id;
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [chatMessages]);
+  }, [lastChatId, showChat]);
+
+  // opening the chat reads it
+  useEffect(() => {
+    if (showChat) setHasUnreadChat(false);
+  }, [showChat, hasUnreadChat]);
+
+  // page of history before the oldest message we have
+  const loadEarlierMessages = () => {
+    const oldest = chatMessages.find((m) => m._id);
+    if (!oldest || !socketRef.current?.connected) return;
+    setLoadingEarlier(true);
+    socketRef.current.emit(
+      "chat:history",
+      { roomId: whiteboardId, before: oldest._id },
+      (page) => {
+        setLoadingEarlier(false);
+        if (!page?.ok) return;
+        setChatMessages((prev) => mergeChat(prev, page.messages));
+        setChatHasMore(page.hasMore);
+      }
+    );
+  };
+
+  // edit/delete/react; the result comes back to everyone as chat:updated / chat:deleted
+  const chatAction = (event, payload) => {
+    socketRef.current?.emit(event, { roomId: whiteboardId, ...payload }, (res) => {
+      if (res && !res.ok) console.warn(`${event} failed:`, res.error);
+    });
+  };
 
   // send chat
   const sendChatMessage = () => {
@@ -204,6 +453,7 @@ export default function Whiteboard() {
 
     socketRef.current.emit("chatMessage", { roomId: whiteboardId, text });
     setChatInput("");
+    setMentionQuery(null);
     socketRef.current.emit("typing", { roomId: whiteboardId, isTyping: false });
   };
 
@@ -211,6 +461,14 @@ export default function Whiteboard() {
   const handleChatInput = (e) => {
     const value = e.target.value;
     setChatInput(value);
+
+    // "@..." before the caret opens the member list
+    const match = value.slice(0, e.target.selectionStart).match(MENTION_QUERY);
+    setMentionQuery(
+      match ? { start: match.index + match[1].length, query: match[2].toLowerCase() } : null
+    );
+    setMentionIndex(0);
+
     if (!socketRef.current?.connected) return;
     socketRef.current.emit("typing", {
       roomId: whiteboardId,
@@ -218,6 +476,80 @@ export default function Whiteboard() {
     });
   };
 
+  // members matching the "@..." being typed (not me)
+  const mentionSuggestions = mentionQuery
+    ? members
+        .filter(
+          (m) => m.userId !== myUserId && m.name.toLowerCase().startsWith(mentionQuery.query)
+        )
+        .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+
+  // replace the "@..." with the full name and put the caret after it
+  const pickMention = (member) => {
+    const input = chatInputRef.current;
+    const caret = input ? input.selectionStart : chatInput.length;
+    const inserted = `@${member.name} `;
+    const next = chatInput.slice(0, mentionQuery.start) + inserted + chatInput.slice(caret);
+    setChatInput(next);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      const at = mentionQuery.start + inserted.length;
+      input?.focus();
+      input?.setSelectionRange(at, at);
+    });
+  };
+
+  const closeVersionDiff = useCallback(() => setVersionDiff(null), []);
+
+  // comments, history and chat share the right side, one at a time
+  const openComments = () => {
+    setShowComments(true);
+    setShowChat(false);
+    setShowHistory(false);
+  };
+
+  const closeComments = () => {
+    setShowComments(false);
+    setCommentDraft(null);
+  };
+
+  // comment tool: a click/drag on the board starts a thread there
+  const placeComment = (anchor) => {
+    setCommentDraft(anchor);
+    setActiveThreadId(null);
+    openComments();
+  };
+
+  // pin clicked (or picked from the list): open its thread, whatever the filter
+  const selectThread = (threadId) => {
+    setActiveThreadId(threadId);
+    setCommentDraft(null);
+    if (threadId) openComments();
+  };
+
+  const commentAction = (event, payload, onDone) => {
+    socketRef.current?.emit(event, { roomId: whiteboardId, ...payload }, (res) => {
+      if (res && !res.ok) console.warn(`${event} failed:`, res.error);
+      else if (res?.ok) onDone?.(res);
+    });
+  };
+
+  const postThread = (text) => {
+    if (!commentDraft) return;
+    commentAction("comment:create", { anchor: commentDraft, text }, (res) => {
+      setCommentDraft(null);
+      if (res.thread?._id) setActiveThreadId(res.thread._id);
+    });
+  };
+
+  // threads whose pins show on the board
+  const pinnedThreads =
+    commentFilter === "all"
+      ? commentThreads
+      : commentThreads.filter((t) => t.status === commentFilter || t._id === activeThreadId);
+  const openThreadCount = commentThreads.filter((t) => t.status === "open").length;
+
   // keyboard shortcuts (common drawing hotkeys)
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -252,6 +584,15 @@ export default function Whiteboard() {
         case "a":
           setSelectedTool("lasso");
           break;
+        case "k":
+          setSelectedTool("laser");
+          break;
+        case "i":
+          setSelectedTool("ink");
+          break;
+        case "m":
+          setSelectedTool("comment");
+          break;
         case "z":
           if (e.ctrlKey || e.metaKey) {
             e.preventDefault();
@@ -278,9 +619,18 @@ export default function Whiteboard() {
         case "]":
           setStrokeWidth((v) => Math.min(20, v + 1));
           break;
+        case "delete":
+        case "backspace":
+          e.preventDefault();
+          canvasBoardRef.current?.deleteSelection();
+          break;
         case "escape":
           setShowChat(false);
+          setShowComments(false);
+          setShowHistory(false);
+          setCommentDraft(null);
           setShowSettings(false);
+          canvasBoardRef.current?.clearSelection();
           break;
         default:
           break;
@@ -451,7 +801,7 @@ export default function Whiteboard() {
                     ? "bg-primary text-white shadow-md scale-105"
                     : "hover:bg-light-blue text-gray-700"
                 }`}
-                title="Rectangular Select (S)"
+                title="Select & Move (S)"
               >
                 <i className="fa-regular fa-square-dashed" />
               </button>
@@ -469,6 +819,49 @@ export default function Whiteboard() {
               </button>
             </div>
 
+            <div className="w-px h-6 bg-gray-300" />
+
+            {/* Pointing tools: nothing they draw is kept */}
+            <div className="flex items-center gap-1 bg-cream rounded-lg p-1">
+              <button
+                onClick={() => setSelectedTool("laser")}
+                className={`p-2 rounded transition-all duration-200 ${
+                  selectedTool === "laser"
+                    ? "bg-primary text-white shadow-md scale-105"
+                    : "hover:bg-light-blue text-gray-700"
+                }`}
+                title="Laser Pointer (K)"
+              >
+                <i className="fa-solid fa-wand-magic-sparkles" />
+              </button>
+
+              <button
+                onClick={() => setSelectedTool("ink")}
+                className={`p-2 rounded transition-all duration-200 ${
+                  selectedTool === "ink"
+                    ? "bg-primary text-white shadow-md scale-105"
+                    : "hover:bg-light-blue text-gray-700"
+                }`}
+                title="Disappearing Ink (I)"
+              >
+                <i className="fa-solid fa-highlighter" />
+              </button>
+
+              {canComment && (
+                <button
+                  onClick={() => setSelectedTool("comment")}
+                  className={`p-2 rounded transition-all duration-200 ${
+                    selectedTool === "comment"
+                      ? "bg-primary text-white shadow-md scale-105"
+                      : "hover:bg-light-blue text-gray-700"
+                  }`}
+                  title="Comment (M) - click a spot or drag over an area"
+                >
+                  <i className="fa-solid fa-comment-dots" />
+                </button>
+              )}
+            </div>
+
             {/* colors */}
             <div className="flex items-center gap-1 bg-cream rounded-lg p-2">
               <i className="fa-solid fa-palette text-gray-600 mr-1" />
@@ -533,14 +926,16 @@ export default function Whiteboard() {
             <div className="flex items-center gap-1 bg-cream rounded-lg p-1">
               <button
                 onClick={() => canvasBoardRef.current?.undo()}
-                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors"
+                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors disabled:opacity-50"
+                disabled={!boardEditable}
                 title="Undo (Ctrl+Z)"
               >
                 <i className="fa-solid fa-rotate-left" />
               </button>
               <button
                 onClick={() => canvasBoardRef.current?.redo()}
-                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors"
+                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors disabled:opacity-50"
+                disabled={!boardEditable}
                 title="Redo (Ctrl+Y)"
               >
                 <i className="fa-solid fa-rotate-right" />
@@ -555,7 +950,8 @@ export default function Whiteboard() {
                   canvasBoardRef.current?.clear();
                 }
               }}
-              className="p-2 rounded hover:bg-red-100 text-red-600 transition-colors"
+              className="p-2 rounded hover:bg-red-100 text-red-600 transition-colors disabled:opacity-50"
+              disabled={!boardEditable}
               title="Clear Board"
             >
               <i className="fa-solid fa-trash" />
@@ -566,7 +962,8 @@ export default function Whiteboard() {
             <div className="flex items-center gap-1 bg-cream rounded-lg p-1">
               <button
                 onClick={() => canvasBoardRef.current?.save()}
-                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors"
+                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors disabled:opacity-50"
+                disabled={!boardEditable}
                 title="Save Board"
               >
                 <i className="fa-solid fa-floppy-disk" />
@@ -578,17 +975,46 @@ export default function Whiteboard() {
               >
                 <i className="fa-solid fa-folder-open" />
               </button>
-              <button
-                onClick={() => canvasBoardRef.current?.exportPNG()}
-                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors"
-                title="Export as PNG"
-              >
-                <i className="fa-solid fa-file-export" />
-              </button>
+              <ExportMenu
+                whiteboardId={whiteboardId}
+                session={session}
+                socket={socketState}
+                onQuickPNG={() => canvasBoardRef.current?.exportPNG()}
+              />
             </div>
 
             <div className="w-px h-6 bg-gray-300" />
 
+            {isPresenting ? (
+              <div className="flex items-center gap-2 bg-primary text-white rounded-lg pl-3 pr-1 py-1 text-sm">
+                <i className="fa-solid fa-person-chalkboard" />
+                <span>Presenting</span>
+                <label className="flex items-center gap-1 text-xs cursor-pointer" title="Only you can edit while on">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(presenter?.lockEditing)}
+                    onChange={(e) => setPresenterLock(e.target.checked)}
+                  />
+                  Lock editing
+                </label>
+                <button
+                  onClick={stopPresenting}
+                  className="px-2 py-1 rounded bg-white/20 hover:bg-white/30 text-xs"
+                >
+                  Stop
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={startPresenting}
+                className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors disabled:opacity-50"
+                disabled={!canEdit || !socketState || Boolean(presenter)}
+                title={presenter ? `${presenter.name} is presenting` : "Present"}
+              >
+                <i className="fa-solid fa-person-chalkboard" />
+              </button>
+            )}
+
             <button
               onClick={shareSessionId}
               className="p-2 rounded hover:bg-light-blue text-gray-700 transition-colors"
@@ -598,14 +1024,47 @@ export default function Whiteboard() {
             </button>
 
             <button
-              onClick={() => setShowChat((v) => !v)}
+              onClick={() => (showComments ? closeComments() : openComments())}
+              className={`p-2 rounded transition-colors relative ${
+                showComments ? "bg-primary text-white" : "hover:bg-light-blue text-gray-700"
+              }`}
+              title="Toggle Comments"
+            >
+              <i className="fa-solid fa-comment-dots" />
+              {openThreadCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-[1rem] h-4 px-1 rounded-full bg-amber-500 text-white text-[10px] leading-4">
+                  {openThreadCount}
+                </span>
+              )}
+            </button>
+
+            <button
+              onClick={() => {
+                setShowHistory((v) => !v);
+                setShowChat(false);
+                closeComments();
+              }}
+              className={`p-2 rounded transition-colors ${
+                showHistory ? "bg-primary text-white" : "hover:bg-light-blue text-gray-700"
+              }`}
+              title="Version History"
+            >
+              <i className="fa-solid fa-clock-rotate-left" />
+            </button>
+
+            <button
+              onClick={() => {
+                setShowChat((v) => !v);
+                setShowComments(false);
+                setShowHistory(false);
+              }}
               className={`p-2 rounded transition-colors relative ${
                 showChat ? "bg-primary text-white" : "hover:bg-light-blue text-gray-700"
               }`}
               title="Toggle Chat"
             >
               <i className="fa-solid fa-comments" />
-              {chatMessages.length > 0 && !showChat && (
+              {hasUnreadChat && !showChat && (
                 <span className="absolute -top-1 -right-1 w-2 h-2 bg-green-500 rounded-full animate-pulse" />
               )}
             </button>
@@ -637,30 +1096,29 @@ export default function Whiteboard() {
               <i className="fa-solid fa-users" />
               {userCount} {userCount === 1 ? "user" : "users"} online
             </span>
+            {!boardEditable && (
+              <span className="flex items-center gap-1 text-amber-600">
+                <i className="fa-solid fa-eye" />
+                {lockedByPresenter
+                  ? "View only while presenting"
+                  : canComment
+                  ? "Comment only"
+                  : "View only"}
+              </span>
+            )}
+            {presenter && !isPresenting && followingUserId !== presenterId && (
+              <button
+                onClick={() => setFollowingUserId(presenterId)}
+                className="flex items-center gap-1 text-primary hover:underline"
+              >
+                <i className="fa-solid fa-person-chalkboard" />
+                Back to {presenter.name}
+              </button>
+            )}
           </div>
           <div className="flex items-center gap-4">
             <span className="flex items-center gap-2 capitalize">
-              <i
-                className={`fa-solid ${
-                  selectedTool === "pen"
-                    ? "fa-pencil"
-                    : selectedTool === "eraser"
-                    ? "fa-eraser"
-                    : selectedTool === "rectangle"
-                    ? "fa-square"
-                    : selectedTool === "circle"
-                    ? "fa-circle"
-                    : selectedTool === "line"
-                    ? "fa-slash"
-                    : selectedTool === "text"
-                    ? "fa-font"
-                    : selectedTool === "fill"
-                    ? "fa-fill-drip"
-                    : selectedTool === "select-rect"
-                    ? "fa-square-dashed"
-                    : "fa-draw-polygon"
-                }`}
-              />
+              <i className={`fa-solid ${TOOL_ICONS[selectedTool] || "fa-draw-polygon"}`} />
               {selectedTool}
             </span>
             <span className="flex items-center gap-1">
@@ -687,9 +1145,131 @@ export default function Whiteboard() {
             socket={socketState}
             gridEnabled={gridEnabled}
             sessionToken={session?.access_token}
+            readOnly={!boardEditable}
+            initialState={boardState}
+            participants={activeUsers}
+            userId={myUserId}
+            following={followedUser}
+            followLabel={
+              presenter && followingUserId === presenterId
+                ? `${presenter.name} is presenting${lockedByPresenter ? " (view only)" : ""}`
+                : null
+            }
+            followers={followers}
+            onStopFollowing={() => setFollowingUserId(null)}
+            commentThreads={pinnedThreads}
+            activeThreadId={showComments ? activeThreadId : null}
+            commentDraft={commentDraft}
+            onCommentPlace={canComment ? placeComment : undefined}
+            onCommentSelect={selectThread}
           />
         </div>
 
+        {/* someone mentioned me (here or on another board) */}
+        {mentionNotice && (
+          <div className="absolute top-3 left-1/2 -translate-x-1/2 z-50 bg-white border border-amber-300 shadow-lg rounded-lg px-4 py-2 text-sm flex items-center gap-3 max-w-md">
+            <i className="fa-solid fa-at text-amber-500" />
+            <div className="min-w-0">
+              <div className="font-semibold">
+                {mentionNotice.message.user} mentioned you
+                {mentionNotice.whiteboardId !== whiteboardId && ` in ${mentionNotice.whiteboardTitle}`}
+              </div>
+              <div className="text-gray-500 truncate">{mentionNotice.message.text}</div>
+            </div>
+            <button
+              onClick={() => {
+                setMentionNotice(null);
+                if (mentionNotice.whiteboardId === whiteboardId) setShowChat(true);
+                else navigate(`/whiteboard/${mentionNotice.whiteboardId}`);
+              }}
+              className="text-primary font-semibold hover:underline flex-shrink-0"
+            >
+              {mentionNotice.whiteboardId === whiteboardId ? "View" : "Open"}
+            </button>
+            <button
+              onClick={() => setMentionNotice(null)}
+              className="text-gray-400 hover:text-gray-600"
+              title="Dismiss"
+            >
+              <i className="fa-solid fa-times" />
+            </button>
+          </div>
+        )}
+
+        {/* someone else restored an older version */}
+        {restoreNotice && (
+          <div className="absolute top-3 left-1/2 -translate-x-1/2 z-50 bg-white border border-light-blue shadow-lg rounded-lg px-4 py-2 text-sm flex items-center gap-3 max-w-md">
+            <i className="fa-solid fa-clock-rotate-left text-primary" />
+            <div className="min-w-0 truncate">
+              <span className="font-semibold">{restoreNotice.userName || "Someone"}</span> restored{" "}
+              {restoreNotice.version.name
+                ? `"${restoreNotice.version.name}"`
+                : `the version from ${new Date(restoreNotice.version.createdAt).toLocaleString()}`}
+            </div>
+            <button
+              onClick={() => {
+                setRestoreNotice(null);
+                setShowHistory(true);
+                setShowChat(false);
+                closeComments();
+              }}
+              className="text-primary font-semibold hover:underline flex-shrink-0"
+            >
+              History
+            </button>
+            <button
+              onClick={() => setRestoreNotice(null)}
+              className="text-gray-400 hover:text-gray-600"
+              title="Dismiss"
+            >
+              <i className="fa-solid fa-times" />
+            </button>
+          </div>
+        )}
+
+        {/* version history - same spot as comments/chat */}
+        {showHistory && (
+          <HistoryPanel
+            whiteboardId={whiteboardId}
+            session={session}
+            canEdit={canEdit}
+            refreshKey={historyRefresh}
+            onCompare={(fromId, toId) => setVersionDiff({ fromId, toId })}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
+        {versionDiff && (
+          <VersionDiff
+            whiteboardId={whiteboardId}
+            session={session}
+            fromId={versionDiff.fromId}
+            toId={versionDiff.toId}
+            onClose={closeVersionDiff}
+          />
+        )}
+
+        {/* comments panel - overlays canvas like the chat */}
+        {showComments && (
+          <CommentsPanel
+            threads={commentThreads}
+            filter={commentFilter}
+            onFilterChange={setCommentFilter}
+            activeThreadId={activeThreadId}
+            onSelect={selectThread}
+            draft={commentDraft}
+            onPost={postThread}
+            onCancelDraft={() => setCommentDraft(null)}
+            onReply={(threadId, text) => commentAction("comment:reply", { threadId, text })}
+            onResolve={(threadId, resolved) =>
+              commentAction("comment:resolve", { threadId, resolved })
+            }
+            canComment={canComment}
+            connected={connected}
+            onClose={closeComments}
+          />
+        )}
+
         {/* chat panel - overlays canvas */}
         {showChat && (
           <div className="absolute right-0 top-0 h-[90%] w-80 bg-white border-l shadow-lg flex flex-col z-40 overflow-hidden">
@@ -716,54 +1296,37 @@ export default function Whiteboard() {
                 </div>
               ) : (
                 <div className="space-y-3">
+                  {chatHasMore && (
+                    <div className="text-center">
+                      <button
+                        onClick={loadEarlierMessages}
+                        disabled={loadingEarlier || !connected}
+                        className="text-xs text-primary hover:underline disabled:opacity-50"
+                      >
+                        {loadingEarlier ? "Loading..." : "Load earlier messages"}
+                      </button>
+                    </div>
+                  )}
                   {chatMessages.map((msg, idx) => {
                     if (msg.type === "system") {
                       return (
-                        <div key={idx} className="text-center text-xs text-gray-500 py-1">
+                        <div key={msg._id || idx} className="text-center text-xs text-gray-500 py-1">
                           {msg.text}
                         </div>
                       );
                     }
 
-                    const self =
-                      session?.user?.user_metadata?.display_name ||
-                      session?.user?.email;
-                    const isOwn = msg.user === self;
-
                     return (
-                      <div
-                        key={idx}
-                        className={`flex ${isOwn ? "justify-end" : "justify-start"}`}
-                      >
-                        <div
-                          className={`max-w-[80%] rounded-lg px-3 py-2 ${
-                            isOwn
-                              ? "bg-primary text-white"
-                              : "bg-white border border-gray-200"
-                          }`}
-                        >
-                          <div
-                            className={`text-xs font-semibold mb-1 ${
-                              isOwn ? "text-blue-100" : "text-primary"
-                            }`}
-                          >
-                            {msg.user}
-                          </div>
-                          <div className="text-sm break-words">{msg.text}</div>
-                          <div
-                            className={`text-xs mt-1 ${
-                              isOwn ? "text-blue-100" : "text-gray-400"
-                            }`}
-                          >
-                            {msg.timestamp
-                              ? new Date(msg.timestamp).toLocaleTimeString([], {
-                                  hour: "2-digit",
-                                  minute: "2-digit",
-                                })
-                              : ""}
-                          </div>
-                        </div>
-                      </div>
+                      <ChatMessageRow
+                        key={msg._id}
+                        msg={msg}
+                        myUserId={myUserId}
+                        connected={connected}
+                        onEdit={(text) => chatAction("chat:edit", { messageId: msg._id, text })}
+                        onDelete={() => chatAction("chat:delete", { messageId: msg._id })}
+                        onReact={(emoji) => chatAction("chat:react", { messageId: msg._id, emoji })}
+                        onUnreact={() => chatAction("chat:unreact", { messageId: msg._id })}
+                      />
                     );
                   })}
                   <div ref={chatEndRef} />
@@ -771,13 +1334,58 @@ export default function Whiteboard() {
               )}
             </div>
 
-            <div className="p-3 border-t bg-white flex-shrink-0">
+            <div className="p-3 border-t bg-white flex-shrink-0 relative">
+              {mentionSuggestions.length > 0 && (
+                <ul className="absolute bottom-full left-3 right-3 mb-1 bg-white border rounded-lg shadow-lg py-1 text-sm">
+                  {mentionSuggestions.map((m, i) => (
+                    <li
+                      key={m.userId}
+                      // mousedown, so the input doesn't blur (and close the list) first
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        pickMention(m);
+                      }}
+                      className={`flex items-center gap-2 px-3 py-1 cursor-pointer ${
+                        i === mentionIndex ? "bg-light-blue" : "hover:bg-gray-100"
+                      }`}
+                    >
+                      {m.avatarUrl ? (
+                        <img src={m.avatarUrl} alt="" className="w-5 h-5 rounded-full object-cover" />
+                      ) : (
+                        <span className="w-5 h-5 rounded-full bg-primary text-white text-xs flex items-center justify-center">
+                          {m.name.charAt(0).toUpperCase()}
+                        </span>
+                      )}
+                      <span className="truncate">{m.name}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
               <div className="flex gap-2">
                 <input
+                  ref={chatInputRef}
                   type="text"
                   value={chatInput}
                   onChange={handleChatInput}
+                  onBlur={() => setMentionQuery(null)}
                   onKeyDown={(e) => {
+                    if (mentionSuggestions.length > 0) {
+                      const n = mentionSuggestions.length;
+                      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                        e.preventDefault();
+                        setMentionIndex((i) => (i + (e.key === "ArrowDown" ? 1 : n - 1)) % n);
+                        return;
+                      }
+                      if (e.key === "Enter" || e.key === "Tab") {
+                        e.preventDefault();
+                        pickMention(mentionSuggestions[Math.min(mentionIndex, n - 1)]);
+                        return;
+                      }
+                      if (e.key === "Escape") {
+                        setMentionQuery(null);
+                        return;
+                      }
+                    }
                     if (e.key === "Enter" && !e.shiftKey) {
                       e.preventDefault();
                       sendChatMessage();
@@ -847,11 +1455,14 @@ export default function Whiteboard() {
                         {activeUsers.length === 0 ? (
                           <li className="text-gray-500">No user list available</li>
                         ) : (
-                          activeUsers.map((user, idx) => (
-                            <li key={idx} className="flex items-center gap-1">
-                              <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-                              {user.userName}
-                            </li>
+                          activeUsers.map((user) => (
+                            <ParticipantRow
+                              key={user.userId}
+                              user={user}
+                              isSelf={user.userId === myUserId}
+                              isFollowed={user.userId === followingUserId}
+                              onFollow={() => toggleFollow(user.userId)}
+                            />
                           ))
                         )}
                       </ul>
@@ -873,12 +1484,15 @@ export default function Whiteboard() {
                     <KbRow v="Fill Bucket" k="F" />
                     <KbRow v="Rectangle Select" k="S" />
                     <KbRow v="Lasso Select" k="A" />
+                    <KbRow v="Laser Pointer" k="K" />
+                    <KbRow v="Disappearing Ink" k="I" />
+                    <KbRow v="Comment" k="M" />
                     <KbRow v="Undo" k="Ctrl+Z" />
                     <KbRow v="Redo" k="Ctrl+Y" />
                     <KbRow v="Save" k="Ctrl+S" />
                     <KbRow v="Decrease Size" k="[" />
                     <KbRow v="Increase Size" k="]" />
-                    <KbRow v="Close Chat/Settings" k="Esc" />
+                    <KbRow v="Close Chat/Comments/Settings" k="Esc" />
                   </div>
                 </div>
 
@@ -899,6 +1513,230 @@ export default function Whiteboard() {
   );
 }
 
+// one person in the participant list: avatar (or initial) ringed in their
+// cursor color, status dot, name and current tool. clicking someone else
+// follows them (or stops).
+function ParticipantRow({ user, isSelf, isFollowed, onFollow }) {
+  return (
+    <li
+      className={`flex items-center gap-2 rounded px-1 -mx-1 ${
+        isSelf ? "" : "cursor-pointer hover:bg-gray-100"
+      } ${isFollowed ? "bg-gray-100" : ""}`}
+      title={
+        isSelf
+          ? `${user.name} - ${user.status}`
+          : `${user.name} - ${user.status} (click to ${isFollowed ? "stop following" : "follow"})`
+      }
+      onClick={isSelf ? undefined : onFollow}
+    >
+      <span className="relative flex-shrink-0">
+        {user.avatarUrl ? (
+          <img
+            src={user.avatarUrl}
+            alt=""
+            className="w-6 h-6 rounded-full object-cover border-2"
+            style={{ borderColor: user.color }}
+          />
+        ) : (
+          <span
+            className="w-6 h-6 rounded-full flex items-center justify-center text-white font-semibold"
+            style={{ backgroundColor: user.color }}
+          >
+            {(user.name || "?").charAt(0).toUpperCase()}
+          </span>
+        )}
+        <span
+          className={`absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 rounded-full border border-white ${
+            STATUS_DOTS[user.status] || STATUS_DOTS.away
+          }`}
+        />
+      </span>
+      <span className={`truncate flex-1 ${user.status === "active" ? "" : "text-gray-400"}`}>
+        {user.name}
+        {isSelf && " (you)"}
+      </span>
+      {isFollowed && (
+        <i className="fa-solid fa-location-arrow" style={{ color: user.color }} title="Following" />
+      )}
+      {user.tool && (
+        <i
+          className={`fa-solid ${TOOL_ICONS[user.tool] || "fa-pencil"} text-gray-400`}
+          title={user.tool}
+        />
+      )}
+    </li>
+  );
+}
+
+// one chat message: own ones on the right with edit/delete, everyone's with
+// reaction chips (click to toggle yours) and a small emoji picker. messages
+// that @mention me are highlighted.
+function ChatMessageRow({ msg, myUserId, connected, onEdit, onDelete, onReact, onUnreact }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(msg.text);
+  const [picking, setPicking] = useState(false);
+  const isOwn = Boolean(myUserId) && msg.userId === myUserId;
+  const mentionsMe = !isOwn && Boolean(myUserId) && (msg.mentions || []).includes(myUserId);
+
+  // { emoji: { count, mine } } in the order they were first used
+  const reactionGroups = {};
+  (msg.reactions || []).forEach((r) => {
+    const group = reactionGroups[r.emoji] || { count: 0, mine: false };
+    group.count += 1;
+    if (r.userId === myUserId) group.mine = true;
+    reactionGroups[r.emoji] = group;
+  });
+  const myReaction = (msg.reactions || []).find((r) => r.userId === myUserId)?.emoji;
+
+  const toggleReaction = (emoji) => {
+    setPicking(false);
+    if (emoji === myReaction) onUnreact();
+    else onReact(emoji);
+  };
+
+  const saveEdit = () => {
+    const text = draft.trim();
+    if (text && text !== msg.text) onEdit(text);
+    setEditing(false);
+  };
+
+  return (
+    <div className={`group flex flex-col ${isOwn ? "items-end" : "items-start"}`}>
+      <div
+        className={`max-w-[80%] rounded-lg px-3 py-2 ${
+          isOwn
+            ? "bg-primary text-white"
+            : mentionsMe
+              ? "bg-amber-50 border border-amber-300 ring-1 ring-amber-300"
+              : "bg-white border border-gray-200"
+        }`}
+      >
+        <div
+          className={`text-xs font-semibold mb-1 ${isOwn ? "text-blue-100" : "text-primary"}`}
+        >
+          {msg.user}
+        </div>
+        {editing ? (
+          <div>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  saveEdit();
+                } else if (e.key === "Escape") {
+                  setDraft(msg.text);
+                  setEditing(false);
+                }
+              }}
+              maxLength={2000}
+              rows={2}
+              autoFocus
+              className="w-full text-sm text-gray-800 rounded px-1 py-0.5"
+            />
+            <div className="flex justify-end gap-2 text-xs mt-1">
+              <button
+                onClick={() => {
+                  setDraft(msg.text);
+                  setEditing(false);
+                }}
+                className="hover:underline"
+              >
+                Cancel
+              </button>
+              <button onClick={saveEdit} className="font-semibold hover:underline">
+                Save
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="text-sm break-words whitespace-pre-wrap">{msg.text}</div>
+        )}
+        <div className={`text-xs mt-1 ${isOwn ? "text-blue-100" : "text-gray-400"}`}>
+          {msg.timestamp
+            ? new Date(msg.timestamp).toLocaleTimeString([], {
+                hour: "2-digit",
+                minute: "2-digit",
+              })
+            : ""}
+          {msg.isEdited && (
+            <span title={msg.editedAt ? new Date(msg.editedAt).toLocaleString() : ""}> (edited)</span>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1 mt-1 relative">
+        {Object.entries(reactionGroups).map(([emoji, { count, mine }]) => (
+          <button
+            key={emoji}
+            onClick={() => toggleReaction(emoji)}
+            disabled={!connected}
+            className={`text-xs px-1.5 py-0.5 rounded-full border ${
+              mine ? "bg-light-blue border-primary" : "bg-white border-gray-200"
+            }`}
+            title={mine ? "Remove your reaction" : "React"}
+          >
+            {emoji} {count}
+          </button>
+        ))}
+
+        {/* actions show on hover */}
+        {!editing && connected && (
+          <span className="hidden group-hover:flex items-center gap-2 text-xs text-gray-400 px-1">
+            <button onClick={() => setPicking((v) => !v)} className="hover:text-gray-700" title="React">
+              <i className="fa-regular fa-face-smile" />
+            </button>
+            {isOwn && (
+              <>
+                <button
+                  onClick={() => {
+                    setDraft(msg.text);
+                    setEditing(true);
+                  }}
+                  className="hover:text-gray-700"
+                  title="Edit"
+                >
+                  <i className="fa-solid fa-pen" />
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm("Delete this message?")) onDelete();
+                  }}
+                  className="hover:text-red-600"
+                  title="Delete"
+                >
+                  <i className="fa-solid fa-trash" />
+                </button>
+              </>
+            )}
+          </span>
+        )}
+
+        {picking && (
+          <div
+            className={`absolute top-full mt-1 z-10 flex gap-1 bg-white border rounded-lg shadow px-2 py-1 ${
+              isOwn ? "right-0" : "left-0"
+            }`}
+          >
+            {REACTION_EMOJIS.map((emoji) => (
+              <button
+                key={emoji}
+                onClick={() => toggleReaction(emoji)}
+                className={`text-base rounded px-0.5 hover:bg-gray-100 ${
+                  emoji === myReaction ? "bg-light-blue" : ""
+                }`}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // tiny helper for the shortcuts list
 function KbRow({ k, v }) {
   return (
@@ -0,0 +1,110 @@
+// Laser pointer and ephemeral ink. Their strokes go to the room live (socket
+// "ephemeral") but are not element ops: they are never logged, saved or put in
+// the scene, and every client fades them out on its own.
+//
+// Strokes are kept in a Map<id, { tool, color, strokeWidth, points: [{ x, y, t }], endedAt }>
+// where t is when we got the point (local clock, so remote strokes fade the same way).
+
+export const EPHEMERAL_TOOLS = ["laser", "ink"];
+export const LASER_COLOR = "#ef4444";
+
+// Laser: each bit of the trail fades out this long after it was drawn
+const LASER_TRAIL_MS = 800;
+const LASER_WIDTH = 4;
+// Ink: stays this long after the stroke ends, then fades over INK_FADE_MS
+const INK_HOLD_MS = 3000;
+const INK_FADE_MS = 1000;
+// A stroke whose end never arrived (sender went away) counts as ended after this
+const STALL_MS = 2000;
+
+// Add points to a stroke (creating it); `end` marks the pointer was released
+export function addToStroke(
+  strokes,
+  { id, tool, color, strokeWidth, points = [], end = false },
+  now = Date.now()
+) {
+  let stroke = strokes.get(id);
+  if (!stroke) {
+    stroke = { tool, color, strokeWidth, points: [], endedAt: null };
+    strokes.set(id, stroke);
+  }
+  points.forEach((p) => stroke.points.push({ x: p.x, y: p.y, t: now }));
+  if (end) stroke.endedAt = now;
+  return stroke;
+}
+
+// When the stroke ended (or stalled), or null while it's still being drawn
+function endOf(stroke, now) {
+  if (stroke.endedAt !== null) return stroke.endedAt;
+  const last = stroke.points[stroke.points.length - 1];
+  if (!last) return now;
+  return now - last.t > STALL_MS ? last.t : null;
+}
+
+function paintInk(ctx, stroke, now) {
+  const end = endOf(stroke, now);
+  const age = end === null ? 0 : now - end;
+  const alpha = age <= INK_HOLD_MS ? 1 : 1 - (age - INK_HOLD_MS) / INK_FADE_MS;
+  if (alpha <= 0) return false;
+
+  const pts = stroke.points;
+  ctx.globalAlpha = alpha;
+  ctx.strokeStyle = stroke.color;
+  ctx.fillStyle = stroke.color;
+  ctx.lineWidth = stroke.strokeWidth;
+  if (pts.length === 1) {
+    ctx.beginPath();
+    ctx.arc(pts[0].x, pts[0].y, stroke.strokeWidth / 2, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (pts.length > 1) {
+    ctx.beginPath();
+    ctx.moveTo(pts[0].x, pts[0].y);
+    pts.slice(1).forEach((p) => ctx.lineTo(p.x, p.y));
+    ctx.stroke();
+  }
+  return true;
+}
+
+function paintLaser(ctx, stroke, now) {
+  // Drop the part of the trail that has faded (keep the head while drawing)
+  const pts = stroke.points;
+  const ended = endOf(stroke, now) !== null;
+  while (pts.length > (ended ? 0 : 1) && now - pts[0].t > LASER_TRAIL_MS) pts.shift();
+  if (pts.length === 0) return false;
+
+  const fade = (p) => Math.max(0, 1 - (now - p.t) / LASER_TRAIL_MS);
+  ctx.strokeStyle = LASER_COLOR;
+  ctx.fillStyle = LASER_COLOR;
+  ctx.lineWidth = LASER_WIDTH;
+  ctx.shadowColor = LASER_COLOR;
+  ctx.shadowBlur = 8;
+  for (let i = 1; i < pts.length; i++) {
+    ctx.globalAlpha = fade(pts[i]);
+    ctx.beginPath();
+    ctx.moveTo(pts[i - 1].x, pts[i - 1].y);
+    ctx.lineTo(pts[i].x, pts[i].y);
+    ctx.stroke();
+  }
+
+  // The dot at the head stays lit while the pointer is down
+  const head = pts[pts.length - 1];
+  ctx.globalAlpha = ended ? fade(head) : 1;
+  ctx.beginPath();
+  ctx.arc(head.x, head.y, LASER_WIDTH + 2, 0, Math.PI * 2);
+  ctx.fill();
+  return true;
+}
+
+// Paint every stroke at its current opacity and forget the ones that faded.
+// Returns true while something is left (the caller keeps animating).
+export function paintEphemeral(ctx, strokes, now = Date.now()) {
+  strokes.forEach((stroke, id) => {
+    ctx.save();
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    const visible = stroke.tool === "laser" ? paintLaser(ctx, stroke, now) : paintInk(ctx, stroke, now);
+    ctx.restore();
+    if (!visible) strokes.delete(id);
+  });
+  return strokes.size > 0;
+}
@@ -0,0 +1,81 @@
+import { addToStroke, paintEphemeral } from "./ephemeral";
+
+// canvas context that just takes whatever is set/called
+const fakeCtx = () => {
+  const calls = [];
+  const ctx = new Proxy(
+    {},
+    {
+      get: (target, key) => (key in target ? target[key] : (...args) => calls.push([key, ...args])),
+      set: (target, key, value) => {
+        target[key] = value;
+        return true;
+      },
+    }
+  );
+  return { ctx, calls };
+};
+
+test("addToStroke creates the stroke and appends points with the local time", () => {
+  const strokes = new Map();
+  addToStroke(strokes, { id: "s1", tool: "ink", color: "#000", strokeWidth: 2, points: [{ x: 1, y: 2 }] }, 100);
+  addToStroke(strokes, { id: "s1", points: [{ x: 3, y: 4 }], end: true }, 150);
+
+  const stroke = strokes.get("s1");
+  expect(stroke.tool).toBe("ink");
+  expect(stroke.points).toEqual([
+    { x: 1, y: 2, t: 100 },
+    { x: 3, y: 4, t: 150 },
+  ]);
+  expect(stroke.endedAt).toBe(150);
+});
+
+test("ink stays while held, fades, then is dropped", () => {
+  const strokes = new Map();
+  addToStroke(strokes, { id: "i", tool: "ink", color: "#000", strokeWidth: 2, points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], end: true }, 0);
+
+  const held = fakeCtx();
+  expect(paintEphemeral(held.ctx, strokes, 2000)).toBe(true);
+  expect(held.ctx.globalAlpha).toBe(1);
+
+  const fading = fakeCtx();
+  expect(paintEphemeral(fading.ctx, strokes, 3500)).toBe(true);
+  expect(fading.ctx.globalAlpha).toBeCloseTo(0.5);
+
+  expect(paintEphemeral(fakeCtx().ctx, strokes, 4000)).toBe(false);
+  expect(strokes.size).toBe(0);
+});
+
+test("ink whose end never arrived counts as ended once it stalls", () => {
+  const strokes = new Map();
+  addToStroke(strokes, { id: "i", tool: "ink", color: "#000", strokeWidth: 2, points: [{ x: 0, y: 0 }] }, 0);
+
+  // still being drawn at 1.9s, stalled (ended at t=0) after 2s, gone once faded
+  expect(paintEphemeral(fakeCtx().ctx, strokes, 1900)).toBe(true);
+  expect(paintEphemeral(fakeCtx().ctx, strokes, 4000)).toBe(false);
+  expect(strokes.size).toBe(0);
+});
+
+test("laser trail drops old points but keeps the head while drawing", () => {
+  const strokes = new Map();
+  addToStroke(strokes, { id: "l", tool: "laser", points: [{ x: 0, y: 0 }] }, 0);
+  addToStroke(strokes, { id: "l", points: [{ x: 10, y: 0 }] }, 500);
+
+  expect(paintEphemeral(fakeCtx().ctx, strokes, 1000)).toBe(true);
+  expect(strokes.get("l").points).toEqual([{ x: 10, y: 0, t: 500 }]);
+
+  // pointer still down: the head stays lit
+  const { ctx, calls } = fakeCtx();
+  expect(paintEphemeral(ctx, strokes, 1400)).toBe(true);
+  expect(ctx.globalAlpha).toBe(1);
+  expect(calls.some(([name]) => name === "arc")).toBe(true);
+});
+
+test("laser is dropped once released and faded", () => {
+  const strokes = new Map();
+  addToStroke(strokes, { id: "l", tool: "laser", points: [{ x: 0, y: 0 }], end: true }, 0);
+
+  expect(paintEphemeral(fakeCtx().ctx, strokes, 400)).toBe(true);
+  expect(paintEphemeral(fakeCtx().ctx, strokes, 900)).toBe(false);
+  expect(strokes.size).toBe(0);
+});
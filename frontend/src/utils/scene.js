@@ -0,0 +1,586 @@
+// Vector scene for the whiteboard: every stroke, shape, text, fill and image is
+// an element { id, type, zIndex, data, style, transform } kept in a Map by id.
+// Ops (element:create / element:update / element:delete / element:restore /
+// board-cleared) change it; the server folds the same ops into the Element collection.
+//
+// The scene is a CRDT, so replicas that saw the same ops agree no matter the
+// order they arrived in (or how often):
+// - every element field is a last-writer-wins register holding the stamp
+//   (utils/hlc.js) of the op that wrote it; an older write is ignored
+// - deleting writes the `deleted` register, so the element stays as a tombstone
+//   and a late move can't bring it back; only a newer create can
+// - stroke points are written by index (only the author appends), so repeated or
+//   reordered appends end up the same
+// - moving writes `transform` (an offset) rather than the geometry, which keeps
+//   moves independent of a stroke still growing
+// - the element list is ordered by the zIndex register, ties broken by id
+// - board-cleared deletes everything stamped before it, including elements that
+//   only show up later (offline edits)
+// Keep applyOp() in sync with backend/services/scene.js and paintElement() in
+// sync with backend/services/canvasRenderer.js.
+
+export const VIRTUAL_WIDTH = 1920;
+export const VIRTUAL_HEIGHT = 1080;
+
+// a stroke stops growing here; the pen tool starts a new one
+export const MAX_STROKE_POINTS = 5000;
+
+export const SHAPE_TYPES = ["rectangle", "circle", "line"];
+const STROKE_TYPES = ["pen", "eraser", "erase"];
+const STYLE_KEYS = ["color", "strokeWidth", "fontSize"];
+const ZERO = { x: 0, y: 0 };
+
+const DEFAULT_FONT_SIZE = 20;
+// how close (logical px) a click has to be to a stroke to pick it
+const HIT_SLOP = 6;
+
+// Short random id; unique enough per board and never looks like a Mongo ObjectId
+export const newElementId = () =>
+  `el-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Empty scene; `cleared` is the stamp of the latest board-cleared
+export const createScene = (elements = [], cleared = null) => ({
+  elements: new Map(elements.map((el) => [el.id, el])),
+  cleared,
+});
+
+// Ops logged before stamps existed sort below every real stamp, in seq order
+const stampOf = (p) =>
+  p.stamp || `0000000000000.${String(p.seq || 0).padStart(10, "0")}.legacy`;
+
+// Index-wise union of two point lists (later indexes may arrive first)
+const mergePoints = (a, b, at = 0) => {
+  if (!Array.isArray(b) || b.length === 0) return a;
+  const out = Array.isArray(a) ? a.slice() : [];
+  let changed = false;
+  for (let i = 0; i < b.length && at + i < MAX_STROKE_POINTS; i++) {
+    const idx = at + i;
+    while (out.length < idx) out.push(null);
+    if (out[idx] == null && b[i]) {
+      out[idx] = b[i];
+      changed = true;
+    }
+  }
+  return changed ? out : a;
+};
+
+// Write registers from one op. Returns el itself when nothing changed.
+function write(el, stamp, values) {
+  let next = el;
+  const copy = () => {
+    if (next === el) next = { ...el, style: { ...el.style }, clock: { ...el.clock } };
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined || !stamp) return;
+    const current = el.clock?.[name];
+    const strokes = name === "data" && STROKE_TYPES.includes(el.type);
+
+    // stroke points from any write are kept, whichever write wins
+    if (strokes && Array.isArray(value?.points) && Array.isArray(el.data?.points)) {
+      const newer = !current || stamp > current;
+      const points = mergePoints(el.data.points, value.points);
+      if (points !== el.data.points || newer) {
+        copy();
+        next.data = { ...(newer ? value : el.data), points };
+        if (newer) next.clock[name] = stamp;
+      }
+      return;
+    }
+
+    if (current && current >= stamp) return;
+    copy();
+    if (STYLE_KEYS.includes(name)) next.style[name] = value;
+    else next[name] = value;
+    next.clock[name] = stamp;
+  });
+  return next;
+}
+
+// An element the ops have mentioned but not created (yet)
+const blank = (id, type) => ({
+  id,
+  type,
+  zIndex: 0,
+  data: null,
+  style: {},
+  transform: ZERO,
+  deleted: true,
+  clock: {},
+});
+
+// Apply one op. Changed elements are replaced, never mutated, so a stale
+// reference can be compared against the scene.
+export function applyOp(scene, type, p = {}) {
+  const { elements } = scene;
+  const stamp = stampOf(p);
+
+  // whatever the op did, a board-cleared newer than it still wins
+  const put = (el) => {
+    const next = write(el, scene.cleared, { deleted: true });
+    if (next !== elements.get(next.id)) elements.set(next.id, next);
+  };
+
+  switch (type) {
+    case "element:create": {
+      const src = p.element;
+      if (!src?.id) return;
+      const el = elements.get(src.id) || blank(src.id, src.type);
+      if (el.type && el.type !== src.type) return;
+      const base =
+        el.type && el.createdBy
+          ? el
+          : { ...el, type: src.type, createdBy: el.createdBy ?? p.userId ?? src.createdBy };
+
+      put(
+        write(base, stamp, {
+          data: src.data,
+          color: src.style?.color,
+          strokeWidth: src.style?.strokeWidth,
+          fontSize: src.style?.fontSize,
+          zIndex: src.zIndex ?? 0,
+          transform: src.transform || ZERO,
+          deleted: false,
+        })
+      );
+      return;
+    }
+
+    case "element:update": {
+      if (!p.id) return;
+      // the type rides along so an update can land before its create
+      const el = elements.get(p.id) || (p.elementType && blank(p.id, p.elementType));
+      if (!el || (p.elementType && el.type && p.elementType !== el.type)) return;
+
+      let next = write(el, stamp, {
+        data: p.data,
+        color: p.style?.color,
+        strokeWidth: p.style?.strokeWidth,
+        fontSize: p.style?.fontSize,
+        zIndex: p.zIndex,
+        transform: p.transform,
+      });
+      if (p.append?.points?.length) {
+        const points = mergePoints(next.data?.points || [], p.append.points, p.append.at);
+        if (points !== next.data?.points) next = { ...next, data: { ...next.data, points } };
+      }
+      if (next !== el || !elements.has(p.id)) put(next);
+      return;
+    }
+
+    case "element:delete":
+      (p.ids || []).forEach((id) => {
+        const el = elements.get(id);
+        // no type yet: a later create fills it in
+        put(write(el || blank(id, undefined), stamp, { deleted: true }));
+      });
+      return;
+
+    // Undo of a delete / redo of a create (tombstones keep their data)
+    case "element:restore":
+      (p.ids || []).forEach((id) => {
+        put(write(elements.get(id) || blank(id, undefined), stamp, { deleted: false }));
+      });
+      return;
+
+    case "board-cleared":
+      if (!scene.cleared || stamp > scene.cleared) scene.cleared = stamp;
+      elements.forEach(put);
+      return;
+
+    default:
+      return;
+  }
+}
+
+// Created, not deleted and with something to draw
+export const isLive = (el) => !!el && !el.deleted && !!el.data;
+
+export const liveElement = (scene, id) => {
+  const el = scene.elements.get(id);
+  return isLive(el) ? el : null;
+};
+
+// Paint order: z-index, then id so every client agrees on ties
+export const sortElements = (elements) =>
+  [...elements].sort(
+    (a, b) =>
+      (a.zIndex || 0) - (b.zIndex || 0) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+
+// What's on the board, in paint order
+export const liveElements = (scene) =>
+  sortElements([...scene.elements.values()].filter(isLive));
+
+export const topZIndex = (scene) => {
+  let top = 0;
+  scene.elements.forEach((el) => {
+    if (isLive(el) && (el.zIndex || 0) > top) top = el.zIndex;
+  });
+  return top;
+};
+
+// Newest stamp anywhere in the scene (a fresh clock has to move past it)
+export const latestStamp = (scene) => {
+  let latest = scene.cleared || "";
+  scene.elements.forEach((el) => {
+    Object.values(el.clock || {}).forEach((s) => {
+      if (s > latest) latest = s;
+    });
+  });
+  return latest || null;
+};
+
+export const offsetOf = (el) => el.transform || ZERO;
+
+// Pen/eraser polyline (batch-saved strokes from before points only have from/to).
+// Points still waiting for an earlier append are skipped.
+export const strokePoints = (el) => {
+  const d = el.data || {};
+  if (Array.isArray(d.points) && d.points.length > 0) return d.points.filter(Boolean);
+  return d.from && d.to ? [d.from, d.to] : [];
+};
+
+export const fontSizeOf = (el) => el.style?.fontSize || DEFAULT_FONT_SIZE;
+
+// === Painting (ctx is already scaled to logical units) ===
+
+const drawRect = (ctx, a, b) => {
+  ctx.strokeRect(
+    Math.min(a.x, b.x),
+    Math.min(a.y, b.y),
+    Math.abs(b.x - a.x),
+    Math.abs(b.y - a.y)
+  );
+};
+const drawCircle = (ctx, a, b) => {
+  const r = Math.hypot(b.x - a.x, b.y - a.y);
+  ctx.beginPath();
+  ctx.arc(a.x, a.y, r, 0, Math.PI * 2);
+  ctx.stroke();
+};
+const drawLine = (ctx, a, b) => {
+  ctx.beginPath();
+  ctx.moveTo(a.x, a.y);
+  ctx.lineTo(b.x, b.y);
+  ctx.stroke();
+};
+const drawShape = { rectangle: drawRect, circle: drawCircle, line: drawLine };
+
+const applyStrokeStyle = (ctx, el) => {
+  ctx.strokeStyle = el.style?.color || "#000";
+  ctx.lineWidth = Math.max(1, el.style?.strokeWidth || 1);
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+};
+
+// Stroke points[from..] (from > 0 continues from the previous point)
+export function paintStroke(ctx, el, from = 0) {
+  const pts = strokePoints(el);
+  if (pts.length === 0) return;
+  const start = Math.max(0, from - 1);
+  const t = offsetOf(el);
+
+  ctx.save();
+  ctx.translate(t.x, t.y);
+  ctx.globalCompositeOperation = el.type === "pen" ? "source-over" : "destination-out";
+  applyStrokeStyle(ctx, el);
+  ctx.beginPath();
+  ctx.moveTo(pts[start].x, pts[start].y);
+  // a single point still leaves a dot
+  if (pts.length === 1) ctx.lineTo(pts[0].x, pts[0].y);
+  for (let i = start + 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Exact-color flood fill in backing-store pixels
+function floodFill(ctx, scale, x, y, fillColor) {
+  const { width, height } = ctx.canvas;
+  const startX = Math.floor(x * scale);
+  const startY = Math.floor(y * scale);
+  if (startX < 0 || startX >= width || startY < 0 || startY >= height) return;
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const { data } = imageData;
+
+  const startPos = (startY * width + startX) * 4;
+  const target = [data[startPos], data[startPos + 1], data[startPos + 2], data[startPos + 3]];
+
+  const hex = fillColor.replace("#", "");
+  const fill = [
+    parseInt(hex.substring(0, 2), 16),
+    parseInt(hex.substring(2, 4), 16),
+    parseInt(hex.substring(4, 6), 16),
+    255,
+  ];
+  if (target.every((v, i) => v === fill[i])) return;
+
+  const matches = (pos) =>
+    data[pos] === target[0] &&
+    data[pos + 1] === target[1] &&
+    data[pos + 2] === target[2] &&
+    data[pos + 3] === target[3];
+
+  // Filled pixels stop matching, so no visited set is needed
+  const stack = [startX, startY];
+  while (stack.length > 0) {
+    const cy = stack.pop();
+    const cx = stack.pop();
+    if (cx < 0 || cx >= width || cy < 0 || cy >= height) continue;
+
+    const pos = (cy * width + cx) * 4;
+    if (!matches(pos)) continue;
+
+    data[pos] = fill[0];
+    data[pos + 1] = fill[1];
+    data[pos + 2] = fill[2];
+    data[pos + 3] = fill[3];
+
+    stack.push(cx + 1, cy, cx - 1, cy, cx, cy + 1, cx, cy - 1);
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// Paint one element. `getImage(el)` returns a decoded image or null (not loaded yet).
+export function paintElement(ctx, scale, el, getImage) {
+  const d = el.data || {};
+  const t = offsetOf(el);
+
+  switch (el.type) {
+    case "pen":
+    case "eraser":
+    case "erase":
+      paintStroke(ctx, el);
+      return;
+
+    case "rectangle":
+    case "circle":
+    case "line":
+      if (!d.from || !d.to) return;
+      ctx.save();
+      ctx.translate(t.x, t.y);
+      applyStrokeStyle(ctx, el);
+      drawShape[el.type](ctx, d.from, d.to);
+      ctx.restore();
+      return;
+
+    case "text":
+      if (typeof d.x !== "number" || typeof d.y !== "number") return;
+      ctx.save();
+      ctx.translate(t.x, t.y);
+      ctx.fillStyle = el.style?.color || "#000";
+      ctx.font = `${fontSizeOf(el)}px Arial`;
+      ctx.textBaseline = "top";
+      ctx.fillText(d.text || "", d.x, d.y);
+      ctx.restore();
+      return;
+
+    case "fill":
+      if (typeof d.x !== "number" || typeof d.y !== "number") return;
+      floodFill(ctx, scale, d.x + t.x, d.y + t.y, el.style?.color || "#000");
+      return;
+
+    case "image": {
+      const img = getImage?.(el);
+      if (img) ctx.drawImage(img, d.x + t.x, d.y + t.y, d.width, d.height);
+      return;
+    }
+
+    default:
+      return;
+  }
+}
+
+// Clear and paint a whole list of elements (already in paint order)
+export function renderScene(ctx, scale, elements, getImage) {
+  ctx.save();
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  ctx.clearRect(0, 0, VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
+  for (const el of elements) {
+    try {
+      paintElement(ctx, scale, el, getImage);
+    } catch (err) {
+      console.error("scene: paint failed", el?.id, err);
+    }
+  }
+  ctx.restore();
+}
+
+// === Geometry (selection, hit testing, moving) ===
+
+// Bounding box before the element's transform
+function shapeBounds(el, measureCtx) {
+  const d = el.data || {};
+
+  if (STROKE_TYPES.includes(el.type)) {
+    const pts = strokePoints(el);
+    if (pts.length === 0) return null;
+    const pad = Math.max(1, el.style?.strokeWidth || 1) / 2;
+    const xs = pts.map((p) => p.x);
+    const ys = pts.map((p) => p.y);
+    const minX = Math.min(...xs) - pad;
+    const minY = Math.min(...ys) - pad;
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(...xs) + pad - minX,
+      height: Math.max(...ys) + pad - minY,
+    };
+  }
+
+  if (SHAPE_TYPES.includes(el.type)) {
+    if (!d.from || !d.to) return null;
+    if (el.type === "circle") {
+      const r = Math.hypot(d.to.x - d.from.x, d.to.y - d.from.y);
+      return { x: d.from.x - r, y: d.from.y - r, width: r * 2, height: r * 2 };
+    }
+    return {
+      x: Math.min(d.from.x, d.to.x),
+      y: Math.min(d.from.y, d.to.y),
+      width: Math.abs(d.to.x - d.from.x),
+      height: Math.abs(d.to.y - d.from.y),
+    };
+  }
+
+  if (el.type === "text") {
+    const size = fontSizeOf(el);
+    let width = (d.text || "").length * size * 0.6;
+    if (measureCtx) {
+      measureCtx.save();
+      measureCtx.font = `${size}px Arial`;
+      width = measureCtx.measureText(d.text || "").width;
+      measureCtx.restore();
+    }
+    return { x: d.x, y: d.y, width, height: size * 1.2 };
+  }
+
+  if (el.type === "image") return { x: d.x, y: d.y, width: d.width, height: d.height };
+  if (el.type === "fill") return { x: d.x, y: d.y, width: 0, height: 0 };
+  return null;
+}
+
+// Logical bounding box { x, y, width, height } or null.
+// Text needs a ctx to measure with; fills are just their seed point.
+export function elementBounds(el, measureCtx) {
+  const b = shapeBounds(el, measureCtx);
+  const t = offsetOf(el);
+  return b && { ...b, x: b.x + t.x, y: b.y + t.y };
+}
+
+const distToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const nearPolyline = (p, pts, tolerance) => {
+  if (pts.length === 1) return Math.hypot(p.x - pts[0].x, p.y - pts[0].y) <= tolerance;
+  for (let i = 1; i < pts.length; i++) {
+    if (distToSegment(p, pts[i - 1], pts[i]) <= tolerance) return true;
+  }
+  return false;
+};
+
+const insideBox = (p, b, pad = 0) =>
+  b && p.x >= b.x - pad && p.x <= b.x + b.width + pad && p.y >= b.y - pad && p.y <= b.y + b.height + pad;
+
+// Does a click at p pick this element? Erasers and fills have no shape of
+// their own, so only area selection picks them up.
+function hits(el, at, measureCtx) {
+  const d = el.data || {};
+  const t = offsetOf(el);
+  const p = { x: at.x - t.x, y: at.y - t.y };
+  const tolerance = Math.max(1, el.style?.strokeWidth || 1) / 2 + HIT_SLOP;
+
+  switch (el.type) {
+    case "pen":
+      return nearPolyline(p, strokePoints(el), tolerance);
+    case "line":
+      return !!d.from && !!d.to && nearPolyline(p, [d.from, d.to], tolerance);
+    case "circle": {
+      if (!d.from || !d.to) return false;
+      const r = Math.hypot(d.to.x - d.from.x, d.to.y - d.from.y);
+      return Math.abs(Math.hypot(p.x - d.from.x, p.y - d.from.y) - r) <= tolerance;
+    }
+    case "rectangle": {
+      const b = shapeBounds(el);
+      if (!insideBox(p, b, tolerance)) return false;
+      // on the outline, not inside the (transparent) box
+      return (
+        Math.abs(p.x - b.x) <= tolerance ||
+        Math.abs(p.x - (b.x + b.width)) <= tolerance ||
+        Math.abs(p.y - b.y) <= tolerance ||
+        Math.abs(p.y - (b.y + b.height)) <= tolerance
+      );
+    }
+    case "text":
+    case "image":
+      return insideBox(p, shapeBounds(el, measureCtx), 2);
+    default:
+      return false;
+  }
+}
+
+// Topmost element under p (elements in paint order)
+export function hitTest(elements, p, measureCtx) {
+  for (let i = elements.length - 1; i >= 0; i--) {
+    if (hits(elements[i], p, measureCtx)) return elements[i];
+  }
+  return null;
+}
+
+// Elements whose bounds sit completely inside rect
+export function elementsInRect(elements, rect, measureCtx) {
+  return elements.filter((el) => {
+    const b = elementBounds(el, measureCtx);
+    return (
+      b &&
+      b.x >= rect.x &&
+      b.y >= rect.y &&
+      b.x + b.width <= rect.x + rect.width &&
+      b.y + b.height <= rect.y + rect.height
+    );
+  });
+}
+
+const pointInPolygon = (p, poly) => {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i];
+    const b = poly[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Elements whose bounds' center is inside the lasso
+export function elementsInLasso(elements, path, measureCtx) {
+  if (path.length < 3) return [];
+  return elements.filter((el) => {
+    const b = elementBounds(el, measureCtx);
+    return b && pointInPolygon({ x: b.x + b.width / 2, y: b.y + b.height / 2 }, path);
+  });
+}
+
+// Transform of an element moved by (dx, dy)
+export function movedBy(el, dx, dy) {
+  const t = offsetOf(el);
+  return { x: t.x + dx, y: t.y + dy };
+}
+
+// Is el painted last? (appending to it can then skip a full repaint)
+export function isTopmost(scene, el) {
+  const z = el.zIndex || 0;
+  for (const other of scene.elements.values()) {
+    if (other === el || !isLive(other)) continue;
+    const oz = other.zIndex || 0;
+    if (oz > z || (oz === z && other.id > el.id)) return false;
+  }
+  return true;
+}
@@ -0,0 +1,53 @@
+// Tracks which server sequence numbers (room event `seq`) this client has applied.
+// `last` is the contiguous watermark: every seq <= last is applied.
+// Events that arrive early (seq > last + 1) wait in `ahead` until the hole fills;
+// a hole that doesn't fill on its own is a missed event -> ask the server to resume.
+
+export function createSeqTracker() {
+  let last = null; // null = nothing from the server yet
+  const ahead = new Set();
+
+  const compact = () => {
+    while (ahead.has(last + 1)) {
+      ahead.delete(last + 1);
+      last += 1;
+    }
+  };
+
+  return {
+    get last() {
+      return last;
+    },
+
+    has(seq) {
+      return last !== null && (seq <= last || ahead.has(seq));
+    },
+
+    // record one applied seq (ignored until the first reset)
+    mark(seq) {
+      if (last === null || !Number.isInteger(seq) || seq <= last) return;
+      ahead.add(seq);
+      compact();
+    },
+
+    // everything up to seq is applied (resume delta)
+    advanceTo(seq) {
+      if (!Number.isInteger(seq) || (last !== null && seq <= last)) return;
+      last = seq;
+      ahead.forEach((s) => {
+        if (s <= last) ahead.delete(s);
+      });
+      compact();
+    },
+
+    // start over from seq (fresh load / resume reset)
+    reset(seq) {
+      last = Number.isInteger(seq) ? seq : 0;
+      ahead.clear();
+    },
+
+    hasGap() {
+      return ahead.size > 0;
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { createSeqTracker } from "./seqTracker";
+
+test("ignores events until the first reset", () => {
+  const t = createSeqTracker();
+  t.mark(1);
+  expect(t.last).toBeNull();
+  expect(t.has(1)).toBe(false);
+});
+
+test("moves the watermark over contiguous seqs", () => {
+  const t = createSeqTracker();
+  t.reset(5);
+  t.mark(6);
+  t.mark(7);
+  expect(t.last).toBe(7);
+  expect(t.has(7)).toBe(true);
+  expect(t.hasGap()).toBe(false);
+});
+
+test("holds early events until the hole fills", () => {
+  const t = createSeqTracker();
+  t.reset(0);
+  t.mark(2);
+  t.mark(3);
+  expect(t.last).toBe(0);
+  expect(t.has(3)).toBe(true);
+  expect(t.hasGap()).toBe(true);
+
+  t.mark(1);
+  expect(t.last).toBe(3);
+  expect(t.hasGap()).toBe(false);
+});
+
+test("ignores duplicates and non-integer seqs", () => {
+  const t = createSeqTracker();
+  t.reset(3);
+  t.mark(2);
+  t.mark(3);
+  t.mark(4.5);
+  t.mark("4");
+  expect(t.last).toBe(3);
+  expect(t.hasGap()).toBe(false);
+});
+
+test("advanceTo jumps past a resume delta and keeps later early events", () => {
+  const t = createSeqTracker();
+  t.reset(0);
+  t.mark(3);
+  t.mark(6);
+  t.advanceTo(4);
+  expect(t.last).toBe(4);
+  expect(t.hasGap()).toBe(true);
+  t.mark(5);
+  expect(t.last).toBe(6);
+
+  t.advanceTo(2);
+  expect(t.last).toBe(6);
+});
+
+test("reset starts over and forgets early events", () => {
+  const t = createSeqTracker();
+  t.reset(0);
+  t.mark(4);
+  t.reset(10);
+  expect(t.last).toBe(10);
+  expect(t.has(4)).toBe(true);
+  expect(t.hasGap()).toBe(false);
+  t.reset();
+  expect(t.last).toBe(0);
+});